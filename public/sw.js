@@ -0,0 +1,90 @@
+// Service worker for the app shell. The HTML and the hashed build assets are
+// cached so the app opens without a connection; API calls always go to the
+// network, and uploads made offline wait in the IndexedDB outbox instead.
+// config.json is fetched network-first so deployments can change it.
+
+const CACHE = "dr-screening-shell-v2";
+const SHELL = ["./", "manifest.webmanifest", "icons/icon-192.png", "icons/icon-512.png"];
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+// Vite fingerprints the bundles; their names come from asset-manifest.json
+// (written by vite.config.js), or from index.html if that is missing.
+async function shellUrls() {
+  const urls = SHELL.map(scoped);
+  try {
+    const res = await fetch(scoped("asset-manifest.json"), { cache: "no-store" });
+    if (res.ok) {
+      const { files = [] } = await res.json();
+      urls.push(...files.filter((f) => f.startsWith("assets/")).map(scoped));
+    } else {
+      const html = await (await fetch(scoped("./"), { cache: "no-store" })).text();
+      for (const [, src] of html.matchAll(/(?:src|href)="([^"]*\/assets\/[^"]+)"/g)) {
+        urls.push(new URL(src, self.registration.scope).href);
+      }
+    }
+  } catch {
+    // Installing offline: the shell is cached on the next visit instead.
+  }
+  return [...new Set(urls)];
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE);
+      await cache.addAll(await shellUrls());
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+// `key` is the cache entry to refresh and fall back to; every navigation
+// shares the index.html entry.
+async function networkFirst(request, key) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+  } catch (e) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || url.pathname.includes("/api/")) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, scoped("./")));
+  } else if (url.href === scoped("config.json")) {
+    event.respondWith(networkFirst(request, url.href));
+  } else if (url.pathname.includes("/assets/") || SHELL.map(scoped).includes(url.href)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
@@ -0,0 +1,133 @@
+// Stand-in FHIR server for trying "Send to EHR" without a real EHR.
+//
+//   npm run fhir-stub                 # listens on http://localhost:8090/fhir
+//   FHIR_STUB_PORT=9000 npm run fhir-stub
+//
+// Point the app at it with `"fhirEndpoint": "http://localhost:8090/fhir"` in
+// config.json (or VITE_FHIR_ENDPOINT). It accepts transaction Bundles, checks
+// that every urn:uuid reference resolves inside the Bundle, answers with a
+// transaction-response and keeps what it received in memory; GET /fhir lists it.
+
+import http from "node:http";
+
+const PORT = Number(process.env.FHIR_STUB_PORT) || 8090;
+const BASE_PATH = "/fhir";
+const MAX_BODY_BYTES = 100 * 1024 * 1024;
+
+const received = [];
+let nextId = 1;
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Accept",
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/fhir+json" });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+const outcome = (diagnostics) => ({
+  resourceType: "OperationOutcome",
+  issue: [{ severity: "error", code: "invalid", diagnostics }],
+});
+
+function collectReferences(value, found = []) {
+  if (Array.isArray(value)) value.forEach((v) => collectReferences(v, found));
+  else if (value && typeof value === "object") {
+    for (const [key, v] of Object.entries(value)) {
+      if (key === "reference" && typeof v === "string") found.push(v);
+      else collectReferences(v, found);
+    }
+  }
+  return found;
+}
+
+// Returns an error message, or "" when the Bundle looks ingestible.
+function checkBundle(bundle) {
+  if (bundle?.resourceType !== "Bundle") return "Expected a Bundle resource.";
+  if (bundle.type !== "transaction") return `Expected a transaction Bundle, got "${bundle.type}".`;
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  if (!entries.length) return "The Bundle has no entries.";
+
+  const fullUrls = new Set(entries.map((e) => e.fullUrl));
+  for (const [i, entry] of entries.entries()) {
+    if (!entry.resource?.resourceType) return `entry[${i}] has no resource.`;
+    if (entry.request?.method !== "POST") return `entry[${i}] must be a POST.`;
+    const dangling = collectReferences(entry.resource).find(
+      (ref) => ref.startsWith("urn:uuid:") && !fullUrls.has(ref)
+    );
+    if (dangling) return `entry[${i}] refers to ${dangling}, which is not in the Bundle.`;
+  }
+  return "";
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large."));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+async function handlePost(req, res) {
+  let bundle;
+  try {
+    bundle = JSON.parse(await readBody(req));
+  } catch (e) {
+    send(res, 400, outcome(`Could not parse the request body: ${e.message}`));
+    return;
+  }
+
+  const problem = checkBundle(bundle);
+  if (problem) {
+    console.log(`rejected: ${problem}`);
+    send(res, 400, outcome(problem));
+    return;
+  }
+
+  const id = nextId++;
+  const types = bundle.entry.map((e) => e.resource.resourceType);
+  received.push({ id, received_at: new Date().toISOString(), resources: types, bundle });
+  console.log(`bundle ${id}: ${types.join(", ")}`);
+
+  send(res, 200, {
+    resourceType: "Bundle",
+    type: "transaction-response",
+    entry: bundle.entry.map((e, i) => ({
+      response: { status: "201 Created", location: `${e.resource.resourceType}/${id}-${i + 1}/_history/1` },
+    })),
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const path = new URL(req.url, "http://localhost").pathname.replace(/\/+$/, "");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+  } else if (path !== BASE_PATH) {
+    send(res, 404, outcome(`Not found: ${path}. Use ${BASE_PATH}.`));
+  } else if (req.method === "POST") {
+    handlePost(req, res).catch((e) => send(res, 500, outcome(e.message)));
+  } else if (req.method === "GET") {
+    send(res, 200, received.map(({ bundle, ...summary }) => summary));
+  } else {
+    send(res, 405, outcome(`Method ${req.method} is not supported.`));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`FHIR stand-in listening on http://localhost:${PORT}${BASE_PATH}`);
+});
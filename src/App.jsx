@@ -1,4 +1,4 @@
-import React, { useCallback, useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   Container,
   Row,
@@ -10,164 +10,131 @@ import {
   Modal,
   Spinner,
   Form,
+  ToggleButton,
+  ToggleButtonGroup,
 } from "react-bootstrap";
 import { useDropzone } from "react-dropzone";
 import {
   FaUpload,
   FaImage,
+  FaBalanceScale,
   FaBrain,
+  FaCamera,
+  FaChartBar,
   FaCheckCircle,
   FaShieldAlt,
   FaInfoCircle,
+  FaHistory,
+  FaFilePdf,
+  FaHospital,
+  FaServer,
+  FaTools,
+  FaUserSecret,
 } from "react-icons/fa";
-import axios from "axios";
+import { MOCK_SCENARIO, api } from "./api/index.js";
+import useI18n from "./i18n/useI18n.js";
+import AgreementModal from "./components/AgreementModal.jsx";
+import AnalyzeProgress from "./components/AnalyzeProgress.jsx";
+import BackendsModal from "./components/BackendsModal.jsx";
+import BatchQueue from "./components/BatchQueue.jsx";
+import CameraCapture from "./components/CameraCapture.jsx";
+import ComparisonResults from "./components/ComparisonResults.jsx";
+import DiagnosticsModal from "./components/DiagnosticsModal.jsx";
+import DicomInfo from "./components/DicomInfo.jsx";
+import FhirExportModal from "./components/FhirExportModal.jsx";
+import GradcamViewer from "./components/GradcamViewer.jsx";
+import HealthStatus from "./components/HealthStatus.jsx";
+import HistoryModal from "./components/HistoryModal.jsx";
+import MaskEditor from "./components/MaskEditor.jsx";
+import OutboxPanel from "./components/OutboxPanel.jsx";
+import PairedExam from "./components/PairedExam.jsx";
+import PairedResults from "./components/PairedResults.jsx";
+import ProbabilityChart from "./components/ProbabilityChart.jsx";
+import QualityPanel from "./components/QualityPanel.jsx";
+import ReferralBanner from "./components/ReferralBanner.jsx";
+import UncertaintyPanel from "./components/UncertaintyPanel.jsx";
+import ReviewPanel from "./components/ReviewPanel.jsx";
+import SeverityTrend from "./components/SeverityTrend.jsx";
+import useHealthMonitor from "./hooks/useHealthMonitor.js";
+import useOutbox from "./hooks/useOutbox.js";
+import { API_BASE_CONFIGURED, HAS_EXPLICIT_API_URL, MAX_FILE_MB } from "./lib/config.js";
+import { extractServerError, getSeverityGradient } from "./lib/normalize.js";
+import { isCancelledError } from "./lib/abort.js";
+import { applyMasks, describeScrub, scrubSummary } from "./lib/deidentify.js";
+import {
+  getHistoryEntry,
+  makeHistoryEntry,
+  saveHistoryEntry,
+  saveHistoryReview,
+} from "./lib/historyStore.js";
+import {
+  ACCEPTED_IMAGE_TYPES,
+  analyzeImage,
+  describePredictError,
+  validateImageFile,
+} from "./lib/predict.js";
+import { loadBackends, saveBackends } from "./lib/backends.js";
+import { cameraSupported } from "./lib/camera.js";
+import { compareBackends } from "./lib/comparison.js";
+import { describePrepReport, prepareUpload } from "./lib/imagePrep.js";
+import { isNetworkError, makeOutboxItem } from "./lib/outbox.js";
+import {
+  assessImageQuality,
+  describeQualityIssues,
+  makeQualityRecord,
+} from "./lib/imageQuality.js";
+import { makeThumbnail } from "./lib/thumbnail.js";
+import { EYES, summarizePairedExam } from "./lib/paired.js";
+import { evaluateReferral } from "./lib/referral.js";
+import { assessUncertainty } from "./lib/uncertainty.js";
 import "./index.css";
 
-const DEFAULT_MAX_IMAGE_MB = 25;
-const ENV_MAX_IMAGE_BYTES = Number(import.meta.env.VITE_MAX_IMAGE_BYTES);
-const ENV_MAX_IMAGE_MB = Number(import.meta.env.VITE_MAX_IMAGE_MB);
-
-const MAX_FILE_BYTES =
-  Number.isFinite(ENV_MAX_IMAGE_BYTES) && ENV_MAX_IMAGE_BYTES > 0
-    ? Math.floor(ENV_MAX_IMAGE_BYTES)
-    : Number.isFinite(ENV_MAX_IMAGE_MB) && ENV_MAX_IMAGE_MB > 0
-    ? Math.floor(ENV_MAX_IMAGE_MB * 1024 * 1024)
-    : DEFAULT_MAX_IMAGE_MB * 1024 * 1024;
-
-const MAX_FILE_MB = Math.round((MAX_FILE_BYTES / (1024 * 1024)) * 10) / 10;
-const HEALTH_POLL_MS = 5000;
-
-const RAW_API_BASE = String(import.meta.env.VITE_API_BASE_URL || "").trim();
-const HAS_EXPLICIT_API_URL = Boolean(RAW_API_BASE);
-
-const API_BASE = (() => {
-  const env = RAW_API_BASE;
-  if (env) return env.replace(/\/+$/, "");
-  if (import.meta.env.DEV) return "http://localhost:8000";
-  return "";
-})();
-
-const HEALTH_PATHS = ["/api/health"];
-const PREDICT_PATHS = ["/api/predict"];
-const MODEL_INFO_PATH = "/api/model-info";
-const PRIVACY_NOTICE_PATH = "/api/privacy-notice";
-
-function normalizePercent(x) {
-  if (typeof x !== "number" || Number.isNaN(x)) return null;
-  if (x >= 0 && x <= 1) return x * 100;
-  return x;
-}
-
-function toSafeClassLabel(label) {
-  if (!label) return "";
-  return String(label).replace(/_/g, " ");
-}
-
-function extractServerError(err) {
-  const status = err?.response?.status;
-  const data = err?.response?.data;
-
-  const serverMsg = data?.error || data?.message;
-  if (serverMsg) return { status, message: serverMsg };
-
-  if (status) return { status, message: `Request failed with status ${status}.` };
-
-  const msg =
-    err?.message ||
-    "Failed to connect to the server. Ensure the backend is running and CORS/proxy is configured.";
-  return { status: null, message: msg };
-}
-
-
-function normalizeApiResponse(data) {
-  if (!data || typeof data !== "object") {
-    return { success: false, error: "Invalid server response." };
-  }
-
-  if (data.success === false) {
-    return {
-      success: false,
-      error: data.error || data.message || "Prediction failed.",
-      dev_mode: Boolean(data.dev_mode),
-      model_load_error: data.model_load_error || null,
-    };
-  }
-
-  let className = "";
-  let confidence = 0;
-  let description = "";
-
-  if (data.prediction && typeof data.prediction === "object") {
-    className = data.prediction.class || data.prediction.label || "";
-    confidence =
-      normalizePercent(
-        data.prediction.confidence ?? data.confidence ?? data.prediction.score ?? 0
-      ) ?? 0;
-    description = data.prediction.description || data.description || "";
-  } else {
-    className =
-      (typeof data.prediction === "string" && data.prediction) ||
-      data.prediction_label ||
-      data.class ||
-      "";
-    confidence = normalizePercent(data.confidence ?? 0) ?? 0;
-    description = data.description || "";
-  }
-
-  const probsRaw =
-    data.all_probabilities ||
-    data.probabilities ||
-    data.compat?.probabilities ||
-    {};
-
-  const all_probabilities = Object.fromEntries(
-    Object.entries(probsRaw).map(([k, v]) => [k, normalizePercent(v) ?? 0])
-  );
-
-  return {
-    success: true,
-    session_id: data.session_id || null,
-    prediction: { class: className, confidence, description },
-    all_probabilities,
-    gradcam_image: data.gradcam_image || null,
-    preprocess_debug: data.preprocess_debug || null,
-    security: data.security || null,
-    storage: data.storage || null,
-    elapsed_ms: typeof data.elapsed_ms === "number" ? data.elapsed_ms : null,
-  };
-}
-
-function getSeverityGradient(className) {
-  const gradients = {
-    No_DR: "linear-gradient(135deg, #28a745 0%, #20c997 100%)",
-    Mild: "linear-gradient(135deg, #ffc107 0%, #ffca2c 100%)",
-    Moderate: "linear-gradient(135deg, #fd7e14 0%, #ff8c42 100%)",
-    Severe: "linear-gradient(135deg, #dc3545 0%, #e4606d 100%)",
-    Proliferative_DR: "linear-gradient(135deg, #6f42c1 0%, #8c68cd 100%)",
-  };
-  return (
-    gradients[className] ||
-    "linear-gradient(135deg, #6c757d 0%, #868e96 100%)"
-  );
-}
-
-function joinUrl(base, path) {
-  if (!base) return path;
-  if (!path) return base;
-  if (path.startsWith("http://") || path.startsWith("https://")) return path;
-  return `${base}${path.startsWith("/") ? "" : "/"}${path}`;
-}
 
 export default function App() {
-  const [backendHealth, setBackendHealth] = useState(null);
-  const [backendHealthError, setBackendHealthError] = useState("");
-
+  const {
+    lang,
+    languages,
+    setLanguage,
+    t,
+    classLabel,
+    classDescription,
+    eyeLabel,
+    formatPercent,
+  } = useI18n();
+
+  // A production build without a backend URL has nothing to poll.
+  const missingApiUrl = import.meta.env.PROD && !API_BASE_CONFIGURED && !MOCK_SCENARIO;
+  const healthMonitor = useHealthMonitor({ enabled: !missingApiUrl });
+  const { health: backendHealth, unreachable: backendUnreachable, online } = healthMonitor;
+  const backendHealthError = missingApiUrl ? t("backend.missingApiUrl") : healthMonitor.error;
+
+  const [uploadMode, setUploadMode] = useState("single");
+  const [pairedExam, setPairedExam] = useState(null);
   const [selectedFile, setSelectedFile] = useState(null);
   const [preview, setPreview] = useState(null);
+  const [preparing, setPreparing] = useState(false);
+  const [prepReport, setPrepReport] = useState(null);
+  const [dicomMeta, setDicomMeta] = useState(null);
+  const [masks, setMasks] = useState([]);
+  const [showCamera, setShowCamera] = useState(false);
+  const prepSeq = useRef(0);
+  const [caseReference, setCaseReference] = useState("");
+
+  const [quality, setQuality] = useState(null);
+  const [qualityLoading, setQualityLoading] = useState(false);
+  const [qualityError, setQualityError] = useState("");
+  const [qualityOverride, setQualityOverride] = useState(false);
 
   const [prediction, setPrediction] = useState(null);
+  const [resultImage, setResultImage] = useState(null);
+  const [reopened, setReopened] = useState(null);
+  const [reportBusy, setReportBusy] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const abortRef = useRef(null);
   const [error, setError] = useState("");
+  const [outboxNotice, setOutboxNotice] = useState("");
 
   const [wantGradcam, setWantGradcam] = useState(false);
   const [isPreprocessed, setIsPreprocessed] = useState(false);
@@ -186,120 +153,119 @@ export default function App() {
   const [modelInfo, setModelInfo] = useState(null);
   const [modelInfoLoading, setModelInfoLoading] = useState(false);
   const [modelInfoError, setModelInfoError] = useState("");
+  const modelInfoRequest = useRef(null);
+
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [showAgreement, setShowAgreement] = useState(false);
+
+  const [backends, setBackends] = useState(loadBackends);
+  const [showBackends, setShowBackends] = useState(false);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [showFhir, setShowFhir] = useState(false);
+  const [comparison, setComparison] = useState(null);
 
   const [showPrivacy, setShowPrivacy] = useState(false);
   const [privacyInfo, setPrivacyInfo] = useState(null);
   const [privacyLoading, setPrivacyLoading] = useState(false);
   const [privacyError, setPrivacyError] = useState("");
 
-  const probs = prediction?.all_probabilities || {};
-  const probEntries = useMemo(
-    () => Object.entries(probs).sort((a, b) => (b[1] || 0) - (a[1] || 0)),
-    [probs]
-  );
+  const probs = prediction?.all_probabilities;
 
   const apiModeLabel = useMemo(() => {
-    if (import.meta.env.DEV) return "Local";
-    if (HAS_EXPLICIT_API_URL) return "Direct (Render URL)";
-    return "Proxy (same-origin)";
-  }, []);
+    if (MOCK_SCENARIO) return t("backend.modeMock", { scenario: MOCK_SCENARIO });
+    if (import.meta.env.DEV) return t("backend.modeLocal");
+    if (HAS_EXPLICIT_API_URL) return t("backend.modeDirect");
+    return t("backend.modeProxy");
+  }, [lang, t]);
 
   useEffect(() => {
-    let cancelled = false;
-    let timer = null;
-
-    const fetchHealth = async () => {
-      if (import.meta.env.PROD && !API_BASE) {
-        setBackendHealth(null);
-        setBackendHealthError(
-          "VITE_API_BASE_URL is not set. Add it in Vercel (Production + Preview) to your Render backend URL, then redeploy."
-        );
-        return;
-      }
-
-      try {
-        let lastErr = null;
-        let res = null;
-
-        for (const path of HEALTH_PATHS) {
-          try {
-            res = await axios.get(joinUrl(API_BASE, path), {
-              timeout: 20000,
-              withCredentials: false,
-            });
-            break;
-          } catch (e) {
-            lastErr = e;
-          }
-        }
-
-        if (!res) throw lastErr;
-        if (cancelled) return;
-
-        setBackendHealth(res.data);
-        setBackendHealthError("");
-
-        const isLoading = Boolean(res.data?.model_loading);
-        const isLoaded = Boolean(res.data?.model_loaded);
-
-        if (isLoading && !isLoaded) {
-          timer = window.setTimeout(fetchHealth, HEALTH_POLL_MS);
-        }
-      } catch (e) {
-        if (cancelled) return;
-        const { message } = extractServerError(e);
-        setBackendHealth(null);
-        setBackendHealthError(message);
-      }
-    };
-
-    fetchHealth();
-
     return () => {
-      cancelled = true;
-      if (timer) window.clearTimeout(timer);
+      if (preview) URL.revokeObjectURL(preview);
     };
+  }, [preview]);
+
+  useEffect(() => {
+    return () => abortRef.current?.abort();
   }, []);
 
   useEffect(() => {
+    setQuality(null);
+    setQualityError("");
+    setQualityOverride(false);
+    if (!selectedFile) return;
+
+    let cancelled = false;
+    setQualityLoading(true);
+    assessImageQuality(selectedFile)
+      .then((q) => {
+        if (!cancelled) setQuality(q);
+      })
+      .catch((e) => {
+        if (!cancelled) setQualityError(e?.message || t("errors.unknown"));
+      })
+      .finally(() => {
+        if (!cancelled) setQualityLoading(false);
+      });
+
     return () => {
-      if (preview) URL.revokeObjectURL(preview);
+      cancelled = true;
     };
-  }, [preview]);
+  }, [selectedFile]);
 
-  const onDrop = useCallback((acceptedFiles) => {
+  const onDrop = useCallback(async (acceptedFiles) => {
     const file = acceptedFiles && acceptedFiles[0];
     if (!file) return;
 
+    // A newer drop supersedes one that is still being prepared.
+    const seq = ++prepSeq.current;
+
     setError("");
+    setOutboxNotice("");
     setPrediction(null);
+    setComparison(null);
     setIsPreprocessed(false);
     setWantPreprocessDebug(false);
+    setPrepReport(null);
+    setDicomMeta(null);
+    setMasks([]);
 
-    const extOk = /\.(png|jpg|jpeg)$/i.test(file.name || "");
-    if (!extOk) {
+    const reject = (message) => {
       setSelectedFile(null);
       setPreview((prevUrl) => {
         if (prevUrl) URL.revokeObjectURL(prevUrl);
         return null;
       });
-      setError("Invalid file type. Please upload PNG, JPG, or JPEG.");
+      setError(message);
+    };
+
+    const invalid = validateImageFile(file);
+    if (invalid) {
+      reject(invalid);
       return;
     }
 
-    if (file.size > MAX_FILE_BYTES) {
-      setSelectedFile(null);
-      setPreview((prevUrl) => {
-        if (prevUrl) URL.revokeObjectURL(prevUrl);
-        return null;
-      });
-      setError(`File too large. Maximum allowed size is ${MAX_FILE_MB} MB.`);
+    setPreparing(true);
+    let prepared;
+    try {
+      prepared = await prepareUpload(file);
+    } catch (e) {
+      if (seq === prepSeq.current) reject(e?.message || t("errors.unreadableImage"));
       return;
+    } finally {
+      if (seq === prepSeq.current) setPreparing(false);
+    }
+    if (seq !== prepSeq.current) return;
+
+    setSelectedFile(prepared.file);
+    setPrepReport(prepared.report);
+    setDicomMeta(prepared.dicom);
+    // Group DICOM visits by the pseudonym unless the operator typed a reference.
+    if (prepared.dicom?.pseudonym) {
+      setCaseReference((prev) => (prev.trim() ? prev : prepared.dicom.pseudonym));
     }
 
-    setSelectedFile(file);
-
-    const nextUrl = URL.createObjectURL(file);
+    const nextUrl = URL.createObjectURL(prepared.file);
     setPreview((prevUrl) => {
       if (prevUrl) URL.revokeObjectURL(prevUrl);
       return nextUrl;
@@ -308,154 +274,433 @@ export default function App() {
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: { "image/png": [".png"], "image/jpeg": [".jpg", ".jpeg"] },
+    accept: ACCEPTED_IMAGE_TYPES,
     multiple: false,
-    disabled: loading,
+    disabled: loading || preparing,
   });
 
+  // Offline, single uploads are queued rather than blocked, so a stale
+  // "not ready" health result must not disable Analyze.
+  const offline = !online || backendUnreachable;
   const backendNotReady =
-    !!backendHealth && (!backendHealth.model_loaded || backendHealth.model_loading);
+    !offline && !!backendHealth && (!backendHealth.model_loaded || backendHealth.model_loading);
+
+  const qualityBlocked = qualityLoading || (quality && !quality.passed && !qualityOverride);
 
   async function handleAnalyze() {
     if (loading) return;
 
     if (isCoolingDown) {
-      setError(`Rate limit exceeded. Try again in ${cooldownSecondsLeft}s.`);
+      setError(t("errors.rateLimited", { seconds: cooldownSecondsLeft }));
       return;
     }
 
-    if (backendHealth?.model_loading) {
-      setError("Model is still loading on the backend. Please wait a few seconds and try again.");
+    if (!offline && backendHealth?.model_loading) {
+      setError(t("errors.modelLoading"));
       return;
     }
 
-    if (backendHealth && !backendHealth.model_loaded) {
-      setError("Backend model is not ready. Please check the backend /api/health status.");
+    if (!offline && backendHealth && !backendHealth.model_loaded) {
+      setError(t("errors.modelNotReady"));
       return;
     }
 
     if (!selectedFile) {
-      setError("Please select an image first.");
+      setError(t("errors.noImage"));
       return;
     }
 
+    if (qualityBlocked) {
+      setError(t("errors.qualityBlocked"));
+      return;
+    }
+
+    // Recorded with the result so reviewers can see when a failed check was overridden.
+    const caseRef = caseReference.trim();
+    const qualityRecord = makeQualityRecord(quality, qualityOverride);
+
+    const imageMeta = {
+      laterality: dicomMeta?.laterality || null,
+      acquisition_date: dicomMeta?.acquisitionDate || null,
+    };
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
     setLoading(true);
+    setProgress(null);
+    setCancelling(false);
     setError("");
+    setOutboxNotice("");
     setGradcamNotice("");
     setGradcamLoading(false);
     setPrediction(null);
+    setComparison(null);
 
-    const makeFormData = () => {
-      const fd = new FormData();
-      fd.append("file", selectedFile);
-      return fd;
-    };
-    const buildPredictUrl = (path, { gradcam = false } = {}) => {
-      const params = new URLSearchParams();
-      if (gradcam) params.set("gradcam", "1");
-      if (isPreprocessed) params.set("preprocessed", "1");
-      if (wantPreprocessDebug) params.set("debug_preprocess", "1");
-      const qs = params.toString();
-      return joinUrl(API_BASE, qs ? `${path}?${qs}` : path);
-    };
-
-
+    let pendingUpload = null;
     try {
-      // Phase 1: Always do the fast prediction first.
-      let lastErr = null;
-      let baseResult = null;
-      let predictPathUsed = PREDICT_PATHS[0];
+      // Masks are burned into the pixels, so covered text never leaves the browser.
+      const uploadFile = await applyMasks(selectedFile, masks);
+      const deidentification = scrubSummary(uploadFile, masks.length);
+      const options = {
+        gradcam: wantGradcam,
+        preprocessed: isPreprocessed,
+        debugPreprocess: wantPreprocessDebug,
+      };
+      pendingUpload = makeOutboxItem(uploadFile, {
+        options,
+        meta: { ...imageMeta, deidentification, quality: qualityRecord, case_reference: caseRef },
+      });
 
-      for (const path of PREDICT_PATHS) {
-        try {
-          const res = await axios.post(buildPredictUrl(path), makeFormData(), {
-            timeout: 300000,
-            withCredentials: false,
-          });
-
-          const normalized = normalizeApiResponse(res.data);
-          if (!normalized.success) {
-            setError(normalized.error || "Prediction failed.");
-            return;
-          }
+      if (offline) {
+        await queueUpload(pendingUpload);
+        return;
+      }
 
-          baseResult = normalized;
-          setPrediction(normalized);
-          predictPathUsed = path;
-          break;
-        } catch (e) {
-          lastErr = e;
+      const { result, error: failure, gradcamNotice: notice } = await analyzeImage(
+        uploadFile,
+        options,
+        {
+          signal: controller.signal,
+          onProgress: setProgress,
+          onBaseResult: (baseResult) => {
+            setPrediction({
+              ...baseResult,
+              ...imageMeta,
+              deidentification,
+              quality: qualityRecord,
+              case_reference: caseRef,
+            });
+            setResultImage(uploadFile);
+          },
+          onGradcamStart: () => setGradcamLoading(true),
         }
+      );
+
+      if (!result) {
+        setError(failure);
+        return;
       }
 
-      if (!baseResult) throw lastErr;
+      setGradcamLoading(false);
+      setGradcamNotice(notice);
+      if (result.gradcam_image) {
+        setPrediction((prev) => ({ ...(prev || result), gradcam_image: result.gradcam_image }));
+      }
 
-      // Phase 2: Optional Grad-CAM. Never fail the whole request if it errors.
-      if (wantGradcam) {
-        setGradcamLoading(true);
+      const historyId = await recordHistory(
+        uploadFile,
+        {
+          ...result,
+          ...imageMeta,
+          deidentification,
+          quality: qualityRecord,
+          case_reference: caseRef,
+        },
+        caseRef,
+        imageMeta.laterality
+      );
+      if (historyId != null) {
+        setPrediction((prev) =>
+          prev && prev.session_id === result.session_id ? { ...prev, history_id: historyId } : prev
+        );
+      }
+    } catch (e) {
+      if (isCancelledError(e)) {
+        setError(t("errors.cancelled"));
+        return;
+      }
+      // The connection dropped mid-request: keep the upload for later.
+      if (pendingUpload && isNetworkError(e)) {
+        handleUnreachable();
         try {
-          const res2 = await axios.post(
-            buildPredictUrl(predictPathUsed, { gradcam: true }),
-            makeFormData(),
-            {
-              timeout: 300000,
-              withCredentials: false,
-            }
-          );
-
-          const normalized2 = normalizeApiResponse(res2.data);
-          if (normalized2.success && normalized2.gradcam_image) {
-            setPrediction((prev) => ({
-              ...(prev || baseResult),
-              gradcam_image: normalized2.gradcam_image,
-            }));
-          } else {
-            setGradcamNotice(
-              "Grad-CAM was requested, but the backend did not return an image."
-            );
-          }
-        } catch (e2) {
-          console.error("Grad-CAM request failed", e2);
-          setGradcamNotice(
-            "Grad-CAM failed (backend error or resource limit). Showing prediction without Grad-CAM."
-          );
-        } finally {
-          setGradcamLoading(false);
+          await queueUpload(pendingUpload);
+        } catch (queueErr) {
+          setError(t("outbox.queueFailed", { message: queueErr?.message || String(queueErr) }));
         }
+        return;
       }
+      const { message, cooldownMs } = describePredictError(e);
+      if (cooldownMs) setCooldownUntil(Date.now() + cooldownMs);
+      setError(message);
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setLoading(false);
+      setGradcamLoading(false);
+      setProgress(null);
+      setCancelling(false);
+    }
+  }
+
+  const selectedBackends = backends.filter((b) => b.selected);
+
+  function updateBackends(list) {
+    setBackends(list);
+    saveBackends(list);
+  }
+
+  // Sends the masked image to every selected backend; nothing is written to
+  // history because there is no single result to keep.
+  async function handleCompare() {
+    if (loading) return;
+    if (isCoolingDown) {
+      setError(t("errors.rateLimited", { seconds: cooldownSecondsLeft }));
+      return;
+    }
+    if (backendNotReady) {
+      setError(t(backendHealth.model_loading ? "errors.modelLoading" : "errors.modelNotReady"));
+      return;
+    }
+    if (!selectedFile) {
+      setError(t("errors.noImage"));
+      return;
+    }
+    if (qualityBlocked) {
+      setError(t("errors.qualityBlocked"));
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setLoading(true);
+    setProgress(null);
+    setCancelling(false);
+    setError("");
+    setOutboxNotice("");
+    setPrediction(null);
+    setComparison(null);
+
+    try {
+      const uploadFile = await applyMasks(selectedFile, masks);
+      const runs = await compareBackends(
+        uploadFile,
+        selectedBackends,
+        { preprocessed: isPreprocessed },
+        { signal: controller.signal }
+      );
+      setComparison(runs);
     } catch (e) {
-      const { status, message } = extractServerError(e);
-
-      if (status === 413) {
-        const limitBytes = Number(e?.response?.data?.limit);
-        const limitMb = Number.isFinite(limitBytes) && limitBytes > 0
-          ? Math.round((limitBytes / (1024 * 1024)) * 10) / 10
-          : MAX_FILE_MB;
-        setError(`File too large. Maximum allowed size is ${limitMb} MB.`);
-      } else if (status === 429) {
-        const retryAfter = Number(e?.response?.headers?.["retry-after"]);
-        const waitMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : 60_000;
-        setCooldownUntil(Date.now() + waitMs);
-        setError(`Rate limit exceeded. Try again in ${Math.ceil(waitMs / 1000)}s.`);
-      } else if (status === 503) {
-        const retryAfter = Number(e?.response?.headers?.["retry-after"]);
-        const waitMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : 5_000;
-        setError(message || "Backend unavailable (503).");
-        setCooldownUntil(Date.now() + waitMs);
-      } else {
-        setError(message);
-      }
+      setError(isCancelledError(e) ? t("errors.cancelled") : describePredictError(e).message);
     } finally {
+      if (abortRef.current === controller) abortRef.current = null;
       setLoading(false);
+      setCancelling(false);
     }
   }
 
+  function handleCancel() {
+    if (!abortRef.current) return;
+    setCancelling(true);
+    abortRef.current.abort();
+  }
+
+  // History entries record the model that produced them. Model details are
+  // fetched on first use, so this waits for them before the first save.
+  const recordHistory = useCallback(
+    async (file, result, caseRef = "", laterality = null) => {
+      try {
+        const [thumbnail, info] = await Promise.all([makeThumbnail(file), fetchModelInfo()]);
+        const modelName = info?.model_name || null;
+        const saved = await saveHistoryEntry(
+          makeHistoryEntry(result, { caseReference: caseRef, thumbnail, laterality, modelName })
+        );
+        setHistoryVersion((v) => v + 1);
+        return saved.id;
+      } catch (e) {
+        console.error("Could not save result to local history", e);
+        return null;
+      }
+    },
+    []
+  );
+
+  // History keeps only a thumbnail of each image. A reopened result shows it
+  // on screen, but reports and exports never treat it as the original.
+  const resultThumbnail =
+    !resultImage && reopened && prediction?.history_id === reopened.id ? reopened.thumbnail : null;
+
+  // Batch and paired views keep their own copies of each result, so a review
+  // saved earlier is read back from history when the result is reopened.
+  const historyId = prediction?.history_id ?? null;
+  useEffect(() => {
+    if (historyId == null) return undefined;
+    let cancelled = false;
+    getHistoryEntry(historyId)
+      .then((entry) => {
+        const review = entry?.result?.review;
+        if (cancelled || !review) return;
+        setPrediction((prev) => (prev?.history_id === historyId ? { ...prev, review } : prev));
+      })
+      .catch((e) => console.error("Could not read review from local history", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [historyId]);
+
+  // The open result and the paired exam may still point at purged entries;
+  // their reviews then stay on screen only.
+  function handleHistoryPurged() {
+    const detach = (result) => {
+      if (result?.history_id == null) return result;
+      const { history_id: _id, ...rest } = result;
+      return rest;
+    };
+    setPrediction(detach);
+    setPairedExam((prev) =>
+      prev
+        ? {
+            ...prev,
+            ...Object.fromEntries(
+              EYES.filter((eye) => prev[eye]).map((eye) => [
+                eye,
+                { ...prev[eye], result: detach(prev[eye].result) },
+              ])
+            ),
+          }
+        : prev
+    );
+    setHistoryVersion((v) => v + 1);
+    outbox.refresh();
+  }
+
+  async function handleSaveReview(review) {
+    const id = prediction?.history_id;
+    if (id != null) {
+      await saveHistoryReview(id, review);
+      setHistoryVersion((v) => v + 1);
+    }
+    setPrediction((prev) => (prev ? { ...prev, review } : prev));
+    setPairedExam((prev) => {
+      const eye = prev && EYES.find((e) => id != null && prev[e]?.result?.history_id === id);
+      return eye ? { ...prev, [eye]: { ...prev[eye], result: { ...prev[eye].result, review } } } : prev;
+    });
+  }
+
+  const handleCooldown = useCallback((waitMs) => {
+    setCooldownUntil((prev) => Math.max(prev, Date.now() + waitMs));
+  }, []);
+
+  const handleUnreachable = healthMonitor.reportUnreachable;
+
+  const submitOutboxItem = useCallback(
+    async (item) => {
+      const { result, error: failure } = await analyzeImage(item.file, item.options);
+      if (!result) throw new Error(failure);
+      await recordHistory(
+        item.file,
+        { ...result, ...item.meta },
+        item.meta.case_reference,
+        item.meta.laterality
+      );
+    },
+    [recordHistory]
+  );
+
+  const handleOutboxStopped = useCallback(
+    ({ error: e, cooldownMs }) => {
+      if (cooldownMs) handleCooldown(cooldownMs);
+      if (isNetworkError(e)) handleUnreachable();
+    },
+    [handleCooldown, handleUnreachable]
+  );
+
+  const outbox = useOutbox({
+    submit: submitOutboxItem,
+    ready: !offline && !!backendHealth?.model_loaded && !backendHealth.model_loading && !isCoolingDown,
+    onStopped: handleOutboxStopped,
+  });
+
+  async function queueUpload(item) {
+    await outbox.enqueue(item);
+    handleClear();
+    setOutboxNotice(t("outbox.queued"));
+  }
+
+  function showBatchResult(result, { file, gradcamRequested, gradcamNotice: notice }) {
+    setError("");
+    setWantGradcam(gradcamRequested);
+    setWantPreprocessDebug(false);
+    setGradcamLoading(false);
+    setGradcamNotice(notice || "");
+    setPrediction(result);
+    setResultImage(file || null);
+  }
+
+  function handlePairedResults(exam) {
+    setError("");
+    setPrediction(null);
+    setResultImage(null);
+    setPairedExam(exam);
+
+    EYES.forEach(async (eye) => {
+      if (!exam[eye]?.result) return;
+      const id = await recordHistory(exam[eye].file, exam[eye].result, exam.caseReference, eye);
+      if (id == null) return;
+      setPairedExam((prev) =>
+        prev?.[eye]?.result === exam[eye].result
+          ? { ...prev, [eye]: { ...prev[eye], result: { ...prev[eye].result, history_id: id } } }
+          : prev
+      );
+    });
+  }
+
+  function openPairedEye(eye) {
+    const entry = pairedExam?.[eye];
+    if (!entry?.result) return;
+    setWantGradcam(Boolean(pairedExam.gradcamRequested));
+    setWantPreprocessDebug(false);
+    setGradcamLoading(false);
+    setGradcamNotice(entry.gradcamNotice || "");
+    setPrediction({ ...entry.result, case_reference: pairedExam.caseReference });
+    setResultImage(entry.file);
+  }
+
+  async function handleDownloadPairedReport() {
+    if (!pairedExam || reportBusy) return;
+
+    setReportBusy(true);
+    try {
+      const info = await fetchModelInfo();
+      const { downloadPairedReport } = await import("./lib/report.js");
+      const eyes = Object.fromEntries(
+        EYES.map((eye) => [eye, { result: pairedExam[eye]?.result, image: pairedExam[eye]?.file }])
+      );
+      const summary = summarizePairedExam({ OD: eyes.OD.result, OS: eyes.OS.result });
+      await downloadPairedReport({ eyes, summary, modelInfo: info });
+    } catch (e) {
+      console.error("Report generation failed", e);
+      setError(t("errors.reportFailed"));
+    } finally {
+      setReportBusy(false);
+    }
+  }
+
+  function openHistoryEntry(entry) {
+    setShowHistory(false);
+    setError("");
+    setGradcamLoading(false);
+    setGradcamNotice("");
+    setWantGradcam(Boolean(entry.result?.gradcam_image));
+    setWantPreprocessDebug(Boolean(entry.result?.preprocess_debug));
+    setPrediction({ ...entry.result, case_reference: entry.case_reference, history_id: entry.id });
+    setResultImage(null);
+    setReopened({ id: entry.id, thumbnail: entry.thumbnail || null });
+  }
+
   function handleClear() {
     setSelectedFile(null);
+    setPrepReport(null);
+    setDicomMeta(null);
+    setMasks([]);
+    setResultImage(null);
+    setCaseReference("");
     setIsPreprocessed(false);
     setWantPreprocessDebug(false);
     setPrediction(null);
+    setComparison(null);
     setError("");
+    setOutboxNotice("");
     setGradcamNotice("");
     setPreview((prevUrl) => {
       if (prevUrl) URL.revokeObjectURL(prevUrl);
@@ -463,25 +708,53 @@ export default function App() {
     });
   }
 
+  // One request at a time, shared by history, reports and the model info
+  // dialog; a failed request is forgotten so the next caller retries.
+  function fetchModelInfo() {
+    if (modelInfoRequest.current) return modelInfoRequest.current;
+
+    setModelInfoLoading(true);
+    setModelInfoError("");
+
+    const request = api
+      .getModelInfo()
+      .then((info) => {
+        setModelInfo(info);
+        return info;
+      })
+      .catch((e) => {
+        const { message } = extractServerError(e);
+        setModelInfoError(message);
+        modelInfoRequest.current = null;
+        return null;
+      })
+      .finally(() => setModelInfoLoading(false));
+    modelInfoRequest.current = request;
+    return request;
+  }
+
   async function openModelInfo() {
     setShowModelInfo(true);
     if (modelInfo || modelInfoLoading) return;
+    await fetchModelInfo();
+  }
 
-    setModelInfoLoading(true);
-    setModelInfoError("");
+  async function handleDownloadReport() {
+    if (!prediction || reportBusy) return;
 
+    setReportBusy(true);
     try {
-      const res = await axios.get(joinUrl(API_BASE, MODEL_INFO_PATH), {
-        timeout: 20000,
-        withCredentials: false,
-      });
-
-      setModelInfo(res.data);
+      // Model details are optional in the report; an unreachable
+      // /api/model-info just renders as "N/A".
+      const info = await fetchModelInfo();
+      // jsPDF is large; only load it when a report is actually requested.
+      const { downloadScreeningReport } = await import("./lib/report.js");
+      await downloadScreeningReport({ result: prediction, image: resultImage, modelInfo: info });
     } catch (e) {
-      const { message } = extractServerError(e);
-      setModelInfoError(message);
+      console.error("Report generation failed", e);
+      setError(t("errors.reportFailed"));
     } finally {
-      setModelInfoLoading(false);
+      setReportBusy(false);
     }
   }
 
@@ -493,12 +766,7 @@ export default function App() {
     setPrivacyError("");
 
     try {
-      const res = await axios.get(joinUrl(API_BASE, PRIVACY_NOTICE_PATH), {
-        timeout: 20000,
-        withCredentials: false,
-      });
-
-      setPrivacyInfo(res.data);
+      setPrivacyInfo(await api.getPrivacyNotice());
     } catch (e) {
       const { message } = extractServerError(e);
       setPrivacyError(message);
@@ -512,64 +780,99 @@ export default function App() {
     typeof prediction?.prediction?.confidence === "number"
       ? prediction.prediction.confidence
       : 0;
-  const safeDesc = prediction?.prediction?.description || "";
+  const safeDesc = classDescription(safeClass, prediction?.prediction?.description || "");
 
-  const backendBadge = backendHealth ? (
+  const backendBadge = backendHealth && online ? (
     <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
       {backendHealth.model_loaded ? (
         <>
           <Badge bg="success" style={{ fontSize: 13 }}>
-            Backend Ready
+            {t("backend.ready")}
           </Badge>
-          <span style={{ fontSize: 12, opacity: 0.9 }}>Model loaded</span>
+          <span style={{ fontSize: 12, opacity: 0.9 }}>{t("backend.modelLoaded")}</span>
         </>
       ) : backendHealth.model_loading ? (
         <>
           <Badge bg="info" style={{ fontSize: 13 }}>
-            Model Loading
+            {t("backend.modelLoading")}
           </Badge>
-          <span style={{ fontSize: 12, opacity: 0.9 }}>Warming up model… please wait</span>
+          <span style={{ fontSize: 12, opacity: 0.9 }}>{t("backend.warmingUp")}</span>
         </>
       ) : (
         <>
           <Badge bg="warning" style={{ fontSize: 13 }}>
-            Backend No Model
+            {t("backend.noModel")}
           </Badge>
-          <span style={{ fontSize: 12, opacity: 0.9 }}>Model not loaded</span>
+          <span style={{ fontSize: 12, opacity: 0.9 }}>{t("backend.modelNotLoaded")}</span>
         </>
       )}
     </div>
-  ) : backendHealthError ? (
+  ) : backendHealthError || !online ? (
     <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
       <Badge bg="danger" style={{ fontSize: 13 }}>
-        Backend Offline
+        {t("backend.offline")}
       </Badge>
-      <span style={{ fontSize: 12, opacity: 0.9 }}>{backendHealthError}</span>
+      <span style={{ fontSize: 12, opacity: 0.9 }}>
+        {online ? backendHealthError : t("outbox.browserOffline")}
+      </span>
       <Badge bg="secondary" style={{ fontSize: 12 }}>
-        API: {apiModeLabel}
+        {t("backend.api", { mode: apiModeLabel })}
       </Badge>
     </div>
   ) : (
     <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
       <Badge bg="secondary" style={{ fontSize: 13 }}>
-        Checking Backend
+        {t("backend.checking")}
       </Badge>
       <Badge bg="secondary" style={{ fontSize: 12 }}>
-        API: {apiModeLabel}
+        {t("backend.api", { mode: apiModeLabel })}
       </Badge>
     </div>
   );
 
   const uploadSection = preview ? (
     <div className="preview-container">
-      <img src={preview} alt="Preview" className="preview-image-modern" />
+      <MaskEditor
+        src={preview}
+        alt={t("upload.preview")}
+        masks={masks}
+        onChange={setMasks}
+        disabled={loading}
+      />
+
+      {prepReport ? (
+        <div className="prep-report" title={prepReport.originalName}>
+          {t("upload.optimized", { report: describePrepReport(prepReport) })}
+        </div>
+      ) : null}
+
+      <DicomInfo meta={dicomMeta} />
+
+      <QualityPanel
+        quality={quality}
+        loading={qualityLoading}
+        error={qualityError}
+        override={qualityOverride}
+        onOverrideChange={setQualityOverride}
+        disabled={loading}
+      />
+
+      <Form.Control
+        className="mt-3"
+        size="sm"
+        style={{ maxWidth: 320 }}
+        placeholder={t("common.caseReferencePlaceholder")}
+        value={caseReference}
+        onChange={(e) => setCaseReference(e.target.value)}
+        disabled={loading}
+      />
 
       <div className="mt-3" style={{ display: "flex", justifyContent: "center" }}>
         <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
           <Form.Check
             type="switch"
             id="gradcam-switch"
-            label="Generate Grad-CAM"
+            label={t("common.generateGradcam")}
             checked={wantGradcam}
             onChange={(e) => setWantGradcam(e.target.checked)}
             disabled={loading}
@@ -577,7 +880,7 @@ export default function App() {
           <Form.Check
             type="switch"
             id="preprocessed-switch"
-            label="Image already preprocessed (skip CLAHE)"
+            label={t("upload.imagePreprocessed")}
             checked={isPreprocessed}
             onChange={(e) => setIsPreprocessed(e.target.checked)}
             disabled={loading}
@@ -585,7 +888,7 @@ export default function App() {
           <Form.Check
             type="switch"
             id="preprocess-debug-switch"
-            label="Show preprocessing preview"
+            label={t("upload.showPreprocessing")}
             checked={wantPreprocessDebug}
             onChange={(e) => setWantPreprocessDebug(e.target.checked)}
             disabled={loading}
@@ -599,18 +902,33 @@ export default function App() {
           size="lg"
           className="btn-modern btn-analyze"
           onClick={handleAnalyze}
-          disabled={loading || isCoolingDown || backendNotReady}
+          disabled={loading || isCoolingDown || backendNotReady || qualityBlocked}
         >
           <FaBrain className="me-2" />
-          {backendHealth?.model_loading
-            ? "Model Loading..."
+          {offline
+            ? t("outbox.queueButton")
+            : backendHealth?.model_loading
+            ? t("upload.modelLoading")
             : isCoolingDown
-            ? `Wait ${cooldownSecondsLeft}s`
+            ? t("common.waitSeconds", { seconds: cooldownSecondsLeft })
             : loading
-            ? "Analyzing..."
-            : "Analyze Now"}
+            ? t("common.analyzing")
+            : t("upload.analyzeNow")}
         </Button>
 
+        {selectedBackends.length > 1 ? (
+          <Button
+            variant="outline-primary"
+            size="lg"
+            className="btn-modern"
+            onClick={handleCompare}
+            disabled={loading || offline || isCoolingDown || backendNotReady || qualityBlocked}
+          >
+            <FaBalanceScale className="me-2" />
+            {t("compare.button", { count: selectedBackends.length })}
+          </Button>
+        ) : null}
+
         <Button
           variant="outline-light"
           size="lg"
@@ -618,22 +936,46 @@ export default function App() {
           onClick={handleClear}
           disabled={loading}
         >
-          Upload New
+          {t("upload.uploadNew")}
         </Button>
       </div>
     </div>
   ) : (
-    <div {...getRootProps()} className={`dropzone-modern ${isDragActive ? "active" : ""}`}>
-      <input {...getInputProps()} />
-      <div className="dropzone-content">
-        <FaUpload className="upload-icon" />
-        <h4>Drop your image here</h4>
-        <p>or click to browse</p>
-        <small className="text-muted">Supports: PNG, JPG, JPEG (max {MAX_FILE_MB} MB)</small>
+    <>
+      <div {...getRootProps()} className={`dropzone-modern ${isDragActive ? "active" : ""}`}>
+        <input {...getInputProps()} />
+        {preparing ? (
+          <div className="dropzone-content">
+            <Spinner animation="border" />
+            <p className="mt-3 mb-0">{t("common.preparingImage")}</p>
+          </div>
+        ) : (
+          <div className="dropzone-content">
+            <FaUpload className="upload-icon" />
+            <h4>{t("upload.dropHere")}</h4>
+            <p>{t("upload.orBrowse")}</p>
+            <small className="text-muted">{t("common.supports", { mb: MAX_FILE_MB })}</small>
+          </div>
+        )}
       </div>
-    </div>
+      {cameraSupported() ? (
+        <div className="text-center mt-3">
+          <Button
+            variant="outline-primary"
+            className="btn-modern"
+            onClick={() => setShowCamera(true)}
+            disabled={preparing}
+          >
+            <FaCamera className="me-2" />
+            {t("camera.open")}
+          </Button>
+        </div>
+      ) : null}
+    </>
   );
 
+  const referral = prediction ? evaluateReferral(prediction) : null;
+  const uncertainty = prediction ? assessUncertainty(probs) : null;
   const securityFlags = prediction?.security || null;
   const storageFlags = prediction?.storage || null;
 
@@ -651,67 +993,90 @@ export default function App() {
     <div className="results-content">
       <div className="result-header">
         <FaCheckCircle className="success-icon" />
-        <h3>Diagnosis Complete</h3>
+        <h3>{t("results.complete")}</h3>
       </div>
 
+      {prediction.laterality ? (
+        <div style={{ fontSize: 12, opacity: 0.9, marginBottom: 4 }}>
+          {t("results.eye")} <strong>{eyeLabel(prediction.laterality)}</strong>
+          {uploadMode === "paired" && pairedExam ? (
+            <Button
+              variant="link"
+              size="sm"
+              className="p-0 ms-2"
+              style={{ fontSize: 12 }}
+              onClick={() => setPrediction(null)}
+            >
+              {t("results.backToBoth")}
+            </Button>
+          ) : null}
+        </div>
+      ) : null}
+
       {prediction.session_id ? (
         <div style={{ fontSize: 12, opacity: 0.9, marginBottom: 10 }}>
-          Session ID:{" "}
+          {t("results.sessionId")}{" "}
           <span style={{ fontFamily: "monospace" }}>{prediction.session_id}</span>
         </div>
       ) : null}
 
+      {resultThumbnail ? (
+        <Alert variant="light" className="py-2" style={{ fontSize: 12 }}>
+          {t("results.thumbnailOnly")}
+        </Alert>
+      ) : null}
+
+      {prediction.quality?.overridden ? (
+        <Alert variant="warning" className="py-2" style={{ fontSize: 12 }}>
+          {t("results.qualityOverridden", { score: prediction.quality.score })}{" "}
+          {describeQualityIssues(prediction.quality, t).join(" ")}
+        </Alert>
+      ) : null}
+
       <div className="diagnosis-card" style={{ background: getSeverityGradient(safeClass) }}>
-        <div className="diagnosis-class">{toSafeClassLabel(safeClass)}</div>
-        <div className="diagnosis-confidence">{safeConfidence.toFixed(1)}% Confidence</div>
+        <div className="diagnosis-class">{classLabel(safeClass)}</div>
+        <div className="diagnosis-confidence">
+          {t("common.confidence", { value: formatPercent(safeConfidence) })}
+        </div>
+        {uncertainty?.uncertain ? (
+          <div className="uncertainty-badge">{t("uncertainty.badge")}</div>
+        ) : null}
         <div className="diagnosis-description">{safeDesc}</div>
       </div>
 
+      <UncertaintyPanel assessment={uncertainty} />
+
+      <ReferralBanner referral={referral} />
+
       <div className="probability-section">
-        <h5 className="mb-3">Probability Distribution</h5>
-
-        {probEntries.length ? (
-          probEntries.map(([cls, p]) => {
-            const pct = Math.max(0, Math.min(100, typeof p === "number" ? p : 0));
-            return (
-              <div key={cls} className="prob-item">
-                <div className="prob-header">
-                  <span className="prob-label">{toSafeClassLabel(cls)}</span>
-                  <span className="prob-value">{pct.toFixed(1)}%</span>
-                </div>
-                <div className="prob-bar-container">
-                  <div
-                    className="prob-bar-fill"
-                    style={{ width: `${pct}%`, background: getSeverityGradient(cls) }}
-                  />
-                </div>
-              </div>
-            );
-          })
-        ) : (
-          <p className="text-muted mb-0">No probability distribution returned by the server.</p>
-        )}
+        <h5 className="mb-3">{t("results.probabilityDistribution")}</h5>
+
+        <ProbabilityChart probabilities={probs} />
       </div>
 
+      {prediction.case_reference ? (
+        <SeverityTrend caseReference={prediction.case_reference} refreshKey={historyVersion} />
+      ) : null}
+
       {wantGradcam ? (
         <div className="mt-4">
-          <h5 className="mb-2">Grad-CAM Visualization</h5>
+          <h5 className="mb-2">{t("gradcam.title")}</h5>
 
           {prediction.gradcam_image ? (
             <>
-              <img
-                src={prediction.gradcam_image}
-                alt="Grad-CAM"
-                style={{ width: "100%", borderRadius: 12 }}
+              <GradcamViewer
+                original={resultImage || resultThumbnail}
+                gradcam={prediction.gradcam_image}
+                enhanced={prediction.preprocess_debug?.enhanced_preview}
               />
               <p className="text-muted mt-2 mb-0" style={{ fontSize: 12 }}>
-                Highlighted regions indicate areas that most influenced the model’s decision.
+                {t("gradcam.explanation")}
               </p>
             </>
           ) : gradcamLoading ? (
             <div className="d-flex align-items-center gap-2 text-muted" style={{ fontSize: 12 }}>
               <Spinner animation="border" size="sm" />
-              <span>Generating Grad-CAM…</span>
+              <span>{t("gradcam.generating")}</span>
             </div>
           ) : gradcamNotice ? (
             <Alert variant="warning" className="mt-2" style={{ fontSize: 12 }}>
@@ -719,7 +1084,7 @@ export default function App() {
             </Alert>
           ) : (
             <p className="text-muted mt-2 mb-0" style={{ fontSize: 12 }}>
-              Grad-CAM was requested, but the backend did not return an image.
+              {t("gradcam.missing")}
             </p>
           )}
         </div>
@@ -727,64 +1092,100 @@ export default function App() {
 
       {wantPreprocessDebug ? (
         <div className="mt-4">
-          <h5 className="mb-2">Preprocessing Preview</h5>
+          <h5 className="mb-2">{t("preprocess.title")}</h5>
 
           {prediction.preprocess_debug && prediction.preprocess_debug.enhanced_preview ? (
             <>
               <img
                 src={prediction.preprocess_debug.enhanced_preview}
-                alt="Preprocessed preview"
+                alt={t("preprocess.alt")}
                 style={{ width: "100%", borderRadius: 12 }}
               />
               <p className="text-muted mt-2 mb-0" style={{ fontSize: 12 }}>
-                CLAHE applied:{" "}
-                {String(Boolean(prediction.preprocess_debug.clahe_applied))} • clipLimit:{" "}
-                {String(prediction.preprocess_debug.clahe_clip_limit)} • tileGrid:{" "}
-                {Array.isArray(prediction.preprocess_debug.clahe_tile_grid)
-                  ? prediction.preprocess_debug.clahe_tile_grid.join("×")
-                  : String(prediction.preprocess_debug.clahe_tile_grid)}
+                {t("preprocess.details", {
+                  applied: String(Boolean(prediction.preprocess_debug.clahe_applied)),
+                  clipLimit: String(prediction.preprocess_debug.clahe_clip_limit),
+                  tileGrid: Array.isArray(prediction.preprocess_debug.clahe_tile_grid)
+                    ? prediction.preprocess_debug.clahe_tile_grid.join("×")
+                    : String(prediction.preprocess_debug.clahe_tile_grid),
+                })}
               </p>
             </>
           ) : (
             <p className="text-muted mt-2 mb-0" style={{ fontSize: 12 }}>
-              Preprocessing preview was requested, but the backend did not return it.
+              {t("preprocess.missing")}
             </p>
           )}
         </div>
       ) : null}
 
+      <ReviewPanel
+        key={prediction.session_id || prediction.history_id || "result"}
+        result={prediction}
+        image={resultImage || resultThumbnail}
+        onSave={handleSaveReview}
+      />
+
       {showSecurity ? (
         <Alert variant="light" className="security-alert mt-3">
           <FaShieldAlt className="me-2" />
-          Security: {securityFlags.encrypted ? "Encrypted" : "Not encrypted"} •{" "}
-          {securityFlags.anonymized ? "Anonymized" : "Not anonymized"} • GDPR:{" "}
-          {securityFlags.gdpr_compliant ? "Yes" : "No"} • PDPA:{" "}
-          {securityFlags.pdpa_compliant ? "Yes" : "No"}
-          {storedUpload !== null ? <> • Stored: {storedUpload ? "Yes" : "No"}</> : null}
+          {t("security.summary", {
+            encrypted: t(securityFlags.encrypted ? "security.encrypted" : "security.notEncrypted"),
+            anonymized: t(securityFlags.anonymized ? "security.anonymized" : "security.notAnonymized"),
+            gdpr: t(securityFlags.gdpr_compliant ? "common.yes" : "common.no"),
+            pdpa: t(securityFlags.pdpa_compliant ? "common.yes" : "common.no"),
+          })}
+          {storedUpload !== null
+            ? t("security.stored", { stored: t(storedUpload ? "common.yes" : "common.no") })
+            : null}
         </Alert>
       ) : (
         <Alert variant="light" className="security-alert mt-3">
           <FaShieldAlt className="me-2" />
-          Your data is anonymized and protected by security controls. GDPR/PDPA aligned.
+          {t("security.default")}
         </Alert>
       )}
 
+      {prediction.deidentification ? (
+        <div className="scrub-summary">
+          <FaUserSecret className="me-2" />
+          {t("scrub.label", { summary: describeScrub(prediction.deidentification) })}
+        </div>
+      ) : null}
+
       {encryptedUploadId ? (
         <div style={{ fontSize: 12, opacity: 0.85, marginTop: 6 }}>
-          Encrypted upload ID:{" "}
+          {t("results.encryptedUploadId")}{" "}
           <span style={{ fontFamily: "monospace" }}>{String(encryptedUploadId)}</span>
         </div>
       ) : null}
+
+      <div className="button-group mt-3">
+        <Button
+          variant="outline-primary"
+          onClick={handleDownloadReport}
+          disabled={reportBusy || gradcamLoading}
+        >
+          {reportBusy ? (
+            <Spinner animation="border" size="sm" className="me-2" />
+          ) : (
+            <FaFilePdf className="me-2" />
+          )}
+          {t("common.downloadReport")}
+        </Button>
+        <Button variant="outline-primary" onClick={() => setShowFhir(true)} disabled={gradcamLoading}>
+          <FaHospital className="me-2" />
+          {t("fhir.button")}
+        </Button>
+      </div>
     </div>
   ) : (
     <div className="no-results">
       <div className="info-icon">
         <FaBrain />
       </div>
-      <h3>Results</h3>
-      <p className="text-muted">
-        Upload an image and click "Analyze Now" to see the results here
-      </p>
+      <h3>{t("results.title")}</h3>
+      <p className="text-muted">{t("results.empty")}</p>
     </div>
   );
 
@@ -794,27 +1195,65 @@ export default function App() {
         <Container>
           <Row className="align-items-center">
             <Col>
-              <h1 className="mb-0">
-                Diabetic Retinopathy Prediction and Classification Web Application System
-              </h1>
-              <p className="mb-0 text-light">Powered by RA EfficientNetB3 Deep Learning</p>
-              <div className="mt-2">{backendBadge}</div>
+              <h1 className="mb-0">{t("header.title")}</h1>
+              <p className="mb-0 text-light">{t("header.subtitle")}</p>
+              <div className="mt-2 health-row">
+                {backendBadge}
+                {missingApiUrl ? null : (
+                  <HealthStatus
+                    monitor={healthMonitor.monitor}
+                    hidden={healthMonitor.hidden}
+                    online={online}
+                    nextCheckAt={healthMonitor.nextCheckAt}
+                    onRecheck={healthMonitor.recheck}
+                  />
+                )}
+              </div>
 
               <div className="mt-2" style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
                 <Button variant="outline-light" size="sm" onClick={openModelInfo}>
                   <FaInfoCircle className="me-2" />
-                  Model Info
+                  {t("header.modelInfo")}
                 </Button>
                 <Button variant="outline-light" size="sm" onClick={openPrivacyNotice}>
                   <FaShieldAlt className="me-2" />
-                  Privacy Notice
+                  {t("header.privacyNotice")}
+                </Button>
+                <Button variant="outline-light" size="sm" onClick={() => setShowHistory(true)}>
+                  <FaHistory className="me-2" />
+                  {t("header.history")}
+                </Button>
+                <Button variant="outline-light" size="sm" onClick={() => setShowAgreement(true)}>
+                  <FaChartBar className="me-2" />
+                  {t("header.agreement")}
+                </Button>
+                <Button variant="outline-light" size="sm" onClick={() => setShowBackends(true)}>
+                  <FaServer className="me-2" />
+                  {t("header.backends")}
+                </Button>
+                <Button variant="outline-light" size="sm" onClick={() => setShowDiagnostics(true)}>
+                  <FaTools className="me-2" />
+                  {t("header.diagnostics")}
                 </Button>
               </div>
             </Col>
-            <Col xs="auto">
+            <Col xs="auto" className="header-side">
+              <Form.Select
+                size="sm"
+                className="language-select"
+                aria-label={t("common.language")}
+                value={lang}
+                onChange={(e) => setLanguage(e.target.value)}
+              >
+                {languages.map((l) => (
+                  <option key={l.code} value={l.code}>
+                    {l.label}
+                  </option>
+                ))}
+              </Form.Select>
               <div className="security-badge">
                 <FaShieldAlt className="me-2" />
-                GDPR/PDPA Aligned
+                {t("header.compliance")}
               </div>
             </Col>
           </Row>
@@ -829,7 +1268,18 @@ export default function App() {
             dismissible
             onClose={() => setError("")}
           >
-            <strong>Error:</strong> {error}
+            <strong>{t("common.error")}</strong> {error}
+          </Alert>
+        ) : null}
+
+        {outboxNotice ? (
+          <Alert
+            variant="info"
+            className="alert-modern"
+            dismissible
+            onClose={() => setOutboxNotice("")}
+          >
+            {outboxNotice}
           </Alert>
         ) : null}
 
@@ -837,79 +1287,137 @@ export default function App() {
           <Col lg={6}>
             <Card className="upload-card h-100">
               <Card.Body className="d-flex flex-column">
-                <h3 className="mb-4">
-                  <FaImage className="me-2" />
-                  Upload Retinal Image
-                </h3>
-
-                {uploadSection}
-
-                {loading ? (
-                  <div className="loading-container">
-                    <div className="loading-spinner-modern" />
-                    <p className="mt-3">System is analyzing the retinal image...</p>
-                  </div>
+                <div className="upload-card-header mb-4">
+                  <h3 className="mb-0">
+                    <FaImage className="me-2" />
+                    {uploadMode === "batch"
+                      ? t("upload.titleBatch")
+                      : uploadMode === "paired"
+                      ? t("upload.titlePaired")
+                      : t("upload.titleSingle")}
+                  </h3>
+                  <ToggleButtonGroup
+                    type="radio"
+                    name="upload-mode"
+                    size="sm"
+                    value={uploadMode}
+                    onChange={setUploadMode}
+                  >
+                    <ToggleButton id="mode-single" variant="outline-secondary" value="single">
+                      {t("upload.modeSingle")}
+                    </ToggleButton>
+                    <ToggleButton id="mode-paired" variant="outline-secondary" value="paired">
+                      {t("upload.modePaired")}
+                    </ToggleButton>
+                    <ToggleButton id="mode-batch" variant="outline-secondary" value="batch">
+                      {t("upload.modeBatch")}
+                    </ToggleButton>
+                  </ToggleButtonGroup>
+                </div>
+
+                {/* Modes stay mounted so switching does not drop a queued batch or a loaded eye. */}
+                <div hidden={uploadMode !== "single"} className="upload-mode-pane">
+                  {uploadSection}
+                </div>
+                <div hidden={uploadMode !== "paired"} className="upload-mode-pane">
+                  <PairedExam
+                    cooldownUntil={cooldownUntil}
+                    onCooldown={handleCooldown}
+                    backendNotReady={backendNotReady}
+                    onResults={handlePairedResults}
+                  />
+                </div>
+                <div hidden={uploadMode !== "batch"} className="upload-mode-pane">
+                  <BatchQueue
+                    cooldownUntil={cooldownUntil}
+                    onCooldown={handleCooldown}
+                    backendNotReady={backendNotReady}
+                    onSelectResult={showBatchResult}
+                    onResult={recordHistory}
+                  />
+                </div>
+
+                {loading && uploadMode === "single" ? (
+                  <AnalyzeProgress
+                    progress={progress}
+                    onCancel={handleCancel}
+                    cancelling={cancelling}
+                  />
                 ) : null}
+
+                <OutboxPanel outbox={outbox} offline={offline} />
               </Card.Body>
             </Card>
           </Col>
 
           <Col lg={6}>
             <Card className="results-card h-100">
-              <Card.Body>{resultsContent}</Card.Body>
+              <Card.Body>
+                {uploadMode === "paired" && pairedExam && !prediction ? (
+                  <PairedResults
+                    exam={pairedExam}
+                    onOpenEye={openPairedEye}
+                    onDownloadReport={handleDownloadPairedReport}
+                    reportBusy={reportBusy}
+                  />
+                ) : uploadMode === "single" && comparison && !prediction ? (
+                  <ComparisonResults runs={comparison} onClose={() => setComparison(null)} />
+                ) : (
+                  resultsContent
+                )}
+              </Card.Body>
             </Card>
           </Col>
         </Row>
 
         <Alert variant="info" className="disclaimer-alert mt-4">
-          <strong>Medical Disclaimer:</strong> This tool is for educational and
-          screening purposes only. Always consult a qualified ophthalmologist for
-          diagnosis and treatment.
+          <strong>{t("disclaimer.title")}</strong> {t("disclaimer.text")}
         </Alert>
       </Container>
 
       <Modal show={showModelInfo} onHide={() => setShowModelInfo(false)} centered size="lg">
         <Modal.Header closeButton>
-          <Modal.Title>Model Information</Modal.Title>
+          <Modal.Title>{t("modelInfo.title")}</Modal.Title>
         </Modal.Header>
         <Modal.Body>
           {modelInfoLoading ? (
             <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
               <Spinner animation="border" size="sm" />
-              <span>Loading model info...</span>
+              <span>{t("modelInfo.loading")}</span>
             </div>
           ) : modelInfoError ? (
             <Alert variant="danger">
-              <strong>Error:</strong> {modelInfoError}
+              <strong>{t("common.error")}</strong> {modelInfoError}
             </Alert>
           ) : modelInfo ? (
             <div style={{ fontSize: 14 }}>
               <p className="mb-2">
-                <strong>Name:</strong> {modelInfo.model_name || "N/A"}
+                <strong>{t("modelInfo.name")}</strong> {modelInfo.model_name || t("common.na")}
               </p>
               <p className="mb-2">
-                <strong>Input shape:</strong>{" "}
+                <strong>{t("modelInfo.inputShape")}</strong>{" "}
                 {Array.isArray(modelInfo.input_shape)
                   ? modelInfo.input_shape.join(" × ")
-                  : "N/A"}
+                  : t("common.na")}
               </p>
               <p className="mb-2">
-                <strong>Classes:</strong>{" "}
+                <strong>{t("modelInfo.classes")}</strong>{" "}
                 {modelInfo.classes
-                  ? Object.values(modelInfo.classes).map(toSafeClassLabel).join(", ")
-                  : "N/A"}
+                  ? Object.values(modelInfo.classes).map(classLabel).join(", ")
+                  : t("common.na")}
               </p>
               <p className="mb-2">
-                <strong>Model loaded:</strong> {String(Boolean(modelInfo.model_loaded))}
+                <strong>{t("modelInfo.loaded")}</strong>{" "}
+                {t(modelInfo.model_loaded ? "common.yes" : "common.no")}
               </p>
               {modelInfo.model_load_error ? (
                 <Alert variant="warning" className="mt-3">
-                  <strong>Load error:</strong> {String(modelInfo.model_load_error)}
+                  <strong>{t("modelInfo.loadError")}</strong> {String(modelInfo.model_load_error)}
                 </Alert>
               ) : null}
               {modelInfo.security_features ? (
                 <div className="mt-3">
-                  <strong>Security features:</strong>
+                  <strong>{t("modelInfo.securityFeatures")}</strong>
                   <ul className="mb-0">
                     {Object.entries(modelInfo.security_features).map(([k, v]) => (
                       <li key={k}>
@@ -921,49 +1429,92 @@ export default function App() {
               ) : null}
             </div>
           ) : (
-            <p className="text-muted mb-0">No model info available.</p>
+            <p className="text-muted mb-0">{t("modelInfo.empty")}</p>
           )}
         </Modal.Body>
         <Modal.Footer>
           <Button variant="secondary" onClick={() => setShowModelInfo(false)}>
-            Close
+            {t("common.close")}
           </Button>
         </Modal.Footer>
       </Modal>
 
+      <HistoryModal
+        show={showHistory}
+        onHide={() => setShowHistory(false)}
+        onOpen={openHistoryEntry}
+        onPurged={handleHistoryPurged}
+      />
+
+      <CameraCapture
+        show={showCamera}
+        onHide={() => setShowCamera(false)}
+        onCapture={(file) => onDrop([file])}
+      />
+
+      <BackendsModal
+        show={showBackends}
+        onHide={() => setShowBackends(false)}
+        backends={backends}
+        onChange={updateBackends}
+      />
+
+      <DiagnosticsModal
+        show={showDiagnostics}
+        onHide={() => setShowDiagnostics(false)}
+        apiModeLabel={apiModeLabel}
+      />
+
+      <FhirExportModal
+        show={showFhir && !!prediction}
+        onHide={() => setShowFhir(false)}
+        result={prediction}
+        image={resultImage}
+        loadModelInfo={fetchModelInfo}
+      />
+
+      <AgreementModal
+        show={showAgreement}
+        onHide={() => setShowAgreement(false)}
+        refreshKey={historyVersion}
+      />
+
       <Modal show={showPrivacy} onHide={() => setShowPrivacy(false)} centered size="lg">
         <Modal.Header closeButton>
-          <Modal.Title>Privacy Notice</Modal.Title>
+          <Modal.Title>{t("privacy.title")}</Modal.Title>
         </Modal.Header>
         <Modal.Body>
           {privacyLoading ? (
             <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
               <Spinner animation="border" size="sm" />
-              <span>Loading privacy notice...</span>
+              <span>{t("privacy.loading")}</span>
             </div>
           ) : privacyError ? (
             <Alert variant="danger">
-              <strong>Error:</strong> {privacyError}
+              <strong>{t("common.error")}</strong> {privacyError}
             </Alert>
           ) : privacyInfo ? (
             <div style={{ fontSize: 14 }}>
               {privacyInfo.controller ? (
                 <>
                   <p className="mb-2">
-                    <strong>Controller:</strong> {privacyInfo.controller.name || "N/A"}
+                    <strong>{t("privacy.controller")}</strong>{" "}
+                    {privacyInfo.controller.name || t("common.na")}
                   </p>
                   <p className="mb-2">
-                    <strong>Contact:</strong> {privacyInfo.controller.contact || "N/A"}
+                    <strong>{t("privacy.contact")}</strong>{" "}
+                    {privacyInfo.controller.contact || t("common.na")}
                   </p>
                   <p className="mb-2">
-                    <strong>DPO:</strong> {privacyInfo.controller.dpo_contact || "N/A"}
+                    <strong>{t("privacy.dpo")}</strong>{" "}
+                    {privacyInfo.controller.dpo_contact || t("common.na")}
                   </p>
                 </>
               ) : null}
 
               {privacyInfo.processing_purposes ? (
                 <>
-                  <strong>Processing purposes:</strong>
+                  <strong>{t("privacy.purposes")}</strong>
                   <ul>
                     {privacyInfo.processing_purposes.map((x, i) => (
                       <li key={i}>{String(x)}</li>
@@ -974,7 +1525,7 @@ export default function App() {
 
               {privacyInfo.data_collected ? (
                 <>
-                  <strong>Data collected:</strong>
+                  <strong>{t("privacy.dataCollected")}</strong>
                   <ul>
                     {privacyInfo.data_collected.map((x, i) => (
                       <li key={i}>{String(x)}</li>
@@ -985,7 +1536,7 @@ export default function App() {
 
               {privacyInfo.security_measures ? (
                 <>
-                  <strong>Security measures:</strong>
+                  <strong>{t("privacy.securityMeasures")}</strong>
                   <ul>
                     {privacyInfo.security_measures.map((x, i) => (
                       <li key={i}>{String(x)}</li>
@@ -996,13 +1547,13 @@ export default function App() {
 
               {privacyInfo.retention_period ? (
                 <p className="mb-2">
-                  <strong>Retention:</strong> {String(privacyInfo.retention_period)}
+                  <strong>{t("privacy.retention")}</strong> {String(privacyInfo.retention_period)}
                 </p>
               ) : null}
 
               {privacyInfo.rights ? (
                 <>
-                  <strong>Rights:</strong>
+                  <strong>{t("privacy.rights")}</strong>
                   <ul className="mb-0">
                     {privacyInfo.rights.map((x, i) => (
                       <li key={i}>{String(x)}</li>
@@ -1012,12 +1563,12 @@ export default function App() {
               ) : null}
             </div>
           ) : (
-            <p className="text-muted mb-0">No privacy notice available.</p>
+            <p className="text-muted mb-0">{t("privacy.empty")}</p>
           )}
         </Modal.Body>
         <Modal.Footer>
           <Button variant="secondary" onClick={() => setShowPrivacy(false)}>
-            Close
+            {t("common.close")}
           </Button>
         </Modal.Footer>
       </Modal>
@@ -0,0 +1,504 @@
+import "fake-indexeddb/auto";
+import React from "react";
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { HttpResponse, delay, http } from "msw";
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import App from "./App.jsx";
+import { setLanguage } from "./i18n/index.js";
+import { API, predictResponse, server } from "./test/server.js";
+
+// jsdom never decodes images, so the real quality gate would always error out.
+vi.mock("./lib/imageQuality.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  assessImageQuality: vi.fn(async () => ({
+    score: 95,
+    passed: true,
+    checks: [],
+  })),
+}));
+
+// Canvas encoding is not available in jsdom; uploads go out unchanged.
+vi.mock("./lib/imagePrep.js", () => ({
+  prepareUpload: vi.fn(async (file) => ({ file, report: null, dicom: null })),
+  describePrepReport: () => "",
+}));
+
+// jsdom never loads images, so a thumbnail would hold up every history save.
+vi.mock("./lib/thumbnail.js", () => ({ makeThumbnail: vi.fn(async () => null) }));
+
+beforeAll(() => server.listen({ onUnhandledRequest: "error" }));
+// Saving a result to history looks up the model name first.
+beforeEach(() =>
+  server.use(http.get(`${API}/api/model-info`, () => HttpResponse.json({ model_name: "RA-B3" })))
+);
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+function fundus(name = "eye.png") {
+  return new File([new Uint8Array([137, 80, 78, 71])], name, { type: "image/png" });
+}
+
+// The single-image pane is the first upload mode; paired and batch panes stay
+// mounted (hidden) and repeat some of the same controls.
+const singlePane = (container) => container.querySelector(".upload-mode-pane");
+
+async function selectImage(user, container) {
+  const input = singlePane(container).querySelector('input[type="file"]');
+  await user.upload(input, fundus());
+  return within(singlePane(container)).findByRole("button", { name: /Analyze Now/ });
+}
+
+function renderApp() {
+  const user = userEvent.setup();
+  const view = render(<App />);
+  return { user, ...view };
+}
+
+describe("analyze flow", () => {
+  it("shows the normalized prediction", async () => {
+    const requests = [];
+    server.use(
+      http.post(`${API}/api/predict`, ({ request }) => {
+        requests.push(new URL(request.url));
+        return HttpResponse.json(predictResponse);
+      })
+    );
+    const { user, container } = renderApp();
+
+    const analyze = await selectImage(user, container);
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+
+    expect(await screen.findAllByText("82.0%")).not.toHaveLength(0);
+    expect(screen.getByText("Moderate NPDR.")).toBeInTheDocument();
+    expect(screen.getByText("Refer within 6 weeks")).toBeInTheDocument();
+    expect(screen.getByText(/De-identified before upload: Metadata stripped/)).toBeInTheDocument();
+    expect(requests).toHaveLength(1);
+    expect(requests[0].searchParams.get("gradcam")).toBeNull();
+  });
+
+  it("fetches Grad-CAM in a second request and shows the viewer", async () => {
+    const heatmap = "data:image/png;base64,AAAA";
+    const requests = [];
+    server.use(
+      http.post(`${API}/api/predict`, ({ request }) => {
+        const url = new URL(request.url);
+        requests.push(url);
+        return HttpResponse.json(
+          url.searchParams.get("gradcam") === "1"
+            ? { ...predictResponse, gradcam_image: heatmap }
+            : predictResponse
+        );
+      })
+    );
+    const { user, container } = renderApp();
+
+    const analyze = await selectImage(user, container);
+    await user.click(within(singlePane(container)).getByLabelText("Generate Grad-CAM"));
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+
+    const overlay = await screen.findByAltText("Grad-CAM overlay");
+    expect(overlay).toHaveAttribute("src", heatmap);
+    expect(requests.map((u) => u.searchParams.get("gradcam"))).toEqual([null, "1"]);
+  });
+
+  it("keeps the prediction when the Grad-CAM request fails", async () => {
+    const logged = vi.spyOn(console, "error").mockImplementation(() => {});
+    server.use(
+      http.post(`${API}/api/predict`, ({ request }) =>
+        new URL(request.url).searchParams.get("gradcam") === "1"
+          ? HttpResponse.json({ error: "Out of memory" }, { status: 500 })
+          : HttpResponse.json(predictResponse)
+      )
+    );
+    const { user, container } = renderApp();
+
+    const analyze = await selectImage(user, container);
+    await user.click(within(singlePane(container)).getByLabelText("Generate Grad-CAM"));
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+
+    expect(await screen.findByText(/Grad-CAM failed/)).toBeInTheDocument();
+    expect(screen.getByText("Moderate NPDR.")).toBeInTheDocument();
+    logged.mockRestore();
+  });
+
+  it("starts a cooldown on 429 with Retry-After", async () => {
+    server.use(
+      http.post(`${API}/api/predict`, () =>
+        HttpResponse.json(
+          { error: "Too many requests." },
+          { status: 429, headers: { "Retry-After": "30" } }
+        )
+      )
+    );
+    const { user, container } = renderApp();
+
+    const analyze = await selectImage(user, container);
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+
+    expect(await screen.findByText(/Rate limit exceeded\. Try again in 30s\./)).toBeInTheDocument();
+    const wait = within(singlePane(container)).getByRole("button", { name: /Wait \d+s/ });
+    expect(wait).toBeDisabled();
+  });
+
+  it("reports the server's upload limit on 413", async () => {
+    server.use(
+      http.post(`${API}/api/predict`, () =>
+        HttpResponse.json({ error: "Too large", limit: 2 * 1024 * 1024 }, { status: 413 })
+      )
+    );
+    const { user, container } = renderApp();
+
+    const analyze = await selectImage(user, container);
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+
+    expect(
+      await screen.findByText("File too large. Maximum allowed size is 2 MB.")
+    ).toBeInTheDocument();
+  });
+
+  it("shows the server's message for success: false", async () => {
+    server.use(
+      http.post(`${API}/api/predict`, () =>
+        HttpResponse.json({ success: false, error: "Model inference failed." })
+      )
+    );
+    const { user, container } = renderApp();
+
+    const analyze = await selectImage(user, container);
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+
+    expect(await screen.findByText("Model inference failed.")).toBeInTheDocument();
+    expect(screen.queryByText("Moderate NPDR.")).not.toBeInTheDocument();
+  });
+
+  it("retries a dropped connection and then shows the result", async () => {
+    let calls = 0;
+    server.use(
+      http.post(`${API}/api/predict`, () => {
+        calls += 1;
+        return calls === 1 ? HttpResponse.error() : HttpResponse.json(predictResponse);
+      })
+    );
+    const { user, container } = renderApp();
+
+    const analyze = await selectImage(user, container);
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+
+    expect(await screen.findByText(/Retrying in 1s \(attempt 2 of 3\)/)).toBeInTheDocument();
+    expect(await screen.findByText("Moderate NPDR.", {}, { timeout: 3000 })).toBeInTheDocument();
+    expect(calls).toBe(2);
+  });
+
+  it("cancels an in-flight prediction", async () => {
+    server.use(
+      http.post(`${API}/api/predict`, async () => {
+        await delay("infinite");
+        return HttpResponse.json(predictResponse);
+      })
+    );
+    const { user, container } = renderApp();
+
+    const analyze = await selectImage(user, container);
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+    await user.click(await screen.findByRole("button", { name: /Cancel/ }));
+
+    expect(await screen.findByText("Analysis cancelled.")).toBeInTheDocument();
+    expect(within(singlePane(container)).getByRole("button", { name: /Analyze Now/ })).toBeEnabled();
+  });
+
+  it("blocks analysis while the backend model is loading", async () => {
+    server.use(
+      http.get(`${API}/api/health`, () =>
+        HttpResponse.json({ status: "degraded", model_loaded: false, model_loading: true })
+      )
+    );
+    const { user, container } = renderApp();
+
+    await user.upload(singlePane(container).querySelector('input[type="file"]'), fundus());
+
+    expect(
+      await within(singlePane(container)).findByRole("button", { name: /Model Loading/ })
+    ).toBeDisabled();
+  });
+});
+
+describe("quality gate", () => {
+  it("skips batch images that fail the check unless overridden", async () => {
+    const { assessImageQuality } = await import("./lib/imageQuality.js");
+    assessImageQuality.mockResolvedValueOnce({
+      score: 40,
+      passed: false,
+      checks: [{ id: "sharpness", value: "3.0", passed: false, issue: "blurred" }],
+    });
+    const requests = [];
+    server.use(
+      http.post(`${API}/api/predict`, () => {
+        requests.push(1);
+        return HttpResponse.json(predictResponse);
+      })
+    );
+    const { user, container } = renderApp();
+    const batchPane = container.querySelectorAll(".upload-mode-pane")[2];
+
+    await user.click(screen.getByText("Batch"));
+    await user.upload(batchPane.querySelector('input[type="file"]'), fundus("blurry.png"));
+    await user.click(await within(batchPane).findByRole("button", { name: /Analyze Batch/ }));
+
+    expect(
+      await within(batchPane).findByText(
+        "Skipped: image quality 40/100. Image appears blurred or out of focus."
+      )
+    ).toBeInTheDocument();
+    expect(requests).toHaveLength(0);
+
+    await user.click(within(batchPane).getByLabelText(/Analyze images that fail the quality check/));
+    await user.click(within(batchPane).getByRole("button", { name: /Retry Failed/ }));
+    await user.click(within(batchPane).getByRole("button", { name: /Analyze Batch|Resume Batch/ }));
+    await waitFor(() => expect(requests).toHaveLength(1));
+  });
+
+  it("skips batch images the check could not assess unless overridden", async () => {
+    const { assessImageQuality } = await import("./lib/imageQuality.js");
+    assessImageQuality.mockRejectedValueOnce(new Error("Could not decode image."));
+    const requests = [];
+    server.use(
+      http.post(`${API}/api/predict`, () => {
+        requests.push(1);
+        return HttpResponse.json(predictResponse);
+      })
+    );
+    const { user, container } = renderApp();
+    const batchPane = container.querySelectorAll(".upload-mode-pane")[2];
+
+    await user.click(screen.getByText("Batch"));
+    await user.upload(batchPane.querySelector('input[type="file"]'), fundus("odd.png"));
+    await user.click(await within(batchPane).findByRole("button", { name: /Analyze Batch/ }));
+
+    expect(
+      await within(batchPane).findByText(
+        "Skipped: image quality could not be assessed (Could not decode image.)."
+      )
+    ).toBeInTheDocument();
+    expect(requests).toHaveLength(0);
+
+    await user.click(within(batchPane).getByLabelText(/Analyze images that fail the quality check/));
+    await user.click(within(batchPane).getByRole("button", { name: /Retry Failed/ }));
+    await user.click(within(batchPane).getByRole("button", { name: /Analyze Batch|Resume Batch/ }));
+    await waitFor(() => expect(requests).toHaveLength(1));
+  });
+});
+
+describe("health monitor", () => {
+  it("unblocks Analyze when the backend comes back", async () => {
+    server.use(http.get(`${API}/api/health`, () => HttpResponse.error()));
+    const { user, container } = renderApp();
+
+    expect(await screen.findByText("Backend Offline")).toBeInTheDocument();
+    await user.upload(singlePane(container).querySelector('input[type="file"]'), fundus());
+    expect(
+      await within(singlePane(container)).findByRole("button", { name: /Save to Outbox/ })
+    ).toBeInTheDocument();
+
+    server.resetHandlers();
+    await user.click(screen.getByRole("button", { name: "Backend health" }));
+    await user.click(await screen.findByRole("button", { name: "Check now" }));
+
+    expect(await screen.findByText("Backend Ready")).toBeInTheDocument();
+    expect(await screen.findByText(/^Offline → Ready at/)).toBeInTheDocument();
+    expect(screen.getByText("50.0% of the last 2 checks")).toBeInTheDocument();
+    expect(
+      within(singlePane(container)).getByRole("button", { name: /Analyze Now/ })
+    ).toBeEnabled();
+  });
+});
+
+describe("uncertainty", () => {
+  it("warns when the call is split between neighbouring grades", async () => {
+    server.use(
+      http.post(`${API}/api/predict`, () =>
+        HttpResponse.json({
+          ...predictResponse,
+          prediction: { ...predictResponse.prediction, confidence: 0.41 },
+          all_probabilities: { No_DR: 0.05, Mild: 0.1, Moderate: 0.41, Severe: 0.39, Proliferative_DR: 0.05 },
+        })
+      )
+    );
+    const { user, container } = renderApp();
+
+    const analyze = await selectImage(user, container);
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+
+    expect(await screen.findByText(/^Uncertain prediction/)).toBeInTheDocument();
+    expect(
+      screen.getByText("The call is split between the neighbouring grades Moderate and Severe.")
+    ).toBeInTheDocument();
+    // P(Severe + PDR) is 44%, so the referral stays urgent despite the uncertainty.
+    expect(screen.getByText("Urgent referral")).toBeInTheDocument();
+  });
+});
+
+describe("clinician review", () => {
+  it("records an override with findings and notes", async () => {
+    server.use(http.post(`${API}/api/predict`, () => HttpResponse.json(predictResponse)));
+    const { user, container } = renderApp();
+
+    const analyze = await selectImage(user, container);
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+
+    await user.click(await screen.findByRole("button", { name: "Override grade" }));
+    await user.selectOptions(screen.getByLabelText("Clinician grade"), "Severe");
+    await user.click(screen.getByLabelText("Exudates"));
+    await user.type(screen.getByLabelText("Notes"), "Venous beading");
+    await user.click(screen.getByRole("button", { name: "Save review" }));
+
+    expect(
+      await screen.findByText("Model graded Moderate; clinician graded Severe")
+    ).toBeInTheDocument();
+    expect(screen.getByText("Findings: Exudates")).toBeInTheDocument();
+    expect(screen.getByText("Venous beading")).toBeInTheDocument();
+  });
+
+  it("still saves a review after the history is purged", async () => {
+    server.use(http.post(`${API}/api/predict`, () => HttpResponse.json(predictResponse)));
+    vi.spyOn(window, "confirm").mockReturnValue(true);
+    const { user, container } = renderApp();
+
+    const analyze = await selectImage(user, container);
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+    await screen.findByRole("button", { name: "Override grade" });
+
+    await user.click(screen.getByRole("button", { name: "History" }));
+    const purge = await screen.findByRole("button", { name: "Purge All" });
+    await waitFor(() => expect(purge).toBeEnabled());
+    await user.click(purge);
+    await waitFor(() => expect(purge).toBeDisabled());
+    await user.click(screen.getAllByRole("button", { name: "Close" }).at(-1));
+
+    await user.click(screen.getByRole("button", { name: "Override grade" }));
+    await user.selectOptions(screen.getByLabelText("Clinician grade"), "Severe");
+    await user.click(screen.getByRole("button", { name: "Save review" }));
+
+    expect(
+      await screen.findByText("Model graded Moderate; clinician graded Severe")
+    ).toBeInTheDocument();
+    expect(screen.queryByText("Could not save the review. Try again.")).not.toBeInTheDocument();
+    window.confirm.mockRestore();
+  });
+});
+
+describe("FHIR export", () => {
+  it("builds a Bundle for the result and needs an endpoint to send it", async () => {
+    server.use(
+      http.post(`${API}/api/predict`, () => HttpResponse.json(predictResponse)),
+      http.get(`${API}/api/model-info`, () => HttpResponse.json({ model_name: "EfficientNetB3" }))
+    );
+    const { user, container } = renderApp();
+
+    const analyze = await selectImage(user, container);
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+    await user.click(await screen.findByRole("button", { name: /FHIR Export/ }));
+
+    const dialog = await screen.findByRole("dialog");
+    expect(await within(dialog).findByText("Observation × 2")).toBeInTheDocument();
+    expect(within(dialog).getByText("DiagnosticReport")).toBeInTheDocument();
+    expect(within(dialog).getByText(/No FHIR endpoint is configured/)).toBeInTheDocument();
+    expect(within(dialog).getByRole("button", { name: /Download JSON/ })).toBeEnabled();
+    expect(within(dialog).getByRole("button", { name: /Send to EHR/ })).toBeDisabled();
+  });
+});
+
+describe("language picker", () => {
+  afterEach(() => setLanguage("en"));
+
+  it("switches the interface and translates the prediction", async () => {
+    server.use(http.post(`${API}/api/predict`, () => HttpResponse.json(predictResponse)));
+    const { user, container } = renderApp();
+
+    await user.selectOptions(screen.getByRole("combobox", { name: "Language" }), "ms");
+    expect(screen.getByText("Penafian Perubatan:")).toBeInTheDocument();
+
+    await user.upload(singlePane(container).querySelector('input[type="file"]'), fundus());
+    const analyze = await within(singlePane(container)).findByRole("button", {
+      name: /Analisis Sekarang/,
+    });
+    await waitFor(() => expect(analyze).toBeEnabled());
+    await user.click(analyze);
+
+    expect(await screen.findAllByText("Sederhana")).not.toHaveLength(0);
+    expect(screen.getByText(/^Retinopati diabetik bukan proliferatif sederhana/)).toBeInTheDocument();
+  });
+});
+
+describe("backend comparison", () => {
+  afterEach(() => localStorage.clear());
+
+  it("sends the image to every selected backend and flags disagreement", async () => {
+    const STAGING = "http://staging.test";
+    localStorage.setItem(
+      "dr-screening.backends",
+      JSON.stringify([{ id: "b1", name: "Staging", url: STAGING, selected: true }])
+    );
+    const modelInfo = (name) => () => HttpResponse.json({ model_name: name, model_loaded: true });
+    server.use(
+      http.post(`${API}/api/predict`, () => HttpResponse.json(predictResponse)),
+      http.get(`${API}/api/model-info`, modelInfo("prod-b3")),
+      http.post(`${STAGING}/api/predict`, () =>
+        HttpResponse.json({
+          ...predictResponse,
+          prediction: { class: "Mild", confidence: 0.61 },
+          all_probabilities: {
+            No_DR: 0.2,
+            Mild: 0.61,
+            Moderate: 0.15,
+            Severe: 0.03,
+            Proliferative_DR: 0.01,
+          },
+        })
+      ),
+      http.get(`${STAGING}/api/model-info`, modelInfo("candidate-v2"))
+    );
+    const { user, container } = renderApp();
+
+    await selectImage(user, container);
+    const compare = within(singlePane(container)).getByRole("button", { name: /Compare \(2\)/ });
+    await waitFor(() => expect(compare).toBeEnabled());
+    await user.click(compare);
+
+    expect(await screen.findByText("Models disagree:")).toBeInTheDocument();
+    expect(screen.getByText("candidate-v2")).toBeInTheDocument();
+    expect(screen.getByText("Differs from the majority")).toBeInTheDocument();
+    expect(screen.getByText(/differ on whether the patient should be referred/)).toBeInTheDocument();
+  });
+
+  it("blocks Compare while the model is still loading", async () => {
+    localStorage.setItem(
+      "dr-screening.backends",
+      JSON.stringify([{ id: "b1", name: "Staging", url: "http://staging.test", selected: true }])
+    );
+    server.use(
+      http.get(`${API}/api/health`, () =>
+        HttpResponse.json({ status: "loading", model_loaded: false, model_loading: true })
+      )
+    );
+    const { user, container } = renderApp();
+
+    expect(await screen.findByText("Model Loading")).toBeInTheDocument();
+    await user.upload(singlePane(container).querySelector('input[type="file"]'), fundus());
+    expect(
+      await within(singlePane(container)).findByRole("button", { name: /Compare \(2\)/ })
+    ).toBeDisabled();
+  });
+});
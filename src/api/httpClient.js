@@ -0,0 +1,73 @@
+import axios from "axios";
+import { HEALTH_PATHS, MODEL_INFO_PATH, PRIVACY_NOTICE_PATH } from "../lib/config.js";
+import { joinUrl } from "../lib/normalize.js";
+
+const GET_TIMEOUT_MS = 20000;
+const PREDICT_TIMEOUT_MS = 300000;
+
+export function buildPredictUrl(
+  baseUrl,
+  path,
+  { gradcam = false, preprocessed = false, debugPreprocess = false } = {}
+) {
+  const params = new URLSearchParams();
+  if (gradcam) params.set("gradcam", "1");
+  if (preprocessed) params.set("preprocessed", "1");
+  if (debugPreprocess) params.set("debug_preprocess", "1");
+  const qs = params.toString();
+  return joinUrl(baseUrl, qs ? `${path}?${qs}` : path);
+}
+
+// Talks to the real backend. Methods resolve with the response body and
+// reject with the axios error, which extractServerError() understands.
+export function createHttpClient(baseUrl) {
+  const get = async (path) => {
+    const res = await axios.get(joinUrl(baseUrl, path), {
+      timeout: GET_TIMEOUT_MS,
+      withCredentials: false,
+    });
+    return res.data;
+  };
+
+  return {
+    kind: "http",
+    baseUrl,
+
+    async getHealth() {
+      let lastErr = null;
+      for (const path of HEALTH_PATHS) {
+        try {
+          return await get(path);
+        } catch (e) {
+          lastErr = e;
+        }
+      }
+      throw lastErr;
+    },
+
+    getModelInfo() {
+      return get(MODEL_INFO_PATH);
+    },
+
+    getPrivacyNotice() {
+      return get(PRIVACY_NOTICE_PATH);
+    },
+
+    // `signal` aborts the request; `onUploadProgress(loaded, total)` reports
+    // bytes sent so far.
+    async predict(file, options, path, { signal, onUploadProgress } = {}) {
+      const fd = new FormData();
+      fd.append("file", file);
+
+      const res = await axios.post(buildPredictUrl(baseUrl, path, options), fd, {
+        timeout: PREDICT_TIMEOUT_MS,
+        withCredentials: false,
+        signal,
+        onUploadProgress: onUploadProgress
+          ? (e) => onUploadProgress(e.loaded, e.total || file.size)
+          : undefined,
+      });
+      return res.data;
+    },
+  };
+}
@@ -0,0 +1,26 @@
+import { API_BASE } from "../lib/config.js";
+import { createHttpClient } from "./httpClient.js";
+import { MOCK_SCENARIOS, createMockClient } from "./mockClient.js";
+
+// Mock mode is enabled with VITE_API_MOCK (e.g. `1` or a scenario name) or
+// a `?mock=<scenario>` URL flag, which wins so a deployed build can demo
+// offline. `?mock=0` forces the real backend.
+function resolveMockScenario() {
+  const fromUrl =
+    typeof window !== "undefined"
+      ? new URLSearchParams(window.location.search).get("mock")
+      : null;
+  const raw = String(fromUrl ?? import.meta.env.VITE_API_MOCK ?? "").trim().toLowerCase();
+
+  if (!raw || raw === "0" || raw === "false") return null;
+  if (raw === "1" || raw === "true") return "ok";
+  return MOCK_SCENARIOS.includes(raw) ? raw : "ok";
+}
+
+export const MOCK_SCENARIO = resolveMockScenario();
+
+export const api = MOCK_SCENARIO
+  ? createMockClient({ scenario: MOCK_SCENARIO })
+  : createHttpClient(API_BASE);
+
+export { createHttpClient, createMockClient, MOCK_SCENARIOS };
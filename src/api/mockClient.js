@@ -0,0 +1,281 @@
+// In-browser stand-in for the backend, used for offline demos, development
+// and tests. Payloads mirror the real /api responses; failure scenarios
+// reject with axios-shaped errors so the normal error handling runs.
+
+import { sleep } from "../lib/abort.js";
+
+export const MOCK_SCENARIOS = [
+  "ok",
+  "413",
+  "429",
+  "503",
+  "model_loading",
+  "failure",
+  "no_model",
+  "offline",
+];
+
+const CLASSES = ["No_DR", "Mild", "Moderate", "Severe", "Proliferative_DR"];
+
+const DESCRIPTIONS = {
+  No_DR: "No signs of diabetic retinopathy detected. Continue routine annual screening.",
+  Mild: "Mild non-proliferative diabetic retinopathy: microaneurysms only.",
+  Moderate:
+    "Moderate non-proliferative diabetic retinopathy: more than microaneurysms but less than severe NPDR.",
+  Severe:
+    "Severe non-proliferative diabetic retinopathy: extensive intraretinal haemorrhages, venous beading or IRMA.",
+  Proliferative_DR:
+    "Proliferative diabetic retinopathy: neovascularisation and/or vitreous or preretinal haemorrhage.",
+};
+
+const MODEL_LOADING_MS = 8000;
+const RATE_LIMIT_WINDOW_MS = 15000;
+const RATE_LIMIT_MAX = 2;
+
+const UPLOAD_STEPS = 5;
+
+function mockHttpError(status, data, headers = {}) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, data, headers };
+  return err;
+}
+
+function networkError() {
+  const err = new Error("Network Error");
+  err.code = "ERR_NETWORK";
+  return err;
+}
+
+// Small deterministic PRNG so the same file always gets the same result.
+function seededRandom(seed) {
+  let s = seed >>> 0 || 1;
+  return () => {
+    s ^= s << 13;
+    s ^= s >>> 17;
+    s ^= s << 5;
+    return (s >>> 0) / 4294967296;
+  };
+}
+
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i += 1) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function randomId(rand) {
+  return Array.from({ length: 32 }, () => Math.floor(rand() * 16).toString(16)).join("");
+}
+
+function mockProbabilities(rand) {
+  const top = Math.floor(rand() * CLASSES.length);
+  const weights = CLASSES.map((_, i) => {
+    const distance = Math.abs(i - top);
+    return (distance === 0 ? 6 : 2 / distance) * (0.5 + rand());
+  });
+  const total = weights.reduce((a, b) => a + b, 0);
+  return Object.fromEntries(
+    CLASSES.map((c, i) => [c, Math.round((weights[i] / total) * 1e4) / 1e4])
+  );
+}
+
+function mockHeatmap(rand) {
+  if (typeof document === "undefined") return null;
+  const canvas = document.createElement("canvas");
+  canvas.width = 300;
+  canvas.height = 300;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, 300, 300);
+  for (let i = 0; i < 4; i += 1) {
+    const x = 60 + rand() * 180;
+    const y = 60 + rand() * 180;
+    const g = ctx.createRadialGradient(x, y, 0, x, y, 40 + rand() * 50);
+    g.addColorStop(0, "rgba(255, 0, 0, 0.9)");
+    g.addColorStop(0.5, "rgba(255, 255, 0, 0.5)");
+    g.addColorStop(1, "rgba(0, 0, 255, 0)");
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, 300, 300);
+  }
+  return canvas.toDataURL("image/png");
+}
+
+function readAsDataUrl(file) {
+  if (typeof FileReader === "undefined") return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => resolve(null);
+    reader.readAsDataURL(file);
+  });
+}
+
+export function createMockClient({ scenario = "ok", latencyMs = 400 } = {}) {
+  const startedAt = Date.now();
+  let predictCalls = 0;
+  let windowStart = 0;
+  let windowCount = 0;
+
+  const modelLoading = () =>
+    scenario === "model_loading" && Date.now() - startedAt < MODEL_LOADING_MS;
+
+  const respond = async (fn) => {
+    await sleep(latencyMs);
+    if (scenario === "offline") throw networkError();
+    return fn();
+  };
+
+  return {
+    kind: "mock",
+    baseUrl: `mock:${scenario}`,
+    scenario,
+
+    getHealth() {
+      return respond(() => {
+        const loading = modelLoading();
+        const loaded = scenario !== "no_model" && !loading;
+        return {
+          status: loaded ? "healthy" : "degraded",
+          model_loaded: loaded,
+          model_loading: loading,
+          model_load_error: scenario === "no_model" ? "Model weights not found (mock)." : null,
+          dev_mode: true,
+          timestamp: new Date().toISOString(),
+        };
+      });
+    },
+
+    getModelInfo() {
+      return respond(() => ({
+        model_name: "RA-EfficientNetB3 (mock)",
+        input_shape: [300, 300, 3],
+        classes: Object.fromEntries(CLASSES.map((c, i) => [i, c])),
+        model_loaded: scenario !== "no_model" && !modelLoading(),
+        model_load_error: scenario === "no_model" ? "Model weights not found (mock)." : null,
+        security_features: {
+          encryption: "AES-256 (mock)",
+          anonymization: true,
+          compliance: ["GDPR", "PDPA"],
+        },
+      }));
+    },
+
+    getPrivacyNotice() {
+      return respond(() => ({
+        controller: {
+          name: "Demo Eye Clinic (mock)",
+          contact: "privacy@example.org",
+          dpo_contact: "dpo@example.org",
+        },
+        processing_purposes: ["Diabetic retinopathy screening", "Service quality monitoring"],
+        data_collected: ["Retinal fundus image", "Prediction result"],
+        security_measures: ["Encryption in transit (TLS)", "Encryption at rest", "Access logging"],
+        retention_period: "Uploads are not retained; results are kept for 30 days.",
+        rights: ["Access", "Rectification", "Erasure", "Withdraw consent"],
+      }));
+    },
+
+    async predict(
+      file,
+      { gradcam = false, debugPreprocess = false } = {},
+      _path,
+      { signal, onUploadProgress } = {}
+    ) {
+      // Half the latency is spent "uploading" so progress bars have something to show.
+      const total = file?.size || 1;
+      for (let i = 1; i <= UPLOAD_STEPS; i += 1) {
+        await sleep(latencyMs / UPLOAD_STEPS, signal);
+        onUploadProgress?.(Math.round((total * i) / UPLOAD_STEPS), total);
+      }
+      await sleep(latencyMs, signal);
+      predictCalls += 1;
+
+      if (scenario === "offline") throw networkError();
+
+      if (scenario === "413") {
+        throw mockHttpError(413, { error: "File too large.", limit: 5 * 1024 * 1024 });
+      }
+
+      if (scenario === "429") {
+        const now = Date.now();
+        if (now - windowStart > RATE_LIMIT_WINDOW_MS) {
+          windowStart = now;
+          windowCount = 0;
+        }
+        windowCount += 1;
+        if (windowCount > RATE_LIMIT_MAX) {
+          const retryAfter = Math.ceil((windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000);
+          throw mockHttpError(
+            429,
+            { error: "Too many requests." },
+            { "retry-after": String(retryAfter) }
+          );
+        }
+      }
+
+      // Every other request fails so retries and cooldowns can be observed.
+      if (scenario === "503" && predictCalls % 2 === 1) {
+        throw mockHttpError(
+          503,
+          { error: "Backend temporarily unavailable (mock)." },
+          { "retry-after": "3" }
+        );
+      }
+
+      if (modelLoading()) {
+        throw mockHttpError(
+          503,
+          { error: "Model is still loading.", model_loading: true },
+          { "retry-after": "5" }
+        );
+      }
+
+      if (scenario === "failure" || scenario === "no_model") {
+        return {
+          success: false,
+          error: "Model inference failed (mock).",
+          dev_mode: true,
+          model_load_error: scenario === "no_model" ? "Model weights not found (mock)." : null,
+        };
+      }
+
+      // Upload names are random (see lib/deidentify.js), so key on content traits instead.
+      const rand = seededRandom(hashString(`${file?.size}:${file?.lastModified}`));
+      const probabilities = mockProbabilities(rand);
+      const [topClass, topP] = Object.entries(probabilities).sort((a, b) => b[1] - a[1])[0];
+
+      return {
+        success: true,
+        session_id: randomId(Math.random),
+        prediction: {
+          class: topClass,
+          confidence: topP,
+          description: DESCRIPTIONS[topClass],
+        },
+        all_probabilities: probabilities,
+        gradcam_image: gradcam ? mockHeatmap(rand) : null,
+        preprocess_debug: debugPreprocess
+          ? {
+              enhanced_preview: await readAsDataUrl(file),
+              clahe_applied: true,
+              clahe_clip_limit: 2.0,
+              clahe_tile_grid: [8, 8],
+            }
+          : null,
+        security: {
+          encrypted: true,
+          anonymized: true,
+          gdpr_compliant: true,
+          pdpa_compliant: true,
+        },
+        storage: { stored_upload: false, encrypted_upload_id: null },
+        elapsed_ms: Math.round(latencyMs * 2 + rand() * 200),
+      };
+    },
+  };
+}
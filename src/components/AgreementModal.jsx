@@ -0,0 +1,321 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Alert, Button, Col, Form, Modal, Row, Spinner, Table } from "react-bootstrap";
+import { FaFileCsv } from "react-icons/fa";
+import { Line } from "react-chartjs-2";
+import useI18n from "../i18n/useI18n.js";
+import { withAlpha } from "../lib/charts.js";
+import { summarizeAgreement } from "../lib/agreement.js";
+import {
+  REFERENCE_SOURCES,
+  clearGroundTruth,
+  loadGroundTruth,
+  parseGroundTruthCsv,
+  referencePairs,
+  saveGroundTruth,
+} from "../lib/groundTruth.js";
+import { listHistoryEntries } from "../lib/historyStore.js";
+import { SEVERITY_CLASSES, getSeverityColor } from "../lib/normalize.js";
+
+const MAX_LISTED_ERRORS = 5;
+
+function Metric({ label, value }) {
+  return (
+    <div className="agreement-metric">
+      <div className="agreement-metric-value">{value}</div>
+      <div className="agreement-metric-label">{label}</div>
+    </div>
+  );
+}
+
+// Evaluates the model against imported ground truth and/or clinician reviews
+// using the results stored in local history.
+export default function AgreementModal({ show, onHide, refreshKey }) {
+  const { lang, t, classLabel, formatNumber, formatPercent } = useI18n();
+  const [entries, setEntries] = useState([]);
+  const [labels, setLabels] = useState(loadGroundTruth);
+  const [source, setSource] = useState("both");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [importErrors, setImportErrors] = useState([]);
+
+  useEffect(() => {
+    if (!show) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    setError("");
+    listHistoryEntries()
+      .then((list) => {
+        if (!cancelled) setEntries(list);
+      })
+      .catch((e) => {
+        if (!cancelled) setError(e?.message || t("history.readFailed"));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [show, refreshKey]);
+
+  const summary = useMemo(
+    () => summarizeAgreement(referencePairs(entries, labels, source)),
+    [entries, labels, source]
+  );
+
+  async function handleImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setError("");
+    try {
+      const parsed = parseGroundTruthCsv(await file.text());
+      saveGroundTruth(parsed.labels);
+      setLabels(parsed.labels);
+      setImportErrors(parsed.errors);
+    } catch (err) {
+      setImportErrors([]);
+      setError(t("agreement.importFailed", { message: err?.message || String(err) }));
+    }
+  }
+
+  function handleClearLabels() {
+    clearGroundTruth();
+    setLabels([]);
+    setImportErrors([]);
+  }
+
+  const pct = (v) => (v === null ? t("common.na") : formatPercent(v * 100));
+
+  const calibrationData = useMemo(() => {
+    const filled = summary.calibration.bins.filter((b) => b.count);
+    return {
+      datasets: [
+        {
+          label: t("agreement.ideal"),
+          data: [
+            { x: 0, y: 0 },
+            { x: 100, y: 100 },
+          ],
+          borderColor: "#a0aec0",
+          borderDash: [4, 4],
+          pointRadius: 0,
+        },
+        {
+          label: t("agreement.observed"),
+          data: filled.map((b) => ({
+            x: b.meanConfidence * 100,
+            y: b.accuracy * 100,
+            count: b.count,
+          })),
+          borderColor: "#667eea",
+          backgroundColor: withAlpha("#667eea", 0.6),
+          pointRadius: filled.map((b) => Math.min(10, 3 + Math.sqrt(b.count))),
+        },
+      ],
+    };
+  }, [summary, lang, t]);
+
+  return (
+    <Modal show={show} onHide={onHide} centered size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>{t("agreement.title")}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p className="text-muted" style={{ fontSize: 12 }}>
+          {t("agreement.localOnly")}
+        </p>
+
+        <Row className="g-2 mb-3 align-items-end">
+          <Col md={5}>
+            <Form.Group controlId="agreement-source">
+              <Form.Label className="review-label">{t("agreement.reference")}</Form.Label>
+              <Form.Select size="sm" value={source} onChange={(e) => setSource(e.target.value)}>
+                {REFERENCE_SOURCES.map((s) => (
+                  <option key={s} value={s}>
+                    {t(`agreement.sources.${s}`)}
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          </Col>
+          <Col md={7}>
+            <div className="agreement-import">
+              <Form.Label className="btn btn-sm btn-outline-primary mb-0" htmlFor="agreement-csv">
+                <FaFileCsv className="me-1" />
+                {t("agreement.importCsv")}
+              </Form.Label>
+              <input
+                id="agreement-csv"
+                type="file"
+                accept=".csv,text/csv"
+                className="visually-hidden"
+                onChange={handleImport}
+              />
+              {labels.length ? (
+                <>
+                  <span className="text-muted">{t("agreement.labelsLoaded", { count: labels.length })}</span>
+                  <Button size="sm" variant="link" className="p-0" onClick={handleClearLabels}>
+                    {t("agreement.clearLabels")}
+                  </Button>
+                </>
+              ) : null}
+            </div>
+            <div className="text-muted mt-1" style={{ fontSize: 11 }}>
+              {t("agreement.csvHelp")}
+            </div>
+          </Col>
+        </Row>
+
+        {error ? (
+          <Alert variant="danger">
+            <strong>{t("common.error")}</strong> {error}
+          </Alert>
+        ) : null}
+
+        {importErrors.length ? (
+          <Alert variant="warning" className="py-2" style={{ fontSize: 12 }}>
+            {t("agreement.skippedRows", { count: importErrors.length })}
+            <ul className="mb-0">
+              {importErrors.slice(0, MAX_LISTED_ERRORS).map((e) => (
+                <li key={e.line}>{t("agreement.rowError", e)}</li>
+              ))}
+            </ul>
+          </Alert>
+        ) : null}
+
+        {loading ? (
+          <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+            <Spinner animation="border" size="sm" />
+            <span>{t("agreement.loading")}</span>
+          </div>
+        ) : !summary.count ? (
+          <p className="text-muted mb-0">{t("agreement.noPairs")}</p>
+        ) : (
+          <>
+            <div className="agreement-metrics">
+              <Metric label={t("agreement.graded")} value={formatNumber(summary.count)} />
+              <Metric label={t("agreement.accuracy")} value={pct(summary.accuracy)} />
+              <Metric
+                label={t("agreement.kappa")}
+                value={summary.kappa === null ? t("common.na") : formatNumber(summary.kappa, { maximumFractionDigits: 3 })}
+              />
+              <Metric label={t("agreement.referableSensitivity")} value={pct(summary.referable.sensitivity)} />
+              <Metric label={t("agreement.referableSpecificity")} value={pct(summary.referable.specificity)} />
+              <Metric label={t("agreement.ece")} value={pct(summary.calibration.ece)} />
+            </div>
+
+            <Row className="g-4 mt-1">
+              <Col lg={6}>
+                <h6>{t("agreement.confusion")}</h6>
+                <Table size="sm" bordered className="agreement-matrix">
+                  <thead>
+                    <tr>
+                      <th className="text-muted">{t("agreement.axes")}</th>
+                      {SEVERITY_CLASSES.map((c) => (
+                        <th key={c}>{classLabel(c)}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.matrix.map((row, i) => {
+                      const total = row.reduce((a, b) => a + b, 0);
+                      return (
+                        <tr key={SEVERITY_CLASSES[i]}>
+                          <th>{classLabel(SEVERITY_CLASSES[i])}</th>
+                          {row.map((n, j) => (
+                            <td
+                              key={SEVERITY_CLASSES[j]}
+                              className={i === j ? "agreement-diagonal" : ""}
+                              style={{
+                                background: n
+                                  ? withAlpha(getSeverityColor(SEVERITY_CLASSES[j]), 0.15 + 0.6 * (n / total))
+                                  : undefined,
+                              }}
+                            >
+                              {n}
+                            </td>
+                          ))}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </Table>
+
+                <h6 className="mt-3">{t("agreement.perClass")}</h6>
+                <Table size="sm" striped>
+                  <thead>
+                    <tr>
+                      <th>{t("agreement.class")}</th>
+                      <th>{t("agreement.support")}</th>
+                      <th>{t("agreement.sensitivity")}</th>
+                      <th>{t("agreement.specificity")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.perClass.map((s) => (
+                      <tr key={s.class}>
+                        <td>{classLabel(s.class)}</td>
+                        <td>{formatNumber(s.support)}</td>
+                        <td>{pct(s.sensitivity)}</td>
+                        <td>{pct(s.specificity)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Col>
+
+              <Col lg={6}>
+                <h6>{t("agreement.calibration")}</h6>
+                <div className="prob-chart">
+                  <Line
+                    data={calibrationData}
+                    options={{
+                      maintainAspectRatio: false,
+                      scales: {
+                        x: {
+                          type: "linear",
+                          min: 0,
+                          max: 100,
+                          title: { display: true, text: t("agreement.confidenceAxis") },
+                        },
+                        y: {
+                          min: 0,
+                          max: 100,
+                          title: { display: true, text: t("agreement.accuracyAxis") },
+                        },
+                      },
+                      plugins: {
+                        tooltip: {
+                          filter: (item) => item.datasetIndex === 1,
+                          callbacks: {
+                            label: (ctx) =>
+                              t("agreement.binTooltip", {
+                                count: ctx.raw.count,
+                                accuracy: formatPercent(ctx.raw.y),
+                              }),
+                          },
+                        },
+                      },
+                    }}
+                  />
+                </div>
+                <p className="text-muted mt-2 mb-0" style={{ fontSize: 12 }}>
+                  {t("agreement.calibrationHelp")}
+                </p>
+              </Col>
+            </Row>
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          {t("common.close")}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
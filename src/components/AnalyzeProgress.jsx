@@ -0,0 +1,59 @@
+import React from "react";
+import { Button, ProgressBar } from "react-bootstrap";
+import { FaTimes } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+
+function describe(progress, { t, formatPercent }) {
+  switch (progress?.phase) {
+    case "uploading": {
+      const pct = progress.total ? Math.round((progress.loaded / progress.total) * 100) : 0;
+      return { label: t("progress.uploading", { percent: formatPercent(pct, 0) }), now: pct, busy: false };
+    }
+    case "processing":
+      return { label: t("progress.processing"), now: 100, busy: true };
+    case "gradcam":
+      return { label: t("progress.gradcam"), now: 100, busy: true };
+    case "retrying":
+      return {
+        label: t("progress.retrying", {
+          seconds: Math.ceil(progress.waitMs / 1000),
+          attempt: progress.attempt,
+          attempts: progress.attempts,
+        }),
+        now: 100,
+        busy: true,
+      };
+    default:
+      return { label: t("progress.analyzing"), now: 100, busy: true };
+  }
+}
+
+export default function AnalyzeProgress({ progress, onCancel, cancelling }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const { label, now, busy } = describe(progress, i18n);
+
+  return (
+    <div className="loading-container">
+      <div className="loading-spinner-modern" />
+      <p className="mt-3">{label}</p>
+      <ProgressBar
+        className="analyze-progress"
+        now={now}
+        striped={busy}
+        animated={busy}
+        variant={progress?.phase === "retrying" ? "warning" : undefined}
+      />
+      <Button
+        variant="outline-danger"
+        size="sm"
+        className="mt-3"
+        onClick={onCancel}
+        disabled={cancelling}
+      >
+        <FaTimes className="me-1" />
+        {cancelling ? t("common.cancelling") : t("common.cancel")}
+      </Button>
+    </div>
+  );
+}
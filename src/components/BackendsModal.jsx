@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from "react";
+import { Alert, Badge, Button, Col, Form, Modal, Row, Spinner, Table } from "react-bootstrap";
+import { FaPlus, FaSyncAlt, FaTrash } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import {
+  backendLabel,
+  checkBackend,
+  makeBackend,
+  normalizeBackendUrl,
+  validateBackend,
+} from "../lib/backends.js";
+import { extractServerError } from "../lib/normalize.js";
+
+function StatusBadge({ status }) {
+  const { t } = useI18n();
+  if (!status) return <Badge bg="secondary">{t("backend.checking")}</Badge>;
+  if (!status.health) {
+    return (
+      <Badge bg="danger" title={extractServerError(status.error).message}>
+        {t("backend.offline")}
+      </Badge>
+    );
+  }
+  if (status.health.model_loaded) return <Badge bg="success">{t("backend.ready")}</Badge>;
+  if (status.health.model_loading) return <Badge bg="info">{t("backend.modelLoading")}</Badge>;
+  return <Badge bg="warning">{t("backend.noModel")}</Badge>;
+}
+
+// Registers the named backends used by comparison mode and checks each one's
+// /api/health and /api/model-info.
+export default function BackendsModal({ show, onHide, backends, onChange }) {
+  const { t } = useI18n();
+  const [status, setStatus] = useState({});
+  const [name, setName] = useState("");
+  const [url, setUrl] = useState("");
+  const [formError, setFormError] = useState("");
+
+  function check(list) {
+    setStatus((prev) => {
+      const next = { ...prev };
+      list.forEach((b) => delete next[b.id]);
+      return next;
+    });
+    list.forEach((b) => {
+      checkBackend(b).then((s) => setStatus((prev) => ({ ...prev, [b.id]: s })));
+    });
+  }
+
+  useEffect(() => {
+    if (show) check(backends);
+  }, [show]);
+
+  function handleAdd(e) {
+    e.preventDefault();
+    const invalid = validateBackend({ name, url }, backends);
+    if (invalid) {
+      setFormError(invalid);
+      return;
+    }
+    const backend = makeBackend({ name, url });
+    onChange([...backends, backend]);
+    check([backend]);
+    setName("");
+    setUrl("");
+    setFormError("");
+  }
+
+  const toggle = (id) =>
+    onChange(backends.map((b) => (b.id === id ? { ...b, selected: !b.selected } : b)));
+
+  const remove = (id) => onChange(backends.filter((b) => b.id !== id));
+
+  const selected = backends.filter((b) => b.selected).length;
+
+  return (
+    <Modal show={show} onHide={onHide} centered size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>{t("backends.title")}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p className="text-muted" style={{ fontSize: 12 }}>
+          {t("backends.help")}
+        </p>
+
+        <Table size="sm" responsive className="backends-table">
+          <thead>
+            <tr>
+              <th>{t("backends.compare")}</th>
+              <th>{t("backends.name")}</th>
+              <th>{t("backends.status")}</th>
+              <th>{t("backends.model")}</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {backends.map((b) => {
+              const s = status[b.id];
+              return (
+                <tr key={b.id}>
+                  <td>
+                    <Form.Check
+                      aria-label={t("backends.compareLabel", { name: backendLabel(b) })}
+                      checked={!!b.selected}
+                      onChange={() => toggle(b.id)}
+                    />
+                  </td>
+                  <td>
+                    <div className="fw-semibold">{backendLabel(b)}</div>
+                    <div className="backends-url">{b.url || t("backends.sameOrigin")}</div>
+                  </td>
+                  <td>
+                    <StatusBadge status={s} />
+                  </td>
+                  <td>
+                    {s?.modelInfo?.model_name || (s ? t("common.na") : "")}
+                  </td>
+                  <td className="text-end text-nowrap">
+                    <Button
+                      size="sm"
+                      variant="link"
+                      className="p-0 me-2"
+                      title={t("backends.recheck")}
+                      aria-label={t("backends.recheck")}
+                      onClick={() => check([b])}
+                    >
+                      {s ? <FaSyncAlt /> : <Spinner animation="border" size="sm" />}
+                    </Button>
+                    {!b.builtin ? (
+                      <Button
+                        size="sm"
+                        variant="link"
+                        className="p-0 text-danger"
+                        title={t("backends.remove")}
+                        aria-label={t("backends.remove")}
+                        onClick={() => remove(b.id)}
+                      >
+                        <FaTrash />
+                      </Button>
+                    ) : null}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </Table>
+
+        <Form onSubmit={handleAdd}>
+          <Row className="g-2 align-items-end">
+            <Col sm={4}>
+              <Form.Group controlId="backend-name">
+                <Form.Label className="review-label">{t("backends.name")}</Form.Label>
+                <Form.Control
+                  size="sm"
+                  value={name}
+                  placeholder={t("backends.namePlaceholder")}
+                  onChange={(e) => setName(e.target.value)}
+                />
+              </Form.Group>
+            </Col>
+            <Col sm={6}>
+              <Form.Group controlId="backend-url">
+                <Form.Label className="review-label">{t("backends.url")}</Form.Label>
+                <Form.Control
+                  size="sm"
+                  type="url"
+                  value={url}
+                  placeholder="https://staging.example.org"
+                  onChange={(e) => setUrl(e.target.value)}
+                  onBlur={() => setUrl((v) => normalizeBackendUrl(v))}
+                />
+              </Form.Group>
+            </Col>
+            <Col sm={2}>
+              <Button type="submit" size="sm" className="w-100">
+                <FaPlus className="me-1" />
+                {t("backends.add")}
+              </Button>
+            </Col>
+          </Row>
+          {formError ? (
+            <Alert variant="danger" className="py-1 px-2 mt-2 mb-0" style={{ fontSize: 12 }}>
+              {formError}
+            </Alert>
+          ) : null}
+        </Form>
+      </Modal.Body>
+      <Modal.Footer>
+        <span className="text-muted me-auto" style={{ fontSize: 12 }}>
+          {t("backends.selected", { count: selected })}
+        </span>
+        <Button variant="outline-secondary" onClick={() => check(backends)}>
+          {t("backends.checkAll")}
+        </Button>
+        <Button variant="secondary" onClick={onHide}>
+          {t("common.close")}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
@@ -0,0 +1,396 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Alert, Badge, Button, Form, ProgressBar } from "react-bootstrap";
+import { useDropzone } from "react-dropzone";
+import { FaFolderOpen, FaPause, FaPlay, FaRedo, FaUpload } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import { BATCH_CONCURRENCY, MAX_FILE_MB } from "../lib/config.js";
+import { scrubSummary } from "../lib/deidentify.js";
+import {
+  assessImageQuality,
+  describeQualityIssues,
+  makeQualityRecord,
+} from "../lib/imageQuality.js";
+import { describePrepReport, prepareUpload } from "../lib/imagePrep.js";
+import {
+  ACCEPTED_IMAGE_TYPES,
+  IMAGE_EXT_RE,
+  analyzeImage,
+  describePredictError,
+  invalidTypeMessage,
+  validateImageFile,
+} from "../lib/predict.js";
+
+const STATUS_VARIANTS = {
+  pending: "secondary",
+  analyzing: "info",
+  done: "success",
+  failed: "danger",
+};
+
+let nextItemId = 1;
+
+function makeItem(file, error = "") {
+  return {
+    id: nextItemId++,
+    file,
+    // Set once prepareUpload() has produced the upload-ready copy.
+    upload: null,
+    report: null,
+    dicom: null,
+    // Quality of the prepared copy, or why it could not be assessed.
+    quality: null,
+    qualityError: "",
+    name: file.webkitRelativePath || file.path || file.name,
+    status: error ? "failed" : "pending",
+    result: null,
+    error,
+    gradcamNotice: "",
+  };
+}
+
+export default function BatchQueue({
+  cooldownUntil,
+  onCooldown,
+  backendNotReady,
+  onSelectResult,
+  onResult,
+}) {
+  const { t, classLabel, formatPercent } = useI18n();
+  const [items, setItems] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [wantGradcam, setWantGradcam] = useState(false);
+  const [isPreprocessed, setIsPreprocessed] = useState(false);
+  const [qualityOverride, setQualityOverride] = useState(false);
+  const [tick, setTick] = useState(0);
+  const folderInputRef = useRef(null);
+
+  const updateItem = useCallback((id, patch) => {
+    setItems((prev) => prev.map((it) => (it.id === id ? { ...it, ...patch } : it)));
+  }, []);
+
+  const addFiles = useCallback((files, rejected = []) => {
+    const added = [
+      ...files.map((file) => makeItem(file, validateImageFile(file))),
+      ...rejected.map(({ file }) =>
+        makeItem(file, invalidTypeMessage())
+      ),
+    ];
+    if (added.length) setItems((prev) => [...prev, ...added]);
+  }, []);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop: addFiles,
+    accept: ACCEPTED_IMAGE_TYPES,
+    multiple: true,
+    disabled: running,
+  });
+
+  function onFolderPicked(e) {
+    // Folders routinely contain thumbnails, sidecar files etc.; only queue images.
+    const files = Array.from(e.target.files || []).filter(
+      (f) => IMAGE_EXT_RE.test(f.name) && !f.name.startsWith(".")
+    );
+    addFiles(files);
+    e.target.value = "";
+  }
+
+  const runItem = useCallback(
+    async (item, { gradcam, preprocessed, overrideQuality }) => {
+      updateItem(item.id, { status: "analyzing", error: "" });
+
+      let { upload, dicom, quality, qualityError } = item;
+      if (!upload) {
+        try {
+          const prepared = await prepareUpload(item.file);
+          upload = prepared.file;
+          dicom = prepared.dicom;
+          try {
+            quality = await assessImageQuality(upload);
+          } catch (e) {
+            qualityError = e?.message || t("errors.unknown");
+          }
+          updateItem(item.id, { upload, dicom, quality, qualityError, report: prepared.report });
+        } catch (e) {
+          updateItem(item.id, { status: "failed", error: e?.message || t("errors.unreadableImage") });
+          return;
+        }
+      }
+
+      // Failed images, and images the check could not assess, are skipped
+      // unless the operator overrides the check for the batch; the override
+      // is recorded with each result.
+      if (qualityError && !overrideQuality) {
+        updateItem(item.id, {
+          status: "failed",
+          error: t("batch.qualityUnavailable", { error: qualityError }),
+        });
+        return;
+      }
+      const qualityRecord = makeQualityRecord(quality, overrideQuality);
+      if (qualityRecord && !qualityRecord.passed && !qualityRecord.overridden) {
+        const issues = describeQualityIssues(qualityRecord, t).join(" ");
+        updateItem(item.id, {
+          status: "failed",
+          error: t("batch.qualityFailed", { score: qualityRecord.score, issues }),
+        });
+        return;
+      }
+
+      try {
+        const { result, error, gradcamNotice } = await analyzeImage(upload, {
+          gradcam,
+          preprocessed,
+        });
+        if (!result) {
+          updateItem(item.id, { status: "failed", error });
+          return;
+        }
+
+        // DICOM headers supply the eye and a pseudonymous case reference.
+        const laterality = dicom?.laterality || null;
+        const tagged = {
+          ...result,
+          ...(laterality ? { laterality } : {}),
+          deidentification: scrubSummary(upload, null),
+          quality: qualityRecord,
+        };
+        updateItem(item.id, { status: "done", result: tagged, gradcamNotice });
+        const historyId = await onResult?.(upload, tagged, dicom?.pseudonym || "", laterality);
+        if (historyId != null) updateItem(item.id, { result: { ...tagged, history_id: historyId } });
+      } catch (e) {
+        const { message, cooldownMs } = describePredictError(e);
+        if (cooldownMs) {
+          // Rate limited or backend busy: put the item back and let the
+          // whole queue wait out the cooldown instead of failing it.
+          updateItem(item.id, { status: "pending", error: "" });
+          onCooldown(cooldownMs);
+        } else {
+          updateItem(item.id, { status: "failed", error: message });
+        }
+      }
+    },
+    [onCooldown, onResult, updateItem, t]
+  );
+
+  useEffect(() => {
+    if (!running || backendNotReady) return undefined;
+
+    const waitMs = cooldownUntil - Date.now();
+    if (waitMs > 0) {
+      const timer = window.setTimeout(() => setTick((t) => t + 1), waitMs + 50);
+      return () => window.clearTimeout(timer);
+    }
+
+    const active = items.filter((it) => it.status === "analyzing").length;
+    const pending = items.filter((it) => it.status === "pending");
+
+    if (!pending.length) {
+      if (!active) setRunning(false);
+      return undefined;
+    }
+
+    const options = {
+      gradcam: wantGradcam,
+      preprocessed: isPreprocessed,
+      overrideQuality: qualityOverride,
+    };
+    pending
+      .slice(0, Math.max(0, BATCH_CONCURRENCY - active))
+      .forEach((it) => runItem(it, options));
+    return undefined;
+  }, [
+    items,
+    running,
+    backendNotReady,
+    cooldownUntil,
+    tick,
+    wantGradcam,
+    isPreprocessed,
+    qualityOverride,
+    runItem,
+  ]);
+
+  function retryFailed() {
+    setItems((prev) =>
+      prev.map((it) =>
+        it.status === "failed" && !validateImageFile(it.file)
+          ? { ...it, status: "pending", error: "" }
+          : it
+      )
+    );
+  }
+
+  function clearQueue() {
+    setItems([]);
+    setRunning(false);
+  }
+
+  function openResult(item) {
+    onSelectResult(item.result, {
+      file: item.upload || item.file,
+      gradcamRequested: wantGradcam,
+      gradcamNotice: item.gradcamNotice,
+    });
+  }
+
+  const counts = items.reduce(
+    (acc, it) => ({ ...acc, [it.status]: (acc[it.status] || 0) + 1 }),
+    {}
+  );
+  const finished = (counts.done || 0) + (counts.failed || 0);
+  const isCoolingDown = running && cooldownUntil > Date.now();
+  const hasActive = Boolean(counts.analyzing);
+
+  return (
+    <div className="batch-queue">
+      <div {...getRootProps()} className={`dropzone-modern batch-dropzone ${isDragActive ? "active" : ""}`}>
+        <input {...getInputProps()} />
+        <div className="dropzone-content">
+          <FaUpload className="upload-icon" />
+          <h4>{t("batch.dropHere")}</h4>
+          <p>{t("batch.orSelect")}</p>
+          <small className="text-muted">{t("common.supports", { mb: MAX_FILE_MB })}</small>
+        </div>
+      </div>
+
+      <Alert variant="warning" className="mt-3 mb-0 py-2" style={{ fontSize: 12 }}>
+        {t("batch.noMasking")}
+      </Alert>
+
+      <div className="mt-3" style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+        <Button
+          variant="outline-secondary"
+          size="sm"
+          onClick={() => folderInputRef.current?.click()}
+          disabled={running}
+        >
+          <FaFolderOpen className="me-2" />
+          {t("batch.selectFolder")}
+        </Button>
+        <input
+          ref={folderInputRef}
+          type="file"
+          multiple
+          webkitdirectory=""
+          directory=""
+          style={{ display: "none" }}
+          onChange={onFolderPicked}
+        />
+        <Form.Check
+          type="switch"
+          id="batch-gradcam-switch"
+          label={t("common.generateGradcam")}
+          checked={wantGradcam}
+          onChange={(e) => setWantGradcam(e.target.checked)}
+          disabled={running}
+        />
+        <Form.Check
+          type="switch"
+          id="batch-preprocessed-switch"
+          label={t("common.imagesPreprocessed")}
+          checked={isPreprocessed}
+          onChange={(e) => setIsPreprocessed(e.target.checked)}
+          disabled={running}
+        />
+        <Form.Check
+          type="switch"
+          id="batch-quality-override-switch"
+          label={t("batch.qualityOverride")}
+          checked={qualityOverride}
+          onChange={(e) => setQualityOverride(e.target.checked)}
+          disabled={running}
+        />
+      </div>
+
+      {items.length ? (
+        <>
+          <div className="mt-3">
+            <ProgressBar
+              now={(finished / items.length) * 100}
+              label={`${finished}/${items.length}`}
+              variant={counts.failed ? "warning" : "success"}
+            />
+            <div className="batch-summary">
+              {t("batch.summary", {
+                pending: counts.pending || 0,
+                analyzing: counts.analyzing || 0,
+                done: counts.done || 0,
+                failed: counts.failed || 0,
+              })}
+              {isCoolingDown
+                ? t("batch.paused", { seconds: Math.ceil((cooldownUntil - Date.now()) / 1000) })
+                : running && backendNotReady
+                ? t("batch.waitingForModel")
+                : null}
+            </div>
+          </div>
+
+          <ul className="batch-list">
+            {items.map((it) => (
+              <li key={it.id} className="batch-item">
+                <div className="batch-item-main">
+                  <span className="batch-item-name" title={it.name}>
+                    {it.name}
+                  </span>
+                  <Badge bg={STATUS_VARIANTS[it.status]}>{t(`batch.status.${it.status}`)}</Badge>
+                </div>
+                {it.status === "done" && it.result ? (
+                  <div className="batch-item-detail">
+                    <span>
+                      {classLabel(it.result.prediction.class)} •{" "}
+                      {formatPercent(it.result.prediction.confidence)}
+                    </span>
+                    <Button variant="link" size="sm" className="p-0" onClick={() => openResult(it)}>
+                      {t("common.view")}
+                    </Button>
+                  </div>
+                ) : it.error ? (
+                  <div className="batch-item-detail text-danger">{it.error}</div>
+                ) : null}
+                {it.report ? (
+                  <div className="batch-item-detail text-muted">{describePrepReport(it.report)}</div>
+                ) : null}
+              </li>
+            ))}
+          </ul>
+
+          <div className="button-group mt-3">
+            {running ? (
+              <Button variant="secondary" className="btn-modern" onClick={() => setRunning(false)}>
+                <FaPause className="me-2" />
+                {t("batch.pause")}
+              </Button>
+            ) : (
+              <Button
+                variant="primary"
+                className="btn-modern btn-analyze"
+                onClick={() => setRunning(true)}
+                disabled={!counts.pending || hasActive}
+              >
+                <FaPlay className="me-2" />
+                {finished ? t("batch.resume") : t("batch.analyze")}
+              </Button>
+            )}
+            <Button
+              variant="outline-light"
+              className="btn-modern"
+              onClick={retryFailed}
+              disabled={running || !counts.failed}
+            >
+              <FaRedo className="me-2" />
+              {t("batch.retryFailed")}
+            </Button>
+            <Button
+              variant="outline-light"
+              className="btn-modern"
+              onClick={clearQueue}
+              disabled={running || hasActive}
+            >
+              {t("batch.clear")}
+            </Button>
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Alert, Button, Form, Modal, Spinner } from "react-bootstrap";
+import { FaCamera, FaLightbulb } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import { sleep } from "../lib/abort.js";
+import {
+  BURST_FRAMES,
+  BURST_INTERVAL_MS,
+  CAMERA_CONSTRAINTS,
+  GUIDE_RATIO,
+  describeCameraError,
+  frameSharpness,
+  frameToFile,
+  grabFrame,
+  pickSharpest,
+  setTorch,
+  torchSupported,
+} from "../lib/camera.js";
+
+// Live preview for smartphone fundus adapters. The captured frame is handed
+// to `onCapture` as a JPEG File, like a dropped image.
+export default function CameraCapture({ show, onHide, onCapture }) {
+  const { t } = useI18n();
+  const videoRef = useRef(null);
+  const trackRef = useRef(null);
+  const [starting, setStarting] = useState(false);
+  const [ready, setReady] = useState(false);
+  const [size, setSize] = useState({ width: 16, height: 9 });
+  const [error, setError] = useState("");
+  const [hasTorch, setHasTorch] = useState(false);
+  const [torchOn, setTorchOn] = useState(false);
+  const [burst, setBurst] = useState(true);
+  const [capturing, setCapturing] = useState(false);
+  const [burstProgress, setBurstProgress] = useState(0);
+
+  useEffect(() => {
+    if (!show) return undefined;
+    let cancelled = false;
+    let stream = null;
+
+    setStarting(true);
+    setReady(false);
+    setError("");
+    setTorchOn(false);
+    navigator.mediaDevices
+      .getUserMedia(CAMERA_CONSTRAINTS)
+      .then((s) => {
+        stream = s;
+        if (cancelled) return;
+        const [track] = s.getVideoTracks();
+        trackRef.current = track;
+        setHasTorch(torchSupported(track));
+        if (videoRef.current) videoRef.current.srcObject = s;
+      })
+      .catch((e) => {
+        if (!cancelled) setError(describeCameraError(e));
+      })
+      .finally(() => {
+        if (!cancelled) setStarting(false);
+      });
+
+    return () => {
+      cancelled = true;
+      trackRef.current = null;
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [show]);
+
+  function handleLoaded() {
+    const video = videoRef.current;
+    setSize({ width: video.videoWidth, height: video.videoHeight });
+    setReady(true);
+  }
+
+  async function toggleTorch() {
+    const next = !torchOn;
+    try {
+      await setTorch(trackRef.current, next);
+      setTorchOn(next);
+    } catch (e) {
+      setHasTorch(false);
+      setError(t("camera.torchFailed", { message: e?.message || String(e) }));
+    }
+  }
+
+  async function handleCapture() {
+    const video = videoRef.current;
+    if (!video || !ready) return;
+
+    setCapturing(true);
+    setError("");
+    try {
+      let frame = grabFrame(video);
+      if (burst) {
+        const frames = [];
+        for (let i = 0; i < BURST_FRAMES; i += 1) {
+          if (i) await sleep(BURST_INTERVAL_MS);
+          const canvas = i ? grabFrame(video) : frame;
+          frames.push({ canvas, sharpness: frameSharpness(canvas) });
+          setBurstProgress(i + 1);
+        }
+        frame = pickSharpest(frames).canvas;
+      }
+      onCapture(await frameToFile(frame));
+      onHide();
+    } catch (e) {
+      setError(e?.message || t("camera.failed"));
+    } finally {
+      setCapturing(false);
+      setBurstProgress(0);
+    }
+  }
+
+  const r = (Math.min(size.width, size.height) * GUIDE_RATIO) / 2;
+
+  return (
+    <Modal show={show} onHide={onHide} centered size="lg" fullscreen="sm-down">
+      <Modal.Header closeButton>
+        <Modal.Title>{t("camera.title")}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error ? <Alert variant="danger">{error}</Alert> : null}
+
+        <div className="camera-stage">
+          <video
+            ref={videoRef}
+            className="camera-video"
+            autoPlay
+            playsInline
+            muted
+            onLoadedMetadata={handleLoaded}
+          />
+          {ready ? (
+            <svg
+              className="camera-guide"
+              viewBox={`0 0 ${size.width} ${size.height}`}
+              preserveAspectRatio="xMidYMid meet"
+              aria-hidden="true"
+            >
+              <defs>
+                <mask id="camera-guide-mask">
+                  <rect width={size.width} height={size.height} fill="white" />
+                  <circle cx={size.width / 2} cy={size.height / 2} r={r} fill="black" />
+                </mask>
+              </defs>
+              <rect
+                width={size.width}
+                height={size.height}
+                fill="rgba(0, 0, 0, 0.55)"
+                mask="url(#camera-guide-mask)"
+              />
+              <circle
+                cx={size.width / 2}
+                cy={size.height / 2}
+                r={r}
+                fill="none"
+                stroke="#fff"
+                strokeWidth={Math.max(2, r / 80)}
+                strokeDasharray={`${r / 10} ${r / 20}`}
+              />
+            </svg>
+          ) : null}
+          {starting ? (
+            <div className="camera-starting">
+              <Spinner animation="border" size="sm" className="me-2" />
+              {t("camera.starting")}
+            </div>
+          ) : null}
+        </div>
+
+        <p className="text-muted mt-2 mb-0" style={{ fontSize: 12 }}>
+          {t("camera.alignHint")}
+        </p>
+      </Modal.Body>
+      <Modal.Footer className="camera-controls">
+        <Form.Check
+          type="switch"
+          id="camera-burst"
+          label={t("camera.burst", { count: BURST_FRAMES })}
+          checked={burst}
+          onChange={(e) => setBurst(e.target.checked)}
+          disabled={capturing}
+        />
+        {hasTorch ? (
+          <Button
+            variant={torchOn ? "warning" : "outline-secondary"}
+            onClick={toggleTorch}
+            disabled={capturing}
+            aria-pressed={torchOn}
+          >
+            <FaLightbulb className="me-1" />
+            {torchOn ? t("camera.torchOff") : t("camera.torchOn")}
+          </Button>
+        ) : null}
+        <Button variant="primary" onClick={handleCapture} disabled={!ready || capturing}>
+          <FaCamera className="me-1" />
+          {capturing && burst
+            ? t("camera.burstProgress", { done: burstProgress, total: BURST_FRAMES })
+            : t("camera.capture")}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
@@ -0,0 +1,150 @@
+import React, { useMemo } from "react";
+import { Alert, Button, Table } from "react-bootstrap";
+import { FaBalanceScale, FaExclamationTriangle } from "react-icons/fa";
+import { Bar } from "react-chartjs-2";
+import useI18n from "../i18n/useI18n.js";
+import { backendLabel } from "../lib/backends.js";
+import { withAlpha } from "../lib/charts.js";
+import { PROBABILITY_SPREAD_LIMIT, summarizeComparison } from "../lib/comparison.js";
+import { SEVERITY_CLASSES, getSeverityGradient } from "../lib/normalize.js";
+
+const PALETTE = ["#667eea", "#ed8936", "#38b2ac", "#e53e3e", "#805ad5", "#718096"];
+
+// One image graded by several backends: per-model cards, grouped probability
+// chart and a table that flags where the models disagree.
+export default function ComparisonResults({ runs, onClose }) {
+  const { lang, t, classLabel, formatNumber, formatPercent } = useI18n();
+  const summary = useMemo(() => summarizeComparison(runs), [runs]);
+  const graded = runs.filter((r) => r.result);
+
+  const chartData = useMemo(
+    () => ({
+      labels: SEVERITY_CLASSES.map((c) => classLabel(c)),
+      datasets: graded.map((r, i) => ({
+        label: backendLabel(r.backend),
+        data: SEVERITY_CLASSES.map((c) => Number(r.result.all_probabilities?.[c]) || 0),
+        backgroundColor: withAlpha(PALETTE[i % PALETTE.length], 0.75),
+        borderColor: PALETTE[i % PALETTE.length],
+        borderWidth: 1,
+      })),
+    }),
+    [runs, lang, classLabel]
+  );
+
+  const counts = summary.classes.map((c) =>
+    t("compare.classCount", {
+      grade: classLabel(c),
+      count: graded.filter((r) => r.result.prediction.class === c).length,
+    })
+  );
+
+  return (
+    <div className="results-content compare-results">
+      <div className="result-header">
+        <FaBalanceScale className="success-icon" />
+        <h3>{t("compare.title")}</h3>
+      </div>
+
+      {!summary.count ? (
+        <Alert variant="danger">{t("compare.allFailed")}</Alert>
+      ) : summary.agree ? (
+        <Alert variant="success" className="py-2">
+          {t("compare.agree", { count: summary.count, grade: classLabel(summary.majority) })}
+        </Alert>
+      ) : (
+        <Alert variant="warning" className="py-2" role="status">
+          <FaExclamationTriangle className="me-2" />
+          <strong>{t("compare.disagree")}</strong> {counts.join(" · ")}
+          {!summary.referralAgree ? <div>{t("compare.referralDiffers")}</div> : null}
+        </Alert>
+      )}
+
+      <div className="compare-grid">
+        {runs.map((r) => {
+          const dissent = summary.dissenters.includes(r.backend.id);
+          return (
+            <div
+              key={r.backend.id}
+              className={`compare-card ${dissent ? "compare-disagree" : ""} ${r.result ? "" : "compare-failed"}`}
+            >
+              <div className="compare-backend">{backendLabel(r.backend)}</div>
+              <div className="compare-model">{r.modelInfo?.model_name || r.backend.url || " "}</div>
+              {r.result ? (
+                <>
+                  <div
+                    className="compare-class"
+                    style={{ background: getSeverityGradient(r.result.prediction.class) }}
+                  >
+                    {classLabel(r.result.prediction.class)}
+                  </div>
+                  <div className="compare-confidence">
+                    {t("compare.confidence", { value: formatPercent(r.result.prediction.confidence) })}
+                  </div>
+                  {r.elapsed_ms !== null ? (
+                    <div className="compare-elapsed">
+                      {t("compare.elapsed", { ms: formatNumber(r.elapsed_ms) })}
+                    </div>
+                  ) : null}
+                  {dissent ? <div className="compare-flag">{t("compare.dissent")}</div> : null}
+                </>
+              ) : (
+                <div className="compare-error">{r.error || t("errors.predictionFailed")}</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {graded.length ? (
+        <>
+          <div className="prob-chart mt-3">
+            <Bar
+              data={chartData}
+              options={{
+                maintainAspectRatio: false,
+                scales: { y: { min: 0, max: 100, ticks: { callback: (v) => formatPercent(v, 0) } } },
+                plugins: {
+                  tooltip: {
+                    callbacks: {
+                      label: (ctx) => `${ctx.dataset.label}: ${formatPercent(ctx.raw)}`,
+                    },
+                  },
+                },
+              }}
+            />
+          </div>
+
+          <Table size="sm" className="compare-table mt-3" responsive>
+            <thead>
+              <tr>
+                <th>{t("agreement.class")}</th>
+                {graded.map((r) => (
+                  <th key={r.backend.id}>{backendLabel(r.backend)}</th>
+                ))}
+                <th>{t("compare.spread")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.probabilities.map((p) => (
+                <tr key={p.class} className={p.disagree ? "compare-row-disagree" : ""}>
+                  <td>{classLabel(p.class)}</td>
+                  {p.values.map((v, i) => (
+                    <td key={graded[i].backend.id}>{formatPercent(v)}</td>
+                  ))}
+                  <td>{formatNumber(p.spread, { maximumFractionDigits: 1 })}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          <p className="text-muted mb-0" style={{ fontSize: 12 }}>
+            {t("compare.spreadHelp", { limit: PROBABILITY_SPREAD_LIMIT })}
+          </p>
+        </>
+      ) : null}
+
+      <Button variant="outline-secondary" size="sm" className="mt-3" onClick={onClose}>
+        {t("compare.close")}
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import React from "react";
+import { Badge, Button, Modal, Table } from "react-bootstrap";
+import useI18n from "../i18n/useI18n.js";
+import { CONFIG_DIAGNOSTICS } from "../lib/config.js";
+import { CONFIG_SCHEMA, getRuntimeConfig } from "../lib/runtimeConfig.js";
+
+const STATUS_VARIANTS = { loaded: "success", missing: "secondary", invalid: "danger", failed: "warning" };
+const SOURCE_VARIANTS = { runtime: "primary", env: "info", default: "light" };
+
+// Shows where every setting came from: config.json, a build-time env var or
+// the built-in default, plus any problems found in config.json.
+export default function DiagnosticsModal({ show, onHide, apiModeLabel }) {
+  const { t, formatDate } = useI18n();
+  const runtime = getRuntimeConfig();
+
+  const display = (key, value) => {
+    if (CONFIG_SCHEMA[key].type !== "url" || value) return String(value);
+    return key === "apiBaseUrl" ? t("backends.sameOrigin") : t("diagnostics.notSet");
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>{t("diagnostics.title")}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <div className="diagnostics-summary">
+          <div>
+            <strong>{t("diagnostics.configFile")}</strong>{" "}
+            <code>{runtime.url || "config.json"}</code>{" "}
+            <Badge bg={STATUS_VARIANTS[runtime.status] || "secondary"}>
+              {t(`diagnostics.status.${runtime.status}`)}
+            </Badge>
+            {runtime.error ? <span className="diagnostics-error"> {runtime.error}</span> : null}
+          </div>
+          {runtime.loaded_at ? (
+            <div className="text-muted">
+              {t("diagnostics.checkedAt", { time: formatDate(runtime.loaded_at) })}
+            </div>
+          ) : null}
+          <div>
+            <strong>{t("diagnostics.build")}</strong>{" "}
+            {import.meta.env.PROD ? t("diagnostics.production") : t("diagnostics.development")}
+            {" · "}
+            {t("backend.api", { mode: apiModeLabel })}
+          </div>
+        </div>
+
+        {runtime.errors.length || runtime.unknown.length ? (
+          <div className="diagnostics-issues">
+            <strong>{t("diagnostics.issuesTitle")}</strong>
+            <ul className="mb-0">
+              {runtime.errors.map((e) => (
+                <li key={e.key || e.issue}>
+                  {t(`diagnostics.issues.${e.issue}`, { key: e.key, ...e.params })}
+                </li>
+              ))}
+              {runtime.unknown.map((key) => (
+                <li key={key}>{t("diagnostics.unknownKey", { key })}</li>
+              ))}
+            </ul>
+          </div>
+        ) : null}
+
+        <Table size="sm" striped responsive className="diagnostics-table mt-3">
+          <thead>
+            <tr>
+              <th>{t("diagnostics.setting")}</th>
+              <th>{t("diagnostics.value")}</th>
+              <th>{t("diagnostics.source")}</th>
+              <th>{t("diagnostics.envVar")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(CONFIG_DIAGNOSTICS).map(([key, { value, source }]) => (
+              <tr key={key}>
+                <td>
+                  <code>{key}</code>
+                </td>
+                <td>{display(key, value)}</td>
+                <td>
+                  <Badge bg={SOURCE_VARIANTS[source]} text={source === "default" ? "dark" : undefined}>
+                    {t(`diagnostics.sources.${source}`)}
+                  </Badge>
+                </td>
+                <td>
+                  <code>{CONFIG_SCHEMA[key].env}</code>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+        <p className="text-muted mb-0" style={{ fontSize: 12 }}>
+          {t("diagnostics.help")}
+        </p>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          {t("common.close")}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from "react";
+import { Badge, Button } from "react-bootstrap";
+import { FaEye, FaEyeSlash } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+
+// Header fields read from an imported DICOM file. The patient identifier is
+// masked behind its pseudonym unless the operator reveals it; either way it
+// is only ever shown here and never uploaded.
+export default function DicomInfo({ meta }) {
+  const { t, eyeLabel, formatDate } = useI18n();
+  const [revealed, setRevealed] = useState(false);
+
+  useEffect(() => {
+    setRevealed(false);
+  }, [meta]);
+
+  if (!meta) return null;
+
+  const identifier = [meta.patientId, meta.patientName].filter(Boolean).join(" — ");
+
+  return (
+    <div className="dicom-info">
+      <div className="dicom-info-header">
+        <Badge bg="secondary">DICOM</Badge>
+        {meta.modality ? <span className="text-muted">{meta.modality}</span> : null}
+      </div>
+      <div>
+        {t("dicom.eye")}{" "}
+        <strong>{meta.laterality ? eyeLabel(meta.laterality) : t("dicom.notRecorded")}</strong>
+      </div>
+      <div>
+        {t("dicom.acquired")}{" "}
+        <strong>
+          {meta.acquisitionDate
+            ? formatDate(`${meta.acquisitionDate}T00:00:00`, { dateStyle: "medium" })
+            : t("dicom.notRecorded")}
+        </strong>
+      </div>
+      {identifier ? (
+        <div>
+          {t("dicom.patient")}{" "}
+          <strong>{revealed ? identifier : meta.pseudonym || t("dicom.hidden")}</strong>
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0 ms-2"
+            onClick={() => setRevealed((v) => !v)}
+            aria-label={revealed ? t("dicom.hideIdentifier") : t("dicom.showIdentifier")}
+          >
+            {revealed ? <FaEyeSlash /> : <FaEye />}
+          </Button>
+        </div>
+      ) : null}
+      <div className="text-muted mt-1">
+        {t("dicom.localOnly")}
+      </div>
+    </div>
+  );
+}
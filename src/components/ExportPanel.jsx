@@ -0,0 +1,119 @@
+import React, { useState } from "react";
+import { Alert, Button, Col, Form, Row } from "react-bootstrap";
+import { FaFileExport } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import { downloadBlob } from "../lib/download.js";
+import { EXPORT_FORMATS, buildResultsExport, canPseudonymize } from "../lib/exportResults.js";
+
+const SCOPES = ["all", "shown", "selected"];
+
+// Research export of the local history: every stored result, the ones the
+// history filters currently show, or the ticked ones.
+export default function ExportPanel({ entries, shown, selected }) {
+  const { t } = useI18n();
+  const [scope, setScope] = useState("all");
+  const [format, setFormat] = useState("csv");
+  const [pseudonymize, setPseudonymize] = useState(false);
+  const [key, setKey] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [done, setDone] = useState("");
+
+  const hashing = canPseudonymize();
+  const subsets = { all: entries, shown, selected };
+  const rows = subsets[scope];
+
+  async function handleExport() {
+    setBusy(true);
+    setError("");
+    setDone("");
+    try {
+      const { text, mimeType, fileName, count } = await buildResultsExport(rows, {
+        format,
+        pseudonymize,
+        key: key.trim(),
+      });
+      downloadBlob(new Blob([text], { type: mimeType }), fileName);
+      setDone(t("export.done", { count, file: fileName }));
+    } catch (e) {
+      setError(t("export.failed", { message: e?.message || String(e) }));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="export-panel">
+      <h6 className="mb-2">{t("export.title")}</h6>
+      <Row className="g-2 align-items-end">
+        <Col sm={5}>
+          <Form.Group controlId="export-scope">
+            <Form.Label className="review-label">{t("export.scope")}</Form.Label>
+            <Form.Select size="sm" value={scope} onChange={(e) => setScope(e.target.value)}>
+              {SCOPES.map((s) => (
+                <option key={s} value={s}>
+                  {t(`export.scopes.${s}`, { count: subsets[s].length })}
+                </option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+        <Col sm={3}>
+          <Form.Group controlId="export-format">
+            <Form.Label className="review-label">{t("export.format")}</Form.Label>
+            <Form.Select size="sm" value={format} onChange={(e) => setFormat(e.target.value)}>
+              {EXPORT_FORMATS.map((f) => (
+                <option key={f} value={f}>
+                  {t(`export.formats.${f}`)}
+                </option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+        <Col sm={4}>
+          <Button
+            size="sm"
+            variant="outline-primary"
+            className="w-100"
+            onClick={handleExport}
+            disabled={busy || !rows.length}
+          >
+            <FaFileExport className="me-2" />
+            {t("export.button", { count: rows.length })}
+          </Button>
+        </Col>
+      </Row>
+
+      <Form.Check
+        type="switch"
+        id="export-pseudonymize"
+        className="mt-2"
+        label={t("export.pseudonymize")}
+        checked={pseudonymize}
+        onChange={(e) => setPseudonymize(e.target.checked)}
+        disabled={!hashing}
+      />
+      {!hashing ? <Form.Text>{t("export.noWebCrypto")}</Form.Text> : null}
+      {pseudonymize ? (
+        <Form.Group controlId="export-key" className="mt-1">
+          <Form.Control
+            size="sm"
+            type="password"
+            autoComplete="off"
+            placeholder={t("export.keyPlaceholder")}
+            value={key}
+            onChange={(e) => setKey(e.target.value)}
+          />
+          <Form.Text>{t("export.keyHelp")}</Form.Text>
+        </Form.Group>
+      ) : null}
+
+      {error ? (
+        <Alert variant="danger" className="mt-2 mb-0 py-2">
+          {error}
+        </Alert>
+      ) : null}
+      {done ? <div className="export-done">{done}</div> : null}
+    </div>
+  );
+}
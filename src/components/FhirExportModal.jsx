@@ -0,0 +1,160 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Alert, Badge, Button, Form, Modal, Spinner } from "react-bootstrap";
+import { FaDownload, FaPaperPlane } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import { FHIR_ENDPOINT } from "../lib/config.js";
+import {
+  buildFhirBundle,
+  describeFhirError,
+  downloadFhirBundle,
+  fhirFileName,
+  sendFhirBundle,
+} from "../lib/fhir.js";
+
+// Builds the FHIR Bundle for the current result and offers it as a download
+// or sends it to the configured FHIR server.
+export default function FhirExportModal({ show, onHide, result, image, loadModelInfo }) {
+  const { t, formatNumber } = useI18n();
+  const [includeImages, setIncludeImages] = useState(true);
+  const [bundle, setBundle] = useState(null);
+  const [building, setBuilding] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
+  const [sent, setSent] = useState(null);
+
+  useEffect(() => {
+    if (!show || !result) return undefined;
+    let cancelled = false;
+
+    setBuilding(true);
+    setBundle(null);
+    setError("");
+    setSent(null);
+    (async () => {
+      try {
+        const modelInfo = await loadModelInfo();
+        const next = await buildFhirBundle({ result, image, modelInfo, includeImages });
+        if (!cancelled) setBundle(next);
+      } catch (e) {
+        if (!cancelled) setError(t("fhir.buildFailed", { message: e?.message || String(e) }));
+      } finally {
+        if (!cancelled) setBuilding(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [show, result, image, includeImages]);
+
+  async function handleSend() {
+    setSending(true);
+    setError("");
+    setSent(null);
+    try {
+      setSent(await sendFhirBundle(bundle));
+    } catch (e) {
+      setError(t("fhir.sendFailed", { message: describeFhirError(e) }));
+    } finally {
+      setSending(false);
+    }
+  }
+
+  const resourceCounts = useMemo(() => {
+    const counts = {};
+    for (const { resource } of bundle?.entry || []) {
+      counts[resource.resourceType] = (counts[resource.resourceType] || 0) + 1;
+    }
+    return Object.entries(counts);
+  }, [bundle]);
+
+  const sizeKb = useMemo(
+    () => (bundle ? new Blob([JSON.stringify(bundle)]).size / 1024 : 0),
+    [bundle]
+  );
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>{t("fhir.title")}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p className="text-muted" style={{ fontSize: 12 }}>
+          {t("fhir.intro")}
+        </p>
+
+        <Form.Check
+          type="switch"
+          id="fhir-include-images"
+          label={t("fhir.includeImages")}
+          checked={includeImages}
+          onChange={(e) => setIncludeImages(e.target.checked)}
+          disabled={building || sending}
+        />
+
+        {building ? (
+          <div className="fhir-status">
+            <Spinner animation="border" size="sm" />
+            <span>{t("fhir.building")}</span>
+          </div>
+        ) : bundle ? (
+          <div className="fhir-status">
+            <span>{t("fhir.resources")}</span>
+            {resourceCounts.map(([type, count]) => (
+              <Badge key={type} bg="light" text="dark">
+                {count > 1 ? `${type} × ${count}` : type}
+              </Badge>
+            ))}
+            <span className="text-muted">
+              {t("fhir.sizeKb", { value: formatNumber(sizeKb, { maximumFractionDigits: 1 }) })}
+            </span>
+          </div>
+        ) : null}
+
+        <div className="fhir-endpoint">
+          {FHIR_ENDPOINT ? (
+            <>
+              {t("fhir.endpoint")} <code>{FHIR_ENDPOINT}</code>
+            </>
+          ) : (
+            t("fhir.noEndpoint")
+          )}
+        </div>
+
+        {error ? (
+          <Alert variant="danger" className="mt-3 mb-0">
+            {error}
+          </Alert>
+        ) : null}
+
+        {sent ? (
+          <Alert variant="success" className="mt-3 mb-0">
+            {t("fhir.sent", { created: sent.created, count: sent.total })}
+          </Alert>
+        ) : null}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button
+          variant="outline-primary"
+          onClick={() => downloadFhirBundle(bundle, fhirFileName(result))}
+          disabled={!bundle}
+        >
+          <FaDownload className="me-2" />
+          {t("fhir.download")}
+        </Button>
+        <Button
+          variant="primary"
+          onClick={handleSend}
+          disabled={!bundle || !FHIR_ENDPOINT || sending}
+        >
+          {sending ? (
+            <Spinner animation="border" size="sm" className="me-2" />
+          ) : (
+            <FaPaperPlane className="me-2" />
+          )}
+          {sending ? t("fhir.sending") : t("fhir.send")}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
@@ -0,0 +1,226 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Button, ButtonGroup, Form } from "react-bootstrap";
+import { FaCompress, FaExpand, FaSearchMinus, FaSearchPlus, FaUndo } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import useImageSrc from "../hooks/useImageSrc.js";
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 8;
+const IDENTITY = { scale: 1, x: 0, y: 0 };
+
+const clampScale = (s) => Math.max(MIN_SCALE, Math.min(MAX_SCALE, s));
+
+// One viewport. Every pane receives the same transform, so zooming or
+// panning any of them keeps original, Grad-CAM and preprocessed in sync.
+function ZoomPane({ label, transform, onTransform, children }) {
+  const ref = useRef(null);
+  const drag = useRef(null);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return undefined;
+
+    // Registered manually: React's onWheel is passive and cannot preventDefault.
+    const onWheel = (e) => {
+      e.preventDefault();
+      onTransform((t) => {
+        const scale = clampScale(t.scale * Math.exp(-e.deltaY * 0.0015));
+        return scale === MIN_SCALE ? IDENTITY : { ...t, scale };
+      });
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, [onTransform]);
+
+  function onPointerDown(e) {
+    if (transform.scale === MIN_SCALE) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current = { x: e.clientX, y: e.clientY };
+  }
+
+  function onPointerMove(e) {
+    if (!drag.current) return;
+    const dx = e.clientX - drag.current.x;
+    const dy = e.clientY - drag.current.y;
+    drag.current = { x: e.clientX, y: e.clientY };
+    onTransform((t) => ({ ...t, x: t.x + dx, y: t.y + dy }));
+  }
+
+  function onPointerUp() {
+    drag.current = null;
+  }
+
+  return (
+    <div className="zoom-pane">
+      {label ? <div className="zoom-pane-label">{label}</div> : null}
+      <div
+        ref={ref}
+        className={`zoom-viewport ${transform.scale > MIN_SCALE ? "zoomed" : ""}`}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        onDoubleClick={() => onTransform(IDENTITY)}
+      >
+        <div
+          className="zoom-content"
+          style={{
+            transform: `translate(${transform.x}px, ${transform.y}px) scale(${transform.scale})`,
+          }}
+        >
+          {children}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function GradcamViewer({ original, gradcam, enhanced }) {
+  const { t, formatPercent } = useI18n();
+  const originalSrc = useImageSrc(original);
+  const containerRef = useRef(null);
+
+  const [mode, setMode] = useState(original ? "overlay" : "side");
+  const [opacity, setOpacity] = useState(50);
+  const [split, setSplit] = useState(50);
+  const [transform, setTransform] = useState(IDENTITY);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+
+  useEffect(() => {
+    const onChange = () => setIsFullscreen(document.fullscreenElement === containerRef.current);
+    document.addEventListener("fullscreenchange", onChange);
+    return () => document.removeEventListener("fullscreenchange", onChange);
+  }, []);
+
+  // Reset the view when a different result is shown.
+  useEffect(() => {
+    setTransform(IDENTITY);
+  }, [gradcam, originalSrc]);
+
+  const zoomBy = useCallback((factor) => {
+    setTransform((t) => {
+      const scale = clampScale(t.scale * factor);
+      return scale === MIN_SCALE ? IDENTITY : { ...t, scale };
+    });
+  }, []);
+
+  function toggleFullscreen() {
+    if (document.fullscreenElement) {
+      document.exitFullscreen?.();
+    } else {
+      containerRef.current?.requestFullscreen?.();
+    }
+  }
+
+  const canCompare = Boolean(originalSrc);
+  const activeMode = canCompare ? mode : "side";
+
+  return (
+    <div ref={containerRef} className={`gradcam-viewer ${isFullscreen ? "fullscreen" : ""}`}>
+      <div className="gradcam-toolbar">
+        <ButtonGroup size="sm">
+          <Button
+            variant={activeMode === "overlay" ? "primary" : "outline-primary"}
+            onClick={() => setMode("overlay")}
+            disabled={!canCompare}
+          >
+            {t("viewer.overlay")}
+          </Button>
+          <Button
+            variant={activeMode === "swipe" ? "primary" : "outline-primary"}
+            onClick={() => setMode("swipe")}
+            disabled={!canCompare}
+          >
+            {t("viewer.swipe")}
+          </Button>
+          <Button
+            variant={activeMode === "side" ? "primary" : "outline-primary"}
+            onClick={() => setMode("side")}
+          >
+            {t("viewer.side")}
+          </Button>
+        </ButtonGroup>
+
+        <ButtonGroup size="sm">
+          <Button variant="outline-secondary" onClick={() => zoomBy(1.5)} aria-label={t("viewer.zoomIn")}>
+            <FaSearchPlus />
+          </Button>
+          <Button variant="outline-secondary" onClick={() => zoomBy(1 / 1.5)} aria-label={t("viewer.zoomOut")}>
+            <FaSearchMinus />
+          </Button>
+          <Button
+            variant="outline-secondary"
+            onClick={() => setTransform(IDENTITY)}
+            aria-label={t("viewer.resetZoom")}
+          >
+            <FaUndo />
+          </Button>
+          <Button
+            variant="outline-secondary"
+            onClick={toggleFullscreen}
+            aria-label={isFullscreen ? t("viewer.exitFullscreen") : t("viewer.fullscreen")}
+          >
+            {isFullscreen ? <FaCompress /> : <FaExpand />}
+          </Button>
+        </ButtonGroup>
+      </div>
+
+      {activeMode === "overlay" ? (
+        <>
+          <ZoomPane transform={transform} onTransform={setTransform}>
+            <img src={originalSrc} alt={t("viewer.original")} draggable={false} />
+            <img
+              src={gradcam}
+              alt={t("viewer.gradcamOverlay")}
+              className="zoom-layer"
+              style={{ opacity: opacity / 100 }}
+              draggable={false}
+            />
+          </ZoomPane>
+          <Form.Label className="gradcam-slider-label">
+            {t("viewer.opacity", { value: formatPercent(opacity, 0) })}
+          </Form.Label>
+          <Form.Range value={opacity} onChange={(e) => setOpacity(Number(e.target.value))} />
+        </>
+      ) : activeMode === "swipe" ? (
+        <>
+          <ZoomPane transform={transform} onTransform={setTransform}>
+            <img src={originalSrc} alt={t("viewer.original")} draggable={false} />
+            <img
+              src={gradcam}
+              alt={t("viewer.gradcam")}
+              className="zoom-layer"
+              style={{ clipPath: `inset(0 0 0 ${split}%)` }}
+              draggable={false}
+            />
+            <div className="swipe-divider" style={{ left: `${split}%` }} />
+          </ZoomPane>
+          <Form.Label className="gradcam-slider-label">
+            {t("viewer.swipeLabel", { value: formatPercent(split, 0) })}
+          </Form.Label>
+          <Form.Range value={split} onChange={(e) => setSplit(Number(e.target.value))} />
+        </>
+      ) : (
+        <div className="zoom-grid">
+          {originalSrc ? (
+            <ZoomPane label={t("viewer.original")} transform={transform} onTransform={setTransform}>
+              <img src={originalSrc} alt={t("viewer.original")} draggable={false} />
+            </ZoomPane>
+          ) : null}
+          <ZoomPane label={t("viewer.gradcam")} transform={transform} onTransform={setTransform}>
+            <img src={gradcam} alt={t("viewer.gradcam")} draggable={false} />
+          </ZoomPane>
+          {enhanced ? (
+            <ZoomPane label={t("viewer.preprocessed")} transform={transform} onTransform={setTransform}>
+              <img src={enhanced} alt={t("preprocess.alt")} draggable={false} />
+            </ZoomPane>
+          ) : null}
+        </div>
+      )}
+
+      <p className="text-muted mt-2 mb-0" style={{ fontSize: 12 }}>
+        {t("viewer.help")}
+      </p>
+    </div>
+  );
+}
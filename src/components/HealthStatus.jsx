@@ -0,0 +1,103 @@
+import React from "react";
+import { Button, OverlayTrigger, Popover } from "react-bootstrap";
+import { FaHeartbeat } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import { HEALTH_HISTORY_LIMIT, summarizeHistory } from "../lib/healthMonitor.js";
+
+const SPARK_WIDTH = 200;
+const SPARK_HEIGHT = 40;
+const STATE_COLORS = { ready: "#48bb78", loading: "#4299e1", noModel: "#ecc94b", offline: "#f56565" };
+
+// One bar per check, oldest on the left: height is the latency relative to
+// the slowest answer in view, failed checks are full-height red bars.
+function Sparkline({ history }) {
+  const slot = SPARK_WIDTH / HEALTH_HISTORY_LIMIT;
+  const slowest = Math.max(1, ...history.map((c) => c.latency_ms || 0));
+  const offset = HEALTH_HISTORY_LIMIT - history.length;
+  return (
+    <svg
+      className="health-sparkline"
+      viewBox={`0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`}
+      width={SPARK_WIDTH}
+      height={SPARK_HEIGHT}
+      aria-hidden="true"
+    >
+      {history.map((c, i) => {
+        const h =
+          c.state === "offline" ? SPARK_HEIGHT : Math.max(2, (c.latency_ms / slowest) * SPARK_HEIGHT);
+        return (
+          <rect
+            key={c.at}
+            x={(offset + i) * slot + 0.5}
+            y={SPARK_HEIGHT - h}
+            width={Math.max(1, slot - 1)}
+            height={h}
+            fill={STATE_COLORS[c.state]}
+            opacity={c.state === "offline" ? 0.5 : 1}
+          />
+        );
+      })}
+    </svg>
+  );
+}
+
+// Header button with the recent health-check history in a popover.
+export default function HealthStatus({ monitor, hidden, online, nextCheckAt, onRecheck }) {
+  const { t, formatDate, formatNumber, formatPercent } = useI18n();
+  const { history, state, previous, changedAt } = monitor;
+  const summary = summarizeHistory(history);
+  const ms = (v) => (v === null ? t("common.na") : t("health.ms", { value: formatNumber(Math.round(v)) }));
+  const time = (v) => formatDate(v, { timeStyle: "medium" });
+
+  const popover = (
+    <Popover id="health-popover" className="health-popover">
+      <Popover.Header>{t("health.title")}</Popover.Header>
+      <Popover.Body>
+        {history.length ? (
+          <>
+            <Sparkline history={history} />
+            <dl className="health-stats">
+              <dt>{t("health.uptime")}</dt>
+              <dd>{t("health.uptimeValue", { value: formatPercent(summary.uptime * 100), count: summary.checks })}</dd>
+              <dt>{t("health.latency")}</dt>
+              <dd>{t("health.latencyValue", { last: ms(summary.lastLatency), mean: ms(summary.meanLatency) })}</dd>
+              <dt>{t("health.lastChange")}</dt>
+              <dd>
+                {previous
+                  ? t("health.changed", {
+                      from: t(`health.states.${previous}`),
+                      to: t(`health.states.${state}`),
+                      time: time(changedAt),
+                    })
+                  : t("health.since", { state: t(`health.states.${state}`), time: time(changedAt) })}
+              </dd>
+            </dl>
+          </>
+        ) : (
+          <p className="mb-2">{t("health.noChecks")}</p>
+        )}
+        <div className="health-next">
+          {!online
+            ? t("health.pausedOffline")
+            : hidden
+            ? t("health.pausedHidden")
+            : nextCheckAt
+            ? t("health.nextCheck", { time: time(nextCheckAt) })
+            : ""}
+        </div>
+        <Button size="sm" variant="outline-primary" className="mt-2" onClick={onRecheck} disabled={!online}>
+          {t("health.checkNow")}
+        </Button>
+      </Popover.Body>
+    </Popover>
+  );
+
+  return (
+    <OverlayTrigger trigger="click" placement="bottom-start" rootClose overlay={popover}>
+      <Button variant="outline-light" size="sm" className="health-toggle" aria-label={t("health.title")}>
+        <FaHeartbeat className="me-1" aria-hidden="true" />
+        {summary.lastLatency !== null ? ms(summary.lastLatency) : t("health.status")}
+      </Button>
+    </OverlayTrigger>
+  );
+}
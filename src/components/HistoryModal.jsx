@@ -0,0 +1,264 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Alert, Button, Col, Form, Modal, Row, Spinner } from "react-bootstrap";
+import { FaTrash } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import ExportPanel from "./ExportPanel.jsx";
+import { deleteHistoryEntry, listHistoryEntries } from "../lib/historyStore.js";
+import { purgeLocalData } from "../lib/localData.js";
+import { SEVERITY_CLASSES, getSeverityGradient } from "../lib/normalize.js";
+
+export default function HistoryModal({ show, onHide, onOpen, onPurged }) {
+  const { t, classLabel, eyeLabel, formatDate, formatPercent } = useI18n();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const [query, setQuery] = useState("");
+  const [classFilter, setClassFilter] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  useEffect(() => {
+    if (!show) return;
+    let cancelled = false;
+
+    setLoading(true);
+    setError("");
+    setSelectedIds(new Set());
+    listHistoryEntries()
+      .then((list) => {
+        if (!cancelled) setEntries(list);
+      })
+      .catch((e) => {
+        if (!cancelled) setError(e?.message || t("history.readFailed"));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [show]);
+
+  const filtered = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    // Date inputs are local calendar days; compare against local midnight.
+    const from = fromDate ? new Date(`${fromDate}T00:00:00`).getTime() : null;
+    const to = toDate ? new Date(`${toDate}T23:59:59.999`).getTime() : null;
+
+    return entries.filter((e) => {
+      if (classFilter && e.class !== classFilter) return false;
+      const time = new Date(e.timestamp).getTime();
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+      if (!q) return true;
+      return [e.case_reference, e.session_id]
+        .filter(Boolean)
+        .some((v) => String(v).toLowerCase().includes(q));
+    });
+  }, [entries, query, classFilter, fromDate, toDate]);
+
+  const selected = useMemo(
+    () => entries.filter((e) => selectedIds.has(e.id)),
+    [entries, selectedIds]
+  );
+  const allShownSelected = filtered.length > 0 && filtered.every((e) => selectedIds.has(e.id));
+
+  function toggleSelected(id) {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  function toggleShown() {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      for (const e of filtered) {
+        if (allShownSelected) next.delete(e.id);
+        else next.add(e.id);
+      }
+      return next;
+    });
+  }
+
+  async function handleDelete(id) {
+    try {
+      await deleteHistoryEntry(id);
+      setEntries((prev) => prev.filter((e) => e.id !== id));
+      setSelectedIds((prev) => {
+        const next = new Set(prev);
+        next.delete(id);
+        return next;
+      });
+    } catch (e) {
+      setError(e?.message || t("history.deleteFailed"));
+    }
+  }
+
+  async function handlePurge() {
+    if (!window.confirm(t("history.confirmPurge"))) return;
+    try {
+      await purgeLocalData();
+      setEntries([]);
+      setSelectedIds(new Set());
+      onPurged?.();
+    } catch (e) {
+      setError(e?.message || t("history.purgeFailed"));
+    }
+  }
+
+  return (
+    <Modal show={show} onHide={onHide} centered size="lg" scrollable>
+      <Modal.Header closeButton>
+        <Modal.Title>{t("history.title")}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p className="text-muted" style={{ fontSize: 12 }}>
+          {t("history.localOnly")}
+        </p>
+
+        <Row className="g-2 mb-3">
+          <Col md={4}>
+            <Form.Control
+              size="sm"
+              placeholder={t("history.search")}
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+            />
+          </Col>
+          <Col md={3}>
+            <Form.Select
+              size="sm"
+              value={classFilter}
+              onChange={(e) => setClassFilter(e.target.value)}
+            >
+              <option value="">{t("history.allClasses")}</option>
+              {SEVERITY_CLASSES.map((c) => (
+                <option key={c} value={c}>
+                  {classLabel(c)}
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col md={5} className="d-flex gap-2">
+            <Form.Control
+              size="sm"
+              type="date"
+              aria-label={t("history.fromDate")}
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+            />
+            <Form.Control
+              size="sm"
+              type="date"
+              aria-label={t("history.toDate")}
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
+            />
+          </Col>
+        </Row>
+
+        {error ? (
+          <Alert variant="danger">
+            <strong>{t("common.error")}</strong> {error}
+          </Alert>
+        ) : null}
+
+        {loading ? (
+          <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+            <Spinner animation="border" size="sm" />
+            <span>{t("history.loading")}</span>
+          </div>
+        ) : filtered.length ? (
+          <>
+            <Form.Check
+              id="history-select-shown"
+              className="history-select-all"
+              label={t("history.selectShown", { count: filtered.length })}
+              checked={allShownSelected}
+              onChange={toggleShown}
+            />
+            <ul className="history-list">
+              {filtered.map((e) => (
+                <li key={e.id} className="history-item">
+                  <Form.Check
+                    aria-label={t("history.selectEntry")}
+                    checked={selectedIds.has(e.id)}
+                    onChange={() => toggleSelected(e.id)}
+                  />
+                  {e.thumbnail ? (
+                    <img src={e.thumbnail} alt="" className="history-thumb" />
+                  ) : (
+                    <div className="history-thumb" />
+                  )}
+                  <div className="history-meta">
+                    <div>
+                      <span
+                        className="history-class"
+                        style={{ background: getSeverityGradient(e.class) }}
+                      >
+                        {classLabel(e.class) || t("common.unknown")}
+                      </span>{" "}
+                      {formatPercent(e.confidence)}
+                      {e.result?.review ? (
+                        <span className="history-reviewed">
+                          {" "}
+                          •{" "}
+                          {e.result.review.decision === "overridden"
+                            ? t("history.overridden", { grade: classLabel(e.result.review.grade) })
+                            : t("history.reviewed")}
+                        </span>
+                      ) : null}
+                    </div>
+                    <div className="history-sub">
+                      {formatDate(e.timestamp)}
+                      {e.case_reference ? <> • {t("common.case", { reference: e.case_reference })}</> : null}
+                      {e.laterality ? <> • {eyeLabel(e.laterality)}</> : null}
+                    </div>
+                    {e.session_id ? (
+                      <div className="history-sub" style={{ fontFamily: "monospace" }}>
+                        {e.session_id}
+                      </div>
+                    ) : null}
+                  </div>
+                  <div className="history-actions">
+                    <Button size="sm" variant="outline-primary" onClick={() => onOpen(e)}>
+                      {t("common.open")}
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline-danger"
+                      aria-label={t("history.deleteEntry")}
+                      onClick={() => handleDelete(e.id)}
+                    >
+                      <FaTrash />
+                    </Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          <p className="text-muted mb-0">
+            {entries.length ? t("history.noMatches") : t("history.empty")}
+          </p>
+        )}
+
+        {entries.length ? <ExportPanel entries={entries} shown={filtered} selected={selected} /> : null}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="outline-danger" onClick={handlePurge} disabled={!entries.length}>
+          {t("history.purgeAll")}
+        </Button>
+        <Button variant="secondary" onClick={onHide}>
+          {t("common.close")}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
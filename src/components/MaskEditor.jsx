@@ -0,0 +1,115 @@
+import React, { useRef, useState } from "react";
+import { Button } from "react-bootstrap";
+import { FaEraser, FaTimes, FaVectorSquare } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import { normalizeMask } from "../lib/deidentify.js";
+
+const pct = (v) => `${v * 100}%`;
+
+// Preview with draggable black rectangles for covering burned-in text
+// (camera overlays with names, dates, IDs). Masks are fractions of the image
+// size so they survive any display scaling; applyMasks() paints them in.
+export default function MaskEditor({ src, alt, masks, onChange, disabled }) {
+  const { t } = useI18n();
+  const layerRef = useRef(null);
+  const [drawing, setDrawing] = useState(false);
+  const [draft, setDraft] = useState(null);
+
+  function pointAt(e) {
+    const box = layerRef.current.getBoundingClientRect();
+    return {
+      x: Math.max(0, Math.min(1, (e.clientX - box.left) / box.width)),
+      y: Math.max(0, Math.min(1, (e.clientY - box.top) / box.height)),
+    };
+  }
+
+  function onPointerDown(e) {
+    if (!drawing || disabled) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const p = pointAt(e);
+    setDraft({ x: p.x, y: p.y, width: 0, height: 0 });
+  }
+
+  function onPointerMove(e) {
+    if (!draft) return;
+    const p = pointAt(e);
+    setDraft((d) => ({ ...d, width: p.x - d.x, height: p.y - d.y }));
+  }
+
+  function onPointerUp() {
+    if (!draft) return;
+    const mask = normalizeMask(draft);
+    setDraft(null);
+    if (mask) onChange([...masks, mask]);
+  }
+
+  const preview = draft ? normalizeMask(draft) : null;
+
+  return (
+    <div className="mask-editor">
+      <div className="mask-stage">
+        <img src={src} alt={alt} className="preview-image-modern" draggable={false} />
+        <div
+          ref={layerRef}
+          className={`mask-layer ${drawing ? "drawing" : ""}`}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={() => setDraft(null)}
+        >
+          {masks.map((m, i) => (
+            <div
+              key={`${m.x}-${m.y}-${i}`}
+              className="mask-rect"
+              style={{ left: pct(m.x), top: pct(m.y), width: pct(m.width), height: pct(m.height) }}
+            >
+              {!disabled ? (
+                <button
+                  type="button"
+                  className="mask-remove"
+                  aria-label={t("mask.remove")}
+                  onPointerDown={(e) => e.stopPropagation()}
+                  onClick={() => onChange(masks.filter((_, j) => j !== i))}
+                >
+                  <FaTimes />
+                </button>
+              ) : null}
+            </div>
+          ))}
+          {preview ? (
+            <div
+              className="mask-rect draft"
+              style={{
+                left: pct(preview.x),
+                top: pct(preview.y),
+                width: pct(preview.width),
+                height: pct(preview.height),
+              }}
+            />
+          ) : null}
+        </div>
+      </div>
+
+      <div className="mask-toolbar">
+        <Button
+          size="sm"
+          variant={drawing ? "dark" : "outline-secondary"}
+          onClick={() => setDrawing((v) => !v)}
+          disabled={disabled}
+        >
+          <FaVectorSquare className="me-1" />
+          {drawing ? t("mask.done") : t("mask.region")}
+        </Button>
+        {masks.length ? (
+          <Button size="sm" variant="outline-secondary" onClick={() => onChange([])} disabled={disabled}>
+            <FaEraser className="me-1" />
+            {t("mask.clear", { count: masks.length })}
+          </Button>
+        ) : null}
+      </div>
+      {drawing ? (
+        <div className="mask-hint">{t("mask.hint")}</div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import React from "react";
+import { Badge, Button, Spinner } from "react-bootstrap";
+import { FaCloudUploadAlt, FaRedo, FaTrash } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+
+// Uploads waiting in the offline outbox and the state of the last sync.
+export default function OutboxPanel({ outbox, offline }) {
+  const { t, formatDate } = useI18n();
+  const { items, pending, syncing, lastSync, storeError } = outbox;
+  if (!items.length && !lastSync?.submitted) return null;
+
+  const status = syncing
+    ? t("outbox.syncing")
+    : offline
+    ? t("outbox.waiting")
+    : lastSync
+    ? t("outbox.lastSync", { count: lastSync.submitted, time: formatDate(lastSync.at, { timeStyle: "short" }) })
+    : "";
+
+  return (
+    <div className="outbox-panel" role="status">
+      <div className="outbox-header">
+        <FaCloudUploadAlt aria-hidden="true" />
+        <strong>{t("outbox.title")}</strong>
+        <Badge bg={pending ? "warning" : "success"} text={pending ? "dark" : undefined}>
+          {t("outbox.pending", { count: pending })}
+        </Badge>
+        {syncing ? <Spinner animation="border" size="sm" /> : null}
+        <Button
+          size="sm"
+          variant="outline-primary"
+          className="ms-auto"
+          onClick={outbox.sync}
+          disabled={syncing || offline || !pending}
+        >
+          {t("outbox.syncNow")}
+        </Button>
+      </div>
+      {status ? <div className="outbox-status">{status}</div> : null}
+      {storeError ? <div className="outbox-error">{storeError}</div> : null}
+
+      {items.length ? (
+        <ul className="outbox-list">
+          {items.map((item) => (
+            <li key={item.id} className={item.status === "failed" ? "outbox-failed" : ""}>
+              <span className="outbox-name">
+                {item.meta?.case_reference || item.name || t("outbox.unnamed")}
+              </span>
+              <span className="text-muted">{formatDate(item.created_at)}</span>
+              {item.last_error ? <span className="outbox-item-error">{item.last_error}</span> : null}
+              <span className="outbox-actions">
+                {item.status === "failed" ? (
+                  <Button
+                    size="sm"
+                    variant="link"
+                    className="p-0"
+                    title={t("outbox.retry")}
+                    aria-label={t("outbox.retry")}
+                    onClick={() => outbox.retry(item)}
+                  >
+                    <FaRedo />
+                  </Button>
+                ) : null}
+                <Button
+                  size="sm"
+                  variant="link"
+                  className="p-0 text-danger"
+                  title={t("outbox.discard")}
+                  aria-label={t("outbox.discard")}
+                  disabled={syncing}
+                  onClick={() => outbox.remove(item.id)}
+                >
+                  <FaTrash />
+                </Button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,347 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Badge, Button, Col, Form, Row, Spinner } from "react-bootstrap";
+import { useDropzone } from "react-dropzone";
+import { FaBrain, FaUpload } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import MaskEditor from "./MaskEditor.jsx";
+import QualityPanel from "./QualityPanel.jsx";
+import { EYES } from "../lib/paired.js";
+import { applyMasks, scrubSummary } from "../lib/deidentify.js";
+import { assessImageQuality, makeQualityRecord } from "../lib/imageQuality.js";
+import { describePrepReport, prepareUpload } from "../lib/imagePrep.js";
+import {
+  ACCEPTED_IMAGE_TYPES,
+  analyzeImage,
+  describePredictError,
+  validateImageFile,
+} from "../lib/predict.js";
+
+const EMPTY_EYE = {
+  file: null,
+  preview: null,
+  report: null,
+  dicom: null,
+  masks: [],
+  quality: null,
+  qualityLoading: false,
+  qualityError: "",
+  qualityOverride: false,
+  status: "idle",
+  error: "",
+};
+
+// Same gate as single-image mode: a failed quality check blocks the exam
+// until the operator overrides it for that eye.
+const qualityBlocks = (state) =>
+  state.qualityLoading || (state.quality && !state.quality.passed && !state.qualityOverride);
+
+function EyeSlot({ eye, state, onFile, onClear, onMasks, onOverride, disabled }) {
+  const { t, eyeLabel } = useI18n();
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop: (accepted) => accepted[0] && onFile(eye, accepted[0]),
+    accept: ACCEPTED_IMAGE_TYPES,
+    multiple: false,
+    disabled: disabled || state.status === "preparing",
+  });
+
+  return (
+    <div className="eye-slot">
+      <div className="eye-slot-label">
+        {eyeLabel(eye)}
+        {state.status === "analyzing" ? (
+          <Badge bg="info">{t("paired.status.analyzing")}</Badge>
+        ) : state.status === "done" ? (
+          <Badge bg="success">{t("paired.status.done")}</Badge>
+        ) : state.status === "failed" ? (
+          <Badge bg="danger">{t("paired.status.failed")}</Badge>
+        ) : null}
+      </div>
+
+      {state.preview ? (
+        <div className="eye-slot-preview">
+          <MaskEditor
+            src={state.preview}
+            alt={t("paired.previewAlt", { eye: eyeLabel(eye) })}
+            masks={state.masks}
+            onChange={(masks) => onMasks(eye, masks)}
+            disabled={disabled}
+          />
+          {state.report ? (
+            <div className="prep-report" title={state.report.originalName}>
+              {describePrepReport(state.report)}
+            </div>
+          ) : null}
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0"
+            onClick={() => onClear(eye)}
+            disabled={disabled}
+          >
+            {t("common.remove")}
+          </Button>
+        </div>
+      ) : (
+        <div
+          {...getRootProps()}
+          className={`dropzone-modern eye-dropzone ${isDragActive ? "active" : ""}`}
+        >
+          <input {...getInputProps()} />
+          <div className="dropzone-content">
+            {state.status === "preparing" ? (
+              <>
+                <Spinner animation="border" size="sm" />
+                <p className="mb-0 mt-2">{t("common.preparingImage")}</p>
+              </>
+            ) : (
+              <>
+                <FaUpload className="upload-icon" />
+                <p className="mb-0">{t("paired.dropEye", { eye })}</p>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {state.file ? (
+        <QualityPanel
+          id={`quality-override-${eye}`}
+          quality={state.quality}
+          loading={state.qualityLoading}
+          error={state.qualityError}
+          override={state.qualityOverride}
+          onOverrideChange={(value) => onOverride(eye, value)}
+          disabled={disabled}
+        />
+      ) : null}
+
+      {state.dicom?.laterality && state.dicom.laterality !== eye ? (
+        <div className="eye-slot-error">
+          {t("paired.lateralityMismatch", { eye: eyeLabel(state.dicom.laterality) })}
+        </div>
+      ) : null}
+      {state.error ? <div className="eye-slot-error">{state.error}</div> : null}
+    </div>
+  );
+}
+
+export default function PairedExam({
+  cooldownUntil,
+  onCooldown,
+  backendNotReady,
+  onResults,
+}) {
+  const { t } = useI18n();
+  const [eyes, setEyes] = useState({ OD: EMPTY_EYE, OS: EMPTY_EYE });
+  const [caseReference, setCaseReference] = useState("");
+  const [wantGradcam, setWantGradcam] = useState(false);
+  const [isPreprocessed, setIsPreprocessed] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const updateEye = useCallback((eye, patch) => {
+    setEyes((prev) => ({ ...prev, [eye]: { ...prev[eye], ...patch } }));
+  }, []);
+
+  // Per-eye replacement revokes its own preview; this only covers unmount.
+  const eyesRef = useRef(eyes);
+  eyesRef.current = eyes;
+  useEffect(() => {
+    return () => {
+      EYES.forEach((eye) => {
+        if (eyesRef.current[eye].preview) URL.revokeObjectURL(eyesRef.current[eye].preview);
+      });
+    };
+  }, []);
+
+  // Bumped per eye so a slow prepareUpload() cannot overwrite a newer drop.
+  const prepSeq = useRef({ OD: 0, OS: 0 });
+
+  function replaceEye(eye, next) {
+    setEyes((prev) => {
+      if (prev[eye].preview) URL.revokeObjectURL(prev[eye].preview);
+      return { ...prev, [eye]: next };
+    });
+  }
+
+  async function setEyeFile(eye, file) {
+    const seq = ++prepSeq.current[eye];
+    const invalid = validateImageFile(file);
+    if (invalid) {
+      replaceEye(eye, { ...EMPTY_EYE, status: "failed", error: invalid });
+      return;
+    }
+
+    replaceEye(eye, { ...EMPTY_EYE, status: "preparing" });
+    try {
+      const { file: prepared, report, dicom } = await prepareUpload(file);
+      if (seq !== prepSeq.current[eye]) return;
+      replaceEye(eye, {
+        ...EMPTY_EYE,
+        file: prepared,
+        report,
+        dicom,
+        preview: URL.createObjectURL(prepared),
+        qualityLoading: true,
+      });
+      if (dicom?.pseudonym) {
+        setCaseReference((prev) => (prev.trim() ? prev : dicom.pseudonym));
+      }
+      try {
+        const quality = await assessImageQuality(prepared);
+        if (seq === prepSeq.current[eye]) updateEye(eye, { quality, qualityLoading: false });
+      } catch (e) {
+        if (seq === prepSeq.current[eye]) {
+          updateEye(eye, {
+            qualityError: e?.message || t("errors.unknown"),
+            qualityLoading: false,
+          });
+        }
+      }
+    } catch (e) {
+      if (seq !== prepSeq.current[eye]) return;
+      replaceEye(eye, {
+        ...EMPTY_EYE,
+        status: "failed",
+        error: e?.message || t("errors.unreadableImage"),
+      });
+    }
+  }
+
+  function clearEye(eye) {
+    prepSeq.current[eye] += 1;
+    setEyes((prev) => {
+      if (prev[eye].preview) URL.revokeObjectURL(prev[eye].preview);
+      return { ...prev, [eye]: EMPTY_EYE };
+    });
+  }
+
+  const isCoolingDown = cooldownUntil > Date.now();
+  const loadedEyes = EYES.filter((eye) => eyes[eye].file);
+  const preparing = EYES.some((eye) => eyes[eye].status === "preparing");
+  const qualityBlocked = loadedEyes.some((eye) => qualityBlocks(eyes[eye]));
+
+  async function handleAnalyzeBoth() {
+    if (busy || preparing || qualityBlocked || !loadedEyes.length) return;
+
+    setBusy(true);
+    const outcomes = await Promise.all(
+      loadedEyes.map(async (eye) => {
+        const { file, masks, quality, qualityOverride } = eyes[eye];
+        updateEye(eye, { status: "analyzing", error: "" });
+        try {
+          // Masks are burned into the pixels, as in single-image mode.
+          const upload = await applyMasks(file, masks);
+          const { result, error, gradcamNotice } = await analyzeImage(upload, {
+            gradcam: wantGradcam,
+            preprocessed: isPreprocessed,
+          });
+          if (!result) {
+            updateEye(eye, { status: "failed", error });
+            return [eye, { file, result: null, error }];
+          }
+          updateEye(eye, { status: "done" });
+          return [
+            eye,
+            {
+              file: upload,
+              result: {
+                ...result,
+                laterality: eye,
+                deidentification: scrubSummary(upload, masks.length),
+                quality: makeQualityRecord(quality, qualityOverride),
+              },
+              gradcamNotice,
+              error: "",
+            },
+          ];
+        } catch (e) {
+          const { message, cooldownMs } = describePredictError(e);
+          if (cooldownMs) onCooldown(cooldownMs);
+          updateEye(eye, { status: "failed", error: message });
+          return [eye, { file, result: null, error: message }];
+        }
+      })
+    );
+    setBusy(false);
+
+    onResults({
+      ...Object.fromEntries(outcomes),
+      caseReference: caseReference.trim(),
+      gradcamRequested: wantGradcam,
+    });
+  }
+
+  return (
+    <div className="paired-exam">
+      <Row className="g-3">
+        {EYES.map((eye) => (
+          <Col key={eye} xs={6}>
+            <EyeSlot
+              eye={eye}
+              state={eyes[eye]}
+              onFile={setEyeFile}
+              onClear={clearEye}
+              onMasks={(e, masks) => updateEye(e, { masks })}
+              onOverride={(e, value) => updateEye(e, { qualityOverride: value })}
+              disabled={busy}
+            />
+          </Col>
+        ))}
+      </Row>
+
+      <Form.Control
+        className="mt-3"
+        size="sm"
+        placeholder={t("common.caseReferencePlaceholder")}
+        value={caseReference}
+        onChange={(e) => setCaseReference(e.target.value)}
+        disabled={busy}
+      />
+
+      <div className="mt-3" style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+        <Form.Check
+          type="switch"
+          id="paired-gradcam-switch"
+          label={t("common.generateGradcam")}
+          checked={wantGradcam}
+          onChange={(e) => setWantGradcam(e.target.checked)}
+          disabled={busy}
+        />
+        <Form.Check
+          type="switch"
+          id="paired-preprocessed-switch"
+          label={t("common.imagesPreprocessed")}
+          checked={isPreprocessed}
+          onChange={(e) => setIsPreprocessed(e.target.checked)}
+          disabled={busy}
+        />
+      </div>
+
+      <div className="button-group mt-4">
+        <Button
+          variant="primary"
+          size="lg"
+          className="btn-modern btn-analyze"
+          onClick={handleAnalyzeBoth}
+          disabled={
+            busy ||
+            preparing ||
+            qualityBlocked ||
+            isCoolingDown ||
+            backendNotReady ||
+            !loadedEyes.length
+          }
+        >
+          <FaBrain className="me-2" />
+          {isCoolingDown
+            ? t("common.waitSeconds", { seconds: Math.ceil((cooldownUntil - Date.now()) / 1000) })
+            : busy
+            ? t("common.analyzing")
+            : loadedEyes.length === 1
+            ? t("paired.analyzeOne", { eye: loadedEyes[0] })
+            : t("paired.analyzeBoth")}
+        </Button>
+      </div>
+    </div>
+  );
+}
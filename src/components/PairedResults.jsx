@@ -0,0 +1,131 @@
+import React from "react";
+import { Button, Col, Row, Spinner } from "react-bootstrap";
+import { FaCheckCircle, FaFilePdf } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import { getSeverityGradient } from "../lib/normalize.js";
+import { EYES, summarizePairedExam } from "../lib/paired.js";
+import { combineReferrals, evaluateReferral } from "../lib/referral.js";
+import { assessUncertainty } from "../lib/uncertainty.js";
+import ReferralBanner from "./ReferralBanner.jsx";
+
+function EyeResult({ eye, entry, onOpen }) {
+  const { t, classLabel, eyeLabel, formatPercent } = useI18n();
+
+  if (!entry) {
+    return (
+      <div className="eye-result">
+        <div className="eye-result-label">{eyeLabel(eye)}</div>
+        <p className="text-muted mb-0" style={{ fontSize: 12 }}>
+          {t("paired.notSubmitted")}
+        </p>
+      </div>
+    );
+  }
+
+  if (!entry.result) {
+    return (
+      <div className="eye-result">
+        <div className="eye-result-label">{eyeLabel(eye)}</div>
+        <p className="text-danger mb-0" style={{ fontSize: 12 }}>
+          {entry.error || t("errors.predictionFailed")}
+        </p>
+      </div>
+    );
+  }
+
+  const { prediction, all_probabilities: probs } = entry.result;
+  const probEntries = Object.entries(probs || {}).sort((a, b) => (b[1] || 0) - (a[1] || 0));
+
+  return (
+    <div className="eye-result">
+      <div className="eye-result-label">{eyeLabel(eye)}</div>
+      <div className="eye-result-card" style={{ background: getSeverityGradient(prediction.class) }}>
+        <div className="eye-result-class">{classLabel(prediction.class)}</div>
+        <div>{t("common.confidence", { value: formatPercent(prediction.confidence) })}</div>
+        {assessUncertainty(probs)?.uncertain ? (
+          <div className="uncertainty-badge">{t("uncertainty.badge")}</div>
+        ) : null}
+      </div>
+      {probEntries.map(([cls, p]) => {
+        const pct = Math.max(0, Math.min(100, typeof p === "number" ? p : 0));
+        return (
+          <div key={cls} className="eye-prob">
+            <span>{classLabel(cls)}</span>
+            <span>{formatPercent(pct)}</span>
+          </div>
+        );
+      })}
+      <Button variant="link" size="sm" className="p-0 mt-2" onClick={() => onOpen(eye)}>
+        {t("paired.viewDetails")}
+      </Button>
+    </div>
+  );
+}
+
+export default function PairedResults({ exam, onOpenEye, onDownloadReport, reportBusy }) {
+  const { t, classLabel, eyeLabel, formatPercent } = useI18n();
+  const summary = summarizePairedExam({
+    OD: exam.OD?.result,
+    OS: exam.OS?.result,
+  });
+  const referral = combineReferrals(EYES.map((eye) => evaluateReferral(exam[eye]?.result)));
+
+  return (
+    <div className="results-content">
+      <div className="result-header">
+        <FaCheckCircle className="success-icon" />
+        <h3>{t("upload.titlePaired")}</h3>
+        {exam.caseReference ? (
+          <div style={{ fontSize: 12, opacity: 0.9 }}>
+            {t("common.case", { reference: exam.caseReference })}
+          </div>
+        ) : null}
+      </div>
+
+      {summary ? (
+        <div className="diagnosis-card" style={{ background: getSeverityGradient(summary.className) }}>
+          <div style={{ fontSize: 13, opacity: 0.9 }}>{t("paired.patientGrade")}</div>
+          <div className="diagnosis-class">{classLabel(summary.className)}</div>
+          <div className="diagnosis-description">
+            {summary.reviewed
+              ? t("paired.worseEyeReviewed", { eye: eyeLabel(summary.worseEye) })
+              : t("paired.worseEye", {
+                  eye: eyeLabel(summary.worseEye),
+                  confidence: formatPercent(summary.confidence),
+                })}
+          </div>
+          {!summary.complete ? (
+            <div className="diagnosis-description">
+              {t("paired.incomplete")}
+            </div>
+          ) : null}
+        </div>
+      ) : (
+        <p className="text-muted">{t("paired.noPrediction")}</p>
+      )}
+
+      <ReferralBanner referral={referral} title={t("referral.patientTitle")} />
+
+      <Row className="g-3">
+        {EYES.map((eye) => (
+          <Col key={eye} xs={6}>
+            <EyeResult eye={eye} entry={exam[eye]} onOpen={onOpenEye} />
+          </Col>
+        ))}
+      </Row>
+
+      {summary ? (
+        <div className="button-group mt-3">
+          <Button variant="outline-primary" onClick={onDownloadReport} disabled={reportBusy}>
+            {reportBusy ? (
+              <Spinner animation="border" size="sm" className="me-2" />
+            ) : (
+              <FaFilePdf className="me-2" />
+            )}
+            {t("common.downloadReport")}
+          </Button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
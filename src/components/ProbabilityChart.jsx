@@ -0,0 +1,132 @@
+import React, { useMemo, useState } from "react";
+import { Button, ButtonGroup } from "react-bootstrap";
+import { Bar, Doughnut, Radar } from "react-chartjs-2";
+import useI18n from "../i18n/useI18n.js";
+import { withAlpha } from "../lib/charts.js";
+import { SEVERITY_CLASSES, getSeverityColor, getSeverityGradient } from "../lib/normalize.js";
+
+const VIEWS = ["list", "bar", "radar", "doughnut"];
+
+const clampPct = (p) => Math.max(0, Math.min(100, typeof p === "number" ? p : 0));
+
+// Charts read best in clinical severity order; unknown labels go last.
+function severityOrder([a], [b]) {
+  const ra = SEVERITY_CLASSES.indexOf(a);
+  const rb = SEVERITY_CLASSES.indexOf(b);
+  return (ra === -1 ? Infinity : ra) - (rb === -1 ? Infinity : rb);
+}
+
+export default function ProbabilityChart({ probabilities }) {
+  const { lang, t, classLabel, formatPercent } = useI18n();
+  const [view, setView] = useState("list");
+
+  const tooltip = {
+    callbacks: {
+      label: (ctx) => `${ctx.label}: ${formatPercent(ctx.raw)}`,
+    },
+  };
+  const percentTick = (v) => formatPercent(v, 0);
+
+  const sorted = useMemo(
+    () => Object.entries(probabilities || {}).sort((a, b) => (b[1] || 0) - (a[1] || 0)),
+    [probabilities]
+  );
+
+  const chartData = useMemo(() => {
+    const ordered = [...sorted].sort(severityOrder);
+    const colors = ordered.map(([cls]) => getSeverityColor(cls));
+    return {
+      labels: ordered.map(([cls]) => classLabel(cls)),
+      datasets: [
+        {
+          label: t("chart.probability"),
+          data: ordered.map(([, p]) => clampPct(p)),
+          backgroundColor: colors.map((c) => withAlpha(c, 0.8)),
+          borderColor: colors,
+          borderWidth: 1,
+        },
+      ],
+    };
+  }, [sorted, lang, t, classLabel]);
+
+  if (!sorted.length) {
+    return <p className="text-muted mb-0">{t("chart.empty")}</p>;
+  }
+
+  return (
+    <>
+      <ButtonGroup size="sm" className="mb-3">
+        {VIEWS.map((id) => (
+          <Button
+            key={id}
+            variant={view === id ? "primary" : "outline-primary"}
+            onClick={() => setView(id)}
+          >
+            {t(`chart.views.${id}`)}
+          </Button>
+        ))}
+      </ButtonGroup>
+
+      {view === "list" ? (
+        sorted.map(([cls, p]) => {
+          const pct = clampPct(p);
+          return (
+            <div key={cls} className="prob-item">
+              <div className="prob-header">
+                <span className="prob-label">{classLabel(cls)}</span>
+                <span className="prob-value">{formatPercent(pct)}</span>
+              </div>
+              <div className="prob-bar-container">
+                <div
+                  className="prob-bar-fill"
+                  style={{ width: `${pct}%`, background: getSeverityGradient(cls) }}
+                />
+              </div>
+            </div>
+          );
+        })
+      ) : (
+        <div className="prob-chart">
+          {view === "bar" ? (
+            <Bar
+              data={chartData}
+              options={{
+                maintainAspectRatio: false,
+                indexAxis: "y",
+                scales: { x: { min: 0, max: 100, ticks: { callback: percentTick } } },
+                plugins: { legend: { display: false }, tooltip },
+              }}
+            />
+          ) : view === "radar" ? (
+            <Radar
+              data={{
+                ...chartData,
+                datasets: [
+                  {
+                    ...chartData.datasets[0],
+                    backgroundColor: "rgba(102, 126, 234, 0.25)",
+                    borderColor: "#667eea",
+                    pointBackgroundColor: chartData.datasets[0].borderColor,
+                  },
+                ],
+              }}
+              options={{
+                maintainAspectRatio: false,
+                scales: { r: { min: 0, max: 100, ticks: { stepSize: 25 } } },
+                plugins: { legend: { display: false }, tooltip },
+              }}
+            />
+          ) : (
+            <Doughnut
+              data={chartData}
+              options={{
+                maintainAspectRatio: false,
+                plugins: { legend: { position: "right" }, tooltip },
+              }}
+            />
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,77 @@
+import React from "react";
+import { Badge, Form, Spinner } from "react-bootstrap";
+import { FaExclamationTriangle } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+
+export default function QualityPanel({
+  id = "quality-override",
+  quality,
+  loading,
+  error,
+  override,
+  onOverrideChange,
+  disabled,
+}) {
+  const { t } = useI18n();
+
+  if (loading) {
+    return (
+      <div className="quality-panel d-flex align-items-center gap-2 text-muted">
+        <Spinner animation="border" size="sm" />
+        <span>{t("quality.checking")}</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="quality-panel text-muted">
+        {t("quality.unavailable", { error })}
+      </div>
+    );
+  }
+
+  if (!quality) return null;
+
+  const failed = quality.checks.filter((c) => !c.passed);
+
+  return (
+    <div className={`quality-panel ${quality.passed ? "passed" : "failed"}`}>
+      <div className="quality-header">
+        <span>{t("quality.title")}</span>
+        <Badge bg={quality.passed ? "success" : "warning"}>{quality.score}/100</Badge>
+      </div>
+
+      <div className="quality-checks">
+        {quality.checks.map((c) => (
+          <span key={c.id} className={c.passed ? "text-success" : "text-danger"}>
+            {t(`quality.checks.${c.id}`)}:{" "}
+            {c.id === "fov" ? t(c.passed ? "quality.detected" : "quality.notDetected") : c.value}
+          </span>
+        ))}
+      </div>
+
+      {failed.length ? (
+        <ul className="quality-warnings">
+          {failed.map((c) => (
+            <li key={c.id}>
+              <FaExclamationTriangle className="me-1" />
+              {t(`quality.issues.${c.issue}`, c.params)}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+
+      {!quality.passed ? (
+        <Form.Check
+          type="checkbox"
+          id={id}
+          label={t("quality.override")}
+          checked={override}
+          onChange={(e) => onOverrideChange(e.target.checked)}
+          disabled={disabled}
+        />
+      ) : null}
+    </div>
+  );
+}
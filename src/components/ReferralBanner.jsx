@@ -0,0 +1,38 @@
+import React from "react";
+import { FaCalendarCheck, FaExclamationTriangle, FaHospital, FaUserMd } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import { describeReferral } from "../lib/referral.js";
+
+const ICONS = {
+  routine: FaCalendarCheck,
+  refer: FaHospital,
+  urgent: FaExclamationTriangle,
+  indeterminate: FaUserMd,
+};
+
+// Follow-up action derived from the prediction by lib/referral.js.
+export default function ReferralBanner({ referral, title }) {
+  const { t } = useI18n();
+  if (!referral) return null;
+
+  const text = describeReferral(referral);
+  const Icon = ICONS[referral.level];
+
+  return (
+    <div className={`referral-banner referral-${referral.level}`} role="status">
+      <Icon className="referral-icon" aria-hidden="true" />
+      <div>
+        <div className="referral-title">{title || t("referral.title")}</div>
+        <div className="referral-action">{text.action}</div>
+        {text.provisional ? <div className="referral-provisional">{text.provisional}</div> : null}
+        {text.reasons.length ? (
+          <ul className="referral-reasons">
+            {text.reasons.map((r) => (
+              <li key={r}>{r}</li>
+            ))}
+          </ul>
+        ) : null}
+      </div>
+    </div>
+  );
+}
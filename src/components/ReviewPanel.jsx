@@ -0,0 +1,293 @@
+import React, { useRef, useState } from "react";
+import { Alert, Badge, Button, ButtonGroup, Form, Spinner } from "react-bootstrap";
+import { FaEraser, FaPen, FaUserMd } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import useImageSrc from "../hooks/useImageSrc.js";
+import { SEVERITY_CLASSES } from "../lib/normalize.js";
+import {
+  LESION_FINDINGS,
+  loadReviewerName,
+  makeReview,
+  reviewAgrees,
+  saveReviewerName,
+} from "../lib/review.js";
+
+const toPoints = (points) => points.map(([x, y]) => `${x},${y}`).join(" ");
+
+function draftFrom(result) {
+  const review = result?.review;
+  const modelClass = result?.prediction?.class || "";
+  return {
+    decision: review?.decision || "accepted",
+    grade: review?.grade || (SEVERITY_CLASSES.includes(modelClass) ? modelClass : SEVERITY_CLASSES[0]),
+    findings: review?.findings || [],
+    markup: review?.markup || [],
+    notes: review?.notes || "",
+    reviewer: review?.reviewer || loadReviewerName(),
+  };
+}
+
+// Freehand strokes over the result image, stored as fractions of its size.
+function MarkupCanvas({ src, alt, markup, onChange, disabled }) {
+  const layerRef = useRef(null);
+  const [stroke, setStroke] = useState(null);
+
+  function pointAt(e) {
+    const box = layerRef.current.getBoundingClientRect();
+    return [
+      Math.max(0, Math.min(1, (e.clientX - box.left) / box.width)),
+      Math.max(0, Math.min(1, (e.clientY - box.top) / box.height)),
+    ];
+  }
+
+  function onPointerDown(e) {
+    if (disabled) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setStroke([pointAt(e)]);
+  }
+
+  function onPointerMove(e) {
+    if (!stroke) return;
+    const p = pointAt(e);
+    setStroke((s) => [...s, p]);
+  }
+
+  function onPointerUp() {
+    if (!stroke) return;
+    if (stroke.length > 1) onChange([...markup, { points: stroke }]);
+    setStroke(null);
+  }
+
+  return (
+    <div className="mask-stage review-stage">
+      <img src={src} alt={alt} className="preview-image-modern" draggable={false} />
+      <svg
+        ref={layerRef}
+        className={`review-layer ${disabled ? "" : "drawing"}`}
+        viewBox="0 0 1 1"
+        preserveAspectRatio="none"
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={() => setStroke(null)}
+      >
+        {markup.map((s, i) => (
+          <polyline key={i} points={toPoints(s.points)} />
+        ))}
+        {stroke ? <polyline points={toPoints(stroke)} /> : null}
+      </svg>
+    </div>
+  );
+}
+
+// Lets a clinician accept or override the model grade and record findings,
+// markup and notes. `onSave` persists the review and may reject.
+export default function ReviewPanel({ result, image, onSave }) {
+  const { t, classLabel, formatDate } = useI18n();
+  const imageSrc = useImageSrc(image);
+  const review = result?.review || null;
+
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(() => draftFrom(result));
+  const [drawing, setDrawing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const showForm = editing || !review;
+  const update = (patch) => setDraft((d) => ({ ...d, ...patch }));
+
+  function toggleFinding(finding) {
+    setDraft((d) => ({
+      ...d,
+      findings: d.findings.includes(finding)
+        ? d.findings.filter((f) => f !== finding)
+        : [...d.findings, finding],
+    }));
+  }
+
+  function startEdit() {
+    setDraft(draftFrom(result));
+    setError("");
+    setEditing(true);
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    setError("");
+    try {
+      const next = makeReview(result, draft);
+      saveReviewerName(next.reviewer);
+      await onSave(next);
+      setEditing(false);
+      setDrawing(false);
+    } catch (e) {
+      console.error("Could not save review", e);
+      setError(t("review.saveFailed"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (!showForm) {
+    return (
+      <div className="review-panel mt-4">
+        <div className="review-header">
+          <h5 className="mb-0">
+            <FaUserMd className="me-2" />
+            {t("review.title")}
+          </h5>
+          <Badge bg={reviewAgrees(review) ? "success" : "warning"} text="dark">
+            {t(review.decision === "overridden" ? "review.overridden" : "review.accepted")}
+          </Badge>
+        </div>
+        <div className="review-summary">
+          <div>
+            {review.decision === "overridden"
+              ? t("review.overrideSummary", {
+                  model: classLabel(review.model_class),
+                  grade: classLabel(review.grade),
+                })
+              : t("review.acceptedSummary", { grade: classLabel(review.grade) })}
+          </div>
+          {review.findings.length ? (
+            <div>
+              {t("review.findingsList", {
+                findings: review.findings.map((f) => t(`review.lesions.${f}`)).join(", "),
+              })}
+            </div>
+          ) : null}
+          {review.notes ? <div className="review-notes">{review.notes}</div> : null}
+          <div className="text-muted">
+            {t("review.byline", {
+              reviewer: review.reviewer || t("review.anonymous"),
+              date: formatDate(review.reviewed_at),
+            })}
+          </div>
+        </div>
+        {imageSrc && review.markup.length ? (
+          <MarkupCanvas src={imageSrc} alt={t("review.markup")} markup={review.markup} disabled />
+        ) : null}
+        <Button size="sm" variant="outline-primary" className="mt-2" onClick={startEdit}>
+          {t("review.edit")}
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="review-panel mt-4">
+      <div className="review-header">
+        <h5 className="mb-0">
+          <FaUserMd className="me-2" />
+          {t("review.title")}
+        </h5>
+      </div>
+
+      <ButtonGroup size="sm" className="mb-2">
+        <Button
+          variant={draft.decision === "accepted" ? "success" : "outline-success"}
+          onClick={() => update({ decision: "accepted" })}
+        >
+          {t("review.accept")}
+        </Button>
+        <Button
+          variant={draft.decision === "overridden" ? "warning" : "outline-warning"}
+          onClick={() => update({ decision: "overridden" })}
+        >
+          {t("review.override")}
+        </Button>
+      </ButtonGroup>
+
+      {draft.decision === "overridden" ? (
+        <Form.Group className="mb-2" controlId="review-grade">
+          <Form.Label className="review-label">{t("review.grade")}</Form.Label>
+          <Form.Select size="sm" value={draft.grade} onChange={(e) => update({ grade: e.target.value })}>
+            {SEVERITY_CLASSES.map((c) => (
+              <option key={c} value={c}>
+                {classLabel(c)}
+              </option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+      ) : null}
+
+      <div className="review-label">{t("review.findings")}</div>
+      <div className="review-findings mb-2">
+        {LESION_FINDINGS.map((f) => (
+          <Form.Check
+            key={f}
+            inline
+            type="checkbox"
+            id={`review-finding-${f}`}
+            label={t(`review.lesions.${f}`)}
+            checked={draft.findings.includes(f)}
+            onChange={() => toggleFinding(f)}
+          />
+        ))}
+      </div>
+
+      {imageSrc ? (
+        <div className="mb-2">
+          <div className="review-label">{t("review.markup")}</div>
+          <MarkupCanvas
+            src={imageSrc}
+            alt={t("review.markup")}
+            markup={draft.markup}
+            onChange={(markup) => update({ markup })}
+            disabled={!drawing}
+          />
+          <div className="mask-toolbar">
+            <Button size="sm" variant={drawing ? "dark" : "outline-secondary"} onClick={() => setDrawing((v) => !v)}>
+              <FaPen className="me-1" />
+              {drawing ? t("review.doneDrawing") : t("review.draw")}
+            </Button>
+            {draft.markup.length ? (
+              <Button size="sm" variant="outline-secondary" onClick={() => update({ markup: [] })}>
+                <FaEraser className="me-1" />
+                {t("review.clearMarkup", { count: draft.markup.length })}
+              </Button>
+            ) : null}
+          </div>
+        </div>
+      ) : null}
+
+      <Form.Group className="mb-2" controlId="review-notes">
+        <Form.Label className="review-label">{t("review.notes")}</Form.Label>
+        <Form.Control
+          as="textarea"
+          rows={2}
+          size="sm"
+          value={draft.notes}
+          onChange={(e) => update({ notes: e.target.value })}
+        />
+      </Form.Group>
+
+      <Form.Group className="mb-2" controlId="review-reviewer">
+        <Form.Label className="review-label">{t("review.reviewer")}</Form.Label>
+        <Form.Control
+          size="sm"
+          value={draft.reviewer}
+          onChange={(e) => update({ reviewer: e.target.value })}
+        />
+      </Form.Group>
+
+      {error ? (
+        <Alert variant="danger" className="py-2" style={{ fontSize: 12 }}>
+          {error}
+        </Alert>
+      ) : null}
+
+      <div className="d-flex gap-2">
+        <Button size="sm" variant="primary" onClick={handleSave} disabled={saving}>
+          {saving ? <Spinner animation="border" size="sm" className="me-1" /> : null}
+          {t("review.save")}
+        </Button>
+        {review ? (
+          <Button size="sm" variant="outline-secondary" onClick={() => setEditing(false)} disabled={saving}>
+            {t("common.cancel")}
+          </Button>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Line } from "react-chartjs-2";
+import useI18n from "../i18n/useI18n.js";
+import { withAlpha } from "../lib/charts.js";
+import { listHistoryByCase } from "../lib/historyStore.js";
+import { SEVERITY_CLASSES } from "../lib/normalize.js";
+
+const SERIES_COLORS = ["#667eea", "#dc3545", "#20c997"];
+
+// Severity and confidence across visits that share a case reference.
+export default function SeverityTrend({ caseReference, refreshKey }) {
+  const { lang, t, classLabel, eyeLabel, formatDate, formatNumber, formatPercent } = useI18n();
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    listHistoryByCase(caseReference)
+      .then((list) => {
+        if (!cancelled) setEntries(list);
+      })
+      .catch((e) => {
+        console.error("Could not load case history for trend", e);
+        if (!cancelled) setEntries([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [caseReference, refreshKey]);
+
+  const data = useMemo(() => {
+    const labels = entries.map((e) => formatDate(e.timestamp));
+    // One severity line per eye so OD and OS visits are not joined together.
+    const eyes = [...new Set(entries.map((e) => e.laterality || ""))];
+
+    const severity = eyes.map((eye, i) => ({
+      label: eye ? t("trend.severityEye", { eye: eyeLabel(eye) }) : t("trend.severity"),
+      data: entries.map((e) =>
+        (e.laterality || "") === eye ? SEVERITY_CLASSES.indexOf(e.class) : null
+      ),
+      yAxisID: "severity",
+      borderColor: SERIES_COLORS[i % SERIES_COLORS.length],
+      backgroundColor: SERIES_COLORS[i % SERIES_COLORS.length],
+      spanGaps: true,
+      tension: 0.2,
+    }));
+
+    return {
+      labels,
+      datasets: [
+        ...severity,
+        {
+          label: t("trend.confidence"),
+          data: entries.map((e) => Number(e.confidence) || 0),
+          yAxisID: "confidence",
+          borderColor: "#a0aec0",
+          backgroundColor: withAlpha("#a0aec0", 0.2),
+          borderDash: [4, 4],
+          tension: 0.2,
+        },
+      ],
+    };
+  }, [entries, lang, t, eyeLabel, formatDate]);
+
+  if (entries.length < 2) return null;
+
+  return (
+    <div className="mt-4">
+      <h5 className="mb-2">{t("trend.title", { reference: caseReference })}</h5>
+      <div className="prob-chart">
+        <Line
+          data={data}
+          options={{
+            maintainAspectRatio: false,
+            interaction: { mode: "index", intersect: false },
+            scales: {
+              severity: {
+                position: "left",
+                min: 0,
+                max: SEVERITY_CLASSES.length - 1,
+                ticks: {
+                  stepSize: 1,
+                  callback: (v) => classLabel(SEVERITY_CLASSES[v]),
+                },
+              },
+              confidence: {
+                position: "right",
+                min: 0,
+                max: 100,
+                grid: { drawOnChartArea: false },
+                ticks: { callback: (v) => formatPercent(v, 0) },
+              },
+            },
+            plugins: {
+              tooltip: {
+                callbacks: {
+                  label: (ctx) =>
+                    ctx.dataset.yAxisID === "severity"
+                      ? `${ctx.dataset.label}: ${classLabel(SEVERITY_CLASSES[ctx.raw])}`
+                      : `${ctx.dataset.label}: ${formatNumber(ctx.raw, {
+                          minimumFractionDigits: 1,
+                          maximumFractionDigits: 1,
+                        })}`,
+                },
+              },
+            },
+          }}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React from "react";
+import { Alert } from "react-bootstrap";
+import { FaExclamationTriangle } from "react-icons/fa";
+import useI18n from "../i18n/useI18n.js";
+import { describeUncertainty } from "../lib/uncertainty.js";
+
+// Spread of the class distribution behind the single confidence figure.
+export default function UncertaintyPanel({ assessment }) {
+  const { t } = useI18n();
+  if (!assessment) return null;
+
+  const text = describeUncertainty(assessment);
+
+  return (
+    <div className="uncertainty-panel">
+      {assessment.uncertain ? (
+        <Alert variant="warning" className="uncertainty-alert">
+          <div className="fw-bold">
+            <FaExclamationTriangle className="me-2" />
+            {t("uncertainty.title")}
+          </div>
+          <ul className="mb-0 mt-1">
+            {text.warnings.map((w) => (
+              <li key={w}>{w}</li>
+            ))}
+          </ul>
+        </Alert>
+      ) : null}
+      <div className="uncertainty-summary">{text.summary}</div>
+    </div>
+  );
+}
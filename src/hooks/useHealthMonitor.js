@@ -0,0 +1,111 @@
+import { useCallback, useEffect, useState } from "react";
+import { api } from "../api/index.js";
+import { INITIAL_MONITOR, applyCheck, healthState, nextCheckDelay } from "../lib/healthMonitor.js";
+import { extractServerError } from "../lib/normalize.js";
+import { isNetworkError } from "../lib/outbox.js";
+
+const isOnline = () => typeof navigator === "undefined" || navigator.onLine !== false;
+const isHidden = () => typeof document !== "undefined" && document.visibilityState === "hidden";
+
+// Polls the backend health endpoint for as long as the app is open. Checks
+// pause while the tab is hidden or the browser is offline and restart, with a
+// fresh backoff, when it comes back or `recheck` is called.
+export default function useHealthMonitor({ enabled = true, client = api } = {}) {
+  const [health, setHealth] = useState(null);
+  const [error, setError] = useState("");
+  const [unreachable, setUnreachable] = useState(false);
+  const [monitor, setMonitor] = useState(INITIAL_MONITOR);
+  const [online, setOnline] = useState(isOnline);
+  const [hidden, setHidden] = useState(isHidden);
+  const [nextCheckAt, setNextCheckAt] = useState(null);
+  const [token, setToken] = useState(0);
+
+  const recheck = useCallback(() => setToken((n) => n + 1), []);
+
+  // A request elsewhere found the backend gone; show it now rather than at
+  // the next scheduled check.
+  const reportUnreachable = useCallback(() => {
+    setUnreachable(true);
+    setToken((n) => n + 1);
+  }, []);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      setToken((n) => n + 1);
+    };
+    const handleOffline = () => setOnline(false);
+    const handleVisibility = () => setHidden(isHidden());
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+      document.removeEventListener("visibilitychange", handleVisibility);
+    };
+  }, []);
+
+  const paused = !enabled || !online || hidden;
+
+  useEffect(() => {
+    if (paused) {
+      setNextCheckAt(null);
+      return undefined;
+    }
+    let cancelled = false;
+    let timer = null;
+    let failures = 0;
+
+    const check = async () => {
+      const started = performance.now();
+      let result;
+      try {
+        const next = await client.getHealth();
+        if (cancelled) return;
+        result = {
+          at: Date.now(),
+          state: healthState(next),
+          latency_ms: Math.round(performance.now() - started),
+          error: "",
+        };
+        setHealth(next);
+        setError("");
+        setUnreachable(false);
+      } catch (e) {
+        if (cancelled) return;
+        const { message } = extractServerError(e);
+        result = { at: Date.now(), state: "offline", latency_ms: null, error: message };
+        setHealth(null);
+        setError(message);
+        setUnreachable(isNetworkError(e));
+      }
+
+      failures = result.state === "offline" ? failures + 1 : 0;
+      setMonitor((m) => applyCheck(m, result));
+      const delay = nextCheckDelay(result.state, failures);
+      setNextCheckAt(Date.now() + delay);
+      timer = window.setTimeout(check, delay);
+    };
+
+    check();
+
+    return () => {
+      cancelled = true;
+      if (timer) window.clearTimeout(timer);
+    };
+  }, [paused, token, client]);
+
+  return {
+    health,
+    error,
+    unreachable,
+    online,
+    hidden,
+    paused,
+    nextCheckAt,
+    monitor,
+    recheck,
+    reportUnreachable,
+  };
+}
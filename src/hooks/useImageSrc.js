@@ -0,0 +1,22 @@
+import { useEffect, useState } from "react";
+
+// Accepts a File/Blob or a URL and returns something usable as <img src>.
+export default function useImageSrc(source) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    if (!source) {
+      setSrc(null);
+      return undefined;
+    }
+    if (typeof Blob !== "undefined" && source instanceof Blob) {
+      const url = URL.createObjectURL(source);
+      setSrc(url);
+      return () => URL.revokeObjectURL(url);
+    }
+    setSrc(source);
+    return undefined;
+  }, [source]);
+
+  return src;
+}
@@ -0,0 +1,90 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  addToOutbox,
+  listOutbox,
+  removeFromOutbox,
+  syncOutbox,
+  updateOutboxItem,
+} from "../lib/outbox.js";
+
+// Outbox state for the UI. While `ready` (backend reachable with the model
+// loaded) pending items are submitted automatically through `submit`.
+export default function useOutbox({ submit, ready, onStopped }) {
+  const [items, setItems] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [lastSync, setLastSync] = useState(null);
+  const [storeError, setStoreError] = useState("");
+  const syncingRef = useRef(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const list = await listOutbox();
+      setItems(list.filter((item) => item.status !== "submitted"));
+      setStoreError("");
+    } catch (e) {
+      setStoreError(e?.message || String(e));
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const enqueue = useCallback(
+    async (item) => {
+      const saved = await addToOutbox(item);
+      await refresh();
+      return saved;
+    },
+    [refresh]
+  );
+
+  const remove = useCallback(
+    async (id) => {
+      try {
+        await removeFromOutbox(id);
+        await refresh();
+      } catch (e) {
+        setStoreError(e?.message || String(e));
+      }
+    },
+    [refresh]
+  );
+
+  const retry = useCallback(
+    async (item) => {
+      try {
+        await updateOutboxItem({ ...item, status: "pending", last_error: "" });
+        await refresh();
+      } catch (e) {
+        setStoreError(e?.message || String(e));
+      }
+    },
+    [refresh]
+  );
+
+  const sync = useCallback(async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const summary = await syncOutbox(submit, { onItem: () => refresh() });
+      setLastSync({ ...summary, at: new Date().toISOString() });
+      if (summary.stopped) onStopped?.(summary.stopped);
+    } catch (e) {
+      setStoreError(e?.message || String(e));
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      refresh();
+    }
+  }, [submit, onStopped, refresh]);
+
+  const pending = items.filter((item) => item.status === "pending").length;
+
+  useEffect(() => {
+    if (ready && pending && !syncingRef.current) sync();
+  }, [ready, pending, sync]);
+
+  return { items, pending, syncing, lastSync, storeError, enqueue, remove, retry, sync, refresh };
+}
@@ -0,0 +1,142 @@
+import en from "./locales/en.js";
+import ms from "./locales/ms.js";
+import ta from "./locales/ta.js";
+import zh from "./locales/zh.js";
+
+// Message catalogs plus the current language. `t()` works anywhere (lib
+// modules included) and reads the language at call time; components call
+// useI18n() so they re-render when it changes.
+
+export const LANGUAGES = [
+  { code: "en", label: "English", locale: "en-MY" },
+  { code: "ms", label: "Bahasa Melayu", locale: "ms-MY" },
+  { code: "zh", label: "中文", locale: "zh-Hans-MY" },
+  { code: "ta", label: "தமிழ்", locale: "ta-MY" },
+];
+
+const CATALOGS = { en, ms, zh, ta };
+const STORAGE_KEY = "dr-screening.language";
+
+function detectLanguage() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved && CATALOGS[saved]) return saved;
+  } catch {
+    // Storage can be blocked; fall through to the browser language.
+  }
+  const preferred = typeof navigator !== "undefined" ? navigator.languages || [] : [];
+  for (const tag of preferred) {
+    const base = String(tag).toLowerCase().split("-")[0];
+    if (CATALOGS[base]) return base;
+  }
+  return "en";
+}
+
+let current = detectLanguage();
+const listeners = new Set();
+if (typeof document !== "undefined") document.documentElement.lang = current;
+
+export function getLanguage() {
+  return current;
+}
+
+export function getLocale(lang = current) {
+  return LANGUAGES.find((l) => l.code === lang)?.locale || "en";
+}
+
+export function setLanguage(lang) {
+  if (!CATALOGS[lang] || lang === current) return;
+  current = lang;
+  try {
+    localStorage.setItem(STORAGE_KEY, lang);
+  } catch {
+    // Not persisted; the choice still applies for this session.
+  }
+  if (typeof document !== "undefined") document.documentElement.lang = lang;
+  listeners.forEach((fn) => fn());
+}
+
+export function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => (node == null ? node : node[part]), catalog);
+}
+
+// Plural forms are objects keyed by Intl.PluralRules category, e.g.
+// `{ one: "{count} region", other: "{count} regions" }`.
+function pick(message, lang, params) {
+  if (message && typeof message === "object" && typeof params?.count === "number") {
+    const category = new Intl.PluralRules(getLocale(lang)).select(params.count);
+    return message[category] ?? message.other;
+  }
+  return message;
+}
+
+// Looks `key` up in `lang`, falling back to English and then to the key, and
+// fills `{name}` placeholders from `params`.
+export function translate(lang, key, params) {
+  let message = pick(lookup(CATALOGS[lang], key), lang, params);
+  if (typeof message !== "string") message = pick(lookup(en, key), "en", params);
+  if (typeof message !== "string") return key;
+  if (!params) return message;
+  return message.replace(/\{(\w+)\}/g, (m, name) =>
+    params[name] === undefined || params[name] === null ? m : String(params[name])
+  );
+}
+
+export function t(key, params) {
+  return translate(current, key, params);
+}
+
+export function formatNumber(value, options) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return "";
+  return new Intl.NumberFormat(getLocale(), options).format(n);
+}
+
+// `value` is already a percentage (0–100), as everywhere else in the app.
+export function formatPercent(value, digits = 1) {
+  const n = Number(value);
+  return new Intl.NumberFormat(getLocale(), {
+    style: "percent",
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(Number.isFinite(n) ? n / 100 : 0);
+}
+
+export function formatDate(value, options = { dateStyle: "medium", timeStyle: "short" }) {
+  const d = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value ?? "");
+  return new Intl.DateTimeFormat(getLocale(), options).format(d);
+}
+
+// Translated clinical term for a model class; unknown labels pass through.
+// `tr` picks the catalog, e.g. an English-only translator for PDF output.
+export function classLabelWith(tr, className) {
+  if (!className) return "";
+  const key = `classes.${className}`;
+  const label = tr(key);
+  return label === key ? String(className).replace(/_/g, " ") : label;
+}
+
+export function classLabel(className) {
+  return classLabelWith(t, className);
+}
+
+// The backend describes classes in English; other languages use the catalog
+// text for known classes and fall back to the server's description.
+export function classDescription(className, serverText = "") {
+  const key = `classDescriptions.${className}`;
+  if (current === "en" && serverText) return serverText;
+  const text = t(key);
+  return text === key ? serverText : text;
+}
+
+export function eyeLabel(eye) {
+  const key = `eyes.${eye}`;
+  const label = t(key);
+  return label === key ? String(eye || "") : label;
+}
@@ -0,0 +1,95 @@
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  classDescription,
+  classLabel,
+  formatPercent,
+  getLanguage,
+  setLanguage,
+  translate,
+} from "./index.js";
+import en from "./locales/en.js";
+import ms from "./locales/ms.js";
+import ta from "./locales/ta.js";
+import zh from "./locales/zh.js";
+
+const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+const isPlural = (node) =>
+  "other" in node && Object.keys(node).every((k) => PLURAL_CATEGORIES.includes(k));
+
+// Dotted paths of every message; plural objects count as one message.
+function keysOf(node, prefix = "") {
+  return Object.entries(node).flatMap(([k, v]) => {
+    const path = prefix ? `${prefix}.${k}` : k;
+    return v && typeof v === "object" && !isPlural(v) ? keysOf(v, path) : [path];
+  });
+}
+
+function placeholders(message) {
+  const text = typeof message === "string" ? message : Object.values(message).join(" ");
+  return [...new Set(text.match(/\{\w+\}/g) || [])].sort();
+}
+
+function lookup(catalog, path) {
+  return path.split(".").reduce((node, part) => node[part], catalog);
+}
+
+describe("catalogs", () => {
+  const enKeys = keysOf(en).sort();
+
+  it.each([
+    ["ms", ms],
+    ["zh", zh],
+    ["ta", ta],
+  ])("%s has exactly the English keys and placeholders", (code, catalog) => {
+    expect(keysOf(catalog).sort()).toEqual(enKeys);
+    for (const key of enKeys) {
+      expect(placeholders(lookup(catalog, key)), `${code}: ${key}`).toEqual(
+        placeholders(lookup(en, key))
+      );
+    }
+  });
+});
+
+describe("translate", () => {
+  it("interpolates parameters", () => {
+    expect(translate("en", "errors.rateLimited", { seconds: 30 })).toBe(
+      "Rate limit exceeded. Try again in 30s."
+    );
+  });
+
+  it("picks plural forms by count", () => {
+    expect(translate("en", "scrub.regionsMasked", { count: 1 })).toBe("1 region masked");
+    expect(translate("en", "scrub.regionsMasked", { count: 3 })).toBe("3 regions masked");
+    expect(translate("ms", "scrub.regionsMasked", { count: 1 })).toBe("1 kawasan ditutup");
+  });
+
+  it("falls back to English, then to the key", () => {
+    expect(translate("xx", "common.close")).toBe("Close");
+    expect(translate("ms", "no.such.key")).toBe("no.such.key");
+  });
+});
+
+describe("language switching", () => {
+  afterEach(() => setLanguage("en"));
+
+  it("translates class labels and descriptions for the current language", () => {
+    setLanguage("ms");
+    expect(getLanguage()).toBe("ms");
+    expect(document.documentElement.lang).toBe("ms");
+    expect(classLabel("Proliferative_DR")).toBe("RD Proliferatif");
+    expect(classDescription("Mild", "server text")).toMatch(/^Retinopati diabetik/);
+    expect(classLabel("Some_New_Class")).toBe("Some New Class");
+  });
+
+  it("keeps the server description in English", () => {
+    expect(classDescription("Mild", "server text")).toBe("server text");
+    expect(classDescription("Mild")).toMatch(/^Mild non-proliferative/);
+  });
+
+  it("formats percentages for the locale", () => {
+    expect(formatPercent(82)).toBe("82.0%");
+    setLanguage("ms");
+    expect(formatPercent(82.25)).toMatch(/^82[.,]3\s?%$/);
+  });
+});
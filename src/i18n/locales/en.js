@@ -0,0 +1,610 @@
+// English is the reference catalog: every other locale mirrors these keys,
+// and missing keys fall back to the text here.
+export default {
+  common: {
+    close: "Close",
+    error: "Error:",
+    na: "N/A",
+    yes: "Yes",
+    no: "No",
+    unknown: "Unknown",
+    open: "Open",
+    view: "View",
+    remove: "Remove",
+    cancel: "Cancel",
+    cancelling: "Cancelling…",
+    analyzing: "Analyzing...",
+    waitSeconds: "Wait {seconds}s",
+    confidence: "{value} Confidence",
+    case: "Case: {reference}",
+    caseReferencePlaceholder: "Case reference (optional, stored locally)",
+    generateGradcam: "Generate Grad-CAM",
+    imagesPreprocessed: "Images already preprocessed (skip CLAHE)",
+    downloadReport: "Download Report",
+    preparingImage: "Preparing image…",
+    supports: "Supports: PNG, JPG, TIFF, BMP, WebP, DICOM (larger images are reduced to {mb} MB)",
+    language: "Language",
+  },
+  startup: {
+    failed: "The app could not be loaded. This often happens right after an update.",
+    reload: "Reload",
+  },
+  header: {
+    title: "Diabetic Retinopathy Prediction and Classification Web Application System",
+    subtitle: "Powered by RA EfficientNetB3 Deep Learning",
+    modelInfo: "Model Info",
+    privacyNotice: "Privacy Notice",
+    history: "History",
+    compliance: "GDPR/PDPA Aligned",
+    agreement: "Agreement",
+    backends: "Backends",
+    diagnostics: "Diagnostics",
+  },
+  backend: {
+    ready: "Backend Ready",
+    modelLoaded: "Model loaded",
+    modelLoading: "Model Loading",
+    warmingUp: "Warming up model… please wait",
+    noModel: "Backend No Model",
+    modelNotLoaded: "Model not loaded",
+    offline: "Backend Offline",
+    checking: "Checking Backend",
+    api: "API: {mode}",
+    modeMock: "Mock ({scenario})",
+    modeLocal: "Local",
+    modeDirect: "Direct (Render URL)",
+    modeProxy: "Proxy (same-origin)",
+    missingApiUrl:
+      "No backend URL is configured. Set apiBaseUrl in config.json next to index.html (no rebuild needed), or VITE_API_BASE_URL at build time.",
+  },
+  health: {
+    title: "Backend health",
+    status: "Status",
+    ms: "{value} ms",
+    uptime: "Uptime",
+    uptimeValue: { one: "{value} of the last check", other: "{value} of the last {count} checks" },
+    latency: "Latency",
+    latencyValue: "last {last}, mean {mean}",
+    lastChange: "Last change",
+    changed: "{from} → {to} at {time}",
+    since: "{state} since {time}",
+    noChecks: "No health checks yet.",
+    nextCheck: "Next check at {time}.",
+    pausedHidden: "Checks are paused while this tab is in the background.",
+    pausedOffline: "Checks are paused while the browser is offline.",
+    checkNow: "Check now",
+    states: { ready: "Ready", loading: "Model loading", noModel: "No model", offline: "Offline" },
+  },
+  upload: {
+    titleSingle: "Upload Retinal Image",
+    titlePaired: "Bilateral Examination",
+    titleBatch: "Batch Screening",
+    modeSingle: "Single",
+    modePaired: "OD/OS",
+    modeBatch: "Batch",
+    dropHere: "Drop your image here",
+    orBrowse: "or click to browse",
+    preview: "Preview",
+    optimized: "Optimized for upload: {report}",
+    imagePreprocessed: "Image already preprocessed (skip CLAHE)",
+    showPreprocessing: "Show preprocessing preview",
+    analyzeNow: "Analyze Now",
+    modelLoading: "Model Loading...",
+    uploadNew: "Upload New",
+  },
+  camera: {
+    open: "Use Camera",
+    title: "Camera Capture",
+    starting: "Starting camera…",
+    alignHint: "Fit the fundus inside the circle and hold steady. Burst mode takes several frames and keeps the sharpest one.",
+    burst: { one: "Burst ({count} frame)", other: "Burst ({count} frames)" },
+    burstProgress: "Capturing {done}/{total}…",
+    capture: "Capture",
+    torchOn: "Torch on",
+    torchOff: "Torch off",
+    torchFailed: "Could not switch the torch: {message}",
+    denied: "Camera access was denied. Allow camera access for this site and try again.",
+    notFound: "No suitable camera was found on this device.",
+    busy: "The camera is in use by another application.",
+    failed: "Could not capture an image from the camera.",
+  },
+  errors: {
+    rateLimited: "Rate limit exceeded. Try again in {seconds}s.",
+    modelLoading: "Model is still loading on the backend. Please wait a few seconds and try again.",
+    modelNotReady: "Backend model is not ready. Please check the backend /api/health status.",
+    noImage: "Please select an image first.",
+    qualityBlocked: "Image failed the quality check. Choose a better image or override the check.",
+    cancelled: "Analysis cancelled.",
+    reportFailed: "Could not generate the PDF report.",
+    unreadableImage: "Could not read this image.",
+    invalidType: "Invalid file type. Please upload PNG, JPG, TIFF, BMP, WebP or DICOM.",
+    sourceTooLarge: "File too large. Images up to {sourceMb} MB are reduced to {mb} MB before upload.",
+    uploadTooLarge: "File too large. Maximum allowed size is {mb} MB.",
+    backendUnavailable: "Backend unavailable (503).",
+    predictionFailed: "Prediction failed.",
+    requestFailed: "Request failed with status {status}.",
+    connectionFailed:
+      "Failed to connect to the server. Ensure the backend is running and CORS/proxy is configured.",
+    invalidResponse: "Invalid server response.",
+    decodeImage: "Could not decode image.",
+    decodeTiff: "Could not decode TIFF image.",
+    encodeImage: "Could not encode image.",
+    cannotReduce: "Could not reduce the image below {mb} MB.",
+    dicomUnreadable: "Not a readable DICOM file ({reason}).",
+    dicomNoDimensions: "DICOM file has no image dimensions.",
+    dicomColourDepth: "Unsupported DICOM colour depth ({bits}-bit).",
+    dicomNoPixels: "DICOM file contains no pixel data.",
+    dicomCompression:
+      "Unsupported DICOM compression ({syntax}). Export the image as uncompressed or baseline JPEG DICOM.",
+    unknown: "unknown error",
+    unknownGrade: 'Unknown grade "{grade}".',
+    noIndexedDb: "Local storage (IndexedDB) is not available in this browser.",
+    historyEntryMissing: "History entry {id} was not found.",
+  },
+  progress: {
+    uploading: "Uploading image… {percent}",
+    processing: "Processing on server…",
+    gradcam: "Generating Grad-CAM…",
+    retrying: "Connection lost. Retrying in {seconds}s (attempt {attempt} of {attempts})…",
+    analyzing: "System is analyzing the retinal image...",
+  },
+  results: {
+    complete: "Diagnosis Complete",
+    eye: "Eye:",
+    backToBoth: "Back to both eyes",
+    sessionId: "Session ID:",
+    qualityOverridden: "Image quality check was overridden by the operator (score {score}/100):",
+    thumbnailOnly:
+      "Reopened from history: only a thumbnail of the original image is stored. It is shown here but left out of the PDF report and FHIR export.",
+    probabilityDistribution: "Probability Distribution",
+    title: "Results",
+    empty: 'Upload an image and click "Analyze Now" to see the results here',
+    encryptedUploadId: "Encrypted upload ID:",
+  },
+  referral: {
+    title: "Recommendation",
+    patientTitle: "Patient Recommendation",
+    levels: {
+      routine: { one: "Routine rescreen in {count} month", other: "Routine rescreen in {count} months" },
+      refer: { one: "Refer within {count} week", other: "Refer within {count} weeks" },
+      urgent: "Urgent referral",
+      indeterminate: "Indeterminate — human review",
+    },
+    provisional: "If confirmed: {action}",
+    reasons: {
+      predictedClass: "Predicted grade {grade}",
+      referableProbability: "P(Moderate + Severe + PDR) {value} ≥ {threshold}",
+      urgentProbability: "P(Severe + PDR) {value} ≥ {threshold}",
+      lowConfidence: "Confidence {value} below {threshold}",
+      nearTie: "Top-two margin {value} below {threshold}",
+      reviewGrade: "Clinician grade {grade}",
+    },
+  },
+  uncertainty: {
+    summary: "Uncertainty: entropy {entropy} · top-two margin {margin} pts",
+    title: "Uncertain prediction — do not rely on the confidence figure alone.",
+    badge: "Uncertain",
+    warnings: {
+      highEntropy: "Probability is spread across classes (entropy {value}, limit {limit}).",
+      smallMargin: "The top two classes are only {value} pts apart (limit {limit} pts).",
+      adjacentGrades: "The call is split between the neighbouring grades {top} and {second}.",
+    },
+  },
+  gradcam: {
+    title: "Grad-CAM Visualization",
+    explanation: "Highlighted regions indicate areas that most influenced the model’s decision.",
+    generating: "Generating Grad-CAM…",
+    missing: "Grad-CAM was requested, but the backend did not return an image.",
+    cancelled: "Grad-CAM was cancelled. Showing prediction without Grad-CAM.",
+    failed: "Grad-CAM failed (backend error or resource limit). Showing prediction without Grad-CAM.",
+  },
+  preprocess: {
+    title: "Preprocessing Preview",
+    alt: "Preprocessed preview",
+    details: "CLAHE applied: {applied} • clipLimit: {clipLimit} • tileGrid: {tileGrid}",
+    missing: "Preprocessing preview was requested, but the backend did not return it.",
+  },
+  security: {
+    summary: "Security: {encrypted} • {anonymized} • GDPR: {gdpr} • PDPA: {pdpa}",
+    stored: " • Stored: {stored}",
+    encrypted: "Encrypted",
+    notEncrypted: "Not encrypted",
+    anonymized: "Anonymized",
+    notAnonymized: "Not anonymized",
+    default: "Your data is anonymized and protected by security controls. GDPR/PDPA aligned.",
+  },
+  scrub: {
+    label: "De-identified before upload: {summary}",
+    metadataStripped: "Metadata stripped",
+    metadataKept: "Metadata kept",
+    uploadedAs: "uploaded as {name}",
+    regionsMasked: { one: "{count} region masked", other: "{count} regions masked" },
+    noRegionsMasked: "no regions masked",
+    maskingUnavailable: "region masking not available",
+  },
+  prep: {
+    summary: "{before} → {after} (metadata removed)",
+  },
+  modelInfo: {
+    title: "Model Information",
+    loading: "Loading model info...",
+    name: "Name:",
+    inputShape: "Input shape:",
+    classes: "Classes:",
+    loaded: "Model loaded:",
+    loadError: "Load error:",
+    securityFeatures: "Security features:",
+    empty: "No model info available.",
+  },
+  privacy: {
+    title: "Privacy Notice",
+    loading: "Loading privacy notice...",
+    controller: "Controller:",
+    contact: "Contact:",
+    dpo: "DPO:",
+    purposes: "Processing purposes:",
+    dataCollected: "Data collected:",
+    securityMeasures: "Security measures:",
+    retention: "Retention:",
+    rights: "Rights:",
+    empty: "No privacy notice available.",
+  },
+  history: {
+    title: "Case History",
+    localOnly: "Results are stored only in this browser and are never uploaded.",
+    search: "Search case reference or session ID",
+    allClasses: "All classes",
+    fromDate: "From date",
+    toDate: "To date",
+    loading: "Loading history...",
+    deleteEntry: "Delete entry",
+    noMatches: "No results match the current filters.",
+    empty: "No stored results yet.",
+    purgeAll: "Purge All",
+    confirmPurge:
+      "Delete all locally stored results, queued uploads and imported ground-truth labels? This cannot be undone.",
+    readFailed: "Could not read local history.",
+    deleteFailed: "Could not delete entry.",
+    purgeFailed: "Could not purge history.",
+    reviewed: "Reviewed",
+    overridden: "Overridden: {grade}",
+    selectShown: { one: "Select the {count} shown result", other: "Select all {count} shown results" },
+    selectEntry: "Select for export",
+  },
+  export: {
+    title: "Research export",
+    scope: "Results",
+    scopes: {
+      all: "All stored ({count})",
+      shown: "Shown by the filters ({count})",
+      selected: "Selected ({count})",
+    },
+    format: "Format",
+    formats: { csv: "CSV", jsonl: "JSON Lines" },
+    button: { one: "Export {count} result", other: "Export {count} results" },
+    pseudonymize: "Pseudonymize case references (HMAC-SHA-256)",
+    keyPlaceholder: "Study key (optional)",
+    keyHelp:
+      "The same key always gives the same pseudonym, so exports can be linked. Without a key a random one is used and pseudonyms only match within this file.",
+    done: { one: "Exported {count} result to {file}.", other: "Exported {count} results to {file}." },
+    failed: "Export failed: {message}",
+    noWebCrypto:
+      "Pseudonymizing needs a secure (HTTPS) connection; this browser does not offer WebCrypto here.",
+  },
+  quality: {
+    checking: "Checking image quality…",
+    unavailable: "Image quality could not be assessed in this browser ({error}).",
+    title: "Image quality",
+    override: "Override quality check and analyze anyway (recorded with the result)",
+    detected: "detected",
+    notDetected: "not detected",
+    checks: {
+      resolution: "Resolution",
+      sharpness: "Sharpness",
+      brightness: "Exposure",
+      contrast: "Contrast",
+      fov: "Fundus field of view",
+    },
+    issues: {
+      lowResolution:
+        "Image resolution is low ({width}×{height}); at least {minResolution}px on the short side is recommended.",
+      blurred: "Image appears blurred or out of focus.",
+      underExposed: "Image is under-exposed (too dark).",
+      overExposed: "Image is over-exposed (too bright).",
+      lowContrast: "Image contrast is low; retinal detail may not be visible.",
+      noFov: "No circular fundus field of view detected; this may not be a retinal photograph.",
+    },
+  },
+  dicom: {
+    eye: "Eye:",
+    acquired: "Acquired:",
+    patient: "Patient:",
+    notRecorded: "not recorded",
+    hidden: "hidden",
+    showIdentifier: "Show patient identifier",
+    hideIdentifier: "Hide patient identifier",
+    localOnly: "Identifiers stay in this browser; only the image pixels are uploaded.",
+  },
+  mask: {
+    region: "Mask region",
+    done: "Done masking",
+    clear: "Clear masks ({count})",
+    remove: "Remove mask",
+    hint:
+      "Drag over names, dates or IDs burned into the image. Masked areas are blacked out before upload.",
+  },
+  paired: {
+    status: { analyzing: "analyzing", done: "done", failed: "failed" },
+    previewAlt: "{eye} preview",
+    dropEye: "Drop {eye} image",
+    lateralityMismatch: "DICOM header says {eye}. Check the image is in the right slot.",
+    analyzeOne: "Analyze {eye} Only",
+    analyzeBoth: "Analyze Both Eyes",
+    notSubmitted: "Not submitted.",
+    viewDetails: "View details",
+    patientGrade: "Patient-level grade",
+    worseEye: "Worse eye: {eye} • {confidence} Confidence",
+    incomplete: "Only one eye was graded; this summary is incomplete.",
+    noPrediction: "Neither eye returned a prediction.",
+    worseEyeReviewed: "Worse eye: {eye} • Clinician grade",
+  },
+  batch: {
+    dropHere: "Drop images or a folder here",
+    orSelect: "or click to select multiple files",
+    selectFolder: "Select Folder",
+    summary: "{pending} pending • {analyzing} analyzing • {done} done • {failed} failed",
+    paused: " • Paused for {seconds}s (rate limit)",
+    waitingForModel: " • Waiting for backend model",
+    status: { pending: "pending", analyzing: "analyzing", done: "done", failed: "failed" },
+    pause: "Pause",
+    resume: "Resume Batch",
+    analyze: "Analyze Batch",
+    retryFailed: "Retry Failed",
+    clear: "Clear Queue",
+    qualityOverride: "Analyze images that fail the quality check (recorded with each result)",
+    qualityFailed: "Skipped: image quality {score}/100. {issues}",
+    noMasking:
+      "Batch mode cannot mask burned-in text. Analyze images that show names, dates or IDs in single-image or OD/OS mode.",
+    qualityUnavailable: "Skipped: image quality could not be assessed ({error}).",
+  },
+  outbox: {
+    title: "Offline outbox",
+    pending: { one: "{count} waiting", other: "{count} waiting" },
+    syncing: "Submitting queued images…",
+    waiting: "Offline. Queued images are submitted automatically when the backend is reachable and the model is loaded.",
+    lastSync: { one: "{count} image submitted at {time}", other: "{count} images submitted at {time}" },
+    syncNow: "Sync now",
+    retry: "Retry",
+    discard: "Discard",
+    unnamed: "Unnamed image",
+    queued: "You are offline. The de-identified image was saved to the outbox and will be analyzed automatically when the connection returns; results appear in History.",
+    queueButton: "Save to Outbox",
+    queueFailed: "Could not save the image for later upload: {message}",
+    browserOffline: "No network connection",
+  },
+  chart: {
+    views: { list: "List", bar: "Bar", radar: "Radar", doughnut: "Doughnut" },
+    probability: "Probability",
+    empty: "No probability distribution returned by the server.",
+  },
+  trend: {
+    title: "Visit Trend — {reference}",
+    severity: "Severity",
+    severityEye: "Severity — {eye}",
+    confidence: "Confidence (%)",
+  },
+  viewer: {
+    overlay: "Overlay",
+    swipe: "Swipe",
+    side: "Side by side",
+    zoomIn: "Zoom in",
+    zoomOut: "Zoom out",
+    resetZoom: "Reset zoom",
+    fullscreen: "Full screen",
+    exitFullscreen: "Exit full screen",
+    original: "Original",
+    gradcam: "Grad-CAM",
+    gradcamOverlay: "Grad-CAM overlay",
+    preprocessed: "Preprocessed",
+    opacity: "Heatmap opacity: {value}",
+    swipeLabel: "Original ◀ {value} ▶ Grad-CAM",
+    help: "Scroll to zoom, drag to pan, double-click to reset. Zoom is shared across all views.",
+  },
+  review: {
+    title: "Clinician Review",
+    accept: "Accept grade",
+    override: "Override grade",
+    accepted: "Accepted",
+    overridden: "Overridden",
+    grade: "Clinician grade",
+    findings: "Lesion findings",
+    lesions: {
+      microaneurysms: "Microaneurysms",
+      hemorrhages: "Hemorrhages",
+      exudates: "Exudates",
+      neovascularization: "Neovascularization",
+    },
+    markup: "Markup",
+    draw: "Draw markup",
+    doneDrawing: "Done drawing",
+    clearMarkup: "Clear markup ({count})",
+    notes: "Notes",
+    reviewer: "Reviewer",
+    save: "Save review",
+    edit: "Edit review",
+    saveFailed: "Could not save the review. Try again.",
+    acceptedSummary: "Model grade accepted: {grade}",
+    overrideSummary: "Model graded {model}; clinician graded {grade}",
+    findingsList: "Findings: {findings}",
+    byline: "Reviewed by {reviewer} on {date}",
+    anonymous: "unnamed reviewer",
+  },
+  agreement: {
+    title: "Model Agreement & Calibration",
+    localOnly: "Computed in this browser from stored results and imported labels.",
+    reference: "Reference grade",
+    sources: {
+      labels: "Imported labels",
+      reviews: "Clinician reviews",
+      both: "Imported labels, then clinician reviews",
+    },
+    importCsv: "Import ground truth (CSV)",
+    csvHelp:
+      "Columns: session_id or case_reference (optional eye), and grade as a class name or ICDR 0–4.",
+    labelsLoaded: { one: "{count} label imported", other: "{count} labels imported" },
+    clearLabels: "Clear labels",
+    skippedRows: { one: "{count} row skipped", other: "{count} rows skipped" },
+    rowError: "Line {line}: {message}",
+    importFailed: "Could not import CSV: {message}",
+    loading: "Loading results...",
+    noPairs: "No stored result has a reference grade yet. Import labels or review results first.",
+    graded: "Graded results",
+    accuracy: "Exact agreement",
+    kappa: "Quadratic-weighted kappa",
+    referableSensitivity: "Referable DR sensitivity",
+    referableSpecificity: "Referable DR specificity",
+    ece: "Expected calibration error",
+    confusion: "Confusion Matrix",
+    axes: "Reference ↓ / Model →",
+    perClass: "Per-class Performance",
+    class: "Class",
+    support: "Cases",
+    sensitivity: "Sensitivity",
+    specificity: "Specificity",
+    calibration: "Reliability (Calibration)",
+    calibrationHelp:
+      "Observed accuracy per confidence bin. Points below the diagonal mean the model is overconfident.",
+    observed: "Observed accuracy",
+    ideal: "Perfect calibration",
+    confidenceAxis: "Confidence (%)",
+    accuracyAxis: "Accuracy (%)",
+    binTooltip: "{count} results, {accuracy} correct",
+    csv: {
+      empty: "The file is empty.",
+      noGrade: "No grade column found (grade, label or class).",
+      noKey: "No session_id or case_reference column found.",
+      badGrade: "unrecognized grade \"{value}\"",
+      missingKey: "no session_id or case reference",
+    },
+  },
+  backends: {
+    title: "Backends",
+    help: "Register other deployments (for example a new model on staging) to compare them with the default backend. Ticked backends receive the same image in parallel when you click Compare.",
+    defaultName: "Default",
+    sameOrigin: "Same origin (/api)",
+    compare: "Compare",
+    compareLabel: "Include {name} in comparisons",
+    name: "Name",
+    namePlaceholder: "Staging model v2",
+    url: "Base URL",
+    status: "Status",
+    model: "Model",
+    add: "Add",
+    remove: "Remove",
+    recheck: "Check again",
+    checkAll: "Check all",
+    selected: { one: "{count} backend selected", other: "{count} backends selected" },
+    errors: {
+      nameRequired: "Enter a name for the backend.",
+      badUrl: "Enter an http:// or https:// base URL.",
+      duplicateName: "A backend with this name already exists.",
+      duplicateUrl: "This URL is already registered.",
+    },
+  },
+  compare: {
+    button: "Compare ({count})",
+    title: "Model Comparison",
+    agree: { one: "{count} model graded this image as {grade}.", other: "All {count} models agree: {grade}." },
+    disagree: "Models disagree:",
+    classCount: "{grade} ({count})",
+    referralDiffers: "They also differ on whether the patient should be referred.",
+    allFailed: "No backend returned a result.",
+    confidence: "Confidence {value}",
+    elapsed: "{ms} ms",
+    dissent: "Differs from the majority",
+    spread: "Spread (pts)",
+    spreadHelp: "Highlighted rows differ by {limit} percentage points or more between models.",
+    close: "Close comparison",
+  },
+  diagnostics: {
+    title: "Configuration Diagnostics",
+    configFile: "Runtime config:",
+    checkedAt: "Read at {time}",
+    build: "Build:",
+    production: "production",
+    development: "development",
+    status: {
+      pending: "not loaded",
+      loaded: "loaded",
+      missing: "not found (using build defaults)",
+      invalid: "invalid JSON",
+      failed: "could not be read",
+    },
+    issuesTitle: "Ignored entries in config.json",
+    issues: {
+      notObject: "The file must contain a JSON object.",
+      notString: "{key}: must be a string.",
+      badUrl: "{key}: must be an http(s) URL, a path starting with /, or empty for same-origin.",
+      notNumber: "{key}: must be a number.",
+      notInteger: "{key}: must be a whole number.",
+      outOfRange: "{key}: must be between {min} and {max}.",
+    },
+    unknownKey: "{key}: unknown setting.",
+    setting: "Setting",
+    value: "Value",
+    source: "Source",
+    envVar: "Build-time variable",
+    sources: { runtime: "config.json", env: "env var", default: "default" },
+    help: "Settings are read once at startup: reload the page after changing config.json.",
+    notSet: "not set",
+  },
+  fhir: {
+    button: "FHIR Export",
+    title: "FHIR Export",
+    intro:
+      "HL7 FHIR R4 transaction Bundle with a DiagnosticReport, Observations for the grade and the class probabilities, and the images as Media. Text inside the resources is in English.",
+    includeImages: "Embed the original image and Grad-CAM overlay",
+    building: "Preparing the Bundle…",
+    resources: "Resources:",
+    sizeKb: "{value} KB",
+    endpoint: "FHIR endpoint:",
+    noEndpoint: "No FHIR endpoint is configured. Set fhirEndpoint in config.json to send Bundles to the EHR.",
+    download: "Download JSON",
+    send: "Send to EHR",
+    sending: "Sending…",
+    sent: {
+      one: "Sent. The server created {created} of {count} resource.",
+      other: "Sent. The server created {created} of {count} resources.",
+    },
+    sendFailed: "The FHIR server did not accept the Bundle: {message}",
+    buildFailed: "Could not build the FHIR Bundle: {message}",
+    noGrade: "Only results with a DR grade can be exported.",
+    noEndpointError: "No FHIR endpoint is configured.",
+  },
+  eyes: {
+    OD: "Right eye (OD)",
+    OS: "Left eye (OS)",
+  },
+  classes: {
+    No_DR: "No DR",
+    Mild: "Mild",
+    Moderate: "Moderate",
+    Severe: "Severe",
+    Proliferative_DR: "Proliferative DR",
+  },
+  classDescriptions: {
+    No_DR: "No signs of diabetic retinopathy detected. Continue routine annual screening.",
+    Mild: "Mild non-proliferative diabetic retinopathy: microaneurysms only.",
+    Moderate:
+      "Moderate non-proliferative diabetic retinopathy: more than microaneurysms but less than severe NPDR.",
+    Severe:
+      "Severe non-proliferative diabetic retinopathy: extensive intraretinal haemorrhages, venous beading or IRMA.",
+    Proliferative_DR:
+      "Proliferative diabetic retinopathy: neovascularisation and/or vitreous or preretinal haemorrhage.",
+  },
+  disclaimer: {
+    title: "Medical Disclaimer:",
+    text:
+      "This tool is for educational and screening purposes only. Always consult a qualified ophthalmologist for diagnosis and treatment.",
+  },
+};
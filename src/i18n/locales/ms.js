@@ -0,0 +1,608 @@
+export default {
+  common: {
+    close: "Tutup",
+    error: "Ralat:",
+    na: "T/A",
+    yes: "Ya",
+    no: "Tidak",
+    unknown: "Tidak diketahui",
+    open: "Buka",
+    view: "Lihat",
+    remove: "Buang",
+    cancel: "Batal",
+    cancelling: "Membatalkan…",
+    analyzing: "Menganalisis...",
+    waitSeconds: "Tunggu {seconds}s",
+    confidence: "Keyakinan {value}",
+    case: "Kes: {reference}",
+    caseReferencePlaceholder: "Rujukan kes (pilihan, disimpan secara setempat)",
+    generateGradcam: "Jana Grad-CAM",
+    imagesPreprocessed: "Imej sudah diproses (langkau CLAHE)",
+    downloadReport: "Muat Turun Laporan",
+    preparingImage: "Menyediakan imej…",
+    supports:
+      "Menyokong: PNG, JPG, TIFF, BMP, WebP, DICOM (imej yang lebih besar dikecilkan kepada {mb} MB)",
+    language: "Bahasa",
+  },
+  startup: {
+    failed: "Aplikasi tidak dapat dimuatkan. Ini sering berlaku sejurus selepas kemas kini.",
+    reload: "Muat semula",
+  },
+  header: {
+    title: "Sistem Aplikasi Web Ramalan dan Klasifikasi Retinopati Diabetik",
+    subtitle: "Dikuasakan oleh Pembelajaran Mendalam RA EfficientNetB3",
+    modelInfo: "Maklumat Model",
+    privacyNotice: "Notis Privasi",
+    history: "Sejarah",
+    compliance: "Selaras GDPR/PDPA",
+    agreement: "Persetujuan",
+    backends: "Backend",
+    diagnostics: "Diagnostik",
+  },
+  backend: {
+    ready: "Pelayan Sedia",
+    modelLoaded: "Model dimuatkan",
+    modelLoading: "Model Sedang Dimuatkan",
+    warmingUp: "Memanaskan model… sila tunggu",
+    noModel: "Pelayan Tiada Model",
+    modelNotLoaded: "Model tidak dimuatkan",
+    offline: "Pelayan Luar Talian",
+    checking: "Menyemak Pelayan",
+    api: "API: {mode}",
+    modeMock: "Olokan ({scenario})",
+    modeLocal: "Setempat",
+    modeDirect: "Terus (URL Render)",
+    modeProxy: "Proksi (asal yang sama)",
+    missingApiUrl:
+      "Tiada URL backend dikonfigurasikan. Tetapkan apiBaseUrl dalam config.json bersebelahan index.html (tanpa bina semula), atau VITE_API_BASE_URL semasa binaan.",
+  },
+  health: {
+    title: "Kesihatan pelayan",
+    status: "Status",
+    ms: "{value} ms",
+    uptime: "Masa aktif",
+    uptimeValue: { other: "{value} daripada {count} semakan terakhir" },
+    latency: "Kependaman",
+    latencyValue: "terakhir {last}, purata {mean}",
+    lastChange: "Perubahan terakhir",
+    changed: "{from} → {to} pada {time}",
+    since: "{state} sejak {time}",
+    noChecks: "Belum ada semakan kesihatan.",
+    nextCheck: "Semakan seterusnya pada {time}.",
+    pausedHidden: "Semakan dijeda semasa tab ini berada di latar belakang.",
+    pausedOffline: "Semakan dijeda semasa pelayar di luar talian.",
+    checkNow: "Semak sekarang",
+    states: { ready: "Sedia", loading: "Model dimuatkan", noModel: "Tiada model", offline: "Luar talian" },
+  },
+  upload: {
+    titleSingle: "Muat Naik Imej Retina",
+    titlePaired: "Pemeriksaan Dua Mata",
+    titleBatch: "Saringan Berkelompok",
+    modeSingle: "Tunggal",
+    modePaired: "OD/OS",
+    modeBatch: "Kelompok",
+    dropHere: "Lepaskan imej anda di sini",
+    orBrowse: "atau klik untuk menyemak imbas",
+    preview: "Pratonton",
+    optimized: "Dioptimumkan untuk muat naik: {report}",
+    imagePreprocessed: "Imej sudah diproses (langkau CLAHE)",
+    showPreprocessing: "Tunjukkan pratonton prapemprosesan",
+    analyzeNow: "Analisis Sekarang",
+    modelLoading: "Model Sedang Dimuatkan...",
+    uploadNew: "Muat Naik Baharu",
+  },
+  camera: {
+    open: "Guna Kamera",
+    title: "Tangkapan Kamera",
+    starting: "Memulakan kamera…",
+    alignHint: "Letakkan fundus di dalam bulatan dan pegang dengan stabil. Mod letusan mengambil beberapa bingkai dan menyimpan yang paling tajam.",
+    burst: { other: "Letusan ({count} bingkai)" },
+    burstProgress: "Menangkap {done}/{total}…",
+    capture: "Tangkap",
+    torchOn: "Hidupkan lampu",
+    torchOff: "Matikan lampu",
+    torchFailed: "Tidak dapat menukar lampu: {message}",
+    denied: "Akses kamera ditolak. Benarkan akses kamera untuk laman ini dan cuba lagi.",
+    notFound: "Tiada kamera yang sesuai ditemui pada peranti ini.",
+    busy: "Kamera sedang digunakan oleh aplikasi lain.",
+    failed: "Tidak dapat menangkap imej daripada kamera.",
+  },
+  errors: {
+    rateLimited: "Had kadar melebihi. Cuba lagi dalam {seconds}s.",
+    modelLoading: "Model masih dimuatkan di pelayan. Sila tunggu beberapa saat dan cuba lagi.",
+    modelNotReady: "Model pelayan belum sedia. Sila semak status /api/health pelayan.",
+    noImage: "Sila pilih imej terlebih dahulu.",
+    qualityBlocked:
+      "Imej gagal semakan kualiti. Pilih imej yang lebih baik atau atasi semakan tersebut.",
+    cancelled: "Analisis dibatalkan.",
+    reportFailed: "Laporan PDF tidak dapat dijana.",
+    unreadableImage: "Imej ini tidak dapat dibaca.",
+    invalidType: "Jenis fail tidak sah. Sila muat naik PNG, JPG, TIFF, BMP, WebP atau DICOM.",
+    sourceTooLarge:
+      "Fail terlalu besar. Imej sehingga {sourceMb} MB dikecilkan kepada {mb} MB sebelum dimuat naik.",
+    uploadTooLarge: "Fail terlalu besar. Saiz maksimum yang dibenarkan ialah {mb} MB.",
+    backendUnavailable: "Pelayan tidak tersedia (503).",
+    predictionFailed: "Ramalan gagal.",
+    requestFailed: "Permintaan gagal dengan status {status}.",
+    connectionFailed:
+      "Gagal menyambung ke pelayan. Pastikan pelayan sedang berjalan dan CORS/proksi telah dikonfigurasi.",
+    invalidResponse: "Respons pelayan tidak sah.",
+    decodeImage: "Imej tidak dapat dinyahkod.",
+    decodeTiff: "Imej TIFF tidak dapat dinyahkod.",
+    encodeImage: "Imej tidak dapat dikodkan.",
+    cannotReduce: "Imej tidak dapat dikecilkan di bawah {mb} MB.",
+    dicomUnreadable: "Bukan fail DICOM yang boleh dibaca ({reason}).",
+    dicomNoDimensions: "Fail DICOM tiada dimensi imej.",
+    dicomColourDepth: "Kedalaman warna DICOM tidak disokong ({bits}-bit).",
+    dicomNoPixels: "Fail DICOM tidak mengandungi data piksel.",
+    dicomCompression:
+      "Pemampatan DICOM tidak disokong ({syntax}). Eksport imej sebagai DICOM tanpa mampatan atau JPEG asas.",
+    unknown: "ralat tidak diketahui",
+    unknownGrade: 'Gred tidak diketahui "{grade}".',
+    noIndexedDb: "Storan setempat (IndexedDB) tidak tersedia dalam pelayar ini.",
+    historyEntryMissing: "Entri sejarah {id} tidak ditemui.",
+  },
+  progress: {
+    uploading: "Memuat naik imej… {percent}",
+    processing: "Memproses di pelayan…",
+    gradcam: "Menjana Grad-CAM…",
+    retrying: "Sambungan terputus. Mencuba semula dalam {seconds}s (cubaan {attempt} daripada {attempts})…",
+    analyzing: "Sistem sedang menganalisis imej retina...",
+  },
+  results: {
+    complete: "Diagnosis Selesai",
+    eye: "Mata:",
+    backToBoth: "Kembali ke kedua-dua mata",
+    sessionId: "ID Sesi:",
+    qualityOverridden: "Semakan kualiti imej telah diatasi oleh operator (skor {score}/100):",
+    thumbnailOnly:
+      "Dibuka semula dari sejarah: hanya lakaran kecil imej asal yang disimpan. Ia dipaparkan di sini tetapi tidak dimasukkan ke dalam laporan PDF dan eksport FHIR.",
+    probabilityDistribution: "Taburan Kebarangkalian",
+    title: "Keputusan",
+    empty: 'Muat naik imej dan klik "Analisis Sekarang" untuk melihat keputusan di sini',
+    encryptedUploadId: "ID muat naik tersulit:",
+  },
+  referral: {
+    title: "Cadangan",
+    patientTitle: "Cadangan Pesakit",
+    levels: {
+      routine: { other: "Saringan semula rutin dalam {count} bulan" },
+      refer: { other: "Rujuk dalam {count} minggu" },
+      urgent: "Rujukan segera",
+      indeterminate: "Tidak muktamad — semakan manusia",
+    },
+    provisional: "Jika disahkan: {action}",
+    reasons: {
+      predictedClass: "Gred diramal {grade}",
+      referableProbability: "P(Sederhana + Teruk + PDR) {value} ≥ {threshold}",
+      urgentProbability: "P(Teruk + PDR) {value} ≥ {threshold}",
+      lowConfidence: "Keyakinan {value} di bawah {threshold}",
+      nearTie: "Beza dua teratas {value} di bawah {threshold}",
+      reviewGrade: "Gred klinikal {grade}",
+    },
+  },
+  uncertainty: {
+    summary: "Ketidakpastian: entropi {entropy} · beza dua teratas {margin} mata",
+    title: "Ramalan tidak pasti — jangan bergantung pada angka keyakinan sahaja.",
+    badge: "Tidak pasti",
+    warnings: {
+      highEntropy: "Kebarangkalian tersebar merentas kelas (entropi {value}, had {limit}).",
+      smallMargin: "Dua kelas teratas hanya berbeza {value} mata (had {limit} mata).",
+      adjacentGrades: "Keputusan terbahagi antara gred bersebelahan {top} dan {second}.",
+    },
+  },
+  gradcam: {
+    title: "Visualisasi Grad-CAM",
+    explanation: "Kawasan yang diserlahkan menunjukkan bahagian yang paling mempengaruhi keputusan model.",
+    generating: "Menjana Grad-CAM…",
+    missing: "Grad-CAM telah diminta, tetapi pelayan tidak memulangkan imej.",
+    cancelled: "Grad-CAM dibatalkan. Memaparkan ramalan tanpa Grad-CAM.",
+    failed: "Grad-CAM gagal (ralat pelayan atau had sumber). Memaparkan ramalan tanpa Grad-CAM.",
+  },
+  preprocess: {
+    title: "Pratonton Prapemprosesan",
+    alt: "Pratonton imej yang telah diproses",
+    details: "CLAHE digunakan: {applied} • clipLimit: {clipLimit} • tileGrid: {tileGrid}",
+    missing: "Pratonton prapemprosesan telah diminta, tetapi pelayan tidak memulangkannya.",
+  },
+  security: {
+    summary: "Keselamatan: {encrypted} • {anonymized} • GDPR: {gdpr} • PDPA: {pdpa}",
+    stored: " • Disimpan: {stored}",
+    encrypted: "Disulitkan",
+    notEncrypted: "Tidak disulitkan",
+    anonymized: "Dianonimkan",
+    notAnonymized: "Tidak dianonimkan",
+    default: "Data anda dianonimkan dan dilindungi oleh kawalan keselamatan. Selaras GDPR/PDPA.",
+  },
+  scrub: {
+    label: "Dinyahkenal pasti sebelum dimuat naik: {summary}",
+    metadataStripped: "Metadata dibuang",
+    metadataKept: "Metadata dikekalkan",
+    uploadedAs: "dimuat naik sebagai {name}",
+    regionsMasked: { other: "{count} kawasan ditutup" },
+    noRegionsMasked: "tiada kawasan ditutup",
+    maskingUnavailable: "penyembunyian kawasan tidak tersedia",
+  },
+  prep: {
+    summary: "{before} → {after} (metadata dibuang)",
+  },
+  modelInfo: {
+    title: "Maklumat Model",
+    loading: "Memuatkan maklumat model...",
+    name: "Nama:",
+    inputShape: "Bentuk input:",
+    classes: "Kelas:",
+    loaded: "Model dimuatkan:",
+    loadError: "Ralat pemuatan:",
+    securityFeatures: "Ciri keselamatan:",
+    empty: "Tiada maklumat model tersedia.",
+  },
+  privacy: {
+    title: "Notis Privasi",
+    loading: "Memuatkan notis privasi...",
+    controller: "Pengawal:",
+    contact: "Hubungan:",
+    dpo: "Pegawai Perlindungan Data:",
+    purposes: "Tujuan pemprosesan:",
+    dataCollected: "Data yang dikumpul:",
+    securityMeasures: "Langkah keselamatan:",
+    retention: "Tempoh penyimpanan:",
+    rights: "Hak:",
+    empty: "Tiada notis privasi tersedia.",
+  },
+  history: {
+    title: "Sejarah Kes",
+    localOnly: "Keputusan disimpan hanya dalam pelayar ini dan tidak pernah dimuat naik.",
+    search: "Cari rujukan kes atau ID sesi",
+    allClasses: "Semua kelas",
+    fromDate: "Dari tarikh",
+    toDate: "Hingga tarikh",
+    loading: "Memuatkan sejarah...",
+    deleteEntry: "Padam entri",
+    noMatches: "Tiada keputusan sepadan dengan penapis semasa.",
+    empty: "Belum ada keputusan disimpan.",
+    purgeAll: "Padam Semua",
+    confirmPurge:
+      "Padam semua keputusan yang disimpan secara setempat, muat naik dalam baris gilir dan label kebenaran asas yang diimport? Tindakan ini tidak boleh dibuat asal.",
+    readFailed: "Sejarah setempat tidak dapat dibaca.",
+    deleteFailed: "Entri tidak dapat dipadam.",
+    purgeFailed: "Sejarah tidak dapat dipadam.",
+    reviewed: "Disemak",
+    overridden: "Diatasi: {grade}",
+    selectShown: { other: "Pilih semua {count} keputusan yang dipaparkan" },
+    selectEntry: "Pilih untuk eksport",
+  },
+  export: {
+    title: "Eksport penyelidikan",
+    scope: "Keputusan",
+    scopes: {
+      all: "Semua yang disimpan ({count})",
+      shown: "Dipaparkan oleh penapis ({count})",
+      selected: "Dipilih ({count})",
+    },
+    format: "Format",
+    formats: { csv: "CSV", jsonl: "JSON Lines" },
+    button: { other: "Eksport {count} keputusan" },
+    pseudonymize: "Pseudonimkan rujukan kes (HMAC-SHA-256)",
+    keyPlaceholder: "Kunci kajian (pilihan)",
+    keyHelp:
+      "Kunci yang sama sentiasa memberi pseudonim yang sama, jadi eksport boleh dipautkan. Tanpa kunci, kunci rawak digunakan dan pseudonim hanya sepadan dalam fail ini.",
+    done: { other: "{count} keputusan dieksport ke {file}." },
+    failed: "Eksport gagal: {message}",
+    noWebCrypto:
+      "Pseudonimisasi memerlukan sambungan selamat (HTTPS); pelayar ini tidak menyediakan WebCrypto di sini.",
+  },
+  quality: {
+    checking: "Menyemak kualiti imej…",
+    unavailable: "Kualiti imej tidak dapat dinilai dalam pelayar ini ({error}).",
+    title: "Kualiti imej",
+    override: "Atasi semakan kualiti dan analisis juga (direkodkan bersama keputusan)",
+    detected: "dikesan",
+    notDetected: "tidak dikesan",
+    checks: {
+      resolution: "Resolusi",
+      sharpness: "Ketajaman",
+      brightness: "Dedahan",
+      contrast: "Kontras",
+      fov: "Medan pandangan fundus",
+    },
+    issues: {
+      lowResolution:
+        "Resolusi imej rendah ({width}×{height}); sekurang-kurangnya {minResolution}px pada sisi pendek disyorkan.",
+      blurred: "Imej kelihatan kabur atau tidak fokus.",
+      underExposed: "Imej kurang dedahan (terlalu gelap).",
+      overExposed: "Imej terlebih dedahan (terlalu terang).",
+      lowContrast: "Kontras imej rendah; butiran retina mungkin tidak kelihatan.",
+      noFov: "Tiada medan pandangan fundus bulat dikesan; ini mungkin bukan gambar retina.",
+    },
+  },
+  dicom: {
+    eye: "Mata:",
+    acquired: "Diperoleh:",
+    patient: "Pesakit:",
+    notRecorded: "tidak direkodkan",
+    hidden: "tersembunyi",
+    showIdentifier: "Tunjukkan pengecam pesakit",
+    hideIdentifier: "Sembunyikan pengecam pesakit",
+    localOnly: "Pengecam kekal dalam pelayar ini; hanya piksel imej yang dimuat naik.",
+  },
+  mask: {
+    region: "Tutup kawasan",
+    done: "Selesai menutup",
+    clear: "Kosongkan tutupan ({count})",
+    remove: "Buang tutupan",
+    hint:
+      "Seret di atas nama, tarikh atau ID yang tertera pada imej. Kawasan yang ditutup dihitamkan sebelum dimuat naik.",
+  },
+  paired: {
+    status: { analyzing: "menganalisis", done: "selesai", failed: "gagal" },
+    previewAlt: "Pratonton {eye}",
+    dropEye: "Lepaskan imej {eye}",
+    lateralityMismatch: "Pengepala DICOM menyatakan {eye}. Pastikan imej berada di slot yang betul.",
+    analyzeOne: "Analisis {eye} Sahaja",
+    analyzeBoth: "Analisis Kedua-dua Mata",
+    notSubmitted: "Tidak dihantar.",
+    viewDetails: "Lihat butiran",
+    patientGrade: "Gred peringkat pesakit",
+    worseEye: "Mata lebih teruk: {eye} • Keyakinan {confidence}",
+    incomplete: "Hanya satu mata digredkan; ringkasan ini tidak lengkap.",
+    noPrediction: "Tiada mata yang memulangkan ramalan.",
+    worseEyeReviewed: "Mata lebih teruk: {eye} • Gred klinisian",
+  },
+  batch: {
+    dropHere: "Lepaskan imej atau folder di sini",
+    orSelect: "atau klik untuk memilih beberapa fail",
+    selectFolder: "Pilih Folder",
+    summary: "{pending} menunggu • {analyzing} menganalisis • {done} selesai • {failed} gagal",
+    paused: " • Dijeda selama {seconds}s (had kadar)",
+    waitingForModel: " • Menunggu model pelayan",
+    status: { pending: "menunggu", analyzing: "menganalisis", done: "selesai", failed: "gagal" },
+    pause: "Jeda",
+    resume: "Sambung Kelompok",
+    analyze: "Analisis Kelompok",
+    retryFailed: "Cuba Semula yang Gagal",
+    clear: "Kosongkan Baris Gilir",
+    qualityOverride: "Analisis imej yang gagal semakan kualiti (direkodkan bersama setiap keputusan)",
+    qualityFailed: "Dilangkau: kualiti imej {score}/100. {issues}",
+    noMasking:
+      "Mod kelompok tidak dapat menyembunyikan teks yang tertera pada imej. Analisis imej yang memaparkan nama, tarikh atau ID dalam mod imej tunggal atau OD/OS.",
+    qualityUnavailable: "Dilangkau: kualiti imej tidak dapat dinilai ({error}).",
+  },
+  outbox: {
+    title: "Peti keluar luar talian",
+    pending: { other: "{count} menunggu" },
+    syncing: "Menghantar imej dalam baris gilir…",
+    waiting: "Luar talian. Imej dalam baris gilir dihantar secara automatik apabila backend boleh dicapai dan model dimuatkan.",
+    lastSync: { other: "{count} imej dihantar pada {time}" },
+    syncNow: "Segerak sekarang",
+    retry: "Cuba semula",
+    discard: "Buang",
+    unnamed: "Imej tanpa nama",
+    queued: "Anda di luar talian. Imej yang telah dinyahkenal pasti disimpan dalam peti keluar dan akan dianalisis secara automatik apabila sambungan pulih; keputusan dipaparkan dalam Sejarah.",
+    queueButton: "Simpan ke Peti Keluar",
+    queueFailed: "Tidak dapat menyimpan imej untuk dimuat naik kemudian: {message}",
+    browserOffline: "Tiada sambungan rangkaian",
+  },
+  chart: {
+    views: { list: "Senarai", bar: "Bar", radar: "Radar", doughnut: "Donat" },
+    probability: "Kebarangkalian",
+    empty: "Tiada taburan kebarangkalian dipulangkan oleh pelayan.",
+  },
+  trend: {
+    title: "Trend Lawatan — {reference}",
+    severity: "Tahap keterukan",
+    severityEye: "Tahap keterukan — {eye}",
+    confidence: "Keyakinan (%)",
+  },
+  viewer: {
+    overlay: "Tindih",
+    swipe: "Leret",
+    side: "Sebelah-menyebelah",
+    zoomIn: "Zum masuk",
+    zoomOut: "Zum keluar",
+    resetZoom: "Set semula zum",
+    fullscreen: "Skrin penuh",
+    exitFullscreen: "Keluar skrin penuh",
+    original: "Asal",
+    gradcam: "Grad-CAM",
+    gradcamOverlay: "Tindihan Grad-CAM",
+    preprocessed: "Diproses",
+    opacity: "Kelegapan peta haba: {value}",
+    swipeLabel: "Asal ◀ {value} ▶ Grad-CAM",
+    help: "Tatal untuk zum, seret untuk anjak, klik dua kali untuk set semula. Zum dikongsi merentas semua paparan.",
+  },
+  review: {
+    title: "Semakan Klinikal",
+    accept: "Terima gred",
+    override: "Atasi gred",
+    accepted: "Diterima",
+    overridden: "Diatasi",
+    grade: "Gred klinikal",
+    findings: "Penemuan lesi",
+    lesions: {
+      microaneurysms: "Mikroaneurisma",
+      hemorrhages: "Pendarahan",
+      exudates: "Eksudat",
+      neovascularization: "Neovaskularisasi",
+    },
+    markup: "Tanda",
+    draw: "Lukis tanda",
+    doneDrawing: "Selesai melukis",
+    clearMarkup: "Kosongkan tanda ({count})",
+    notes: "Catatan",
+    reviewer: "Penyemak",
+    save: "Simpan semakan",
+    edit: "Sunting semakan",
+    saveFailed: "Semakan tidak dapat disimpan. Cuba lagi.",
+    acceptedSummary: "Gred model diterima: {grade}",
+    overrideSummary: "Model menggred {model}; klinisian menggred {grade}",
+    findingsList: "Penemuan: {findings}",
+    byline: "Disemak oleh {reviewer} pada {date}",
+    anonymous: "penyemak tanpa nama",
+  },
+  agreement: {
+    title: "Persetujuan & Kalibrasi Model",
+    localOnly: "Dikira dalam pelayar ini daripada keputusan tersimpan dan label yang diimport.",
+    reference: "Gred rujukan",
+    sources: {
+      labels: "Label diimport",
+      reviews: "Semakan klinikal",
+      both: "Label diimport, kemudian semakan klinikal",
+    },
+    importCsv: "Import kebenaran dasar (CSV)",
+    csvHelp:
+      "Lajur: session_id atau case_reference (mata pilihan), dan gred sebagai nama kelas atau ICDR 0–4.",
+    labelsLoaded: { other: "{count} label diimport" },
+    clearLabels: "Kosongkan label",
+    skippedRows: { other: "{count} baris dilangkau" },
+    rowError: "Baris {line}: {message}",
+    importFailed: "CSV tidak dapat diimport: {message}",
+    loading: "Memuatkan keputusan...",
+    noPairs: "Belum ada keputusan tersimpan yang mempunyai gred rujukan. Import label atau semak keputusan dahulu.",
+    graded: "Keputusan bergred",
+    accuracy: "Persetujuan tepat",
+    kappa: "Kappa berwajaran kuadratik",
+    referableSensitivity: "Sensitiviti RD perlu dirujuk",
+    referableSpecificity: "Spesifisiti RD perlu dirujuk",
+    ece: "Ralat kalibrasi dijangka",
+    confusion: "Matriks Kekeliruan",
+    axes: "Rujukan ↓ / Model →",
+    perClass: "Prestasi Setiap Kelas",
+    class: "Kelas",
+    support: "Kes",
+    sensitivity: "Sensitiviti",
+    specificity: "Spesifisiti",
+    calibration: "Kebolehpercayaan (Kalibrasi)",
+    calibrationHelp:
+      "Ketepatan sebenar bagi setiap julat keyakinan. Titik di bawah garis pepenjuru bermaksud model terlalu yakin.",
+    observed: "Ketepatan sebenar",
+    ideal: "Kalibrasi sempurna",
+    confidenceAxis: "Keyakinan (%)",
+    accuracyAxis: "Ketepatan (%)",
+    binTooltip: "{count} keputusan, {accuracy} betul",
+    csv: {
+      empty: "Fail kosong.",
+      noGrade: "Tiada lajur gred ditemui (grade, label atau class).",
+      noKey: "Tiada lajur session_id atau case_reference ditemui.",
+      badGrade: "gred tidak dikenali \"{value}\"",
+      missingKey: "tiada session_id atau rujukan kes",
+    },
+  },
+  backends: {
+    title: "Backend",
+    help: "Daftarkan penggunaan lain (contohnya model baharu di staging) untuk dibandingkan dengan backend lalai. Backend yang ditanda menerima imej yang sama secara selari apabila anda klik Bandingkan.",
+    defaultName: "Lalai",
+    sameOrigin: "Asal yang sama (/api)",
+    compare: "Banding",
+    compareLabel: "Sertakan {name} dalam perbandingan",
+    name: "Nama",
+    namePlaceholder: "Model staging v2",
+    url: "URL asas",
+    status: "Status",
+    model: "Model",
+    add: "Tambah",
+    remove: "Buang",
+    recheck: "Semak semula",
+    checkAll: "Semak semua",
+    selected: { other: "{count} backend dipilih" },
+    errors: {
+      nameRequired: "Masukkan nama untuk backend.",
+      badUrl: "Masukkan URL asas http:// atau https://.",
+      duplicateName: "Backend dengan nama ini sudah wujud.",
+      duplicateUrl: "URL ini sudah didaftarkan.",
+    },
+  },
+  compare: {
+    button: "Bandingkan ({count})",
+    title: "Perbandingan Model",
+    agree: { other: "Semua {count} model bersetuju: {grade}." },
+    disagree: "Model tidak bersetuju:",
+    classCount: "{grade} ({count})",
+    referralDiffers: "Model juga berbeza sama ada pesakit perlu dirujuk.",
+    allFailed: "Tiada backend mengembalikan keputusan.",
+    confidence: "Keyakinan {value}",
+    elapsed: "{ms} ms",
+    dissent: "Berbeza daripada majoriti",
+    spread: "Julat (mata)",
+    spreadHelp: "Baris yang diserlahkan berbeza sebanyak {limit} mata peratusan atau lebih antara model.",
+    close: "Tutup perbandingan",
+  },
+  diagnostics: {
+    title: "Diagnostik Konfigurasi",
+    configFile: "Konfigurasi masa jalan:",
+    checkedAt: "Dibaca pada {time}",
+    build: "Binaan:",
+    production: "produksi",
+    development: "pembangunan",
+    status: {
+      pending: "belum dimuatkan",
+      loaded: "dimuatkan",
+      missing: "tidak ditemui (menggunakan lalai binaan)",
+      invalid: "JSON tidak sah",
+      failed: "tidak dapat dibaca",
+    },
+    issuesTitle: "Entri yang diabaikan dalam config.json",
+    issues: {
+      notObject: "Fail mesti mengandungi objek JSON.",
+      notString: "{key}: mestilah rentetan.",
+      badUrl: "{key}: mestilah URL http(s), laluan bermula dengan /, atau kosong untuk asal yang sama.",
+      notNumber: "{key}: mestilah nombor.",
+      notInteger: "{key}: mestilah nombor bulat.",
+      outOfRange: "{key}: mestilah antara {min} dan {max}.",
+    },
+    unknownKey: "{key}: tetapan tidak dikenali.",
+    setting: "Tetapan",
+    value: "Nilai",
+    source: "Sumber",
+    envVar: "Pemboleh ubah masa binaan",
+    sources: { runtime: "config.json", env: "pemboleh ubah env", default: "lalai" },
+    help: "Tetapan dibaca sekali semasa permulaan: muat semula halaman selepas menukar config.json.",
+    notSet: "tidak ditetapkan",
+  },
+  fhir: {
+    button: "Eksport FHIR",
+    title: "Eksport FHIR",
+    intro:
+      "Bundle transaksi HL7 FHIR R4 dengan DiagnosticReport, Observation untuk gred dan kebarangkalian kelas, serta imej sebagai Media. Teks dalam sumber adalah dalam bahasa Inggeris.",
+    includeImages: "Sertakan imej asal dan tindanan Grad-CAM",
+    building: "Menyediakan Bundle…",
+    resources: "Sumber:",
+    sizeKb: "{value} KB",
+    endpoint: "Titik akhir FHIR:",
+    noEndpoint: "Tiada titik akhir FHIR dikonfigurasi. Tetapkan fhirEndpoint dalam config.json untuk menghantar Bundle ke EHR.",
+    download: "Muat Turun JSON",
+    send: "Hantar ke EHR",
+    sending: "Menghantar…",
+    sent: { other: "Dihantar. Pelayan mencipta {created} daripada {count} sumber." },
+    sendFailed: "Pelayan FHIR tidak menerima Bundle: {message}",
+    buildFailed: "Tidak dapat membina Bundle FHIR: {message}",
+    noGrade: "Hanya keputusan dengan gred DR boleh dieksport.",
+    noEndpointError: "Tiada titik akhir FHIR dikonfigurasi.",
+  },
+  eyes: {
+    OD: "Mata kanan (OD)",
+    OS: "Mata kiri (OS)",
+  },
+  classes: {
+    No_DR: "Tiada RD",
+    Mild: "Ringan",
+    Moderate: "Sederhana",
+    Severe: "Teruk",
+    Proliferative_DR: "RD Proliferatif",
+  },
+  classDescriptions: {
+    No_DR: "Tiada tanda retinopati diabetik dikesan. Teruskan saringan tahunan rutin.",
+    Mild: "Retinopati diabetik bukan proliferatif ringan: mikroaneurisma sahaja.",
+    Moderate:
+      "Retinopati diabetik bukan proliferatif sederhana: lebih daripada mikroaneurisma tetapi kurang daripada NPDR teruk.",
+    Severe:
+      "Retinopati diabetik bukan proliferatif teruk: pendarahan intraretina yang meluas, manik vena atau IRMA.",
+    Proliferative_DR:
+      "Retinopati diabetik proliferatif: neovaskularisasi dan/atau pendarahan vitreus atau praretina.",
+  },
+  disclaimer: {
+    title: "Penafian Perubatan:",
+    text:
+      "Alat ini hanya untuk tujuan pendidikan dan saringan. Sentiasa rujuk pakar oftalmologi yang bertauliah untuk diagnosis dan rawatan.",
+  },
+};
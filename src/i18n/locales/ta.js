@@ -0,0 +1,617 @@
+export default {
+  common: {
+    close: "மூடு",
+    error: "பிழை:",
+    na: "பொருந்தாது",
+    yes: "ஆம்",
+    no: "இல்லை",
+    unknown: "தெரியவில்லை",
+    open: "திற",
+    view: "பார்",
+    remove: "நீக்கு",
+    cancel: "ரத்துசெய்",
+    cancelling: "ரத்துசெய்யப்படுகிறது…",
+    analyzing: "பகுப்பாய்வு செய்யப்படுகிறது...",
+    waitSeconds: "{seconds} வி காத்திருக்கவும்",
+    confidence: "நம்பகத்தன்மை {value}",
+    case: "வழக்கு: {reference}",
+    caseReferencePlaceholder: "வழக்குக் குறிப்பு (விருப்பத்தேர்வு, உள்ளூரில் சேமிக்கப்படும்)",
+    generateGradcam: "Grad-CAM உருவாக்கு",
+    imagesPreprocessed: "படங்கள் ஏற்கனவே முன்செயலாக்கப்பட்டவை (CLAHE தவிர்)",
+    downloadReport: "அறிக்கையைப் பதிவிறக்கு",
+    preparingImage: "படம் தயாராகிறது…",
+    supports:
+      "ஆதரவு: PNG, JPG, TIFF, BMP, WebP, DICOM (பெரிய படங்கள் {mb} MB ஆகக் குறைக்கப்படும்)",
+    language: "மொழி",
+  },
+  startup: {
+    failed: "செயலியை ஏற்ற முடியவில்லை. இது பெரும்பாலும் புதுப்பிப்புக்குப் பிறகு நிகழும்.",
+    reload: "மீண்டும் ஏற்று",
+  },
+  header: {
+    title: "நீரிழிவு விழித்திரை நோய் முன்கணிப்பு மற்றும் வகைப்படுத்தல் இணையப் பயன்பாட்டு அமைப்பு",
+    subtitle: "RA EfficientNetB3 ஆழ் கற்றல் மூலம் இயக்கப்படுகிறது",
+    modelInfo: "மாதிரித் தகவல்",
+    privacyNotice: "தனியுரிமை அறிவிப்பு",
+    history: "வரலாறு",
+    compliance: "GDPR/PDPA இணக்கம்",
+    agreement: "ஒப்புதல்",
+    backends: "பின்தளங்கள்",
+    diagnostics: "கண்டறிதல்",
+  },
+  backend: {
+    ready: "சேவையகம் தயார்",
+    modelLoaded: "மாதிரி ஏற்றப்பட்டது",
+    modelLoading: "மாதிரி ஏற்றப்படுகிறது",
+    warmingUp: "மாதிரி தயாராகிறது… காத்திருக்கவும்",
+    noModel: "சேவையகத்தில் மாதிரி இல்லை",
+    modelNotLoaded: "மாதிரி ஏற்றப்படவில்லை",
+    offline: "சேவையகம் இணைப்பில் இல்லை",
+    checking: "சேவையகம் சரிபார்க்கப்படுகிறது",
+    api: "API: {mode}",
+    modeMock: "போலி ({scenario})",
+    modeLocal: "உள்ளூர்",
+    modeDirect: "நேரடி (Render URL)",
+    modeProxy: "பதிலாள் (அதே மூலம்)",
+    missingApiUrl:
+      "பின்தள URL எதுவும் கட்டமைக்கப்படவில்லை. index.html அருகிலுள்ள config.json இல் apiBaseUrl ஐ அமைக்கவும் (மீண்டும் build தேவையில்லை), அல்லது build நேரத்தில் VITE_API_BASE_URL ஐ அமைக்கவும்.",
+  },
+  health: {
+    title: "பின்தள நிலை",
+    status: "நிலை",
+    ms: "{value} மி.வி.",
+    uptime: "இயக்க நேரம்",
+    uptimeValue: { one: "கடைசி சோதனையில் {value}", other: "கடைசி {count} சோதனைகளில் {value}" },
+    latency: "தாமதம்",
+    latencyValue: "கடைசி {last}, சராசரி {mean}",
+    lastChange: "கடைசி மாற்றம்",
+    changed: "{time} இல் {from} → {to}",
+    since: "{time} முதல் {state}",
+    noChecks: "இன்னும் நிலைச் சோதனைகள் இல்லை.",
+    nextCheck: "அடுத்த சோதனை {time} இல்.",
+    pausedHidden: "இந்தத் தாவல் பின்னணியில் இருக்கும்போது சோதனைகள் இடைநிறுத்தப்படும்.",
+    pausedOffline: "உலாவி இணைப்பில் இல்லாதபோது சோதனைகள் இடைநிறுத்தப்படும்.",
+    checkNow: "இப்போது சோதி",
+    states: { ready: "தயார்", loading: "மாதிரி ஏற்றப்படுகிறது", noModel: "மாதிரி இல்லை", offline: "இணைப்பில் இல்லை" },
+  },
+  upload: {
+    titleSingle: "விழித்திரைப் படத்தைப் பதிவேற்று",
+    titlePaired: "இரு கண் பரிசோதனை",
+    titleBatch: "தொகுப்புத் திரையிடல்",
+    modeSingle: "ஒற்றை",
+    modePaired: "OD/OS",
+    modeBatch: "தொகுப்பு",
+    dropHere: "உங்கள் படத்தை இங்கே விடவும்",
+    orBrowse: "அல்லது உலாவ கிளிக் செய்யவும்",
+    preview: "முன்னோட்டம்",
+    optimized: "பதிவேற்றத்திற்கு உகந்ததாக்கப்பட்டது: {report}",
+    imagePreprocessed: "படம் ஏற்கனவே முன்செயலாக்கப்பட்டது (CLAHE தவிர்)",
+    showPreprocessing: "முன்செயலாக்க முன்னோட்டத்தைக் காட்டு",
+    analyzeNow: "இப்போது பகுப்பாய்வு செய்",
+    modelLoading: "மாதிரி ஏற்றப்படுகிறது...",
+    uploadNew: "புதியதைப் பதிவேற்று",
+  },
+  camera: {
+    open: "கேமராவைப் பயன்படுத்து",
+    title: "கேமரா பிடிப்பு",
+    starting: "கேமரா தொடங்குகிறது…",
+    alignHint: "ஃபண்டஸை வட்டத்திற்குள் பொருத்தி அசையாமல் பிடிக்கவும். தொடர் பிடிப்பு பல சட்டகங்களை எடுத்து மிகத் தெளிவானதை வைத்துக்கொள்ளும்.",
+    burst: { one: "தொடர் பிடிப்பு ({count} சட்டகம்)", other: "தொடர் பிடிப்பு ({count} சட்டகங்கள்)" },
+    burstProgress: "பிடிக்கப்படுகிறது {done}/{total}…",
+    capture: "பிடி",
+    torchOn: "விளக்கை இயக்கு",
+    torchOff: "விளக்கை அணை",
+    torchFailed: "விளக்கை மாற்ற முடியவில்லை: {message}",
+    denied: "கேமரா அணுகல் மறுக்கப்பட்டது. இந்தத் தளத்திற்கு கேமரா அணுகலை அனுமதித்து மீண்டும் முயற்சிக்கவும்.",
+    notFound: "இந்தச் சாதனத்தில் பொருத்தமான கேமரா கிடைக்கவில்லை.",
+    busy: "கேமரா வேறொரு பயன்பாட்டால் பயன்படுத்தப்படுகிறது.",
+    failed: "கேமராவிலிருந்து படத்தைப் பிடிக்க முடியவில்லை.",
+  },
+  errors: {
+    rateLimited: "கோரிக்கை வரம்பு மீறப்பட்டது. {seconds} விநாடிகளில் மீண்டும் முயற்சிக்கவும்.",
+    modelLoading: "சேவையகத்தில் மாதிரி இன்னும் ஏற்றப்படுகிறது. சில விநாடிகள் காத்திருந்து மீண்டும் முயற்சிக்கவும்.",
+    modelNotReady: "சேவையக மாதிரி தயாராக இல்லை. சேவையகத்தின் /api/health நிலையைச் சரிபார்க்கவும்.",
+    noImage: "முதலில் ஒரு படத்தைத் தேர்ந்தெடுக்கவும்.",
+    qualityBlocked:
+      "படம் தரச் சோதனையில் தோல்வியடைந்தது. சிறந்த படத்தைத் தேர்ந்தெடுக்கவும் அல்லது சோதனையை மீறவும்.",
+    cancelled: "பகுப்பாய்வு ரத்துசெய்யப்பட்டது.",
+    reportFailed: "PDF அறிக்கையை உருவாக்க முடியவில்லை.",
+    unreadableImage: "இந்தப் படத்தைப் படிக்க முடியவில்லை.",
+    invalidType: "தவறான கோப்பு வகை. PNG, JPG, TIFF, BMP, WebP அல்லது DICOM ஐப் பதிவேற்றவும்.",
+    sourceTooLarge:
+      "கோப்பு மிகப் பெரியது. {sourceMb} MB வரையிலான படங்கள் பதிவேற்றத்திற்கு முன் {mb} MB ஆகக் குறைக்கப்படும்.",
+    uploadTooLarge: "கோப்பு மிகப் பெரியது. அனுமதிக்கப்பட்ட அதிகபட்ச அளவு {mb} MB.",
+    backendUnavailable: "சேவையகம் கிடைக்கவில்லை (503).",
+    predictionFailed: "முன்கணிப்பு தோல்வியடைந்தது.",
+    requestFailed: "கோரிக்கை {status} நிலையுடன் தோல்வியடைந்தது.",
+    connectionFailed:
+      "சேவையகத்துடன் இணைக்க முடியவில்லை. சேவையகம் இயங்குவதையும் CORS/பதிலாள் அமைக்கப்பட்டுள்ளதையும் உறுதிசெய்யவும்.",
+    invalidResponse: "சேவையகப் பதில் தவறானது.",
+    decodeImage: "படத்தைக் குறிவிலக்க முடியவில்லை.",
+    decodeTiff: "TIFF படத்தைக் குறிவிலக்க முடியவில்லை.",
+    encodeImage: "படத்தைக் குறியாக்க முடியவில்லை.",
+    cannotReduce: "படத்தை {mb} MB க்குக் கீழ் குறைக்க முடியவில்லை.",
+    dicomUnreadable: "படிக்கக்கூடிய DICOM கோப்பு அல்ல ({reason}).",
+    dicomNoDimensions: "DICOM கோப்பில் பட அளவுகள் இல்லை.",
+    dicomColourDepth: "ஆதரிக்கப்படாத DICOM வண்ண ஆழம் ({bits}-பிட்).",
+    dicomNoPixels: "DICOM கோப்பில் பிக்சல் தரவு இல்லை.",
+    dicomCompression:
+      "ஆதரிக்கப்படாத DICOM சுருக்கம் ({syntax}). படத்தைச் சுருக்கப்படாத அல்லது அடிப்படை JPEG DICOM ஆக ஏற்றுமதி செய்யவும்.",
+    unknown: "அறியப்படாத பிழை",
+    unknownGrade: 'அறியப்படாத தரம் "{grade}".',
+    noIndexedDb: "இந்த உலாவியில் உள்ளூர் சேமிப்பகம் (IndexedDB) கிடைக்கவில்லை.",
+    historyEntryMissing: "வரலாற்று பதிவு {id} காணப்படவில்லை.",
+  },
+  progress: {
+    uploading: "படம் பதிவேற்றப்படுகிறது… {percent}",
+    processing: "சேவையகத்தில் செயலாக்கப்படுகிறது…",
+    gradcam: "Grad-CAM உருவாக்கப்படுகிறது…",
+    retrying:
+      "இணைப்பு துண்டிக்கப்பட்டது. {seconds} விநாடிகளில் மீண்டும் முயற்சிக்கிறது ({attempts} இல் {attempt} ஆவது முயற்சி)…",
+    analyzing: "அமைப்பு விழித்திரைப் படத்தைப் பகுப்பாய்வு செய்கிறது...",
+  },
+  results: {
+    complete: "நோயறிதல் முடிந்தது",
+    eye: "கண்:",
+    backToBoth: "இரு கண்களுக்கும் திரும்பு",
+    sessionId: "அமர்வு ID:",
+    qualityOverridden: "படத் தரச் சோதனை இயக்குநரால் மீறப்பட்டது (மதிப்பெண் {score}/100):",
+    thumbnailOnly:
+      "வரலாற்றிலிருந்து மீண்டும் திறக்கப்பட்டது: அசல் படத்தின் சிறுபடம் மட்டுமே சேமிக்கப்பட்டுள்ளது. இது இங்கு காட்டப்படும், ஆனால் PDF அறிக்கை மற்றும் FHIR ஏற்றுமதியில் சேர்க்கப்படாது.",
+    probabilityDistribution: "நிகழ்தகவுப் பரவல்",
+    title: "முடிவுகள்",
+    empty: 'முடிவுகளை இங்கே காண ஒரு படத்தைப் பதிவேற்றி "இப்போது பகுப்பாய்வு செய்" என்பதைக் கிளிக் செய்யவும்',
+    encryptedUploadId: "மறையாக்கப்பட்ட பதிவேற்ற ID:",
+  },
+  referral: {
+    title: "பரிந்துரை",
+    patientTitle: "நோயாளர் பரிந்துரை",
+    levels: {
+      routine: {
+        one: "{count} மாதத்தில் வழக்கமான மறுபரிசோதனை",
+        other: "{count} மாதங்களில் வழக்கமான மறுபரிசோதனை",
+      },
+      refer: { one: "{count} வாரத்திற்குள் பரிந்துரைக்கவும்", other: "{count} வாரங்களுக்குள் பரிந்துரைக்கவும்" },
+      urgent: "அவசரப் பரிந்துரை",
+      indeterminate: "தீர்மானிக்க இயலவில்லை — மனித மதிப்பாய்வு",
+    },
+    provisional: "உறுதிசெய்யப்பட்டால்: {action}",
+    reasons: {
+      predictedClass: "கணிக்கப்பட்ட தரம் {grade}",
+      referableProbability: "P(மிதமானது + தீவிரமானது + PDR) {value} ≥ {threshold}",
+      urgentProbability: "P(தீவிரமானது + PDR) {value} ≥ {threshold}",
+      lowConfidence: "நம்பகம் {value}, {threshold} க்குக் குறைவு",
+      nearTie: "முதல் இரண்டுக்கு இடையிலான வேறுபாடு {value}, {threshold} க்குக் குறைவு",
+      reviewGrade: "மருத்துவர் தரம் {grade}",
+    },
+  },
+  uncertainty: {
+    summary: "நிச்சயமின்மை: என்ட்ரோபி {entropy} · முதல் இரண்டின் இடைவெளி {margin} புள்ளிகள்",
+    title: "நிச்சயமற்ற கணிப்பு — நம்பக எண்ணை மட்டும் நம்ப வேண்டாம்.",
+    badge: "நிச்சயமற்றது",
+    warnings: {
+      highEntropy: "நிகழ்தகவு வகுப்புகளில் பரவியுள்ளது (என்ட்ரோபி {value}, வரம்பு {limit}).",
+      smallMargin: "முதல் இரண்டு வகுப்புகளுக்கு இடையே {value} புள்ளிகள் மட்டுமே வேறுபாடு (வரம்பு {limit} புள்ளிகள்).",
+      adjacentGrades: "முடிவு அடுத்தடுத்த தரங்கள் {top} மற்றும் {second} இடையே பிரிந்துள்ளது.",
+    },
+  },
+  gradcam: {
+    title: "Grad-CAM காட்சிப்படுத்தல்",
+    explanation: "சிறப்பித்துக் காட்டப்பட்ட பகுதிகள் மாதிரியின் முடிவை அதிகம் பாதித்தவை.",
+    generating: "Grad-CAM உருவாக்கப்படுகிறது…",
+    missing: "Grad-CAM கோரப்பட்டது, ஆனால் சேவையகம் படத்தை வழங்கவில்லை.",
+    cancelled: "Grad-CAM ரத்துசெய்யப்பட்டது. Grad-CAM இல்லாமல் முன்கணிப்பு காட்டப்படுகிறது.",
+    failed:
+      "Grad-CAM தோல்வியடைந்தது (சேவையகப் பிழை அல்லது வள வரம்பு). Grad-CAM இல்லாமல் முன்கணிப்பு காட்டப்படுகிறது.",
+  },
+  preprocess: {
+    title: "முன்செயலாக்க முன்னோட்டம்",
+    alt: "முன்செயலாக்கப்பட்ட முன்னோட்டம்",
+    details: "CLAHE பயன்படுத்தப்பட்டது: {applied} • clipLimit: {clipLimit} • tileGrid: {tileGrid}",
+    missing: "முன்செயலாக்க முன்னோட்டம் கோரப்பட்டது, ஆனால் சேவையகம் அதை வழங்கவில்லை.",
+  },
+  security: {
+    summary: "பாதுகாப்பு: {encrypted} • {anonymized} • GDPR: {gdpr} • PDPA: {pdpa}",
+    stored: " • சேமிக்கப்பட்டது: {stored}",
+    encrypted: "மறையாக்கப்பட்டது",
+    notEncrypted: "மறையாக்கப்படவில்லை",
+    anonymized: "அநாமதேயமாக்கப்பட்டது",
+    notAnonymized: "அநாமதேயமாக்கப்படவில்லை",
+    default:
+      "உங்கள் தரவு அநாமதேயமாக்கப்பட்டு பாதுகாப்புக் கட்டுப்பாடுகளால் பாதுகாக்கப்படுகிறது. GDPR/PDPA இணக்கம்.",
+  },
+  scrub: {
+    label: "பதிவேற்றத்திற்கு முன் அடையாளம் நீக்கப்பட்டது: {summary}",
+    metadataStripped: "மேனிலைத் தரவு நீக்கப்பட்டது",
+    metadataKept: "மேனிலைத் தரவு வைக்கப்பட்டது",
+    uploadedAs: "{name} ஆகப் பதிவேற்றப்பட்டது",
+    regionsMasked: { one: "{count} பகுதி மறைக்கப்பட்டது", other: "{count} பகுதிகள் மறைக்கப்பட்டன" },
+    noRegionsMasked: "எந்தப் பகுதியும் மறைக்கப்படவில்லை",
+    maskingUnavailable: "பகுதி மறைப்பு கிடைக்கவில்லை",
+  },
+  prep: {
+    summary: "{before} → {after} (மேனிலைத் தரவு நீக்கப்பட்டது)",
+  },
+  modelInfo: {
+    title: "மாதிரித் தகவல்",
+    loading: "மாதிரித் தகவல் ஏற்றப்படுகிறது...",
+    name: "பெயர்:",
+    inputShape: "உள்ளீட்டு வடிவம்:",
+    classes: "வகைகள்:",
+    loaded: "மாதிரி ஏற்றப்பட்டது:",
+    loadError: "ஏற்றுதல் பிழை:",
+    securityFeatures: "பாதுகாப்பு அம்சங்கள்:",
+    empty: "மாதிரித் தகவல் எதுவும் இல்லை.",
+  },
+  privacy: {
+    title: "தனியுரிமை அறிவிப்பு",
+    loading: "தனியுரிமை அறிவிப்பு ஏற்றப்படுகிறது...",
+    controller: "கட்டுப்பாட்டாளர்:",
+    contact: "தொடர்பு:",
+    dpo: "தரவுப் பாதுகாப்பு அலுவலர்:",
+    purposes: "செயலாக்க நோக்கங்கள்:",
+    dataCollected: "சேகரிக்கப்படும் தரவு:",
+    securityMeasures: "பாதுகாப்பு நடவடிக்கைகள்:",
+    retention: "வைத்திருக்கும் காலம்:",
+    rights: "உரிமைகள்:",
+    empty: "தனியுரிமை அறிவிப்பு எதுவும் இல்லை.",
+  },
+  history: {
+    title: "வழக்கு வரலாறு",
+    localOnly: "முடிவுகள் இந்த உலாவியில் மட்டுமே சேமிக்கப்படுகின்றன, ஒருபோதும் பதிவேற்றப்படுவதில்லை.",
+    search: "வழக்குக் குறிப்பு அல்லது அமர்வு ID ஐத் தேடு",
+    allClasses: "அனைத்து வகைகளும்",
+    fromDate: "தொடக்கத் தேதி",
+    toDate: "முடிவுத் தேதி",
+    loading: "வரலாறு ஏற்றப்படுகிறது...",
+    deleteEntry: "பதிவை நீக்கு",
+    noMatches: "தற்போதைய வடிகட்டிகளுக்குப் பொருந்தும் முடிவுகள் இல்லை.",
+    empty: "சேமிக்கப்பட்ட முடிவுகள் இன்னும் இல்லை.",
+    purgeAll: "அனைத்தையும் அழி",
+    confirmPurge:
+      "உள்ளூரில் சேமிக்கப்பட்ட அனைத்து முடிவுகள், வரிசையில் உள்ள பதிவேற்றங்கள் மற்றும் இறக்குமதி செய்த உண்மை லேபிள்களை நீக்கவா? இதைத் திரும்பப் பெற முடியாது.",
+    readFailed: "உள்ளூர் வரலாற்றைப் படிக்க முடியவில்லை.",
+    deleteFailed: "பதிவை நீக்க முடியவில்லை.",
+    purgeFailed: "வரலாற்றை அழிக்க முடியவில்லை.",
+    reviewed: "மதிப்பாய்வு செய்யப்பட்டது",
+    overridden: "மாற்றப்பட்டது: {grade}",
+    selectShown: { one: "காட்டப்படும் {count} முடிவைத் தேர்ந்தெடு", other: "காட்டப்படும் {count} முடிவுகளையும் தேர்ந்தெடு" },
+    selectEntry: "ஏற்றுமதிக்குத் தேர்ந்தெடு",
+  },
+  export: {
+    title: "ஆய்வு ஏற்றுமதி",
+    scope: "முடிவுகள்",
+    scopes: {
+      all: "சேமிக்கப்பட்ட அனைத்தும் ({count})",
+      shown: "வடிகட்டிகள் காட்டுபவை ({count})",
+      selected: "தேர்ந்தெடுக்கப்பட்டவை ({count})",
+    },
+    format: "வடிவம்",
+    formats: { csv: "CSV", jsonl: "JSON Lines" },
+    button: { one: "{count} முடிவை ஏற்றுமதி செய்", other: "{count} முடிவுகளை ஏற்றுமதி செய்" },
+    pseudonymize: "வழக்கு குறிப்புகளைப் புனைபெயராக்கு (HMAC-SHA-256)",
+    keyPlaceholder: "ஆய்வு விசை (விருப்பம்)",
+    keyHelp:
+      "ஒரே விசை எப்போதும் ஒரே புனைபெயரைத் தரும், எனவே ஏற்றுமதிகளை இணைக்கலாம். விசை இல்லையெனில் சீரற்ற விசை பயன்படும்; புனைபெயர்கள் இந்தக் கோப்பினுள் மட்டுமே பொருந்தும்.",
+    done: { one: "{count} முடிவு {file} க்கு ஏற்றுமதி செய்யப்பட்டது.", other: "{count} முடிவுகள் {file} க்கு ஏற்றுமதி செய்யப்பட்டன." },
+    failed: "ஏற்றுமதி தோல்வி: {message}",
+    noWebCrypto:
+      "புனைபெயராக்கத்துக்குப் பாதுகாப்பான (HTTPS) இணைப்பு தேவை; இந்த உலாவி இங்கு WebCrypto ஐ வழங்கவில்லை.",
+  },
+  quality: {
+    checking: "படத் தரம் சரிபார்க்கப்படுகிறது…",
+    unavailable: "இந்த உலாவியில் படத் தரத்தை மதிப்பிட முடியவில்லை ({error}).",
+    title: "படத் தரம்",
+    override: "தரச் சோதனையை மீறி பகுப்பாய்வு செய் (முடிவுடன் பதிவுசெய்யப்படும்)",
+    detected: "கண்டறியப்பட்டது",
+    notDetected: "கண்டறியப்படவில்லை",
+    checks: {
+      resolution: "தெளிவுத்திறன்",
+      sharpness: "கூர்மை",
+      brightness: "வெளிச்சம்",
+      contrast: "மாறுபாடு",
+      fov: "கண்ணடிப் பார்வைப் புலம்",
+    },
+    issues: {
+      lowResolution:
+        "படத் தெளிவுத்திறன் குறைவு ({width}×{height}); குறுகிய பக்கத்தில் குறைந்தது {minResolution}px பரிந்துரைக்கப்படுகிறது.",
+      blurred: "படம் மங்கலாக அல்லது குவியம் இல்லாமல் உள்ளது.",
+      underExposed: "படம் குறைவான வெளிச்சத்தில் உள்ளது (மிக இருண்டது).",
+      overExposed: "படம் அதிக வெளிச்சத்தில் உள்ளது (மிகப் பிரகாசமானது).",
+      lowContrast: "படத்தின் மாறுபாடு குறைவு; விழித்திரை விவரங்கள் தெரியாமல் இருக்கலாம்.",
+      noFov: "வட்டமான கண்ணடிப் பார்வைப் புலம் கண்டறியப்படவில்லை; இது விழித்திரைப் புகைப்படமாக இல்லாமல் இருக்கலாம்.",
+    },
+  },
+  dicom: {
+    eye: "கண்:",
+    acquired: "பெறப்பட்டது:",
+    patient: "நோயாளி:",
+    notRecorded: "பதிவுசெய்யப்படவில்லை",
+    hidden: "மறைக்கப்பட்டது",
+    showIdentifier: "நோயாளி அடையாளத்தைக் காட்டு",
+    hideIdentifier: "நோயாளி அடையாளத்தை மறை",
+    localOnly: "அடையாளங்கள் இந்த உலாவியிலேயே இருக்கும்; பட பிக்சல்கள் மட்டுமே பதிவேற்றப்படும்.",
+  },
+  mask: {
+    region: "பகுதியை மறை",
+    done: "மறைத்தல் முடிந்தது",
+    clear: "மறைப்புகளை அழி ({count})",
+    remove: "மறைப்பை நீக்கு",
+    hint:
+      "படத்தில் பொறிக்கப்பட்ட பெயர்கள், தேதிகள் அல்லது ID களின் மேல் இழுக்கவும். மறைக்கப்பட்ட பகுதிகள் பதிவேற்றத்திற்கு முன் கருப்பாக்கப்படும்.",
+  },
+  paired: {
+    status: { analyzing: "பகுப்பாய்வில்", done: "முடிந்தது", failed: "தோல்வி" },
+    previewAlt: "{eye} முன்னோட்டம்",
+    dropEye: "{eye} படத்தை விடவும்",
+    lateralityMismatch: "DICOM தலைப்பு {eye} எனக் கூறுகிறது. படம் சரியான இடத்தில் உள்ளதா எனச் சரிபார்க்கவும்.",
+    analyzeOne: "{eye} மட்டும் பகுப்பாய்வு செய்",
+    analyzeBoth: "இரு கண்களையும் பகுப்பாய்வு செய்",
+    notSubmitted: "சமர்ப்பிக்கப்படவில்லை.",
+    viewDetails: "விவரங்களைப் பார்",
+    patientGrade: "நோயாளி நிலைத் தரம்",
+    worseEye: "மோசமான கண்: {eye} • நம்பகத்தன்மை {confidence}",
+    incomplete: "ஒரு கண் மட்டுமே தரப்படுத்தப்பட்டது; இந்தச் சுருக்கம் முழுமையற்றது.",
+    noPrediction: "எந்தக் கண்ணும் முன்கணிப்பை வழங்கவில்லை.",
+    worseEyeReviewed: "மோசமான கண்: {eye} • மருத்துவர் தரம்",
+  },
+  batch: {
+    dropHere: "படங்களை அல்லது கோப்புறையை இங்கே விடவும்",
+    orSelect: "அல்லது பல கோப்புகளைத் தேர்ந்தெடுக்க கிளிக் செய்யவும்",
+    selectFolder: "கோப்புறையைத் தேர்ந்தெடு",
+    summary: "{pending} நிலுவையில் • {analyzing} பகுப்பாய்வில் • {done} முடிந்தது • {failed} தோல்வி",
+    paused: " • {seconds} விநாடிகள் இடைநிறுத்தம் (கோரிக்கை வரம்பு)",
+    waitingForModel: " • சேவையக மாதிரிக்காகக் காத்திருக்கிறது",
+    status: { pending: "நிலுவையில்", analyzing: "பகுப்பாய்வில்", done: "முடிந்தது", failed: "தோல்வி" },
+    pause: "இடைநிறுத்து",
+    resume: "தொகுப்பைத் தொடர்",
+    analyze: "தொகுப்பைப் பகுப்பாய்வு செய்",
+    retryFailed: "தோல்வியடைந்தவற்றை மீண்டும் முயற்சி",
+    clear: "வரிசையை அழி",
+    qualityOverride: "தரச் சோதனையில் தோல்வியுற்ற படங்களையும் பகுப்பாய்வு செய் (ஒவ்வொரு முடிவுடனும் பதிவுசெய்யப்படும்)",
+    qualityFailed: "தவிர்க்கப்பட்டது: படத் தரம் {score}/100. {issues}",
+    noMasking:
+      "தொகுப்பு முறையில் படத்தில் பதிந்த உரையை மறைக்க முடியாது. பெயர், தேதி அல்லது அடையாள எண் தெரியும் படங்களை ஒற்றைப் படம் அல்லது OD/OS முறையில் பகுப்பாய்வு செய்யவும்.",
+    qualityUnavailable: "தவிர்க்கப்பட்டது: பட தரத்தை மதிப்பிட முடியவில்லை ({error}).",
+  },
+  outbox: {
+    title: "ஆஃப்லைன் அனுப்புப்பெட்டி",
+    pending: { one: "{count} காத்திருக்கிறது", other: "{count} காத்திருக்கின்றன" },
+    syncing: "வரிசையில் உள்ள படங்கள் சமர்ப்பிக்கப்படுகின்றன…",
+    waiting: "ஆஃப்லைன். பின்தளம் அணுகக்கூடியதும் மாதிரி ஏற்றப்பட்டதும் வரிசையில் உள்ள படங்கள் தானாகச் சமர்ப்பிக்கப்படும்.",
+    lastSync: { one: "{time} இல் {count} படம் சமர்ப்பிக்கப்பட்டது", other: "{time} இல் {count} படங்கள் சமர்ப்பிக்கப்பட்டன" },
+    syncNow: "இப்போது ஒத்திசை",
+    retry: "மீண்டும் முயற்சி",
+    discard: "நிராகரி",
+    unnamed: "பெயரிடப்படாத படம்",
+    queued: "நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். அடையாளம் நீக்கப்பட்ட படம் அனுப்புப்பெட்டியில் சேமிக்கப்பட்டது; இணைப்பு திரும்பியதும் தானாக பகுப்பாய்வு செய்யப்படும். முடிவுகள் வரலாற்றில் தோன்றும்.",
+    queueButton: "அனுப்புப்பெட்டியில் சேமி",
+    queueFailed: "பின்னர் பதிவேற்ற படத்தைச் சேமிக்க முடியவில்லை: {message}",
+    browserOffline: "பிணைய இணைப்பு இல்லை",
+  },
+  chart: {
+    views: { list: "பட்டியல்", bar: "பட்டை", radar: "ரேடார்", doughnut: "வளையம்" },
+    probability: "நிகழ்தகவு",
+    empty: "சேவையகம் நிகழ்தகவுப் பரவலை வழங்கவில்லை.",
+  },
+  trend: {
+    title: "வருகைப் போக்கு — {reference}",
+    severity: "தீவிரம்",
+    severityEye: "தீவிரம் — {eye}",
+    confidence: "நம்பகத்தன்மை (%)",
+  },
+  viewer: {
+    overlay: "மேலடுக்கு",
+    swipe: "இழுத்து ஒப்பிடு",
+    side: "அருகருகே",
+    zoomIn: "பெரிதாக்கு",
+    zoomOut: "சிறிதாக்கு",
+    resetZoom: "பெரிதாக்கலை மீட்டமை",
+    fullscreen: "முழுத் திரை",
+    exitFullscreen: "முழுத் திரையிலிருந்து வெளியேறு",
+    original: "அசல்",
+    gradcam: "Grad-CAM",
+    gradcamOverlay: "Grad-CAM மேலடுக்கு",
+    preprocessed: "முன்செயலாக்கப்பட்டது",
+    opacity: "வெப்ப வரைபட ஒளிபுகாமை: {value}",
+    swipeLabel: "அசல் ◀ {value} ▶ Grad-CAM",
+    help: "பெரிதாக்க உருட்டவும், நகர்த்த இழுக்கவும், மீட்டமைக்க இருமுறை கிளிக் செய்யவும். பெரிதாக்கல் அனைத்துக் காட்சிகளுக்கும் பொதுவானது.",
+  },
+  review: {
+    title: "மருத்துவர் மதிப்பாய்வு",
+    accept: "தரத்தை ஏற்கவும்",
+    override: "தரத்தை மாற்றவும்",
+    accepted: "ஏற்கப்பட்டது",
+    overridden: "மாற்றப்பட்டது",
+    grade: "மருத்துவர் தரம்",
+    findings: "புண் கண்டுபிடிப்புகள்",
+    lesions: {
+      microaneurysms: "நுண் குருதிநாள நெளிவுகள்",
+      hemorrhages: "இரத்தக்கசிவுகள்",
+      exudates: "கசிவுப் படிவுகள்",
+      neovascularization: "புதிய இரத்தநாள வளர்ச்சி",
+    },
+    markup: "குறியீடு",
+    draw: "குறியீடு வரையவும்",
+    doneDrawing: "வரைதல் முடிந்தது",
+    clearMarkup: "குறியீடுகளை அழிக்கவும் ({count})",
+    notes: "குறிப்புகள்",
+    reviewer: "மதிப்பாய்வாளர்",
+    save: "மதிப்பாய்வைச் சேமிக்கவும்",
+    edit: "மதிப்பாய்வைத் திருத்தவும்",
+    saveFailed: "மதிப்பாய்வைச் சேமிக்க முடியவில்லை. மீண்டும் முயலவும்.",
+    acceptedSummary: "மாதிரியின் தரம் ஏற்கப்பட்டது: {grade}",
+    overrideSummary: "மாதிரி {model} என தரப்படுத்தியது; மருத்துவர் {grade} என தரப்படுத்தினார்",
+    findingsList: "கண்டுபிடிப்புகள்: {findings}",
+    byline: "{reviewer} அவர்களால் {date} அன்று மதிப்பாய்வு செய்யப்பட்டது",
+    anonymous: "பெயரிடப்படாத மதிப்பாய்வாளர்",
+  },
+  agreement: {
+    title: "மாதிரி ஒப்புதல் & அளவுத்திருத்தம்",
+    localOnly: "சேமித்த முடிவுகள் மற்றும் இறக்கிய லேபிள்களிலிருந்து இந்த உலாவியில் கணக்கிடப்படுகிறது.",
+    reference: "குறிப்புத் தரம்",
+    sources: {
+      labels: "இறக்கிய லேபிள்கள்",
+      reviews: "மருத்துவர் மதிப்பாய்வுகள்",
+      both: "இறக்கிய லேபிள்கள், பின்னர் மருத்துவர் மதிப்பாய்வுகள்",
+    },
+    importCsv: "உண்மைத் தரவை இறக்கவும் (CSV)",
+    csvHelp:
+      "நெடுவரிசைகள்: session_id அல்லது case_reference (விருப்பக் கண்), மற்றும் வகுப்புப் பெயர் அல்லது ICDR 0–4 ஆகத் தரம்.",
+    labelsLoaded: { one: "{count} லேபிள் இறக்கப்பட்டது", other: "{count} லேபிள்கள் இறக்கப்பட்டன" },
+    clearLabels: "லேபிள்களை அழிக்கவும்",
+    skippedRows: { one: "{count} வரிசை தவிர்க்கப்பட்டது", other: "{count} வரிசைகள் தவிர்க்கப்பட்டன" },
+    rowError: "வரி {line}: {message}",
+    importFailed: "CSV ஐ இறக்க முடியவில்லை: {message}",
+    loading: "முடிவுகள் ஏற்றப்படுகின்றன...",
+    noPairs: "குறிப்புத் தரம் உள்ள சேமித்த முடிவு இன்னும் இல்லை. முதலில் லேபிள்களை இறக்கவும் அல்லது முடிவுகளை மதிப்பாய்வு செய்யவும்.",
+    graded: "தரப்படுத்திய முடிவுகள்",
+    accuracy: "சரியான ஒப்புதல்",
+    kappa: "இருபடி எடையிட்ட கப்பா",
+    referableSensitivity: "பரிந்துரைக்க வேண்டிய DR உணர்திறன்",
+    referableSpecificity: "பரிந்துரைக்க வேண்டிய DR தனித்தன்மை",
+    ece: "எதிர்பார்க்கப்படும் அளவுத்திருத்தப் பிழை",
+    confusion: "குழப்ப அணி",
+    axes: "குறிப்பு ↓ / மாதிரி →",
+    perClass: "வகுப்பு வாரியான செயல்திறன்",
+    class: "வகுப்பு",
+    support: "நிகழ்வுகள்",
+    sensitivity: "உணர்திறன்",
+    specificity: "தனித்தன்மை",
+    calibration: "நம்பகத்தன்மை (அளவுத்திருத்தம்)",
+    calibrationHelp:
+      "ஒவ்வொரு நம்பக இடைவெளிக்கும் கவனிக்கப்பட்ட துல்லியம். மூலைவிட்டத்திற்குக் கீழே உள்ள புள்ளிகள் மாதிரி அதீத நம்பிக்கை கொண்டுள்ளதைக் காட்டும்.",
+    observed: "கவனிக்கப்பட்ட துல்லியம்",
+    ideal: "சரியான அளவுத்திருத்தம்",
+    confidenceAxis: "நம்பகம் (%)",
+    accuracyAxis: "துல்லியம் (%)",
+    binTooltip: "{count} முடிவுகள், {accuracy} சரி",
+    csv: {
+      empty: "கோப்பு காலியாக உள்ளது.",
+      noGrade: "தர நெடுவரிசை இல்லை (grade, label அல்லது class).",
+      noKey: "session_id அல்லது case_reference நெடுவரிசை இல்லை.",
+      badGrade: "அறியப்படாத தரம் \"{value}\"",
+      missingKey: "session_id அல்லது நிகழ்வுக் குறிப்பு இல்லை",
+    },
+  },
+  backends: {
+    title: "பின்தளங்கள்",
+    help: "இயல்புநிலை பின்தளத்துடன் ஒப்பிட பிற நிறுவல்களைப் (எ.கா. staging இல் புதிய மாதிரி) பதிவு செய்யவும். ஒப்பிடு என்பதைக் கிளிக் செய்யும்போது தேர்ந்த பின்தளங்கள் ஒரே படத்தை இணையாகப் பெறும்.",
+    defaultName: "இயல்புநிலை",
+    sameOrigin: "அதே மூலம் (/api)",
+    compare: "ஒப்பிடு",
+    compareLabel: "{name} ஐ ஒப்பீட்டில் சேர்",
+    name: "பெயர்",
+    namePlaceholder: "Staging மாதிரி v2",
+    url: "அடிப்படை URL",
+    status: "நிலை",
+    model: "மாதிரி",
+    add: "சேர்",
+    remove: "நீக்கு",
+    recheck: "மீண்டும் சரிபார்",
+    checkAll: "அனைத்தையும் சரிபார்",
+    selected: { one: "{count} பின்தளம் தேர்ந்தெடுக்கப்பட்டது", other: "{count} பின்தளங்கள் தேர்ந்தெடுக்கப்பட்டன" },
+    errors: {
+      nameRequired: "பின்தளத்திற்கு ஒரு பெயரை உள்ளிடவும்.",
+      badUrl: "http:// அல்லது https:// அடிப்படை URL ஐ உள்ளிடவும்.",
+      duplicateName: "இந்தப் பெயரில் ஏற்கனவே ஒரு பின்தளம் உள்ளது.",
+      duplicateUrl: "இந்த URL ஏற்கனவே பதிவு செய்யப்பட்டுள்ளது.",
+    },
+  },
+  compare: {
+    button: "ஒப்பிடு ({count})",
+    title: "மாதிரி ஒப்பீடு",
+    agree: { one: "{count} மாதிரி இந்தப் படத்தை {grade} என வகைப்படுத்தியது.", other: "அனைத்து {count} மாதிரிகளும் ஒப்புக்கொள்கின்றன: {grade}." },
+    disagree: "மாதிரிகள் வேறுபடுகின்றன:",
+    classCount: "{grade} ({count})",
+    referralDiffers: "நோயாளியைப் பரிந்துரைக்க வேண்டுமா என்பதிலும் அவை வேறுபடுகின்றன.",
+    allFailed: "எந்தப் பின்தளமும் முடிவைத் தரவில்லை.",
+    confidence: "நம்பகத்தன்மை {value}",
+    elapsed: "{ms} மி.வி",
+    dissent: "பெரும்பான்மையிலிருந்து வேறுபடுகிறது",
+    spread: "வேறுபாடு (புள்ளிகள்)",
+    spreadHelp: "முன்னிலைப்படுத்தப்பட்ட வரிசைகள் மாதிரிகளுக்கிடையே {limit} சதவீதப் புள்ளிகள் அல்லது அதற்கு மேல் வேறுபடுகின்றன.",
+    close: "ஒப்பீட்டை மூடு",
+  },
+  diagnostics: {
+    title: "கட்டமைப்பு கண்டறிதல்",
+    configFile: "இயக்க நேர கட்டமைப்பு:",
+    checkedAt: "{time} இல் படிக்கப்பட்டது",
+    build: "Build:",
+    production: "உற்பத்தி",
+    development: "மேம்பாடு",
+    status: {
+      pending: "ஏற்றப்படவில்லை",
+      loaded: "ஏற்றப்பட்டது",
+      missing: "கிடைக்கவில்லை (build இயல்புநிலைகள் பயன்படுத்தப்படுகின்றன)",
+      invalid: "தவறான JSON",
+      failed: "படிக்க முடியவில்லை",
+    },
+    issuesTitle: "config.json இல் புறக்கணிக்கப்பட்ட உள்ளீடுகள்",
+    issues: {
+      notObject: "கோப்பில் ஒரு JSON பொருள் இருக்க வேண்டும்.",
+      notString: "{key}: ஒரு சரமாக இருக்க வேண்டும்.",
+      badUrl: "{key}: http(s) URL, / இல் தொடங்கும் பாதை, அல்லது அதே மூலத்திற்கு காலியாக இருக்க வேண்டும்.",
+      notNumber: "{key}: ஒரு எண்ணாக இருக்க வேண்டும்.",
+      notInteger: "{key}: ஒரு முழு எண்ணாக இருக்க வேண்டும்.",
+      outOfRange: "{key}: {min} மற்றும் {max} இடையே இருக்க வேண்டும்.",
+    },
+    unknownKey: "{key}: அறியப்படாத அமைப்பு.",
+    setting: "அமைப்பு",
+    value: "மதிப்பு",
+    source: "மூலம்",
+    envVar: "Build நேர மாறி",
+    sources: { runtime: "config.json", env: "env மாறி", default: "இயல்புநிலை" },
+    help: "அமைப்புகள் தொடக்கத்தில் ஒருமுறை மட்டுமே படிக்கப்படும்: config.json ஐ மாற்றிய பின் பக்கத்தை மீண்டும் ஏற்றவும்.",
+    notSet: "அமைக்கப்படவில்லை",
+  },
+  fhir: {
+    button: "FHIR ஏற்றுமதி",
+    title: "FHIR ஏற்றுமதி",
+    intro:
+      "DiagnosticReport, தரம் மற்றும் வகுப்பு நிகழ்தகவுகளுக்கான Observation-கள், Media ஆகப் படங்கள் கொண்ட HL7 FHIR R4 பரிவர்த்தனை Bundle. வளங்களுக்குள் உள்ள உரை ஆங்கிலத்தில் இருக்கும்.",
+    includeImages: "அசல் படத்தையும் Grad-CAM மேலடுக்கையும் சேர்",
+    building: "Bundle தயாராகிறது…",
+    resources: "வளங்கள்:",
+    sizeKb: "{value} KB",
+    endpoint: "FHIR முனையம்:",
+    noEndpoint: "FHIR முனையம் அமைக்கப்படவில்லை. Bundle-களை EHR-க்கு அனுப்ப config.json இல் fhirEndpoint ஐ அமைக்கவும்.",
+    download: "JSON பதிவிறக்கு",
+    send: "EHR-க்கு அனுப்பு",
+    sending: "அனுப்பப்படுகிறது…",
+    sent: {
+      one: "அனுப்பப்பட்டது. சேவையகம் {count} வளத்தில் {created} ஐ உருவாக்கியது.",
+      other: "அனுப்பப்பட்டது. சேவையகம் {count} வளங்களில் {created} ஐ உருவாக்கியது.",
+    },
+    sendFailed: "FHIR சேவையகம் Bundle ஐ ஏற்கவில்லை: {message}",
+    buildFailed: "FHIR Bundle ஐ உருவாக்க முடியவில்லை: {message}",
+    noGrade: "DR தரம் உள்ள முடிவுகளை மட்டுமே ஏற்றுமதி செய்ய முடியும்.",
+    noEndpointError: "FHIR முனையம் அமைக்கப்படவில்லை.",
+  },
+  eyes: {
+    OD: "வலது கண் (OD)",
+    OS: "இடது கண் (OS)",
+  },
+  classes: {
+    No_DR: "நீரிழிவு விழித்திரை நோய் இல்லை",
+    Mild: "லேசானது",
+    Moderate: "மிதமானது",
+    Severe: "தீவிரமானது",
+    Proliferative_DR: "பெருக்க நீரிழிவு விழித்திரை நோய்",
+  },
+  classDescriptions: {
+    No_DR: "நீரிழிவு விழித்திரை நோயின் அறிகுறிகள் கண்டறியப்படவில்லை. வழக்கமான ஆண்டுத் திரையிடலைத் தொடரவும்.",
+    Mild: "லேசான பெருக்கமற்ற நீரிழிவு விழித்திரை நோய்: நுண்நாளப் புடைப்புகள் மட்டும்.",
+    Moderate:
+      "மிதமான பெருக்கமற்ற நீரிழிவு விழித்திரை நோய்: நுண்நாளப் புடைப்புகளை விட அதிகம், ஆனால் தீவிர NPDR ஐ விடக் குறைவு.",
+    Severe:
+      "தீவிர பெருக்கமற்ற நீரிழிவு விழித்திரை நோய்: பரவலான விழித்திரை உள் இரத்தக்கசிவு, சிரை மணிகள் அல்லது IRMA.",
+    Proliferative_DR:
+      "பெருக்க நீரிழிவு விழித்திரை நோய்: புதிய இரத்தநாள வளர்ச்சி மற்றும்/அல்லது கண்ணாடியுடல் அல்லது விழித்திரை முன் இரத்தக்கசிவு.",
+  },
+  disclaimer: {
+    title: "மருத்துவ மறுப்பு:",
+    text:
+      "இந்தக் கருவி கல்வி மற்றும் திரையிடல் நோக்கங்களுக்காக மட்டுமே. நோயறிதல் மற்றும் சிகிச்சைக்கு எப்போதும் தகுதிவாய்ந்த கண் மருத்துவரை அணுகவும்.",
+  },
+};
@@ -0,0 +1,590 @@
+export default {
+  common: {
+    close: "关闭",
+    error: "错误：",
+    na: "不适用",
+    yes: "是",
+    no: "否",
+    unknown: "未知",
+    open: "打开",
+    view: "查看",
+    remove: "移除",
+    cancel: "取消",
+    cancelling: "正在取消…",
+    analyzing: "正在分析...",
+    waitSeconds: "请等待 {seconds} 秒",
+    confidence: "置信度 {value}",
+    case: "病例：{reference}",
+    caseReferencePlaceholder: "病例编号（可选，仅保存在本地）",
+    generateGradcam: "生成 Grad-CAM",
+    imagesPreprocessed: "图像已预处理（跳过 CLAHE）",
+    downloadReport: "下载报告",
+    preparingImage: "正在准备图像…",
+    supports: "支持：PNG、JPG、TIFF、BMP、WebP、DICOM（较大的图像会缩小至 {mb} MB）",
+    language: "语言",
+  },
+  startup: {
+    failed: "无法加载应用。这通常发生在更新之后。",
+    reload: "重新加载",
+  },
+  header: {
+    title: "糖尿病视网膜病变预测与分级网络应用系统",
+    subtitle: "由 RA EfficientNetB3 深度学习驱动",
+    modelInfo: "模型信息",
+    privacyNotice: "隐私声明",
+    history: "历史记录",
+    compliance: "符合 GDPR/PDPA",
+    agreement: "一致性",
+    backends: "后端",
+    diagnostics: "诊断信息",
+  },
+  backend: {
+    ready: "后端就绪",
+    modelLoaded: "模型已加载",
+    modelLoading: "模型加载中",
+    warmingUp: "模型预热中… 请稍候",
+    noModel: "后端无模型",
+    modelNotLoaded: "模型未加载",
+    offline: "后端离线",
+    checking: "正在检查后端",
+    api: "API：{mode}",
+    modeMock: "模拟（{scenario}）",
+    modeLocal: "本地",
+    modeDirect: "直连（Render URL）",
+    modeProxy: "代理（同源）",
+    missingApiUrl:
+      "未配置后端地址。请在 index.html 旁的 config.json 中设置 apiBaseUrl（无需重新构建），或在构建时设置 VITE_API_BASE_URL。",
+  },
+  health: {
+    title: "后端健康状态",
+    status: "状态",
+    ms: "{value} 毫秒",
+    uptime: "可用率",
+    uptimeValue: { other: "最近 {count} 次检查中的 {value}" },
+    latency: "延迟",
+    latencyValue: "最近 {last}，平均 {mean}",
+    lastChange: "最近变化",
+    changed: "{time}：{from} → {to}",
+    since: "自 {time} 起{state}",
+    noChecks: "尚未进行健康检查。",
+    nextCheck: "下次检查时间：{time}。",
+    pausedHidden: "此标签页在后台时暂停检查。",
+    pausedOffline: "浏览器离线时暂停检查。",
+    checkNow: "立即检查",
+    states: { ready: "就绪", loading: "模型加载中", noModel: "无模型", offline: "离线" },
+  },
+  upload: {
+    titleSingle: "上传视网膜图像",
+    titlePaired: "双眼检查",
+    titleBatch: "批量筛查",
+    modeSingle: "单张",
+    modePaired: "OD/OS",
+    modeBatch: "批量",
+    dropHere: "将图像拖放到此处",
+    orBrowse: "或点击浏览",
+    preview: "预览",
+    optimized: "已为上传优化：{report}",
+    imagePreprocessed: "图像已预处理（跳过 CLAHE）",
+    showPreprocessing: "显示预处理预览",
+    analyzeNow: "立即分析",
+    modelLoading: "模型加载中...",
+    uploadNew: "上传新图像",
+  },
+  camera: {
+    open: "使用相机",
+    title: "相机拍摄",
+    starting: "正在启动相机…",
+    alignHint: "将眼底置于圆圈内并保持稳定。连拍模式会拍摄多帧并保留最清晰的一帧。",
+    burst: { other: "连拍（{count} 帧）" },
+    burstProgress: "正在拍摄 {done}/{total}…",
+    capture: "拍摄",
+    torchOn: "打开闪光灯",
+    torchOff: "关闭闪光灯",
+    torchFailed: "无法切换闪光灯：{message}",
+    denied: "相机访问被拒绝。请允许此网站访问相机后重试。",
+    notFound: "此设备上未找到合适的相机。",
+    busy: "相机正被其他应用程序使用。",
+    failed: "无法从相机拍摄图像。",
+  },
+  errors: {
+    rateLimited: "请求过于频繁。请在 {seconds} 秒后重试。",
+    modelLoading: "后端模型仍在加载。请稍等几秒后重试。",
+    modelNotReady: "后端模型尚未就绪。请检查后端 /api/health 状态。",
+    noImage: "请先选择一张图像。",
+    qualityBlocked: "图像未通过质量检查。请选择更好的图像或忽略该检查。",
+    cancelled: "分析已取消。",
+    reportFailed: "无法生成 PDF 报告。",
+    unreadableImage: "无法读取此图像。",
+    invalidType: "文件类型无效。请上传 PNG、JPG、TIFF、BMP、WebP 或 DICOM。",
+    sourceTooLarge: "文件过大。不超过 {sourceMb} MB 的图像会在上传前缩小至 {mb} MB。",
+    uploadTooLarge: "文件过大。允许的最大大小为 {mb} MB。",
+    backendUnavailable: "后端不可用（503）。",
+    predictionFailed: "预测失败。",
+    requestFailed: "请求失败，状态码 {status}。",
+    connectionFailed: "无法连接到服务器。请确认后端正在运行，并已配置 CORS/代理。",
+    invalidResponse: "服务器响应无效。",
+    decodeImage: "无法解码图像。",
+    decodeTiff: "无法解码 TIFF 图像。",
+    encodeImage: "无法编码图像。",
+    cannotReduce: "无法将图像缩小到 {mb} MB 以下。",
+    dicomUnreadable: "不是可读取的 DICOM 文件（{reason}）。",
+    dicomNoDimensions: "DICOM 文件缺少图像尺寸。",
+    dicomColourDepth: "不支持的 DICOM 色深（{bits} 位）。",
+    dicomNoPixels: "DICOM 文件不包含像素数据。",
+    dicomCompression: "不支持的 DICOM 压缩格式（{syntax}）。请将图像导出为未压缩或基线 JPEG 的 DICOM。",
+    unknown: "未知错误",
+    unknownGrade: "未知分级“{grade}”。",
+    noIndexedDb: "此浏览器不支持本地存储（IndexedDB）。",
+    historyEntryMissing: "未找到历史记录 {id}。",
+  },
+  progress: {
+    uploading: "正在上传图像… {percent}",
+    processing: "服务器处理中…",
+    gradcam: "正在生成 Grad-CAM…",
+    retrying: "连接中断。{seconds} 秒后重试（第 {attempt} 次，共 {attempts} 次）…",
+    analyzing: "系统正在分析视网膜图像...",
+  },
+  results: {
+    complete: "诊断完成",
+    eye: "眼别：",
+    backToBoth: "返回双眼结果",
+    sessionId: "会话 ID：",
+    qualityOverridden: "操作员已忽略图像质量检查（评分 {score}/100）：",
+    thumbnailOnly: "从历史记录重新打开：仅保存了原始图像的缩略图。缩略图仅在此处显示，不会包含在 PDF 报告和 FHIR 导出中。",
+    probabilityDistribution: "概率分布",
+    title: "结果",
+    empty: "上传图像并点击“立即分析”即可在此查看结果",
+    encryptedUploadId: "加密上传 ID：",
+  },
+  referral: {
+    title: "建议",
+    patientTitle: "患者建议",
+    levels: {
+      routine: { other: "{count} 个月后常规复查" },
+      refer: { other: "{count} 周内转诊" },
+      urgent: "紧急转诊",
+      indeterminate: "无法确定 — 需人工审核",
+    },
+    provisional: "如确认：{action}",
+    reasons: {
+      predictedClass: "预测分级 {grade}",
+      referableProbability: "P(中度 + 重度 + PDR) {value} ≥ {threshold}",
+      urgentProbability: "P(重度 + PDR) {value} ≥ {threshold}",
+      lowConfidence: "置信度 {value} 低于 {threshold}",
+      nearTie: "前两名差距 {value} 低于 {threshold}",
+      reviewGrade: "临床分级 {grade}",
+    },
+  },
+  uncertainty: {
+    summary: "不确定性：熵 {entropy} · 前两名差距 {margin} 个百分点",
+    title: "预测不确定 — 请勿仅依赖置信度数值。",
+    badge: "不确定",
+    warnings: {
+      highEntropy: "概率分散在多个类别（熵 {value}，上限 {limit}）。",
+      smallMargin: "前两个类别仅相差 {value} 个百分点（下限 {limit}）。",
+      adjacentGrades: "结果在相邻分级 {top} 与 {second} 之间难以区分。",
+    },
+  },
+  gradcam: {
+    title: "Grad-CAM 可视化",
+    explanation: "高亮区域表示对模型判断影响最大的部位。",
+    generating: "正在生成 Grad-CAM…",
+    missing: "已请求 Grad-CAM，但后端未返回图像。",
+    cancelled: "Grad-CAM 已取消。显示不含 Grad-CAM 的预测结果。",
+    failed: "Grad-CAM 失败（后端错误或资源限制）。显示不含 Grad-CAM 的预测结果。",
+  },
+  preprocess: {
+    title: "预处理预览",
+    alt: "预处理预览图",
+    details: "已应用 CLAHE：{applied} • clipLimit：{clipLimit} • tileGrid：{tileGrid}",
+    missing: "已请求预处理预览，但后端未返回。",
+  },
+  security: {
+    summary: "安全：{encrypted} • {anonymized} • GDPR：{gdpr} • PDPA：{pdpa}",
+    stored: " • 已存储：{stored}",
+    encrypted: "已加密",
+    notEncrypted: "未加密",
+    anonymized: "已匿名化",
+    notAnonymized: "未匿名化",
+    default: "您的数据已匿名化，并受安全控制保护。符合 GDPR/PDPA。",
+  },
+  scrub: {
+    label: "上传前已去标识化：{summary}",
+    metadataStripped: "已移除元数据",
+    metadataKept: "保留了元数据",
+    uploadedAs: "以 {name} 上传",
+    regionsMasked: { other: "已遮盖 {count} 个区域" },
+    noRegionsMasked: "未遮盖任何区域",
+    maskingUnavailable: "不支持区域遮盖",
+  },
+  prep: {
+    summary: "{before} → {after}（已移除元数据）",
+  },
+  modelInfo: {
+    title: "模型信息",
+    loading: "正在加载模型信息...",
+    name: "名称：",
+    inputShape: "输入尺寸：",
+    classes: "类别：",
+    loaded: "模型已加载：",
+    loadError: "加载错误：",
+    securityFeatures: "安全功能：",
+    empty: "暂无模型信息。",
+  },
+  privacy: {
+    title: "隐私声明",
+    loading: "正在加载隐私声明...",
+    controller: "数据控制者：",
+    contact: "联系方式：",
+    dpo: "数据保护官：",
+    purposes: "处理目的：",
+    dataCollected: "收集的数据：",
+    securityMeasures: "安全措施：",
+    retention: "保留期限：",
+    rights: "权利：",
+    empty: "暂无隐私声明。",
+  },
+  history: {
+    title: "病例历史",
+    localOnly: "结果仅保存在此浏览器中，绝不会上传。",
+    search: "搜索病例编号或会话 ID",
+    allClasses: "全部类别",
+    fromDate: "开始日期",
+    toDate: "结束日期",
+    loading: "正在加载历史记录...",
+    deleteEntry: "删除记录",
+    noMatches: "没有符合当前筛选条件的结果。",
+    empty: "暂无已保存的结果。",
+    purgeAll: "全部清除",
+    confirmPurge: "删除所有本地保存的结果、待上传队列和导入的真实标签？此操作无法撤销。",
+    readFailed: "无法读取本地历史记录。",
+    deleteFailed: "无法删除记录。",
+    purgeFailed: "无法清除历史记录。",
+    reviewed: "已审核",
+    overridden: "已更改：{grade}",
+    selectShown: { other: "选择显示的全部 {count} 条结果" },
+    selectEntry: "选择以导出",
+  },
+  export: {
+    title: "研究导出",
+    scope: "结果",
+    scopes: {
+      all: "全部已存储（{count}）",
+      shown: "筛选显示的（{count}）",
+      selected: "已选择（{count}）",
+    },
+    format: "格式",
+    formats: { csv: "CSV", jsonl: "JSON Lines" },
+    button: { other: "导出 {count} 条结果" },
+    pseudonymize: "将病例编号假名化（HMAC-SHA-256）",
+    keyPlaceholder: "研究密钥（可选）",
+    keyHelp: "相同密钥总是生成相同的假名，因此多次导出可以关联。未填写密钥时使用随机密钥，假名仅在本文件内一致。",
+    done: { other: "已将 {count} 条结果导出到 {file}。" },
+    failed: "导出失败：{message}",
+    noWebCrypto: "假名化需要安全（HTTPS）连接；此浏览器在当前页面不提供 WebCrypto。",
+  },
+  quality: {
+    checking: "正在检查图像质量…",
+    unavailable: "无法在此浏览器中评估图像质量（{error}）。",
+    title: "图像质量",
+    override: "忽略质量检查并继续分析（将随结果记录）",
+    detected: "已检测到",
+    notDetected: "未检测到",
+    checks: {
+      resolution: "分辨率",
+      sharpness: "清晰度",
+      brightness: "曝光",
+      contrast: "对比度",
+      fov: "眼底视野",
+    },
+    issues: {
+      lowResolution: "图像分辨率较低（{width}×{height}）；建议短边至少 {minResolution} 像素。",
+      blurred: "图像模糊或失焦。",
+      underExposed: "图像曝光不足（过暗）。",
+      overExposed: "图像曝光过度（过亮）。",
+      lowContrast: "图像对比度低；可能无法看清视网膜细节。",
+      noFov: "未检测到圆形眼底视野；这可能不是视网膜照片。",
+    },
+  },
+  dicom: {
+    eye: "眼别：",
+    acquired: "采集日期：",
+    patient: "患者：",
+    notRecorded: "未记录",
+    hidden: "已隐藏",
+    showIdentifier: "显示患者标识",
+    hideIdentifier: "隐藏患者标识",
+    localOnly: "标识信息仅保留在此浏览器中；只会上传图像像素。",
+  },
+  mask: {
+    region: "遮盖区域",
+    done: "完成遮盖",
+    clear: "清除遮盖（{count}）",
+    remove: "移除遮盖",
+    hint: "在图像中嵌入的姓名、日期或 ID 上拖动。遮盖区域会在上传前涂黑。",
+  },
+  paired: {
+    status: { analyzing: "分析中", done: "完成", failed: "失败" },
+    previewAlt: "{eye}预览",
+    dropEye: "拖放 {eye} 图像",
+    lateralityMismatch: "DICOM 文件头显示为{eye}。请确认图像放在正确的位置。",
+    analyzeOne: "仅分析 {eye}",
+    analyzeBoth: "分析双眼",
+    notSubmitted: "未提交。",
+    viewDetails: "查看详情",
+    patientGrade: "患者级分级",
+    worseEye: "较差眼：{eye} • 置信度 {confidence}",
+    incomplete: "仅对一只眼进行了分级；此汇总不完整。",
+    noPrediction: "两只眼均未返回预测结果。",
+    worseEyeReviewed: "较差眼：{eye} • 临床医生分级",
+  },
+  batch: {
+    dropHere: "将图像或文件夹拖放到此处",
+    orSelect: "或点击选择多个文件",
+    selectFolder: "选择文件夹",
+    summary: "{pending} 等待中 • {analyzing} 分析中 • {done} 已完成 • {failed} 失败",
+    paused: " • 暂停 {seconds} 秒（请求频率限制）",
+    waitingForModel: " • 正在等待后端模型",
+    status: { pending: "等待中", analyzing: "分析中", done: "已完成", failed: "失败" },
+    pause: "暂停",
+    resume: "继续批量分析",
+    analyze: "批量分析",
+    retryFailed: "重试失败项",
+    clear: "清空队列",
+    qualityOverride: "分析未通过质量检查的图像（将随每个结果记录）",
+    qualityFailed: "已跳过：图像质量 {score}/100。{issues}",
+    noMasking: "批量模式无法遮盖图像上的文字。显示姓名、日期或编号的图像请在单张或 OD/OS 模式下分析。",
+    qualityUnavailable: "已跳过：无法评估图像质量（{error}）。",
+  },
+  outbox: {
+    title: "离线发件箱",
+    pending: { other: "{count} 个等待中" },
+    syncing: "正在提交排队的图像…",
+    waiting: "当前离线。后端可访问且模型加载后，排队的图像将自动提交。",
+    lastSync: { other: "已于 {time} 提交 {count} 张图像" },
+    syncNow: "立即同步",
+    retry: "重试",
+    discard: "丢弃",
+    unnamed: "未命名图像",
+    queued: "您当前处于离线状态。去标识化后的图像已保存到发件箱，连接恢复后将自动分析；结果会显示在历史记录中。",
+    queueButton: "保存到发件箱",
+    queueFailed: "无法保存图像以便稍后上传：{message}",
+    browserOffline: "无网络连接",
+  },
+  chart: {
+    views: { list: "列表", bar: "条形图", radar: "雷达图", doughnut: "环形图" },
+    probability: "概率",
+    empty: "服务器未返回概率分布。",
+  },
+  trend: {
+    title: "就诊趋势 — {reference}",
+    severity: "严重程度",
+    severityEye: "严重程度 — {eye}",
+    confidence: "置信度（%）",
+  },
+  viewer: {
+    overlay: "叠加",
+    swipe: "滑动对比",
+    side: "并排",
+    zoomIn: "放大",
+    zoomOut: "缩小",
+    resetZoom: "重置缩放",
+    fullscreen: "全屏",
+    exitFullscreen: "退出全屏",
+    original: "原图",
+    gradcam: "Grad-CAM",
+    gradcamOverlay: "Grad-CAM 叠加",
+    preprocessed: "预处理",
+    opacity: "热力图透明度：{value}",
+    swipeLabel: "原图 ◀ {value} ▶ Grad-CAM",
+    help: "滚动缩放，拖动平移，双击重置。所有视图共享缩放。",
+  },
+  review: {
+    title: "临床审核",
+    accept: "接受分级",
+    override: "更改分级",
+    accepted: "已接受",
+    overridden: "已更改",
+    grade: "临床分级",
+    findings: "病变所见",
+    lesions: {
+      microaneurysms: "微动脉瘤",
+      hemorrhages: "出血",
+      exudates: "渗出",
+      neovascularization: "新生血管",
+    },
+    markup: "标注",
+    draw: "绘制标注",
+    doneDrawing: "完成绘制",
+    clearMarkup: "清除标注（{count}）",
+    notes: "备注",
+    reviewer: "审核人",
+    save: "保存审核",
+    edit: "编辑审核",
+    saveFailed: "无法保存审核，请重试。",
+    acceptedSummary: "已接受模型分级：{grade}",
+    overrideSummary: "模型分级为{model}；临床分级为{grade}",
+    findingsList: "所见：{findings}",
+    byline: "由{reviewer}于{date}审核",
+    anonymous: "未署名审核人",
+  },
+  agreement: {
+    title: "模型一致性与校准",
+    localOnly: "在本浏览器中根据已存储的结果和导入的标签计算。",
+    reference: "参考分级",
+    sources: {
+      labels: "导入的标签",
+      reviews: "临床审核",
+      both: "优先导入的标签，其次临床审核",
+    },
+    importCsv: "导入金标准（CSV）",
+    csvHelp: "列：session_id 或 case_reference（可选眼别），以及分级（类别名称或 ICDR 0–4）。",
+    labelsLoaded: { other: "已导入 {count} 个标签" },
+    clearLabels: "清除标签",
+    skippedRows: { other: "跳过 {count} 行" },
+    rowError: "第 {line} 行：{message}",
+    importFailed: "无法导入 CSV：{message}",
+    loading: "正在加载结果...",
+    noPairs: "尚无带参考分级的已存储结果。请先导入标签或审核结果。",
+    graded: "已分级结果",
+    accuracy: "完全一致率",
+    kappa: "二次加权 Kappa",
+    referableSensitivity: "需转诊 DR 灵敏度",
+    referableSpecificity: "需转诊 DR 特异度",
+    ece: "期望校准误差",
+    confusion: "混淆矩阵",
+    axes: "参考 ↓ / 模型 →",
+    perClass: "各类别表现",
+    class: "类别",
+    support: "病例数",
+    sensitivity: "灵敏度",
+    specificity: "特异度",
+    calibration: "可靠性（校准）",
+    calibrationHelp: "各置信度区间的实际准确率。点位于对角线下方表示模型过度自信。",
+    observed: "实际准确率",
+    ideal: "完美校准",
+    confidenceAxis: "置信度（%）",
+    accuracyAxis: "准确率（%）",
+    binTooltip: "{count} 个结果，{accuracy} 正确",
+    csv: {
+      empty: "文件为空。",
+      noGrade: "未找到分级列（grade、label 或 class）。",
+      noKey: "未找到 session_id 或 case_reference 列。",
+      badGrade: "无法识别的分级“{value}”",
+      missingKey: "缺少 session_id 或病例编号",
+    },
+  },
+  backends: {
+    title: "后端",
+    help: "注册其他部署（例如预发布环境中的新模型），与默认后端进行比较。点击“比较”时，勾选的后端将并行接收同一张图像。",
+    defaultName: "默认",
+    sameOrigin: "同源 (/api)",
+    compare: "比较",
+    compareLabel: "将 {name} 纳入比较",
+    name: "名称",
+    namePlaceholder: "预发布模型 v2",
+    url: "基础 URL",
+    status: "状态",
+    model: "模型",
+    add: "添加",
+    remove: "移除",
+    recheck: "重新检查",
+    checkAll: "全部检查",
+    selected: { other: "已选择 {count} 个后端" },
+    errors: {
+      nameRequired: "请输入后端名称。",
+      badUrl: "请输入 http:// 或 https:// 开头的基础 URL。",
+      duplicateName: "已存在同名后端。",
+      duplicateUrl: "此 URL 已注册。",
+    },
+  },
+  compare: {
+    button: "比较 ({count})",
+    title: "模型比较",
+    agree: { other: "全部 {count} 个模型一致：{grade}。" },
+    disagree: "模型结果不一致：",
+    classCount: "{grade}（{count}）",
+    referralDiffers: "各模型对患者是否需要转诊的判断也不同。",
+    allFailed: "没有后端返回结果。",
+    confidence: "置信度 {value}",
+    elapsed: "{ms} 毫秒",
+    dissent: "与多数结果不同",
+    spread: "差值（百分点）",
+    spreadHelp: "高亮行表示各模型之间相差 {limit} 个百分点或以上。",
+    close: "关闭比较",
+  },
+  diagnostics: {
+    title: "配置诊断",
+    configFile: "运行时配置：",
+    checkedAt: "读取于 {time}",
+    build: "构建：",
+    production: "生产",
+    development: "开发",
+    status: {
+      pending: "未加载",
+      loaded: "已加载",
+      missing: "未找到（使用构建默认值）",
+      invalid: "JSON 无效",
+      failed: "无法读取",
+    },
+    issuesTitle: "config.json 中被忽略的条目",
+    issues: {
+      notObject: "文件必须包含一个 JSON 对象。",
+      notString: "{key}：必须是字符串。",
+      badUrl: "{key}：必须是 http(s) URL、以 / 开头的路径，或留空表示同源。",
+      notNumber: "{key}：必须是数字。",
+      notInteger: "{key}：必须是整数。",
+      outOfRange: "{key}：必须介于 {min} 和 {max} 之间。",
+    },
+    unknownKey: "{key}：未知设置。",
+    setting: "设置",
+    value: "值",
+    source: "来源",
+    envVar: "构建时变量",
+    sources: { runtime: "config.json", env: "环境变量", default: "默认值" },
+    help: "设置仅在启动时读取一次：修改 config.json 后请重新加载页面。",
+    notSet: "未设置",
+  },
+  fhir: {
+    button: "FHIR 导出",
+    title: "FHIR 导出",
+    intro:
+      "HL7 FHIR R4 事务 Bundle，包含 DiagnosticReport、分级与各类别概率的 Observation，以及作为 Media 的图像。资源中的文字为英文。",
+    includeImages: "嵌入原始图像和 Grad-CAM 叠加图",
+    building: "正在生成 Bundle…",
+    resources: "资源：",
+    sizeKb: "{value} KB",
+    endpoint: "FHIR 端点：",
+    noEndpoint: "未配置 FHIR 端点。请在 config.json 中设置 fhirEndpoint 以将 Bundle 发送到 EHR。",
+    download: "下载 JSON",
+    send: "发送到 EHR",
+    sending: "正在发送…",
+    sent: { other: "已发送。服务器创建了 {count} 个资源中的 {created} 个。" },
+    sendFailed: "FHIR 服务器未接受该 Bundle：{message}",
+    buildFailed: "无法生成 FHIR Bundle：{message}",
+    noGrade: "只有带 DR 分级的结果才能导出。",
+    noEndpointError: "未配置 FHIR 端点。",
+  },
+  eyes: {
+    OD: "右眼（OD）",
+    OS: "左眼（OS）",
+  },
+  classes: {
+    No_DR: "无糖尿病视网膜病变",
+    Mild: "轻度",
+    Moderate: "中度",
+    Severe: "重度",
+    Proliferative_DR: "增殖性糖尿病视网膜病变",
+  },
+  classDescriptions: {
+    No_DR: "未发现糖尿病视网膜病变迹象。请继续每年例行筛查。",
+    Mild: "轻度非增殖性糖尿病视网膜病变：仅有微动脉瘤。",
+    Moderate: "中度非增殖性糖尿病视网膜病变：病变多于微动脉瘤，但未达到重度 NPDR。",
+    Severe: "重度非增殖性糖尿病视网膜病变：广泛视网膜内出血、静脉串珠或 IRMA。",
+    Proliferative_DR: "增殖性糖尿病视网膜病变：新生血管和/或玻璃体或视网膜前出血。",
+  },
+  disclaimer: {
+    title: "医疗免责声明：",
+    text: "本工具仅用于教育和筛查目的。诊断和治疗请务必咨询合格的眼科医生。",
+  },
+};
@@ -0,0 +1,32 @@
+import { useSyncExternalStore } from "react";
+import {
+  LANGUAGES,
+  classDescription,
+  classLabel,
+  eyeLabel,
+  formatDate,
+  formatNumber,
+  formatPercent,
+  getLanguage,
+  setLanguage,
+  subscribe,
+  t,
+} from "./index.js";
+
+// Subscribes the component to language changes. The helpers themselves are
+// the module-level ones; they always read the current language.
+export default function useI18n() {
+  const lang = useSyncExternalStore(subscribe, getLanguage, getLanguage);
+  return {
+    lang,
+    languages: LANGUAGES,
+    setLanguage,
+    t,
+    classLabel,
+    classDescription,
+    eyeLabel,
+    formatNumber,
+    formatPercent,
+    formatDate,
+  };
+}
@@ -0,0 +1,32 @@
+// Cancellation helpers shared by the HTTP client, the mock client and the
+// analyze flow. Errors mirror axios' CanceledError so one check covers both.
+
+export function cancelledError() {
+  const err = new Error("canceled");
+  err.name = "CanceledError";
+  err.code = "ERR_CANCELED";
+  return err;
+}
+
+export function isCancelledError(e) {
+  return e?.code === "ERR_CANCELED" || e?.name === "CanceledError" || e?.name === "AbortError";
+}
+
+// setTimeout as a promise that rejects as soon as `signal` aborts.
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
@@ -0,0 +1,122 @@
+import { REFERABLE_CLASSES, SEVERITY_CLASSES } from "./normalize.js";
+
+// Model evaluation against a reference grade (imported ground truth or a
+// clinician review). `pairs` are `{ truth, predicted, confidence }` with
+// classes from SEVERITY_CLASSES and confidence in percent.
+
+const K = SEVERITY_CLASSES.length;
+
+// matrix[truth][predicted] counts; pairs outside the five classes are skipped.
+export function confusionMatrix(pairs) {
+  const matrix = SEVERITY_CLASSES.map(() => new Array(K).fill(0));
+  for (const { truth, predicted } of pairs) {
+    const i = SEVERITY_CLASSES.indexOf(truth);
+    const j = SEVERITY_CLASSES.indexOf(predicted);
+    if (i >= 0 && j >= 0) matrix[i][j] += 1;
+  }
+  return matrix;
+}
+
+// Cohen's kappa with quadratic weights, the usual agreement measure for
+// ordinal DR grades. Null when undefined (no data or a single class).
+export function quadraticWeightedKappa(matrix) {
+  const n = matrix.flat().reduce((a, b) => a + b, 0);
+  if (!n) return null;
+
+  const rows = matrix.map((r) => r.reduce((a, b) => a + b, 0));
+  const cols = matrix[0].map((_, j) => matrix.reduce((acc, r) => acc + r[j], 0));
+
+  let observed = 0;
+  let expected = 0;
+  for (let i = 0; i < K; i += 1) {
+    for (let j = 0; j < K; j += 1) {
+      const w = (i - j) ** 2 / (K - 1) ** 2;
+      observed += w * matrix[i][j];
+      expected += (w * rows[i] * cols[j]) / n;
+    }
+  }
+  return expected ? 1 - observed / expected : null;
+}
+
+const ratio = (num, den) => (den ? num / den : null);
+
+// One-vs-rest sensitivity and specificity for every class.
+export function perClassStats(matrix) {
+  const n = matrix.flat().reduce((a, b) => a + b, 0);
+  return SEVERITY_CLASSES.map((cls, k) => {
+    const support = matrix[k].reduce((a, b) => a + b, 0);
+    const predicted = matrix.reduce((acc, r) => acc + r[k], 0);
+    const tp = matrix[k][k];
+    const tn = n - support - predicted + tp;
+    return {
+      class: cls,
+      support,
+      sensitivity: ratio(tp, support),
+      specificity: ratio(tn, n - support),
+    };
+  });
+}
+
+export function referableStats(pairs) {
+  let tp = 0;
+  let fn = 0;
+  let tn = 0;
+  let fp = 0;
+  for (const { truth, predicted } of pairs) {
+    const actual = REFERABLE_CLASSES.includes(truth);
+    const called = REFERABLE_CLASSES.includes(predicted);
+    if (actual && called) tp += 1;
+    else if (actual) fn += 1;
+    else if (called) fp += 1;
+    else tn += 1;
+  }
+  return { sensitivity: ratio(tp, tp + fn), specificity: ratio(tn, tn + fp), positives: tp + fn };
+}
+
+// Reliability diagram data: pairs bucketed by confidence, with the observed
+// accuracy per bucket and the expected calibration error (both 0-1).
+export function reliabilityBins(pairs, binCount = 10) {
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    lower: (i * 100) / binCount,
+    upper: ((i + 1) * 100) / binCount,
+    count: 0,
+    correct: 0,
+    confidenceSum: 0,
+  }));
+
+  for (const { truth, predicted, confidence } of pairs) {
+    const c = Math.max(0, Math.min(100, Number(confidence) || 0));
+    const bin = bins[Math.min(binCount - 1, Math.floor((c / 100) * binCount))];
+    bin.count += 1;
+    bin.confidenceSum += c;
+    if (truth === predicted) bin.correct += 1;
+  }
+
+  const total = pairs.length;
+  let ece = 0;
+  const result = bins.map(({ lower, upper, count, correct, confidenceSum }) => {
+    const meanConfidence = count ? confidenceSum / count / 100 : null;
+    const accuracy = count ? correct / count : null;
+    if (count) ece += (count / total) * Math.abs(accuracy - meanConfidence);
+    return { lower, upper, count, meanConfidence, accuracy };
+  });
+
+  return { bins: result, ece: total ? ece : null };
+}
+
+export function summarizeAgreement(pairs) {
+  const graded = pairs.filter(
+    (p) => SEVERITY_CLASSES.includes(p.truth) && SEVERITY_CLASSES.includes(p.predicted)
+  );
+  const matrix = confusionMatrix(graded);
+  const agreed = matrix.reduce((acc, r, i) => acc + r[i], 0);
+  return {
+    count: graded.length,
+    accuracy: ratio(agreed, graded.length),
+    matrix,
+    kappa: quadraticWeightedKappa(matrix),
+    perClass: perClassStats(matrix),
+    referable: referableStats(graded),
+    calibration: reliabilityBins(graded),
+  };
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import {
+  confusionMatrix,
+  perClassStats,
+  quadraticWeightedKappa,
+  reliabilityBins,
+  summarizeAgreement,
+} from "./agreement.js";
+
+const pair = (truth, predicted, confidence = 80) => ({ truth, predicted, confidence });
+
+describe("confusionMatrix", () => {
+  it("counts truth rows against predicted columns and skips unknown classes", () => {
+    const m = confusionMatrix([pair("Mild", "Moderate"), pair("Mild", "Mild"), pair("Mild", "Other")]);
+    expect(m[1]).toEqual([0, 1, 1, 0, 0]);
+    expect(m.flat().reduce((a, b) => a + b, 0)).toBe(2);
+  });
+});
+
+describe("quadraticWeightedKappa", () => {
+  it("is 1 for perfect agreement and null without data", () => {
+    expect(quadraticWeightedKappa(confusionMatrix([pair("No_DR", "No_DR"), pair("Severe", "Severe")]))).toBe(1);
+    expect(quadraticWeightedKappa(confusionMatrix([]))).toBeNull();
+  });
+
+  it("penalizes distant disagreements more than adjacent ones", () => {
+    const base = [pair("No_DR", "No_DR"), pair("Moderate", "Moderate"), pair("Proliferative_DR", "Proliferative_DR")];
+    const adjacent = quadraticWeightedKappa(confusionMatrix([...base, pair("Mild", "Moderate")]));
+    const distant = quadraticWeightedKappa(confusionMatrix([...base, pair("Mild", "Proliferative_DR")]));
+    expect(adjacent).toBeGreaterThan(distant);
+  });
+
+  it("matches a worked example", () => {
+    // Two raters, 4 items: [0,0], [1,1], [2,3], [4,4].
+    const m = confusionMatrix([
+      pair("No_DR", "No_DR"),
+      pair("Mild", "Mild"),
+      pair("Moderate", "Severe"),
+      pair("Proliferative_DR", "Proliferative_DR"),
+    ]);
+    expect(quadraticWeightedKappa(m)).toBeCloseTo(0.9474, 3);
+  });
+});
+
+describe("perClassStats", () => {
+  it("computes one-vs-rest sensitivity and specificity", () => {
+    const stats = perClassStats(
+      confusionMatrix([pair("Mild", "Mild"), pair("Mild", "No_DR"), pair("No_DR", "No_DR"), pair("No_DR", "Mild")])
+    );
+    expect(stats[1]).toMatchObject({ class: "Mild", support: 2, sensitivity: 0.5, specificity: 0.5 });
+    expect(stats[4]).toMatchObject({ support: 0, sensitivity: null, specificity: 1 });
+  });
+});
+
+describe("summarizeAgreement", () => {
+  it("reports referable-DR sensitivity", () => {
+    const summary = summarizeAgreement([
+      pair("Moderate", "Severe"),
+      pair("Severe", "Mild"),
+      pair("No_DR", "No_DR"),
+      pair("Mild", "Moderate"),
+    ]);
+    expect(summary.count).toBe(4);
+    expect(summary.accuracy).toBe(0.25);
+    expect(summary.referable).toEqual({ sensitivity: 0.5, specificity: 0.5, positives: 2 });
+  });
+});
+
+describe("reliabilityBins", () => {
+  it("buckets by confidence and reports expected calibration error", () => {
+    const { bins, ece } = reliabilityBins([
+      pair("Mild", "Mild", 95),
+      pair("Mild", "Moderate", 95),
+      pair("Mild", "Mild", 100),
+      pair("Mild", "Mild", 35),
+    ]);
+    expect(bins[9]).toMatchObject({ count: 3, accuracy: 2 / 3 });
+    expect(bins[9].meanConfidence).toBeCloseTo(0.9667, 3);
+    expect(bins[3]).toMatchObject({ count: 1, accuracy: 1 });
+    expect(bins[0].accuracy).toBeNull();
+    expect(ece).toBeCloseTo((3 / 4) * (0.9667 - 0.6667) + (1 / 4) * 0.65, 3);
+  });
+});
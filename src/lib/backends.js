@@ -0,0 +1,88 @@
+import { api, createHttpClient } from "../api/index.js";
+import { t } from "../i18n/index.js";
+import { API_BASE } from "./config.js";
+
+// Named backends for side-by-side model comparison. The build-time backend
+// (API_BASE, or the mock client) is always present as "default"; operators
+// add others, e.g. a staging deployment of a new model. Kept in localStorage.
+
+const STORAGE_KEY = "dr-screening.backends";
+export const DEFAULT_BACKEND_ID = "default";
+
+const defaultBackend = () => ({
+  id: DEFAULT_BACKEND_ID,
+  name: "",
+  url: API_BASE,
+  selected: true,
+  builtin: true,
+});
+
+// The built-in backend has no stored name so it follows the UI language.
+export function backendLabel(backend, tr = t) {
+  return backend.builtin ? tr("backends.defaultName") : backend.name;
+}
+
+export function normalizeBackendUrl(url) {
+  return String(url || "").trim().replace(/\/+$/, "");
+}
+
+// Returns an error message for the add form, or "".
+export function validateBackend({ name, url }, backends = []) {
+  const cleanName = String(name || "").trim();
+  const cleanUrl = normalizeBackendUrl(url);
+  if (!cleanName) return t("backends.errors.nameRequired");
+  if (!/^https?:\/\/[^/\s]+/i.test(cleanUrl)) return t("backends.errors.badUrl");
+  if (backends.some((b) => backendLabel(b).toLowerCase() === cleanName.toLowerCase())) {
+    return t("backends.errors.duplicateName");
+  }
+  if (backends.some((b) => !b.builtin && b.url === cleanUrl)) return t("backends.errors.duplicateUrl");
+  return "";
+}
+
+export function makeBackend({ name, url }) {
+  const id = `b-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  return { id, name: String(name).trim(), url: normalizeBackendUrl(url), selected: true };
+}
+
+export function loadBackends() {
+  let stored = [];
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    stored = Array.isArray(parsed) ? parsed.filter((b) => b?.id && b?.url) : [];
+  } catch {
+    stored = [];
+  }
+  const builtin = stored.find((b) => b.id === DEFAULT_BACKEND_ID);
+  return [
+    { ...defaultBackend(), selected: builtin ? builtin.selected !== false : true },
+    ...stored.filter((b) => b.id !== DEFAULT_BACKEND_ID),
+  ];
+}
+
+// The built-in entry is stored only for its `selected` flag.
+export function saveBackends(backends) {
+  const stored = backends.map((b) =>
+    b.builtin ? { id: b.id, url: "builtin", selected: b.selected } : b
+  );
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+}
+
+const clients = new Map();
+
+export function clientFor(backend) {
+  if (backend.builtin) return api;
+  if (!clients.has(backend.url)) clients.set(backend.url, createHttpClient(backend.url));
+  return clients.get(backend.url);
+}
+
+// Health and model info for one backend; never throws.
+export async function checkBackend(backend) {
+  const client = clientFor(backend);
+  const [health, info] = await Promise.allSettled([client.getHealth(), client.getModelInfo()]);
+  return {
+    health: health.status === "fulfilled" ? health.value : null,
+    modelInfo: info.status === "fulfilled" ? info.value : null,
+    error: health.status === "rejected" ? health.reason : null,
+    checked_at: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,45 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { loadBackends, makeBackend, saveBackends, validateBackend } from "./backends.js";
+
+afterEach(() => localStorage.clear());
+
+describe("validateBackend", () => {
+  const existing = [
+    { id: "default", name: "", url: "http://api.test", builtin: true },
+    { id: "b1", name: "Staging", url: "https://staging.example.org" },
+  ];
+
+  it("requires a name and an http(s) URL", () => {
+    expect(validateBackend({ name: "", url: "https://x.org" })).toMatch(/name/);
+    expect(validateBackend({ name: "X", url: "ftp://x.org" })).toMatch(/https?:\/\//);
+    expect(validateBackend({ name: "X", url: "https://x.org/" }, existing)).toBe("");
+  });
+
+  it("rejects duplicate names and URLs", () => {
+    expect(validateBackend({ name: "staging", url: "https://other.org" }, existing)).toMatch(/name/);
+    expect(validateBackend({ name: "default", url: "https://other.org" }, existing)).toMatch(/name/);
+    expect(validateBackend({ name: "New", url: "https://staging.example.org/" }, existing)).toMatch(
+      /already registered/
+    );
+  });
+});
+
+describe("backend registry", () => {
+  it("always starts with the built-in backend", () => {
+    const [builtin] = loadBackends();
+    expect(builtin).toMatchObject({ id: "default", builtin: true, selected: true });
+  });
+
+  it("round-trips added backends and selection", () => {
+    const added = makeBackend({ name: " Staging ", url: "https://staging.example.org//" });
+    expect(added).toMatchObject({ name: "Staging", url: "https://staging.example.org" });
+
+    const [builtin] = loadBackends();
+    saveBackends([{ ...builtin, selected: false }, added]);
+
+    const loaded = loadBackends();
+    expect(loaded).toHaveLength(2);
+    expect(loaded[0]).toMatchObject({ id: "default", selected: false, url: builtin.url });
+    expect(loaded[1]).toEqual(added);
+  });
+});
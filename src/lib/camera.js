@@ -0,0 +1,84 @@
+import { t } from "../i18n/index.js";
+import { measureQuality, toGrayscale } from "./imageQuality.js";
+
+// Live capture from a smartphone fundus adapter. Frames are cropped to the
+// square around the circular alignment guide, so the fundus disc is centred
+// the same way as in a dropped fundus photo.
+
+export const GUIDE_RATIO = 0.9; // guide diameter vs. the frame's shorter side
+export const BURST_FRAMES = 6;
+export const BURST_INTERVAL_MS = 120;
+const JPEG_QUALITY = 0.95;
+
+export const CAMERA_CONSTRAINTS = {
+  audio: false,
+  video: {
+    facingMode: { ideal: "environment" },
+    width: { ideal: 1920 },
+    height: { ideal: 1080 },
+  },
+};
+
+export function cameraSupported() {
+  return typeof navigator !== "undefined" && !!navigator.mediaDevices?.getUserMedia;
+}
+
+export function describeCameraError(e) {
+  if (e?.name === "NotAllowedError" || e?.name === "SecurityError") return t("camera.denied");
+  if (e?.name === "NotFoundError" || e?.name === "OverconstrainedError") return t("camera.notFound");
+  if (e?.name === "NotReadableError") return t("camera.busy");
+  return e?.message || t("camera.failed");
+}
+
+export function guideSquare(width, height, ratio = GUIDE_RATIO) {
+  const size = Math.round(Math.min(width, height) * ratio);
+  return {
+    x: Math.round((width - size) / 2),
+    y: Math.round((height - size) / 2),
+    size,
+  };
+}
+
+// Draws the guide square of the current video frame onto a new canvas.
+export function grabFrame(video) {
+  const { x, y, size } = guideSquare(video.videoWidth, video.videoHeight);
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  canvas.getContext("2d").drawImage(video, x, y, size, size, 0, 0, size, size);
+  return canvas;
+}
+
+// Laplacian variance inside the field of view, as in the quality check.
+export function frameSharpness(canvas) {
+  return measureQuality(toGrayscale(canvas, canvas.width, canvas.height)).sharpness;
+}
+
+export function pickSharpest(frames) {
+  return frames.reduce((best, f) => (!best || f.sharpness > best.sharpness ? f : best), null);
+}
+
+export function frameToFile(canvas, date = new Date()) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error(t("camera.failed")));
+          return;
+        }
+        const stamp = date.toISOString().replace(/[:.]/g, "-");
+        resolve(new File([blob], `capture-${stamp}.jpg`, { type: "image/jpeg" }));
+      },
+      "image/jpeg",
+      JPEG_QUALITY
+    );
+  });
+}
+
+export function torchSupported(track) {
+  return Boolean(track?.getCapabilities?.().torch);
+}
+
+export function setTorch(track, on) {
+  return track.applyConstraints({ advanced: [{ torch: on }] });
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { describeCameraError, guideSquare, pickSharpest } from "./camera.js";
+
+describe("guideSquare", () => {
+  it("centres the guide on the shorter side", () => {
+    expect(guideSquare(1920, 1080)).toEqual({ x: 474, y: 54, size: 972 });
+    expect(guideSquare(1080, 1920, 1)).toEqual({ x: 0, y: 420, size: 1080 });
+  });
+});
+
+describe("pickSharpest", () => {
+  it("keeps the frame with the highest Laplacian variance", () => {
+    const frames = [
+      { id: 1, sharpness: 12 },
+      { id: 2, sharpness: 48.5 },
+      { id: 3, sharpness: 30 },
+    ];
+    expect(pickSharpest(frames).id).toBe(2);
+    expect(pickSharpest([])).toBeNull();
+  });
+});
+
+describe("describeCameraError", () => {
+  it("explains permission and device errors", () => {
+    expect(describeCameraError({ name: "NotAllowedError" })).toMatch(/denied/);
+    expect(describeCameraError({ name: "NotFoundError" })).toMatch(/No suitable camera/);
+    expect(describeCameraError(new Error("boom"))).toBe("boom");
+  });
+});
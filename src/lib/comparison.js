@@ -0,0 +1,79 @@
+import { isCancelledError } from "./abort.js";
+import { clientFor } from "./backends.js";
+import { REFERABLE_CLASSES, SEVERITY_CLASSES } from "./normalize.js";
+import { analyzeImage, describePredictError } from "./predict.js";
+
+// Side-by-side summary of one image graded by several backends. `runs` are
+// `{ backend, result, error }`; only runs with a result take part.
+
+// Probability rows where the models differ by at least this many percentage
+// points are highlighted.
+export const PROBABILITY_SPREAD_LIMIT = 20;
+
+export function summarizeComparison(runs, { spreadLimit = PROBABILITY_SPREAD_LIMIT } = {}) {
+  const graded = runs.filter((r) => r.result?.prediction?.class);
+
+  const counts = new Map();
+  for (const r of graded) {
+    const cls = r.result.prediction.class;
+    counts.set(cls, (counts.get(cls) || 0) + 1);
+  }
+  const classes = [...counts.keys()];
+  // Ties go to the more severe class, in line with the referral rules.
+  const majority =
+    classes.sort(
+      (a, b) =>
+        counts.get(b) - counts.get(a) || SEVERITY_CLASSES.indexOf(b) - SEVERITY_CLASSES.indexOf(a)
+    )[0] || null;
+
+  const probabilities = SEVERITY_CLASSES.map((cls) => {
+    const values = graded.map((r) => Number(r.result.all_probabilities?.[cls]) || 0);
+    const spread = values.length ? Math.max(...values) - Math.min(...values) : 0;
+    return { class: cls, values, spread, disagree: graded.length > 1 && spread >= spreadLimit };
+  });
+
+  const referable = new Set(graded.map((r) => REFERABLE_CLASSES.includes(r.result.prediction.class)));
+
+  return {
+    count: graded.length,
+    failed: runs.length - graded.length,
+    classes,
+    majority,
+    agree: classes.length <= 1,
+    referralAgree: referable.size <= 1,
+    probabilities,
+    maxSpread: Math.max(0, ...probabilities.map((p) => p.spread)),
+    dissenters: graded.filter((r) => r.result.prediction.class !== majority).map((r) => r.backend.id),
+  };
+}
+
+// Sends one image to every backend in parallel. A failing backend does not
+// fail the comparison; its run carries the error message instead.
+export async function compareBackends(file, backends, options = {}, { signal } = {}) {
+  return Promise.all(
+    backends.map(async (backend) => {
+      const client = clientFor(backend);
+      const started = performance.now();
+      const modelInfo = client.getModelInfo().catch(() => null);
+      try {
+        const { result, error } = await analyzeImage(file, options, { client, signal });
+        return {
+          backend,
+          result,
+          error: result ? "" : error,
+          elapsed_ms: Math.round(performance.now() - started),
+          modelInfo: await modelInfo,
+        };
+      } catch (e) {
+        if (isCancelledError(e)) throw e;
+        return {
+          backend,
+          result: null,
+          error: describePredictError(e).message,
+          elapsed_ms: null,
+          modelInfo: await modelInfo,
+        };
+      }
+    })
+  );
+}
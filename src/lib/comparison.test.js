@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { summarizeComparison } from "./comparison.js";
+
+const run = (id, cls, probs) => ({
+  backend: { id, name: id },
+  result: { prediction: { class: cls, confidence: probs[cls] }, all_probabilities: probs },
+  error: "",
+});
+
+const probs = (No_DR, Mild, Moderate, Severe, Proliferative_DR) => ({
+  No_DR,
+  Mild,
+  Moderate,
+  Severe,
+  Proliferative_DR,
+});
+
+describe("summarizeComparison", () => {
+  it("reports agreement", () => {
+    const s = summarizeComparison([
+      run("a", "Moderate", probs(2, 8, 82, 6, 2)),
+      run("b", "Moderate", probs(5, 15, 70, 8, 2)),
+    ]);
+    expect(s).toMatchObject({ count: 2, agree: true, majority: "Moderate", dissenters: [] });
+    expect(s.maxSpread).toBe(12);
+    expect(s.probabilities.some((p) => p.disagree)).toBe(false);
+  });
+
+  it("flags the dissenting model and wide probability gaps", () => {
+    const s = summarizeComparison([
+      run("a", "Moderate", probs(2, 8, 82, 6, 2)),
+      run("b", "Moderate", probs(2, 10, 78, 8, 2)),
+      run("c", "Mild", probs(10, 60, 25, 3, 2)),
+    ]);
+    expect(s.agree).toBe(false);
+    expect(s.referralAgree).toBe(false);
+    expect(s.majority).toBe("Moderate");
+    expect(s.dissenters).toEqual(["c"]);
+    const moderate = s.probabilities.find((p) => p.class === "Moderate");
+    expect(moderate).toMatchObject({ spread: 57, disagree: true });
+  });
+
+  it("breaks ties towards the more severe grade and ignores failed runs", () => {
+    const s = summarizeComparison([
+      run("a", "Mild", probs(10, 60, 25, 3, 2)),
+      run("b", "Severe", probs(0, 5, 30, 60, 5)),
+      { backend: { id: "c" }, result: null, error: "Network Error" },
+    ]);
+    expect(s.majority).toBe("Severe");
+    expect(s.failed).toBe(1);
+    expect(s.dissenters).toEqual(["a"]);
+  });
+});
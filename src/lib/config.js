@@ -0,0 +1,96 @@
+import { CONFIG_SCHEMA, parseSetting, runtimeValue } from "./runtimeConfig.js";
+
+// Effective settings: runtime config.json (see lib/runtimeConfig.js), then the
+// build-time env var, then the default. main.jsx loads config.json before any
+// module imports this one, so the exports below can stay plain constants.
+
+// key -> { value, source: "runtime" | "env" | "default" }, for diagnostics.
+export const CONFIG_DIAGNOSTICS = {};
+
+function setting(key, fallback, envValue = import.meta.env[CONFIG_SCHEMA[key].env]) {
+  const fromRuntime = runtimeValue(key);
+  let value = fallback;
+  let source = "default";
+  if (fromRuntime !== undefined) {
+    value = fromRuntime;
+    source = "runtime";
+  } else if (envValue !== undefined && envValue !== "") {
+    const parsed = parseSetting(CONFIG_SCHEMA[key], envValue);
+    if (!parsed.issue) {
+      value = parsed.value;
+      source = "env";
+    }
+  }
+  CONFIG_DIAGNOSTICS[key] = { value, source };
+  return value;
+}
+
+const DEFAULT_MAX_IMAGE_MB = 25;
+// VITE_MAX_IMAGE_BYTES is the older, byte-based spelling of VITE_MAX_IMAGE_MB.
+const ENV_MAX_IMAGE_BYTES = Number(import.meta.env.VITE_MAX_IMAGE_BYTES);
+const maxImageMb = setting(
+  "maxImageMb",
+  DEFAULT_MAX_IMAGE_MB,
+  Number.isFinite(ENV_MAX_IMAGE_BYTES) && ENV_MAX_IMAGE_BYTES > 0
+    ? ENV_MAX_IMAGE_BYTES / (1024 * 1024)
+    : import.meta.env.VITE_MAX_IMAGE_MB
+);
+
+export const MAX_FILE_BYTES = Math.floor(maxImageMb * 1024 * 1024);
+
+export const MAX_FILE_MB = Math.round((MAX_FILE_BYTES / (1024 * 1024)) * 10) / 10;
+
+// Source files above MAX_FILE_BYTES are downscaled/re-encoded in the browser
+// before upload; this caps what we are willing to decode at all.
+export const MAX_SOURCE_BYTES = Math.floor(setting("maxSourceMb", 200) * 1024 * 1024);
+export const MAX_SOURCE_MB = Math.round((MAX_SOURCE_BYTES / (1024 * 1024)) * 10) / 10;
+
+export const UPLOAD_MAX_DIMENSION = setting("uploadMaxDimension", 2048);
+
+export const UPLOAD_JPEG_QUALITY = setting("uploadJpegQuality", 0.92);
+
+// Health checks (lib/healthMonitor.js): HEALTH_POLL_MS while the model loads
+// and as the first retry after a failure, HEALTH_INTERVAL_MS once it is ready.
+export const HEALTH_POLL_MS = setting("healthPollMs", 5000);
+export const HEALTH_INTERVAL_MS = setting("healthIntervalMs", 30000);
+
+export const BATCH_CONCURRENCY = setting("batchConcurrency", 2);
+
+// Referral rules (lib/referral.js). Probabilities and confidence are percentages.
+export const REFERRAL_THRESHOLDS = {
+  // P(Moderate + Severe + PDR) at or above this refers the patient.
+  referProbability: setting("referProbability", 50),
+  // P(Severe + PDR) at or above this makes the referral urgent.
+  urgentProbability: setting("urgentProbability", 40),
+  referWeeks: setting("referWithinWeeks", 6),
+  rescreenMonths: setting("rescreenMonths", 12),
+  // Below either limit the model output needs a human grader.
+  minConfidence: setting("minConfidence", 50),
+  minMargin: setting("minMargin", 10),
+};
+
+// Uncertainty warnings on the results card (lib/uncertainty.js).
+export const UNCERTAINTY_LIMITS = {
+  // Normalized Shannon entropy of the class distribution, 0 (certain) to 1 (flat).
+  maxEntropy: setting("maxEntropy", 0.5),
+  // Top-1 minus top-2 probability, in percentage points.
+  minMargin: REFERRAL_THRESHOLDS.minMargin,
+  // Share of the runner-up in the top two when they are neighbouring grades;
+  // 0.5 is an exact tie.
+  maxAdjacentShare: setting("maxAdjacentShare", 0.4),
+};
+
+export const API_BASE = setting("apiBaseUrl", import.meta.env.DEV ? "http://localhost:8000" : "");
+
+// Set when the deployment chose a backend, including "" for a same-origin
+// proxy in config.json; unset in production means nobody configured one.
+export const API_BASE_CONFIGURED = CONFIG_DIAGNOSTICS.apiBaseUrl.source !== "default";
+export const HAS_EXPLICIT_API_URL = API_BASE_CONFIGURED && Boolean(API_BASE);
+
+// FHIR server base URL for "Send to EHR" (lib/fhir.js); empty disables sending.
+export const FHIR_ENDPOINT = setting("fhirEndpoint", "");
+
+export const HEALTH_PATHS = ["/api/health"];
+export const PREDICT_PATHS = ["/api/predict"];
+export const MODEL_INFO_PATH = "/api/model-info";
+export const PRIVACY_NOTICE_PATH = "/api/privacy-notice";
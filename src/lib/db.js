@@ -0,0 +1,68 @@
+import { t } from "../i18n/index.js";
+
+// Shared IndexedDB connection for the local history and the offline outbox.
+
+const DB_NAME = "dr-screening";
+const DB_VERSION = 2;
+
+export const STORES = { results: "results", outbox: "outbox" };
+
+let dbPromise = null;
+
+export function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error(t("errors.noIndexedDb")));
+      return;
+    }
+
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORES.results)) {
+        const store = db.createObjectStore(STORES.results, { keyPath: "id", autoIncrement: true });
+        store.createIndex("timestamp", "timestamp");
+        store.createIndex("case_reference", "case_reference");
+      }
+      if (!db.objectStoreNames.contains(STORES.outbox)) {
+        db.createObjectStore(STORES.outbox, { keyPath: "id", autoIncrement: true });
+      }
+    };
+    req.onsuccess = () => {
+      // Another tab upgrading the schema must not be blocked by this one.
+      req.result.onversionchange = () => {
+        req.result.close();
+        dbPromise = null;
+      };
+      resolve(req.result);
+    };
+    req.onerror = () => reject(req.error);
+  }).catch((e) => {
+    dbPromise = null;
+    throw e;
+  });
+
+  return dbPromise;
+}
+
+export async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await fn(tx.objectStore(storeName));
+  await done;
+  return result;
+}
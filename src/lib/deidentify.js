@@ -0,0 +1,102 @@
+import { t } from "../i18n/index.js";
+
+// De-identification applied before anything is uploaded. Metadata is already
+// gone by the time a file gets here (prepareImage() redraws every image
+// through a canvas); this module adds random upload names and burned-in
+// region masks, and builds the summary shown next to the security alert.
+
+function randomHex(bytes) {
+  const values = crypto.getRandomValues(new Uint8Array(bytes));
+  return Array.from(values, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// The original filename often carries a patient name or MRN; the backend
+// only ever sees this random one.
+export function randomUploadName(ext) {
+  return `img-${randomHex(8)}.${ext}`;
+}
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(t("errors.decodeImage")));
+    };
+    img.src = url;
+  });
+}
+
+// Clamps a mask (fractions of width/height, as drawn on the preview) to the
+// image and drops ones too small to matter.
+export function normalizeMask({ x, y, width, height }) {
+  const left = Math.max(0, Math.min(x, x + width));
+  const top = Math.max(0, Math.min(y, y + height));
+  const right = Math.min(1, Math.max(x, x + width));
+  const bottom = Math.min(1, Math.max(y, y + height));
+  if (right - left < 0.01 || bottom - top < 0.01) return null;
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+// Paints each mask solid black into the pixels and re-encodes in the same
+// format, keeping the (already random) filename.
+export async function applyMasks(file, masks) {
+  if (!masks?.length) return file;
+
+  const img = await loadImage(file);
+  const canvas = document.createElement("canvas");
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0);
+  ctx.fillStyle = "#000";
+  masks.forEach((m) => {
+    ctx.fillRect(
+      Math.floor(m.x * canvas.width),
+      Math.floor(m.y * canvas.height),
+      Math.ceil(m.width * canvas.width),
+      Math.ceil(m.height * canvas.height)
+    );
+  });
+
+  const type = file.type === "image/png" ? "image/png" : "image/jpeg";
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (b) => (b ? resolve(b) : reject(new Error(t("errors.encodeImage")))),
+      type,
+      0.92
+    );
+  });
+  return new File([blob], file.name, { type, lastModified: file.lastModified });
+}
+
+// Stored with the result (and printed in the PDF) so reviewers can see what
+// was removed before upload. `maskedRegions` is null on upload paths that
+// offer no masking (batch), so the summary never implies a check was made.
+export function scrubSummary(uploadFile, maskedRegions = 0) {
+  return {
+    metadata_stripped: true,
+    upload_name: uploadFile?.name || null,
+    masked_regions: maskedRegions,
+  };
+}
+
+// `tr` defaults to the UI language; the PDF report passes an English one.
+export function describeScrub(summary, tr = t) {
+  if (!summary) return "";
+  const parts = [
+    tr(summary.metadata_stripped ? "scrub.metadataStripped" : "scrub.metadataKept"),
+    summary.upload_name ? tr("scrub.uploadedAs", { name: summary.upload_name }) : null,
+    summary.masked_regions === null
+      ? tr("scrub.maskingUnavailable")
+      : summary.masked_regions
+      ? tr("scrub.regionsMasked", { count: summary.masked_regions })
+      : tr("scrub.noRegionsMasked"),
+  ];
+  return parts.filter(Boolean).join(" • ");
+}
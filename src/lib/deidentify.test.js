@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { describeScrub, normalizeMask, randomUploadName, scrubSummary } from "./deidentify.js";
+
+describe("randomUploadName", () => {
+  it("never reuses the original name", () => {
+    const a = randomUploadName("jpg");
+    expect(a).toMatch(/^img-[0-9a-f]{16}\.jpg$/);
+    expect(randomUploadName("jpg")).not.toBe(a);
+  });
+});
+
+describe("normalizeMask", () => {
+  it("flips rectangles drawn right-to-left or bottom-up", () => {
+    expect(normalizeMask({ x: 0.5, y: 0.5, width: -0.25, height: -0.25 })).toEqual({
+      x: 0.25,
+      y: 0.25,
+      width: 0.25,
+      height: 0.25,
+    });
+  });
+
+  it("clamps to the image and drops slivers", () => {
+    expect(normalizeMask({ x: 0.9, y: -0.1, width: 0.5, height: 0.3 })).toEqual({
+      x: 0.9,
+      y: 0,
+      width: expect.closeTo(0.1),
+      height: expect.closeTo(0.2),
+    });
+    expect(normalizeMask({ x: 0.2, y: 0.2, width: 0.005, height: 0.4 })).toBeNull();
+  });
+});
+
+describe("describeScrub", () => {
+  it("summarizes what was removed", () => {
+    const file = new File(["x"], "img-0123456789abcdef.jpg", { type: "image/jpeg" });
+    expect(describeScrub(scrubSummary(file, 2))).toBe(
+      "Metadata stripped • uploaded as img-0123456789abcdef.jpg • 2 regions masked"
+    );
+    expect(describeScrub(scrubSummary(file))).toMatch(/no regions masked$/);
+    expect(describeScrub(scrubSummary(file, null))).toMatch(/region masking not available$/);
+  });
+});
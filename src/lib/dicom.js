@@ -0,0 +1,221 @@
+import dicomParser from "dicom-parser";
+import { t } from "../i18n/index.js";
+
+// Reads DICOM (Ophthalmic Photography) files in the browser: the first frame
+// becomes an ordinary image File for preview and upload, and a few header
+// fields are returned for local display. Nothing from the header is uploaded;
+// the image is re-encoded from pixels, so the DICOM header never leaves the
+// browser.
+
+export const DICOM_EXT_RE = /\.(dcm|dicom)$/i;
+
+const TRANSFER_SYNTAX = {
+  IMPLICIT_LE: "1.2.840.10008.1.2",
+  EXPLICIT_LE: "1.2.840.10008.1.2.1",
+  EXPLICIT_BE: "1.2.840.10008.1.2.2",
+  JPEG_BASELINE: "1.2.840.10008.1.2.4.50",
+  JPEG_EXTENDED: "1.2.840.10008.1.2.4.51",
+};
+
+const UNCOMPRESSED = [
+  TRANSFER_SYNTAX.IMPLICIT_LE,
+  TRANSFER_SYNTAX.EXPLICIT_LE,
+  TRANSFER_SYNTAX.EXPLICIT_BE,
+];
+const BROWSER_JPEG = [TRANSFER_SYNTAX.JPEG_BASELINE, TRANSFER_SYNTAX.JPEG_EXTENDED];
+
+const LATERALITY = { R: "OD", L: "OS" };
+
+const PSEUDONYM_SALT_KEY = "dr-screening.pseudonym-salt";
+
+export function isDicomFile(file) {
+  return DICOM_EXT_RE.test(file?.name || "") || file?.type === "application/dicom";
+}
+
+export function parseDicom(buffer) {
+  try {
+    return dicomParser.parseDicom(new Uint8Array(buffer));
+  } catch (e) {
+    throw new Error(t("errors.dicomUnreadable", { reason: e?.message || e }));
+  }
+}
+
+function str(dataSet, tag) {
+  return (dataSet.string(tag) || "").trim();
+}
+
+// DA "YYYYMMDD" (or the date part of a DT) as ISO "YYYY-MM-DD".
+function isoDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(value || "");
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+export function readDicomMetadata(dataSet) {
+  const side = (str(dataSet, "x00200062") || str(dataSet, "x00200060")).toUpperCase();
+  return {
+    laterality: LATERALITY[side] || null,
+    acquisitionDate:
+      isoDate(str(dataSet, "x00080022")) ||
+      isoDate(str(dataSet, "x0008002a")) ||
+      isoDate(str(dataSet, "x00080023")) ||
+      isoDate(str(dataSet, "x00080020")),
+    patientId: str(dataSet, "x00100020") || null,
+    patientName: str(dataSet, "x00100010").replace(/\^+/g, " ").trim() || null,
+    modality: str(dataSet, "x00080060") || null,
+    transferSyntax: str(dataSet, "x00020010") || TRANSFER_SYNTAX.IMPLICIT_LE,
+  };
+}
+
+function canvasToFile(canvas, name) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error(t("errors.encodeImage")));
+        return;
+      }
+      resolve(new File([blob], name, { type: "image/png" }));
+    }, "image/png");
+  });
+}
+
+// Uncompressed pixel data, first frame. Handles 8/16-bit monochrome (scaled
+// to its own min..max) and 8-bit RGB or YBR_FULL, interleaved or planar.
+function decodeUncompressed(dataSet, element, transferSyntax) {
+  const rows = dataSet.uint16("x00280010");
+  const cols = dataSet.uint16("x00280011");
+  const samples = dataSet.uint16("x00280002") || 1;
+  const bitsAllocated = dataSet.uint16("x00280100") || 8;
+  const planar = dataSet.uint16("x00280006") || 0;
+  const photometric = str(dataSet, "x00280004").toUpperCase();
+  const littleEndian = transferSyntax !== TRANSFER_SYNTAX.EXPLICIT_BE;
+
+  if (!rows || !cols) throw new Error(t("errors.dicomNoDimensions"));
+  if (samples === 3 && bitsAllocated !== 8) {
+    throw new Error(t("errors.dicomColourDepth", { bits: bitsAllocated }));
+  }
+
+  const pixelCount = rows * cols;
+  const bytes = new DataView(
+    dataSet.byteArray.buffer,
+    dataSet.byteArray.byteOffset + element.dataOffset,
+    Math.min(element.length, pixelCount * samples * (bitsAllocated / 8))
+  );
+  const out = new ImageData(cols, rows);
+  const px = out.data;
+
+  if (samples === 1) {
+    const read =
+      bitsAllocated === 16
+        ? (i) => bytes.getUint16(i * 2, littleEndian)
+        : (i) => bytes.getUint8(i);
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < pixelCount; i += 1) {
+      const v = read(i);
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    const range = max - min || 1;
+    const invert = photometric === "MONOCHROME1";
+    for (let i = 0; i < pixelCount; i += 1) {
+      let v = ((read(i) - min) / range) * 255;
+      if (invert) v = 255 - v;
+      px[i * 4] = v;
+      px[i * 4 + 1] = v;
+      px[i * 4 + 2] = v;
+      px[i * 4 + 3] = 255;
+    }
+  } else {
+    const ybr = photometric.startsWith("YBR");
+    for (let i = 0; i < pixelCount; i += 1) {
+      const at = (c) => bytes.getUint8(planar ? c * pixelCount + i : i * 3 + c);
+      let r = at(0);
+      let g = at(1);
+      let b = at(2);
+      if (ybr) {
+        const [y, cb, cr] = [r, g, b];
+        r = y + 1.402 * (cr - 128);
+        g = y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128);
+        b = y + 1.772 * (cb - 128);
+      }
+      px[i * 4] = r;
+      px[i * 4 + 1] = g;
+      px[i * 4 + 2] = b;
+      px[i * 4 + 3] = 255;
+    }
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = cols;
+  canvas.height = rows;
+  canvas.getContext("2d").putImageData(out, 0, 0);
+  return canvasToFile(canvas, "dicom-image.png");
+}
+
+// Baseline/extended JPEG frames are handed to the browser's own decoder.
+function extractJpeg(dataSet, element) {
+  const frames = Number(str(dataSet, "x00280008")) || 1;
+  const bytes =
+    frames > 1
+      ? dicomParser.readEncapsulatedImageFrame(
+          dataSet,
+          element,
+          0,
+          element.basicOffsetTable?.length
+            ? undefined
+            : dicomParser.createJPEGBasicOffsetTable(dataSet, element)
+        )
+      : dicomParser.readEncapsulatedPixelDataFromFragments(
+          dataSet,
+          element,
+          0,
+          element.fragments.length
+        );
+  return new File([bytes], "dicom-image.jpg", { type: "image/jpeg" });
+}
+
+export function extractDicomImage(dataSet) {
+  const element = dataSet.elements.x7fe00010;
+  if (!element) throw new Error(t("errors.dicomNoPixels"));
+
+  const transferSyntax = readDicomMetadata(dataSet).transferSyntax;
+  if (UNCOMPRESSED.includes(transferSyntax)) {
+    return decodeUncompressed(dataSet, element, transferSyntax);
+  }
+  if (BROWSER_JPEG.includes(transferSyntax)) {
+    return Promise.resolve(extractJpeg(dataSet, element));
+  }
+  throw new Error(t("errors.dicomCompression", { syntax: transferSyntax }));
+}
+
+function pseudonymSalt() {
+  try {
+    let salt = localStorage.getItem(PSEUDONYM_SALT_KEY);
+    if (!salt) {
+      const bytes = crypto.getRandomValues(new Uint8Array(16));
+      salt = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+      localStorage.setItem(PSEUDONYM_SALT_KEY, salt);
+    }
+    return salt;
+  } catch {
+    return "";
+  }
+}
+
+// Stable per browser: the same patient ID always maps to the same pseudonym
+// here (so visit trends line up), but the salt never leaves this browser, so
+// the mapping cannot be reversed elsewhere. Returns null without WebCrypto.
+export async function pseudonymize(patientId) {
+  if (!patientId || !globalThis.crypto?.subtle) return null;
+  const data = new TextEncoder().encode(`${pseudonymSalt()}:${patientId}`);
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+  const hex = Array.from(digest.slice(0, 5), (b) => b.toString(16).padStart(2, "0")).join("");
+  return `PT-${hex.toUpperCase()}`;
+}
+
+export async function readDicom(file) {
+  const dataSet = parseDicom(await file.arrayBuffer());
+  const meta = readDicomMetadata(dataSet);
+  const image = await extractDicomImage(dataSet);
+  return { image, meta: { ...meta, pseudonym: await pseudonymize(meta.patientId) } };
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { isDicomFile, parseDicom, readDicomMetadata } from "./dicom.js";
+
+// Minimal Part 10 file in explicit VR little endian: preamble, "DICM", the
+// transfer syntax in the meta group, then the given dataset elements.
+function buildDicom(elements) {
+  const bytes = [];
+  const u16 = (v) => bytes.push(v & 0xff, (v >> 8) & 0xff);
+  const u32 = (v) => {
+    u16(v & 0xffff);
+    u16(v >>> 16);
+  };
+  const element = (group, el, vr, value) => {
+    let data = Array.from(new TextEncoder().encode(value));
+    if (data.length % 2) data.push(vr === "UI" ? 0 : 0x20);
+    u16(group);
+    u16(el);
+    bytes.push(vr.charCodeAt(0), vr.charCodeAt(1));
+    u16(data.length);
+    bytes.push(...data);
+  };
+
+  bytes.push(...new Array(128).fill(0), ...Array.from("DICM", (c) => c.charCodeAt(0)));
+  const ts = "1.2.840.10008.1.2.1";
+  const tsLength = ts.length + (ts.length % 2);
+  u16(0x0002);
+  u16(0x0000);
+  bytes.push(0x55, 0x4c); // "UL"
+  u16(4);
+  u32(8 + tsLength);
+  element(0x0002, 0x0010, "UI", ts);
+  elements.forEach(([group, el, vr, value]) => element(group, el, vr, value));
+  return new Uint8Array(bytes).buffer;
+}
+
+describe("readDicomMetadata", () => {
+  it("reads laterality, acquisition date and patient fields", () => {
+    const meta = readDicomMetadata(
+      parseDicom(
+        buildDicom([
+          [0x0008, 0x0020, "DA", "20230101"],
+          [0x0008, 0x0022, "DA", "20240315"],
+          [0x0008, 0x0060, "CS", "OP"],
+          [0x0010, 0x0010, "PN", "Doe^Jane"],
+          [0x0010, 0x0020, "LO", "MRN-0042"],
+          [0x0020, 0x0062, "CS", "L"],
+        ])
+      )
+    );
+
+    expect(meta).toEqual({
+      laterality: "OS",
+      acquisitionDate: "2024-03-15",
+      patientId: "MRN-0042",
+      patientName: "Doe Jane",
+      modality: "OP",
+      transferSyntax: "1.2.840.10008.1.2.1",
+    });
+  });
+
+  it("falls back to series laterality and the study date", () => {
+    const meta = readDicomMetadata(
+      parseDicom(
+        buildDicom([
+          [0x0008, 0x0020, "DA", "20230101"],
+          [0x0020, 0x0060, "CS", "R"],
+        ])
+      )
+    );
+
+    expect(meta.laterality).toBe("OD");
+    expect(meta.acquisitionDate).toBe("2023-01-01");
+    expect(meta.patientId).toBeNull();
+  });
+
+  it("rejects files that are not DICOM", () => {
+    expect(() => parseDicom(new Uint8Array(200).buffer)).toThrow(/Not a readable DICOM file/);
+  });
+});
+
+describe("isDicomFile", () => {
+  it("recognizes DICOM by extension or MIME type", () => {
+    expect(isDicomFile(new File([], "IMG0001.DCM"))).toBe(true);
+    expect(isDicomFile(new File([], "scan", { type: "application/dicom" }))).toBe(true);
+    expect(isDicomFile(new File([], "eye.png", { type: "image/png" }))).toBe(false);
+  });
+});
@@ -0,0 +1,112 @@
+import { t } from "../i18n/index.js";
+import { SEVERITY_CLASSES } from "./normalize.js";
+
+// Tabular export of stored history entries for research. One row per
+// result; probabilities and confidence are percentages as stored. Images,
+// thumbnails and free-text notes are never exported.
+
+export const EXPORT_FORMATS = ["csv", "jsonl"];
+
+export const EXPORT_COLUMNS = [
+  "session_id",
+  "timestamp",
+  "case_reference",
+  "laterality",
+  "predicted_class",
+  "confidence",
+  ...SEVERITY_CLASSES.map((cls) => `prob_${cls}`),
+  "elapsed_ms",
+  "model_name",
+  "reviewer_grade",
+];
+
+const MIME_TYPES = { csv: "text/csv", jsonl: "application/x-ndjson" };
+
+const numberOrNull = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+
+export function exportRecord(entry) {
+  const probs = entry.probabilities || entry.result?.all_probabilities || {};
+  return {
+    session_id: entry.session_id || null,
+    timestamp: entry.timestamp || null,
+    case_reference: entry.case_reference || null,
+    laterality: entry.laterality || null,
+    predicted_class: entry.class || null,
+    confidence: numberOrNull(entry.confidence),
+    ...Object.fromEntries(SEVERITY_CLASSES.map((cls) => [`prob_${cls}`, numberOrNull(probs[cls])])),
+    elapsed_ms: numberOrNull(entry.result?.elapsed_ms),
+    model_name: entry.model_name || null,
+    reviewer_grade: entry.result?.review?.grade || null,
+  };
+}
+
+export function randomExportKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// WebCrypto's subtle API only exists in secure contexts (HTTPS or localhost).
+export const canPseudonymize = () => Boolean(globalThis.crypto?.subtle);
+
+// HMAC-SHA-256 truncated to 128 bits: with the same key, a case reference
+// always maps to the same value, so a study can link exports without ever
+// seeing the reference.
+export async function hashCaseReference(reference, key) {
+  if (!canPseudonymize()) throw new Error(t("export.noWebCrypto"));
+  const encoder = new TextEncoder();
+  const hmacKey = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(key),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const mac = new Uint8Array(await crypto.subtle.sign("HMAC", hmacKey, encoder.encode(reference)));
+  const hex = Array.from(mac.slice(0, 16), (b) => b.toString(16).padStart(2, "0")).join("");
+  return `CR-${hex.toUpperCase()}`;
+}
+
+export async function pseudonymizeRecords(records, key) {
+  return Promise.all(
+    records.map(async (r) =>
+      r.case_reference ? { ...r, case_reference: await hashCaseReference(r.case_reference, key) } : r
+    )
+  );
+}
+
+// RFC 4180 quoting. Text that a spreadsheet would run as a formula gets a
+// leading apostrophe.
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(records, columns = EXPORT_COLUMNS) {
+  const rows = records.map((r) => columns.map((c) => csvCell(r[c])).join(","));
+  const lines = [columns.join(","), ...rows];
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+export function toJsonLines(records) {
+  return records.map((r) => `${JSON.stringify(r)}\n`).join("");
+}
+
+// Returns `{ text, mimeType, fileName, count }`. Without a key, pseudonyms
+// come from a random one, so they only link rows within this file.
+export async function buildResultsExport(
+  entries,
+  { format = "csv", pseudonymize = false, key = "", now = new Date() } = {}
+) {
+  let records = entries.map(exportRecord);
+  if (pseudonymize) records = await pseudonymizeRecords(records, key || randomExportKey());
+
+  const jsonl = format === "jsonl";
+  return {
+    text: jsonl ? toJsonLines(records) : toCsv(records),
+    mimeType: jsonl ? MIME_TYPES.jsonl : MIME_TYPES.csv,
+    fileName: `dr-results-${now.toISOString().slice(0, 10)}.${jsonl ? "jsonl" : "csv"}`,
+    count: records.length,
+  };
+}
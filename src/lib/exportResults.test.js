@@ -0,0 +1,94 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  EXPORT_COLUMNS,
+  buildResultsExport,
+  canPseudonymize,
+  exportRecord,
+  hashCaseReference,
+  toCsv,
+} from "./exportResults.js";
+import { parseCsvRows } from "./groundTruth.js";
+
+const entry = (extra = {}) => ({
+  id: 1,
+  session_id: "sess-1",
+  timestamp: "2026-03-01T10:00:00.000Z",
+  case_reference: "case-7",
+  laterality: "OS",
+  class: "Moderate",
+  confidence: 82,
+  probabilities: { No_DR: 2, Mild: 8, Moderate: 82, Severe: 6, Proliferative_DR: 2 },
+  model_name: "RA-EfficientNetB3",
+  thumbnail: "data:image/jpeg;base64,AAAA",
+  result: { elapsed_ms: 120, review: { grade: "Severe", notes: "private" } },
+  ...extra,
+});
+
+describe("exportRecord", () => {
+  it("flattens an entry into the export columns without images or notes", () => {
+    const record = exportRecord(entry());
+    expect(Object.keys(record)).toEqual(EXPORT_COLUMNS);
+    expect(record).toMatchObject({
+      predicted_class: "Moderate",
+      prob_Severe: 6,
+      elapsed_ms: 120,
+      model_name: "RA-EfficientNetB3",
+      reviewer_grade: "Severe",
+    });
+    expect(exportRecord({ class: "Mild" })).toMatchObject({ reviewer_grade: null, prob_Mild: null });
+  });
+});
+
+describe("toCsv", () => {
+  it("quotes separators and defuses spreadsheet formulas", () => {
+    const record = { a: 'Ward 3, "east"', b: "=HYPERLINK(1)", c: null, d: -1 };
+    const text = toCsv([record], ["a", "b", "c", "d"]);
+    expect(text).toBe('a,b,c,d\r\n"Ward 3, ""east""",\'=HYPERLINK(1),,-1\r\n');
+    expect(parseCsvRows(text)[1]).toEqual(['Ward 3, "east"', "'=HYPERLINK(1)", "", "-1"]);
+  });
+});
+
+describe("buildResultsExport", () => {
+  it("writes JSON Lines and hashes case references with the study key", async () => {
+    const entries = [
+      entry(),
+      entry({ id: 2, session_id: "sess-2" }),
+      entry({ id: 3, case_reference: "" }),
+    ];
+    const { text, fileName, count } = await buildResultsExport(entries, {
+      format: "jsonl",
+      pseudonymize: true,
+      key: "study-42",
+      now: new Date("2026-03-02T00:00:00Z"),
+    });
+
+    expect(fileName).toBe("dr-results-2026-03-02.jsonl");
+    expect(count).toBe(3);
+    const rows = text.trim().split("\n").map((line) => JSON.parse(line));
+    const hashed = await hashCaseReference("case-7", "study-42");
+    expect(hashed).toMatch(/^CR-[0-9A-F]{32}$/);
+    expect(rows.map((r) => r.case_reference)).toEqual([hashed, hashed, null]);
+    expect(await hashCaseReference("case-7", "other-key")).not.toBe(hashed);
+    // The key and the reference are not simply concatenated.
+    expect(await hashCaseReference("b:c", "a")).not.toBe(await hashCaseReference("c", "a:b"));
+  });
+
+  it("refuses to pseudonymize without WebCrypto", async () => {
+    vi.stubGlobal("crypto", { getRandomValues: crypto.getRandomValues.bind(crypto) });
+    try {
+      expect(canPseudonymize()).toBe(false);
+      await expect(buildResultsExport([entry()], { pseudonymize: true })).rejects.toThrow(
+        "needs a secure (HTTPS) connection"
+      );
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it("writes a CSV header row and one row per entry", async () => {
+    const { text } = await buildResultsExport([entry()]);
+    const [header, row] = parseCsvRows(text);
+    expect(header).toEqual(EXPORT_COLUMNS);
+    expect(row[EXPORT_COLUMNS.indexOf("case_reference")]).toBe("case-7");
+  });
+});
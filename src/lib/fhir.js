@@ -0,0 +1,292 @@
+import axios from "axios";
+import { classLabelWith, t, translate } from "../i18n/index.js";
+import { FHIR_ENDPOINT } from "./config.js";
+import { downloadBlob } from "./download.js";
+import { SEVERITY_CLASSES, extractServerError } from "./normalize.js";
+import { LATERALITY_LABELS } from "./paired.js";
+import { describeReferral, evaluateReferral } from "./referral.js";
+
+// HL7 FHIR R4 export of a normalized prediction for EHR integration. The
+// Bundle is a transaction, so a FHIR server can ingest it with one POST to
+// its base URL; the same JSON is offered as a download. Text inside the
+// resources is English, as in the PDF report.
+
+const POST_TIMEOUT_MS = 30000;
+
+// Local code systems; an interface engine maps them to the site's own codes.
+export const FHIR_SYSTEMS = {
+  codes: "urn:dr-screening:codes",
+  icdr: "urn:dr-screening:icdr-grade",
+  session: "urn:dr-screening:session-id",
+  caseReference: "urn:dr-screening:case-reference",
+};
+
+const SNOMED = "http://snomed.info/sct";
+const UCUM = "http://unitsofmeasure.org";
+const DICOM = "http://dicom.nema.org/resources/ontology/DCM";
+const OBSERVATION_CATEGORY = "http://terminology.hl7.org/CodeSystem/observation-category";
+const MEDIA_TYPE = "http://terminology.hl7.org/CodeSystem/media-type";
+
+// SNOMED CT findings for the ICDR grades. "No DR" has no finding code and is
+// sent with the ICDR code only.
+const SNOMED_GRADES = {
+  Mild: { code: "312903003", display: "Mild nonproliferative diabetic retinopathy" },
+  Moderate: { code: "312904009", display: "Moderate nonproliferative diabetic retinopathy" },
+  Severe: { code: "312905005", display: "Severe nonproliferative diabetic retinopathy" },
+  Proliferative_DR: { code: "59276001", display: "Proliferative diabetic retinopathy" },
+};
+
+const english = (key, params) => translate("en", key, params);
+const englishLabel = (cls) => classLabelWith(english, cls);
+
+const localCode = (code, display) => ({
+  coding: [{ system: FHIR_SYSTEMS.codes, code, display }],
+  text: display,
+});
+
+const percent = (value) => ({
+  value: Math.round(Number(value) * 100) / 100,
+  unit: "%",
+  system: UCUM,
+  code: "%",
+});
+
+export function gradeConcept(cls) {
+  const display = englishLabel(cls);
+  const code = String(SEVERITY_CLASSES.indexOf(cls));
+  const coding = [{ system: FHIR_SYSTEMS.icdr, code, display }];
+  if (SNOMED_GRADES[cls]) coding.push({ system: SNOMED, ...SNOMED_GRADES[cls] });
+  return { coding, text: display };
+}
+
+// RFC 4122 version 4 UUID. crypto.randomUUID() only exists in secure
+// contexts, and on-prem installs are often served over plain HTTP.
+export function randomId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  return hex.replace(/^(.{8})(.{4})(.{4})(.{4})/, "$1-$2-$3-$4-");
+}
+
+const readAsDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+// Images are embedded as base64 so the Bundle is self-contained; anything
+// that is neither a Blob nor a data URL is sent as a link.
+async function toAttachment(source, title) {
+  const isBlob = typeof Blob !== "undefined" && source instanceof Blob;
+  const url = isBlob ? await readAsDataUrl(source) : String(source);
+  const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(url);
+  if (!match) return { url, title };
+  return { contentType: match[1] || "application/octet-stream", data: match[2], title };
+}
+
+function conclusionText(result) {
+  const { prediction, review } = result;
+  const confidence = Number(prediction.confidence || 0).toFixed(1);
+  const parts = [`Model grade: ${englishLabel(prediction.class)} (${confidence}% confidence).`];
+  if (review?.grade) parts.push(`Clinician grade: ${englishLabel(review.grade)}.`);
+  const referral = describeReferral(evaluateReferral(result), {
+    tr: english,
+    percent: (v) => `${v.toFixed(1)}%`,
+  });
+  if (referral) parts.push(`Recommendation: ${referral.action}.`);
+  return parts.join(" ");
+}
+
+// Returns a transaction Bundle with a DiagnosticReport, Observations for the
+// model grade, the class probabilities and any clinician grade, a Device for
+// the model and Media for the original image and Grad-CAM overlay.
+export async function buildFhirBundle({
+  result,
+  image = null,
+  modelInfo = null,
+  includeImages = true,
+  now = new Date(),
+  makeId = randomId,
+}) {
+  const grade = result?.prediction?.class;
+  if (!SEVERITY_CLASSES.includes(grade)) throw new Error(t("fhir.noGrade"));
+
+  const entries = [];
+  const entry = (fullUrl, resource) => ({
+    fullUrl,
+    resource,
+    request: { method: "POST", url: resource.resourceType },
+  });
+  const add = (resource) => {
+    const fullUrl = `urn:uuid:${makeId()}`;
+    entries.push(entry(fullUrl, resource));
+    return { reference: fullUrl };
+  };
+
+  const issued = now.toISOString();
+  const effectiveDateTime = result.acquisition_date || issued;
+  const caseRef = String(result.case_reference || "").trim();
+  const subject = caseRef
+    ? { identifier: { system: FHIR_SYSTEMS.caseReference, value: caseRef }, display: caseRef }
+    : undefined;
+  const bodySite = LATERALITY_LABELS[result.laterality]
+    ? { text: LATERALITY_LABELS[result.laterality] }
+    : undefined;
+  const category = [
+    { coding: [{ system: OBSERVATION_CATEGORY, code: "imaging", display: "Imaging" }] },
+  ];
+  const common = { status: "final", category, subject, effectiveDateTime, issued, bodySite };
+  const imageType = { coding: [{ system: MEDIA_TYPE, code: "image", display: "Image" }] };
+
+  const device = modelInfo?.model_name
+    ? add({
+        resourceType: "Device",
+        status: "active",
+        deviceName: [{ name: String(modelInfo.model_name), type: "model-name" }],
+        ...(modelInfo.model_version
+          ? { version: [{ value: String(modelInfo.model_version) }] }
+          : {}),
+      })
+    : undefined;
+
+  const results = [];
+  const modelGrade = add({
+    resourceType: "Observation",
+    ...common,
+    code: localCode("dr-grade-model", "Diabetic retinopathy grade (automated)"),
+    method: { text: "Automated grading of a fundus photograph" },
+    device,
+    valueCodeableConcept: gradeConcept(grade),
+    component: [
+      {
+        code: localCode("model-confidence", "Model confidence"),
+        valueQuantity: percent(result.prediction.confidence),
+      },
+    ],
+  });
+  results.push(modelGrade);
+
+  const probs = result.all_probabilities || {};
+  const classes = SEVERITY_CLASSES.filter((c) => typeof probs[c] === "number");
+  if (classes.length) {
+    results.push(
+      add({
+        resourceType: "Observation",
+        ...common,
+        code: localCode("dr-grade-probabilities", "Diabetic retinopathy grade probabilities"),
+        device,
+        derivedFrom: [modelGrade],
+        component: classes.map((cls) => ({
+          code: gradeConcept(cls),
+          valueQuantity: percent(probs[cls]),
+        })),
+      })
+    );
+  }
+
+  const review = result.review;
+  if (review?.grade) {
+    results.push(
+      add({
+        resourceType: "Observation",
+        ...common,
+        issued: review.reviewed_at || issued,
+        code: localCode("dr-grade-clinician", "Diabetic retinopathy grade (clinician review)"),
+        performer: review.reviewer ? [{ display: review.reviewer }] : undefined,
+        valueCodeableConcept: gradeConcept(review.grade),
+        derivedFrom: [modelGrade],
+        note: review.notes ? [{ text: review.notes }] : undefined,
+      })
+    );
+  }
+
+  const media = [];
+  if (includeImages && image) {
+    const link = add({
+      resourceType: "Media",
+      status: "completed",
+      type: imageType,
+      modality: { coding: [{ system: DICOM, code: "OP", display: "Ophthalmic Photography" }] },
+      subject,
+      createdDateTime: effectiveDateTime,
+      bodySite,
+      content: await toAttachment(image, "Fundus photograph (de-identified)"),
+    });
+    media.push({ comment: "Original image", link });
+  }
+  if (includeImages && result.gradcam_image) {
+    const link = add({
+      resourceType: "Media",
+      status: "completed",
+      type: imageType,
+      subject,
+      createdDateTime: issued,
+      bodySite,
+      device,
+      content: await toAttachment(result.gradcam_image, "Grad-CAM overlay"),
+    });
+    media.push({ comment: "Grad-CAM overlay", link });
+  }
+
+  const report = {
+    resourceType: "DiagnosticReport",
+    identifier: result.session_id
+      ? [{ system: FHIR_SYSTEMS.session, value: String(result.session_id) }]
+      : undefined,
+    // Model output stays preliminary until a clinician has reviewed it.
+    status: review?.grade ? "final" : "preliminary",
+    code: localCode("dr-screening", "Diabetic retinopathy screening"),
+    subject,
+    effectiveDateTime,
+    issued,
+    result: results,
+    media: media.length ? media : undefined,
+    conclusion: conclusionText(result),
+    conclusionCode: [gradeConcept(review?.grade || grade)],
+  };
+  entries.unshift(entry(`urn:uuid:${makeId()}`, report));
+
+  return { resourceType: "Bundle", type: "transaction", timestamp: issued, entry: entries };
+}
+
+export function fhirFileName(result, now = new Date()) {
+  const id = result?.session_id || now.toISOString().slice(0, 10);
+  return `dr-fhir-${String(id).replace(/[^\w-]+/g, "_")}.json`;
+}
+
+export function downloadFhirBundle(bundle, fileName) {
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: "application/fhir+json" });
+  downloadBlob(blob, fileName);
+}
+
+// Counts the entries of a transaction-response Bundle the server created.
+export function summarizeTransactionResponse(data) {
+  const entries = Array.isArray(data?.entry) ? data.entry : [];
+  return {
+    total: entries.length,
+    created: entries.filter((e) => String(e?.response?.status || "").startsWith("201")).length,
+    locations: entries.map((e) => e?.response?.location).filter(Boolean),
+  };
+}
+
+// FHIR servers explain rejections in an OperationOutcome.
+export function describeFhirError(e) {
+  const data = e?.response?.data;
+  const issues = data?.resourceType === "OperationOutcome" ? data.issue || [] : [];
+  const details = issues.map((i) => i?.diagnostics || i?.details?.text).filter(Boolean);
+  if (details.length) return details.join(" ");
+  return extractServerError(e).message;
+}
+
+export async function sendFhirBundle(bundle, { endpoint = FHIR_ENDPOINT, signal } = {}) {
+  if (!endpoint) throw new Error(t("fhir.noEndpointError"));
+  const res = await axios.post(endpoint, bundle, {
+    headers: { "Content-Type": "application/fhir+json", Accept: "application/fhir+json" },
+    timeout: POST_TIMEOUT_MS,
+    signal,
+  });
+  return summarizeTransactionResponse(res.data);
+}
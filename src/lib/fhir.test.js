@@ -0,0 +1,161 @@
+import { HttpResponse, http } from "msw";
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { server } from "../test/server.js";
+import {
+  FHIR_SYSTEMS,
+  buildFhirBundle,
+  describeFhirError,
+  randomId,
+  sendFhirBundle,
+} from "./fhir.js";
+
+const FHIR = "http://fhir.test/fhir";
+
+beforeAll(() => server.listen({ onUnhandledRequest: "error" }));
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+
+const result = {
+  session_id: "sess-123",
+  case_reference: "case-7",
+  laterality: "OD",
+  prediction: { class: "Moderate", confidence: 82 },
+  all_probabilities: { No_DR: 2, Mild: 8, Moderate: 82, Severe: 6, Proliferative_DR: 2 },
+  gradcam_image: "data:image/png;base64,AAAA",
+};
+
+function sequentialIds() {
+  let n = 0;
+  return () => `id-${(n += 1)}`;
+}
+
+const build = (overrides = {}) =>
+  buildFhirBundle({
+    result,
+    image: new Blob(["jpeg"], { type: "image/jpeg" }),
+    modelInfo: { model_name: "EfficientNetB3" },
+    now: new Date("2026-03-01T10:00:00Z"),
+    makeId: sequentialIds(),
+    ...overrides,
+  });
+
+const resources = (bundle, type) =>
+  bundle.entry.map((e) => e.resource).filter((r) => r.resourceType === type);
+
+describe("buildFhirBundle", () => {
+  it("builds a transaction with the report, coded grade, probabilities and images", async () => {
+    const bundle = await build();
+
+    expect(bundle).toMatchObject({ resourceType: "Bundle", type: "transaction" });
+    expect(bundle.entry.map((e) => e.resource.resourceType)).toEqual([
+      "DiagnosticReport",
+      "Device",
+      "Observation",
+      "Observation",
+      "Media",
+      "Media",
+    ]);
+
+    const [report] = resources(bundle, "DiagnosticReport");
+    expect(report).toMatchObject({
+      status: "preliminary",
+      identifier: [{ system: FHIR_SYSTEMS.session, value: "sess-123" }],
+      subject: { identifier: { system: FHIR_SYSTEMS.caseReference, value: "case-7" } },
+      result: [{ reference: "urn:uuid:id-2" }, { reference: "urn:uuid:id-3" }],
+      media: [{ link: { reference: "urn:uuid:id-4" } }, { link: { reference: "urn:uuid:id-5" } }],
+    });
+    expect(report.conclusion).toBe(
+      "Model grade: Moderate (82.0% confidence). Recommendation: Refer within 6 weeks."
+    );
+
+    const [grade, probabilities] = resources(bundle, "Observation");
+    expect(grade.valueCodeableConcept.coding).toEqual([
+      { system: FHIR_SYSTEMS.icdr, code: "2", display: "Moderate" },
+      {
+        system: "http://snomed.info/sct",
+        code: "312904009",
+        display: "Moderate nonproliferative diabetic retinopathy",
+      },
+    ]);
+    expect(grade.device).toEqual({ reference: "urn:uuid:id-1" });
+    expect(grade.bodySite).toEqual({ text: "Right eye (OD)" });
+    expect(probabilities.component.map((c) => c.valueQuantity.value)).toEqual([2, 8, 82, 6, 2]);
+
+    const [original, gradcam] = resources(bundle, "Media");
+    expect(original.content).toMatchObject({ contentType: "image/jpeg", data: btoa("jpeg") });
+    expect(gradcam.content).toMatchObject({ contentType: "image/png", data: "AAAA" });
+  });
+
+  it("adds the clinician grade and finalizes a reviewed report", async () => {
+    const review = { grade: "Severe", reviewer: "Dr Lim", notes: "IRMA in two quadrants." };
+    const bundle = await build({ result: { ...result, review }, includeImages: false });
+
+    const [report] = resources(bundle, "DiagnosticReport");
+    expect(report.status).toBe("final");
+    expect(report.media).toBeUndefined();
+    expect(report.conclusionCode[0].coding[0]).toMatchObject({ code: "3", display: "Severe" });
+
+    const clinician = resources(bundle, "Observation")[2];
+    expect(clinician).toMatchObject({
+      performer: [{ display: "Dr Lim" }],
+      note: [{ text: "IRMA in two quadrants." }],
+    });
+  });
+
+  it("builds without crypto.randomUUID, which insecure contexts lack", async () => {
+    const { getRandomValues } = globalThis.crypto;
+    vi.stubGlobal("crypto", { getRandomValues: getRandomValues.bind(globalThis.crypto) });
+    try {
+      expect(randomId()).toMatch(
+        /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+      );
+      const bundle = await build({ makeId: undefined });
+      expect(new Set(bundle.entry.map((e) => e.fullUrl)).size).toBe(bundle.entry.length);
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it("refuses results without a grade", async () => {
+    await expect(build({ result: { prediction: { class: "" } } })).rejects.toThrow(
+      "Only results with a DR grade can be exported."
+    );
+  });
+});
+
+describe("sendFhirBundle", () => {
+  it("posts FHIR JSON and counts the created resources", async () => {
+    let contentType = "";
+    server.use(
+      http.post(FHIR, ({ request }) => {
+        contentType = request.headers.get("content-type");
+        return HttpResponse.json({
+          resourceType: "Bundle",
+          type: "transaction-response",
+          entry: [{ response: { status: "201 Created" } }, { response: { status: "200 OK" } }],
+        });
+      })
+    );
+
+    const summary = await sendFhirBundle(await build(), { endpoint: FHIR });
+    expect(contentType).toBe("application/fhir+json");
+    expect(summary).toMatchObject({ total: 2, created: 1 });
+  });
+
+  it("reports the server's OperationOutcome", async () => {
+    server.use(
+      http.post(FHIR, () =>
+        HttpResponse.json(
+          {
+            resourceType: "OperationOutcome",
+            issue: [{ severity: "error", diagnostics: "Unknown code system." }],
+          },
+          { status: 422 }
+        )
+      )
+    );
+
+    const error = await sendFhirBundle(await build(), { endpoint: FHIR }).catch((e) => e);
+    expect(describeFhirError(error)).toBe("Unknown code system.");
+  });
+});
@@ -0,0 +1,176 @@
+import { t } from "../i18n/index.js";
+import { SEVERITY_CLASSES } from "./normalize.js";
+
+// Ground-truth grades imported from CSV for model evaluation. Labels are kept
+// in localStorage (they carry no images) and matched to history entries by
+// session ID, else by case reference and eye.
+
+const STORAGE_KEY = "dr-screening.groundTruth";
+
+const COLUMN_ALIASES = {
+  session_id: ["session_id", "session", "sessionid"],
+  case_reference: ["case_reference", "case_ref", "case", "casereference", "case_id"],
+  laterality: ["laterality", "eye", "side"],
+  grade: ["grade", "label", "class", "ground_truth", "dr_grade", "diagnosis"],
+};
+
+// ICDR numbers and common spellings for each class.
+const GRADE_ALIASES = {
+  No_DR: ["0", "nodr", "none", "normal", "nodiabeticretinopathy"],
+  Mild: ["1", "mild", "mildnpdr"],
+  Moderate: ["2", "moderate", "moderatenpdr"],
+  Severe: ["3", "severe", "severenpdr"],
+  Proliferative_DR: ["4", "proliferativedr", "proliferative", "pdr"],
+};
+
+const EYE_ALIASES = { OD: ["od", "r", "right", "re"], OS: ["os", "l", "left", "le"] };
+
+const squash = (v) => String(v ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+export function parseGrade(value) {
+  const key = squash(value);
+  return SEVERITY_CLASSES.find((cls) => GRADE_ALIASES[cls].includes(key)) || null;
+}
+
+function parseEye(value) {
+  const key = squash(value);
+  return Object.keys(EYE_ALIASES).find((eye) => EYE_ALIASES[eye].includes(key)) || null;
+}
+
+// Spreadsheets in comma-decimal locales export with semicolons. The header row
+// decides, so a semicolon inside a comma-separated cell stays text.
+function detectDelimiter(text) {
+  const header = text.replace(/"(?:[^"]|"")*"/g, "").split(/\r?\n/, 1)[0];
+  const count = (ch) => header.split(ch).length - 1;
+  return count(";") > count(",") ? ";" : ",";
+}
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF, with the
+// delimiter taken from the header row.
+export function parseCsvRows(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+// Returns `{ labels, errors }`; rows that cannot be used are reported by line
+// number instead of failing the whole import.
+export function parseGroundTruthCsv(text) {
+  const [header, ...rows] = parseCsvRows(String(text || "").replace(/^\uFEFF/, ""));
+  if (!header) throw new Error(t("agreement.csv.empty"));
+
+  const names = header.map((h) => squash(h));
+  const column = Object.fromEntries(
+    Object.entries(COLUMN_ALIASES).map(([field, aliases]) => [
+      field,
+      names.findIndex((n) => aliases.map(squash).includes(n)),
+    ])
+  );
+  if (column.grade < 0) throw new Error(t("agreement.csv.noGrade"));
+  if (column.session_id < 0 && column.case_reference < 0) {
+    throw new Error(t("agreement.csv.noKey"));
+  }
+
+  const labels = [];
+  const errors = [];
+  rows.forEach((cells, index) => {
+    const line = index + 2;
+    const cell = (field) => (column[field] >= 0 ? String(cells[column[field]] ?? "").trim() : "");
+    const grade = parseGrade(cell("grade"));
+    const label = {
+      session_id: cell("session_id"),
+      case_reference: cell("case_reference"),
+      laterality: parseEye(cell("laterality")),
+      grade,
+    };
+    if (!grade) {
+      errors.push({ line, message: t("agreement.csv.badGrade", { value: cell("grade") }) });
+    } else if (!label.session_id && !label.case_reference) {
+      errors.push({ line, message: t("agreement.csv.missingKey") });
+    } else {
+      labels.push(label);
+    }
+  });
+
+  return { labels, errors };
+}
+
+export function loadGroundTruth() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveGroundTruth(labels) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(labels));
+}
+
+export function clearGroundTruth() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+export function findLabel(entry, labels) {
+  if (entry.session_id) {
+    const bySession = labels.find((l) => l.session_id === entry.session_id);
+    if (bySession) return bySession;
+  }
+
+  const caseRef = String(entry.case_reference || "").trim();
+  if (!caseRef) return null;
+  const forCase = labels.filter((l) => !l.session_id && l.case_reference === caseRef);
+  return (
+    forCase.find((l) => l.laterality && l.laterality === entry.laterality) ||
+    forCase.find((l) => !l.laterality) ||
+    null
+  );
+}
+
+export const REFERENCE_SOURCES = ["labels", "reviews", "both"];
+
+// Pairs each history entry with its reference grade. "both" prefers the
+// imported label and falls back to the clinician review.
+export function referencePairs(entries, labels, source = "both") {
+  return entries.flatMap((entry) => {
+    const label = source !== "reviews" ? findLabel(entry, labels) : null;
+    const review = source !== "labels" ? entry.result?.review : null;
+    const truth = label?.grade || review?.grade;
+    if (!truth) return [];
+    return [{ truth, predicted: entry.class, confidence: Number(entry.confidence) || 0 }];
+  });
+}
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { findLabel, parseCsvRows, parseGroundTruthCsv, referencePairs } from "./groundTruth.js";
+
+describe("parseCsvRows", () => {
+  it("handles quotes, doubled quotes and CRLF", () => {
+    expect(parseCsvRows('a,b\r\n"x, y","say ""hi"""\r\n\r\n')).toEqual([
+      ["a", "b"],
+      ["x, y", 'say "hi"'],
+    ]);
+  });
+
+  it("takes the delimiter from the header row", () => {
+    expect(parseCsvRows("case,grade\nP-1,moderate; query DME\n")).toEqual([
+      ["case", "grade"],
+      ["P-1", "moderate; query DME"],
+    ]);
+    expect(parseCsvRows('"case";"grade"\nP-1;2,5\n')).toEqual([
+      ["case", "grade"],
+      ["P-1", "2,5"],
+    ]);
+  });
+});
+
+describe("parseGroundTruthCsv", () => {
+  it("maps header aliases, ICDR numbers and eye spellings", () => {
+    const { labels, errors } = parseGroundTruthCsv(
+      "Case Reference,Eye,DR Grade\nP-1,right,2\nP-1,L,Proliferative DR\nP-2,,none\nP-3,OD,grade five\n"
+    );
+    expect(labels).toEqual([
+      { session_id: "", case_reference: "P-1", laterality: "OD", grade: "Moderate" },
+      { session_id: "", case_reference: "P-1", laterality: "OS", grade: "Proliferative_DR" },
+      { session_id: "", case_reference: "P-2", laterality: null, grade: "No_DR" },
+    ]);
+    expect(errors).toEqual([{ line: 5, message: expect.stringContaining("grade five") }]);
+  });
+
+  it("requires a grade column and a key column", () => {
+    expect(() => parseGroundTruthCsv("session_id\nabc\n")).toThrow(/grade/i);
+    expect(() => parseGroundTruthCsv("grade\n1\n")).toThrow(/session_id|case_reference/);
+  });
+});
+
+describe("referencePairs", () => {
+  const labels = [
+    { session_id: "s-1", case_reference: "", laterality: null, grade: "Severe" },
+    { session_id: "", case_reference: "P-1", laterality: "OS", grade: "Mild" },
+    { session_id: "", case_reference: "P-1", laterality: null, grade: "No_DR" },
+  ];
+  const entries = [
+    { session_id: "s-1", case_reference: "P-1", laterality: "OD", class: "Moderate", confidence: 70 },
+    { session_id: "s-2", case_reference: "P-1", laterality: "OS", class: "Mild", confidence: 90 },
+    { session_id: "s-3", case_reference: "P-1", laterality: "OD", class: "Mild", confidence: 60 },
+    {
+      session_id: "s-4",
+      class: "Mild",
+      confidence: 55,
+      result: { review: { grade: "Moderate" } },
+    },
+  ];
+
+  it("matches by session, then case and eye, then case only", () => {
+    expect(findLabel(entries[0], labels).grade).toBe("Severe");
+    expect(findLabel(entries[1], labels).grade).toBe("Mild");
+    expect(findLabel(entries[2], labels).grade).toBe("No_DR");
+    expect(findLabel(entries[3], labels)).toBeNull();
+  });
+
+  it("falls back to clinician reviews unless restricted to labels", () => {
+    expect(referencePairs(entries, labels, "both").map((p) => p.truth)).toEqual([
+      "Severe",
+      "Mild",
+      "No_DR",
+      "Moderate",
+    ]);
+    expect(referencePairs(entries, labels, "labels")).toHaveLength(3);
+    expect(referencePairs(entries, labels, "reviews")).toEqual([
+      { truth: "Moderate", predicted: "Mild", confidence: 55 },
+    ]);
+  });
+});
@@ -0,0 +1,53 @@
+import { HEALTH_INTERVAL_MS, HEALTH_POLL_MS } from "./config.js";
+
+// Continuous backend health checks. The polling itself lives in
+// hooks/useHealthMonitor.js; this module holds the pure parts: what a check
+// result means, when to check next and the rolling history for the header.
+
+export const HEALTH_HISTORY_LIMIT = 40;
+export const HEALTH_MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+export const HEALTH_STATES = ["ready", "loading", "noModel", "offline"];
+
+export function healthState(health) {
+  if (!health) return "offline";
+  if (health.model_loading) return "loading";
+  return health.model_loaded ? "ready" : "noModel";
+}
+
+// Failures back off exponentially from HEALTH_POLL_MS; a loading model is
+// checked quickly so Analyze unblocks soon after it finishes.
+export function nextCheckDelay(
+  state,
+  failures = 0,
+  { poll = HEALTH_POLL_MS, interval = HEALTH_INTERVAL_MS, max = HEALTH_MAX_BACKOFF_MS } = {}
+) {
+  if (state === "offline") return Math.min(max, poll * 2 ** Math.max(0, failures - 1));
+  if (state === "loading") return poll;
+  return interval;
+}
+
+export const INITIAL_MONITOR = { history: [], state: null, previous: null, changedAt: null, failures: 0 };
+
+// `check` is `{ at, state, latency_ms, error }`; latency is null for failures.
+export function applyCheck(monitor, check, limit = HEALTH_HISTORY_LIMIT) {
+  const changed = check.state !== monitor.state;
+  return {
+    history: [...monitor.history, check].slice(-limit),
+    state: check.state,
+    previous: changed ? monitor.state : monitor.previous,
+    changedAt: changed ? check.at : monitor.changedAt,
+    failures: check.state === "offline" ? monitor.failures + 1 : 0,
+  };
+}
+
+export function summarizeHistory(history) {
+  const answered = history.filter((c) => c.state !== "offline");
+  const latencies = answered.map((c) => c.latency_ms).filter((v) => typeof v === "number");
+  return {
+    checks: history.length,
+    uptime: history.length ? answered.length / history.length : null,
+    meanLatency: latencies.length ? latencies.reduce((a, b) => a + b, 0) / latencies.length : null,
+    lastLatency: latencies.length ? latencies[latencies.length - 1] : null,
+  };
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import {
+  INITIAL_MONITOR,
+  applyCheck,
+  healthState,
+  nextCheckDelay,
+  summarizeHistory,
+} from "./healthMonitor.js";
+
+const timing = { poll: 5000, interval: 30000, max: 60000 };
+
+describe("healthState", () => {
+  it("maps health responses to monitor states", () => {
+    expect(healthState(null)).toBe("offline");
+    expect(healthState({ model_loaded: false, model_loading: true })).toBe("loading");
+    expect(healthState({ model_loaded: true, model_loading: false })).toBe("ready");
+    expect(healthState({ model_loaded: false, model_loading: false })).toBe("noModel");
+  });
+});
+
+describe("nextCheckDelay", () => {
+  it("backs off exponentially after failures up to the cap", () => {
+    expect([1, 2, 3, 4, 5].map((n) => nextCheckDelay("offline", n, timing))).toEqual([
+      5000, 10000, 20000, 40000, 60000,
+    ]);
+    expect(nextCheckDelay("loading", 0, timing)).toBe(5000);
+    expect(nextCheckDelay("ready", 0, timing)).toBe(30000);
+  });
+});
+
+describe("applyCheck", () => {
+  it("keeps a bounded history and the time of the last state change", () => {
+    const checks = [
+      { at: 1, state: "ready", latency_ms: 40 },
+      { at: 2, state: "ready", latency_ms: 60 },
+      { at: 3, state: "offline", latency_ms: null },
+      { at: 4, state: "offline", latency_ms: null },
+      { at: 5, state: "ready", latency_ms: 80 },
+    ];
+    const monitor = checks.reduce((m, c) => applyCheck(m, c, 4), INITIAL_MONITOR);
+
+    expect(monitor.history.map((c) => c.at)).toEqual([2, 3, 4, 5]);
+    expect(monitor).toMatchObject({ state: "ready", previous: "offline", changedAt: 5, failures: 0 });
+    expect(checks.slice(0, 4).reduce((m, c) => applyCheck(m, c), INITIAL_MONITOR)).toMatchObject({
+      changedAt: 3,
+      failures: 2,
+    });
+
+    expect(summarizeHistory(monitor.history)).toEqual({
+      checks: 4,
+      uptime: 0.5,
+      meanLatency: 70,
+      lastLatency: 80,
+    });
+  });
+});
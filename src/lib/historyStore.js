@@ -0,0 +1,72 @@
+import { t } from "../i18n/index.js";
+import { STORES, requestToPromise, withStore as withDbStore } from "./db.js";
+
+const withStore = (mode, fn) => withDbStore(STORES.results, mode, fn);
+
+// Builds a history record from a normalized /api/predict result. The full
+// result is kept so the entry can be reopened in the results card later.
+export function makeHistoryEntry(
+  result,
+  { caseReference = "", thumbnail = null, laterality = null, modelName = null } = {}
+) {
+  return {
+    session_id: result.session_id || null,
+    timestamp: new Date().toISOString(),
+    class: result.prediction?.class || "",
+    confidence: result.prediction?.confidence ?? 0,
+    probabilities: result.all_probabilities || {},
+    thumbnail,
+    case_reference: String(caseReference || "").trim(),
+    laterality: laterality || result.laterality || null,
+    model_name: modelName || null,
+    result,
+  };
+}
+
+export async function saveHistoryEntry(entry) {
+  const id = await withStore("readwrite", (store) => requestToPromise(store.add(entry)));
+  return { ...entry, id };
+}
+
+export async function updateHistoryEntry(entry) {
+  await withStore("readwrite", (store) => requestToPromise(store.put(entry)));
+  return entry;
+}
+
+export async function getHistoryEntry(id) {
+  const entry = await withStore("readonly", (store) => requestToPromise(store.get(id)));
+  return entry || null;
+}
+
+// Stores a clinician review inside the entry's result, next to the model output.
+export async function saveHistoryReview(id, review) {
+  return withStore("readwrite", async (store) => {
+    const entry = await requestToPromise(store.get(id));
+    if (!entry) throw new Error(t("errors.historyEntryMissing", { id }));
+    const updated = { ...entry, result: { ...entry.result, review } };
+    await requestToPromise(store.put(updated));
+    return updated;
+  });
+}
+
+export async function listHistoryEntries() {
+  const entries = await withStore("readonly", (store) => requestToPromise(store.getAll()));
+  return entries.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+}
+
+export async function deleteHistoryEntry(id) {
+  await withStore("readwrite", (store) => requestToPromise(store.delete(id)));
+}
+
+export async function purgeHistory() {
+  await withStore("readwrite", (store) => requestToPromise(store.clear()));
+}
+
+export async function listHistoryByCase(caseReference) {
+  const ref = String(caseReference || "").trim();
+  if (!ref) return [];
+  const entries = await withStore("readonly", (store) =>
+    requestToPromise(store.index("case_reference").getAll(ref))
+  );
+  return entries.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
@@ -0,0 +1,190 @@
+import { t } from "../i18n/index.js";
+import {
+  MAX_FILE_BYTES,
+  MAX_FILE_MB,
+  UPLOAD_JPEG_QUALITY,
+  UPLOAD_MAX_DIMENSION,
+} from "./config.js";
+import { randomUploadName } from "./deidentify.js";
+
+const TIFF_RE = /\.tiff?$/i;
+const PNG_RE = /\.png$/i;
+
+// Quality steps tried at each size before shrinking further.
+const JPEG_QUALITIES = [UPLOAD_JPEG_QUALITY, 0.85, 0.75, 0.65];
+const SHRINK_STEP = 0.8;
+// Below this the retina is too small to grade, so we give up instead.
+const MIN_DIMENSION = 512;
+
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatLabel(file) {
+  const ext = /\.([a-z0-9]+)$/i.exec(file.name || "")?.[1] || "";
+  const label = ext.toUpperCase();
+  return label === "JPG" ? "JPEG" : label === "TIF" ? "TIFF" : label || file.type || "image";
+}
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(t("errors.decodeImage")));
+    };
+    img.src = url;
+  });
+}
+
+// Browsers cannot display TIFF, so it is decoded in JS (first page only).
+async function decodeTiff(file) {
+  const { default: UTIF } = await import("utif");
+  const buffer = await file.arrayBuffer();
+  const [page] = UTIF.decode(buffer);
+  if (!page) throw new Error(t("errors.decodeTiff"));
+  UTIF.decodeImage(buffer, page);
+  const rgba = UTIF.toRGBA8(page);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = page.width;
+  canvas.height = page.height;
+  canvas
+    .getContext("2d")
+    .putImageData(new ImageData(new Uint8ClampedArray(rgba.buffer), page.width, page.height), 0, 0);
+  return { source: canvas, width: page.width, height: page.height };
+}
+
+async function decode(file) {
+  if (TIFF_RE.test(file.name || "") || file.type === "image/tiff") return decodeTiff(file);
+
+  // createImageBitmap applies EXIF orientation, so stripping EXIF afterwards
+  // does not leave the image rotated.
+  if (typeof createImageBitmap === "function") {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+      return { source: bitmap, width: bitmap.width, height: bitmap.height, close: () => bitmap.close() };
+    } catch {
+      // Fall back to <img>, which some browsers decode more formats with.
+    }
+  }
+  const img = await loadImage(file);
+  return { source: img, width: img.naturalWidth, height: img.naturalHeight };
+}
+
+function toBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error(t("errors.encodeImage")))),
+      type,
+      quality
+    );
+  });
+}
+
+// Decodes PNG/JPEG/TIFF/BMP/WebP, downsizes to `maxDimension` and re-encodes
+// until the file fits under `maxBytes`. Drawing through a canvas drops EXIF
+// and any other embedded metadata, and the output gets a random name. PNG
+// stays lossless when it fits; everything else becomes JPEG. Resolves with
+// the upload-ready file and a size report.
+export async function prepareImage(
+  file,
+  { maxDimension = UPLOAD_MAX_DIMENSION, maxBytes = MAX_FILE_BYTES } = {}
+) {
+  const decoded = await decode(file);
+  const { width, height } = decoded;
+
+  try {
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext("2d");
+    let scale = Math.min(1, maxDimension / Math.max(width, height));
+    let tryPng = PNG_RE.test(file.name || "") || file.type === "image/png";
+
+    for (;;) {
+      canvas.width = Math.max(1, Math.round(width * scale));
+      canvas.height = Math.max(1, Math.round(height * scale));
+      ctx.imageSmoothingQuality = "high";
+      ctx.drawImage(decoded.source, 0, 0, canvas.width, canvas.height);
+
+      const candidates = [
+        ...(tryPng ? [["image/png", undefined]] : []),
+        ...JPEG_QUALITIES.map((q) => ["image/jpeg", q]),
+      ];
+      for (const [type, quality] of candidates) {
+        const blob = await toBlob(canvas, type, quality);
+        if (blob.size > maxBytes) continue;
+
+        const isPng = type === "image/png";
+        const out = new File([blob], randomUploadName(isPng ? "png" : "jpg"), {
+          type,
+          lastModified: file.lastModified,
+        });
+        return {
+          file: out,
+          report: {
+            originalName: file.name,
+            originalFormat: formatLabel(file),
+            originalBytes: file.size,
+            originalWidth: width,
+            originalHeight: height,
+            format: isPng ? "PNG" : "JPEG",
+            bytes: out.size,
+            width: canvas.width,
+            height: canvas.height,
+            quality: quality ?? null,
+            resized: canvas.width !== width || canvas.height !== height,
+          },
+        };
+      }
+
+      // A lossless PNG only makes sense at the requested size.
+      tryPng = false;
+      if (Math.max(canvas.width, canvas.height) * SHRINK_STEP < MIN_DIMENSION) {
+        throw new Error(t("errors.cannotReduce", { mb: MAX_FILE_MB }));
+      }
+      scale *= SHRINK_STEP;
+    }
+  } finally {
+    decoded.close?.();
+  }
+}
+
+export function describePrepReport(report) {
+  if (!report) return "";
+  const before = `${report.originalFormat} ${report.originalWidth}×${report.originalHeight}, ${formatBytes(
+    report.originalBytes
+  )}`;
+  const after = `${report.format} ${report.width}×${report.height}, ${formatBytes(report.bytes)}`;
+  return t("prep.summary", { before, after });
+}
+
+// Entry point for every upload path: DICOM files are unwrapped to their first
+// frame first, then everything goes through prepareImage(). `dicom` carries
+// the header fields for local display (see lib/dicom.js) or is null.
+export async function prepareUpload(file, options) {
+  const { isDicomFile, readDicom } = await import("./dicom.js");
+  if (!isDicomFile(file)) {
+    return { ...(await prepareImage(file, options)), dicom: null };
+  }
+
+  const { image, meta } = await readDicom(file);
+  const prepared = await prepareImage(image, options);
+  return {
+    ...prepared,
+    report: {
+      ...prepared.report,
+      originalName: file.name,
+      originalFormat: "DICOM",
+      originalBytes: file.size,
+    },
+    dicom: meta,
+  };
+}
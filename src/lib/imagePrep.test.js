@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { describePrepReport, formatBytes } from "./imagePrep.js";
+
+describe("formatBytes", () => {
+  it("picks a readable unit", () => {
+    expect(formatBytes(512)).toBe("512 B");
+    expect(formatBytes(2048)).toBe("2 KB");
+    expect(formatBytes(24.3 * 1024 * 1024)).toBe("24.3 MB");
+  });
+});
+
+describe("describePrepReport", () => {
+  it("summarizes the before/after sizes", () => {
+    expect(
+      describePrepReport({
+        originalFormat: "TIFF",
+        originalWidth: 4000,
+        originalHeight: 3000,
+        originalBytes: 36 * 1024 * 1024,
+        format: "JPEG",
+        width: 2048,
+        height: 1536,
+        bytes: 1.5 * 1024 * 1024,
+      })
+    ).toBe("TIFF 4000×3000, 36.0 MB → JPEG 2048×1536, 1.5 MB (metadata removed)");
+  });
+
+  it("is empty without a report", () => {
+    expect(describePrepReport(null)).toBe("");
+  });
+});
@@ -0,0 +1,230 @@
+import { t as translate } from "../i18n/index.js";
+
+// In-browser fundus image quality checks, run before an image is uploaded.
+// All measurements are taken on a downscaled grayscale copy so results are
+// comparable across camera resolutions.
+
+const ANALYSIS_SIZE = 512;
+
+export const QUALITY_THRESHOLDS = {
+  minResolution: 512, // shorter side, original pixels
+  minSharpness: 25, // Laplacian variance inside the field of view
+  minBrightness: 40, // mean luminance (0-255) inside the field of view
+  maxBrightness: 210,
+  minContrast: 18, // luminance standard deviation inside the field of view
+  backgroundLevel: 25, // luminance below which a pixel counts as camera mask
+  minFovFill: 0.75, // field-of-view area vs. ellipse inscribed in its bounding box
+  maxFovFill: 1.2,
+  passScore: 70,
+};
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(translate("errors.decodeImage")));
+    };
+    img.src = url;
+  });
+}
+
+// `source` is anything drawImage accepts (an image, a video, a canvas).
+export function toGrayscale(source, srcWidth = source.naturalWidth, srcHeight = source.naturalHeight) {
+  const scale = Math.min(1, ANALYSIS_SIZE / Math.max(srcWidth, srcHeight));
+  const width = Math.max(1, Math.round(srcWidth * scale));
+  const height = Math.max(1, Math.round(srcHeight * scale));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const gray = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i += 1, p += 4) {
+    gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  return { gray, width, height };
+}
+
+// Ramps from 0 at `bad` to 1 at `good`, so a near miss still earns partial credit.
+function ramp(value, bad, good) {
+  if (good === bad) return value >= good ? 1 : 0;
+  return Math.max(0, Math.min(1, (value - bad) / (good - bad)));
+}
+
+export function measureQuality({ gray, width, height }, t = QUALITY_THRESHOLDS) {
+  const mask = new Uint8Array(gray.length);
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+  let fovCount = 0;
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const i = y * width + x;
+      if (gray[i] > t.backgroundLevel) {
+        mask[i] = 1;
+        fovCount += 1;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  // Field of view: fundus photos are a bright disc on a dark camera mask,
+  // so the corners must be dark and the lit area should fill an ellipse.
+  const corner = Math.max(2, Math.round(Math.min(width, height) * 0.05));
+  let cornerLit = 0;
+  let cornerTotal = 0;
+  for (const [cx, cy] of [
+    [0, 0],
+    [width - corner, 0],
+    [0, height - corner],
+    [width - corner, height - corner],
+  ]) {
+    for (let y = cy; y < cy + corner; y += 1) {
+      for (let x = cx; x < cx + corner; x += 1) {
+        cornerLit += mask[y * width + x];
+        cornerTotal += 1;
+      }
+    }
+  }
+  const cornersDark = cornerTotal > 0 && cornerLit / cornerTotal < 0.2;
+
+  const boxW = maxX - minX + 1;
+  const boxH = maxY - minY + 1;
+  const fovFill = fovCount && boxW > 0 && boxH > 0 ? fovCount / ((Math.PI * boxW * boxH) / 4) : 0;
+  const fovDetected = cornersDark && fovFill >= t.minFovFill && fovFill <= t.maxFovFill;
+
+  // Only measure well inside the field of view so the disc edge itself
+  // does not read as sharp detail.
+  const inset = 3;
+  const inside = (x, y) =>
+    mask[y * width + x] &&
+    mask[y * width + x - inset] &&
+    mask[y * width + x + inset] &&
+    mask[(y - inset) * width + x] &&
+    mask[(y + inset) * width + x];
+
+  let n = 0;
+  let sum = 0;
+  let sumSq = 0;
+  let lapSum = 0;
+  let lapSumSq = 0;
+
+  for (let y = inset + 1; y < height - inset - 1; y += 1) {
+    for (let x = inset + 1; x < width - inset - 1; x += 1) {
+      if (!inside(x, y)) continue;
+      const i = y * width + x;
+      const v = gray[i];
+      const lap = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * v;
+      n += 1;
+      sum += v;
+      sumSq += v * v;
+      lapSum += lap;
+      lapSumSq += lap * lap;
+    }
+  }
+
+  const brightness = n ? sum / n : 0;
+  const contrast = n ? Math.sqrt(Math.max(0, sumSq / n - brightness * brightness)) : 0;
+  const lapMean = n ? lapSum / n : 0;
+  const sharpness = n ? Math.max(0, lapSumSq / n - lapMean * lapMean) : 0;
+
+  return { brightness, contrast, sharpness, fovFill, cornersDark, fovDetected };
+}
+
+export function scoreQuality(metrics, t = QUALITY_THRESHOLDS) {
+  const { width, height, brightness, contrast, sharpness, fovDetected, fovFill } = metrics;
+  const shortSide = Math.min(width, height);
+
+  // A failed check is described by `issue` (plus `params`), a key under
+  // `quality.issues` in the message catalogs.
+  const checks = [
+    {
+      id: "resolution",
+      value: `${width}×${height}`,
+      passed: shortSide >= t.minResolution,
+      score: ramp(shortSide, t.minResolution / 2, t.minResolution),
+      issue: "lowResolution",
+      params: { width, height, minResolution: t.minResolution },
+    },
+    {
+      id: "sharpness",
+      value: sharpness.toFixed(1),
+      passed: sharpness >= t.minSharpness,
+      score: ramp(sharpness, t.minSharpness / 3, t.minSharpness),
+      issue: "blurred",
+    },
+    {
+      id: "brightness",
+      value: brightness.toFixed(0),
+      passed: brightness >= t.minBrightness && brightness <= t.maxBrightness,
+      score: Math.min(
+        ramp(brightness, t.minBrightness / 2, t.minBrightness),
+        ramp(-brightness, -255, -t.maxBrightness)
+      ),
+      issue: brightness < t.minBrightness ? "underExposed" : "overExposed",
+    },
+    {
+      id: "contrast",
+      value: contrast.toFixed(1),
+      passed: contrast >= t.minContrast,
+      score: ramp(contrast, t.minContrast / 2, t.minContrast),
+      issue: "lowContrast",
+    },
+    {
+      id: "fov",
+      passed: fovDetected,
+      score: fovDetected ? 1 : fovFill > 0 ? 0.25 : 0,
+      issue: "noFov",
+    },
+  ];
+
+  const score = Math.round(
+    (checks.reduce((acc, c) => acc + c.score, 0) / checks.length) * 100
+  );
+
+  return {
+    score,
+    passed: score >= t.passScore && checks.every((c) => c.passed),
+    checks: checks.map(({ score: _s, ...c }) => c),
+  };
+}
+
+// What is stored with a result: the score, the failed checks as message keys
+// and whether the operator analyzed the image anyway.
+export function makeQualityRecord(quality, override = false) {
+  if (!quality) return null;
+  return {
+    score: quality.score,
+    passed: quality.passed,
+    issues: quality.checks
+      .filter((c) => !c.passed)
+      .map(({ issue, params }) => (params ? { key: issue, params } : { key: issue })),
+    overridden: !quality.passed && override,
+  };
+}
+
+// `tr` is the translator: t() on screen, English in the PDF.
+export function describeQualityIssues(record, tr) {
+  if (!record) return [];
+  return record.issues.map(({ key, params }) => tr(`quality.issues.${key}`, params));
+}
+
+export async function assessImageQuality(file) {
+  const img = await loadImage(file);
+  const metrics = measureQuality(toGrayscale(img));
+  return scoreQuality({ ...metrics, width: img.naturalWidth, height: img.naturalHeight });
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { translate } from "../i18n/index.js";
+import { describeQualityIssues, makeQualityRecord, scoreQuality } from "./imageQuality.js";
+
+const metrics = {
+  width: 400,
+  height: 300,
+  brightness: 120,
+  contrast: 40,
+  sharpness: 5,
+  fovDetected: true,
+  fovFill: 1,
+};
+
+describe("makeQualityRecord", () => {
+  it("stores failed checks as message keys", () => {
+    const record = makeQualityRecord(scoreQuality(metrics), true);
+
+    expect(record).toMatchObject({ passed: false, overridden: true });
+    expect(record.issues).toEqual([
+      { key: "lowResolution", params: { width: 400, height: 300, minResolution: 512 } },
+      { key: "blurred" },
+    ]);
+    expect(describeQualityIssues(record, (key, params) => translate("ms", key, params))).toEqual([
+      translate("ms", "quality.issues.lowResolution", { width: 400, height: 300, minResolution: 512 }),
+      translate("ms", "quality.issues.blurred"),
+    ]);
+    expect(describeQualityIssues(record, (key, params) => translate("en", key, params))[1]).toBe(
+      "Image appears blurred or out of focus."
+    );
+  });
+});
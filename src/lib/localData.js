@@ -0,0 +1,11 @@
+import { clearGroundTruth } from "./groundTruth.js";
+import { purgeHistory } from "./historyStore.js";
+import { clearOutbox } from "./outbox.js";
+
+// "Purge All" in History removes every browser store that holds patient
+// data: stored results, queued uploads and imported ground-truth labels.
+// Settings (language, backends, reviewer name) are kept.
+export async function purgeLocalData() {
+  await Promise.all([purgeHistory(), clearOutbox()]);
+  clearGroundTruth();
+}
@@ -0,0 +1,116 @@
+import { t } from "../i18n/index.js";
+
+export function normalizePercent(x) {
+  if (typeof x !== "number" || Number.isNaN(x)) return null;
+  if (x >= 0 && x <= 1) return x * 100;
+  return x;
+}
+
+export function toSafeClassLabel(label) {
+  if (!label) return "";
+  return String(label).replace(/_/g, " ");
+}
+
+export function extractServerError(err) {
+  const status = err?.response?.status;
+  const data = err?.response?.data;
+
+  const serverMsg = data?.error || data?.message;
+  if (serverMsg) return { status, message: serverMsg };
+
+  if (status) return { status, message: t("errors.requestFailed", { status }) };
+
+  const msg = err?.message || t("errors.connectionFailed");
+  return { status: null, message: msg };
+}
+
+export function normalizeApiResponse(data) {
+  if (!data || typeof data !== "object") {
+    return { success: false, error: t("errors.invalidResponse") };
+  }
+
+  if (data.success === false) {
+    return {
+      success: false,
+      error: data.error || data.message || t("errors.predictionFailed"),
+      dev_mode: Boolean(data.dev_mode),
+      model_load_error: data.model_load_error || null,
+    };
+  }
+
+  let className = "";
+  let confidence = 0;
+  let description = "";
+
+  if (data.prediction && typeof data.prediction === "object") {
+    className = data.prediction.class || data.prediction.label || "";
+    confidence =
+      normalizePercent(
+        data.prediction.confidence ?? data.confidence ?? data.prediction.score ?? 0
+      ) ?? 0;
+    description = data.prediction.description || data.description || "";
+  } else {
+    className =
+      (typeof data.prediction === "string" && data.prediction) ||
+      data.prediction_label ||
+      data.class ||
+      "";
+    confidence = normalizePercent(data.confidence ?? 0) ?? 0;
+    description = data.description || "";
+  }
+
+  const probsRaw =
+    data.all_probabilities ||
+    data.probabilities ||
+    data.compat?.probabilities ||
+    {};
+
+  const all_probabilities = Object.fromEntries(
+    Object.entries(probsRaw).map(([k, v]) => [k, normalizePercent(v) ?? 0])
+  );
+
+  return {
+    success: true,
+    session_id: data.session_id || null,
+    prediction: { class: className, confidence, description },
+    all_probabilities,
+    gradcam_image: data.gradcam_image || null,
+    preprocess_debug: data.preprocess_debug || null,
+    security: data.security || null,
+    storage: data.storage || null,
+    elapsed_ms: typeof data.elapsed_ms === "number" ? data.elapsed_ms : null,
+  };
+}
+
+export const SEVERITY_CLASSES = ["No_DR", "Mild", "Moderate", "Severe", "Proliferative_DR"];
+
+// Moderate NPDR or worse warrants referral under the ICDR scale.
+export const REFERABLE_CLASSES = ["Moderate", "Severe", "Proliferative_DR"];
+
+export function getSeverityGradient(className) {
+  const gradients = {
+    No_DR: "linear-gradient(135deg, #28a745 0%, #20c997 100%)",
+    Mild: "linear-gradient(135deg, #ffc107 0%, #ffca2c 100%)",
+    Moderate: "linear-gradient(135deg, #fd7e14 0%, #ff8c42 100%)",
+    Severe: "linear-gradient(135deg, #dc3545 0%, #e4606d 100%)",
+    Proliferative_DR: "linear-gradient(135deg, #6f42c1 0%, #8c68cd 100%)",
+  };
+  return (
+    gradients[className] ||
+    "linear-gradient(135deg, #6c757d 0%, #868e96 100%)"
+  );
+}
+
+// Solid colour for contexts that cannot use a CSS gradient (charts, PDF):
+// the first stop of the class's gradient.
+export function getSeverityColor(className) {
+  const match = getSeverityGradient(className).match(/#[0-9a-f]{6}/i);
+  return match ? match[0] : "#6c757d";
+}
+
+export function joinUrl(base, path) {
+  if (!base) return path;
+  if (!path) return base;
+  if (path.startsWith("http://") || path.startsWith("https://")) return path;
+  return `${base}${path.startsWith("/") ? "" : "/"}${path}`;
+}
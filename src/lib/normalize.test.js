@@ -0,0 +1,133 @@
+import { describe, expect, it } from "vitest";
+import {
+  extractServerError,
+  joinUrl,
+  normalizeApiResponse,
+  normalizePercent,
+  toSafeClassLabel,
+} from "./normalize.js";
+
+describe("normalizePercent", () => {
+  it("scales 0–1 fractions to percentages", () => {
+    expect(normalizePercent(0.5)).toBe(50);
+    expect(normalizePercent(1)).toBe(100);
+    expect(normalizePercent(0)).toBe(0);
+  });
+
+  it("leaves values already in 0–100 untouched", () => {
+    expect(normalizePercent(82.5)).toBe(82.5);
+  });
+
+  it("rejects non-numbers", () => {
+    expect(normalizePercent("0.5")).toBeNull();
+    expect(normalizePercent(NaN)).toBeNull();
+    expect(normalizePercent(undefined)).toBeNull();
+  });
+});
+
+describe("normalizeApiResponse", () => {
+  it("reads the nested prediction shape", () => {
+    const r = normalizeApiResponse({
+      success: true,
+      session_id: "abc",
+      prediction: { class: "Severe", confidence: 0.9, description: "desc" },
+      all_probabilities: { Severe: 0.9, Moderate: 0.1 },
+      elapsed_ms: 42,
+    });
+
+    expect(r.success).toBe(true);
+    expect(r.session_id).toBe("abc");
+    expect(r.prediction).toEqual({ class: "Severe", confidence: 90, description: "desc" });
+    expect(r.all_probabilities).toEqual({ Severe: 90, Moderate: 10 });
+    expect(r.elapsed_ms).toBe(42);
+  });
+
+  it("reads the flat legacy shape", () => {
+    const r = normalizeApiResponse({
+      prediction: "Mild",
+      confidence: 77,
+      description: "flat",
+      probabilities: { Mild: 77, No_DR: 23 },
+    });
+
+    expect(r.prediction).toEqual({ class: "Mild", confidence: 77, description: "flat" });
+    expect(r.all_probabilities).toEqual({ Mild: 77, No_DR: 23 });
+  });
+
+  it("falls back to prediction_label, class and top-level confidence", () => {
+    expect(normalizeApiResponse({ prediction_label: "No_DR", confidence: 0.6 }).prediction)
+      .toEqual({ class: "No_DR", confidence: 60, description: "" });
+    expect(normalizeApiResponse({ class: "Moderate" }).prediction.class).toBe("Moderate");
+    expect(
+      normalizeApiResponse({ prediction: { label: "Mild" }, confidence: 0.3 }).prediction
+    ).toEqual({ class: "Mild", confidence: 30, description: "" });
+  });
+
+  it("uses compat.probabilities when nothing else is present", () => {
+    const r = normalizeApiResponse({
+      prediction: { class: "Mild", confidence: 0.5 },
+      compat: { probabilities: { Mild: 0.5, No_DR: 0.5 } },
+    });
+    expect(r.all_probabilities).toEqual({ Mild: 50, No_DR: 50 });
+  });
+
+  it("prefers all_probabilities over the fallbacks", () => {
+    const r = normalizeApiResponse({
+      prediction: { class: "Mild", confidence: 0.5 },
+      all_probabilities: { Mild: 0.5 },
+      probabilities: { Mild: 0.1 },
+    });
+    expect(r.all_probabilities).toEqual({ Mild: 50 });
+  });
+
+  it("zeroes non-numeric probabilities", () => {
+    const r = normalizeApiResponse({ prediction: "Mild", probabilities: { Mild: "high" } });
+    expect(r.all_probabilities).toEqual({ Mild: 0 });
+  });
+
+  it("passes server failures through", () => {
+    expect(
+      normalizeApiResponse({ success: false, message: "no model", dev_mode: 1, model_load_error: "x" })
+    ).toEqual({ success: false, error: "no model", dev_mode: true, model_load_error: "x" });
+    expect(normalizeApiResponse({ success: false }).error).toBe("Prediction failed.");
+  });
+
+  it("rejects non-object bodies", () => {
+    expect(normalizeApiResponse(null)).toEqual({ success: false, error: "Invalid server response." });
+    expect(normalizeApiResponse("<html>").success).toBe(false);
+  });
+});
+
+describe("extractServerError", () => {
+  it("prefers the server's error or message", () => {
+    expect(extractServerError({ response: { status: 400, data: { error: "Bad image" } } }))
+      .toEqual({ status: 400, message: "Bad image" });
+    expect(extractServerError({ response: { status: 500, data: { message: "Oops" } } }))
+      .toEqual({ status: 500, message: "Oops" });
+  });
+
+  it("falls back to the status, then the transport message", () => {
+    expect(extractServerError({ response: { status: 502 } }).message).toBe(
+      "Request failed with status 502."
+    );
+    expect(extractServerError(new Error("Network Error"))).toEqual({
+      status: null,
+      message: "Network Error",
+    });
+    expect(extractServerError(undefined).message).toMatch(/Failed to connect/);
+  });
+});
+
+describe("helpers", () => {
+  it("toSafeClassLabel replaces underscores", () => {
+    expect(toSafeClassLabel("Proliferative_DR")).toBe("Proliferative DR");
+    expect(toSafeClassLabel(null)).toBe("");
+  });
+
+  it("joinUrl joins base and path", () => {
+    expect(joinUrl("http://h", "/api")).toBe("http://h/api");
+    expect(joinUrl("http://h", "api")).toBe("http://h/api");
+    expect(joinUrl("", "/api")).toBe("/api");
+    expect(joinUrl("http://h", "https://other/x")).toBe("https://other/x");
+  });
+});
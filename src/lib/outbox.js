@@ -0,0 +1,99 @@
+import { isCancelledError } from "./abort.js";
+import { STORES, requestToPromise, withStore as withDbStore } from "./db.js";
+import { describePredictError } from "./predict.js";
+
+// Uploads captured while the backend is unreachable. Items keep the already
+// de-identified image plus everything the result needs once it comes back,
+// and stay in IndexedDB until the backend accepts them.
+
+const withStore = (mode, fn) => withDbStore(STORES.outbox, mode, fn);
+
+const NETWORK_CODES = ["ERR_NETWORK", "ECONNABORTED", "ETIMEDOUT", "ECONNRESET"];
+
+// No HTTP response at all: the network or the backend is down, so the upload
+// can simply be tried again later.
+export function isNetworkError(e) {
+  if (isCancelledError(e) || e?.response) return false;
+  return NETWORK_CODES.includes(e?.code);
+}
+
+export function makeOutboxItem(file, { options = {}, meta = {} } = {}) {
+  return {
+    file,
+    name: file?.name || "",
+    options: { gradcam: !!options.gradcam, preprocessed: !!options.preprocessed },
+    meta,
+    created_at: new Date().toISOString(),
+    status: "pending",
+    attempts: 0,
+    last_error: "",
+  };
+}
+
+export async function addToOutbox(item) {
+  const id = await withStore("readwrite", (store) => requestToPromise(store.add(item)));
+  return { ...item, id };
+}
+
+export async function updateOutboxItem(item) {
+  await withStore("readwrite", (store) => requestToPromise(store.put(item)));
+  return item;
+}
+
+export async function removeFromOutbox(id) {
+  await withStore("readwrite", (store) => requestToPromise(store.delete(id)));
+}
+
+export async function clearOutbox() {
+  await withStore("readwrite", (store) => requestToPromise(store.clear()));
+}
+
+export async function listOutbox() {
+  const items = await withStore("readonly", (store) => requestToPromise(store.getAll()));
+  return items.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+const OUTBOX_STORE = { list: listOutbox, update: updateOutboxItem, remove: removeFromOutbox };
+
+// Submits pending items oldest first. Items the backend rejects are marked
+// failed and skipped from then on; a network error or a rate limit stops the
+// run and leaves the rest pending for the next one. An accepted item is
+// marked submitted before it is removed, so if the removal fails it is only
+// cleaned up by a later run and never sent twice.
+export async function syncOutbox(submit, { store = OUTBOX_STORE, onItem } = {}) {
+  const summary = { submitted: 0, failed: 0, stopped: null };
+  const items = await store.list();
+  for (const item of items.filter((i) => i.status === "submitted")) await store.remove(item.id);
+  const pending = items.filter((item) => item.status === "pending");
+
+  for (const item of pending) {
+    try {
+      await submit(item);
+    } catch (e) {
+      const { message, cooldownMs } = describePredictError(e);
+      const retry = isNetworkError(e) || cooldownMs > 0;
+      const updated = {
+        ...item,
+        status: retry ? "pending" : "failed",
+        attempts: item.attempts + 1,
+        last_error: message,
+      };
+      await store.update(updated);
+      onItem?.(updated, e);
+      if (retry) {
+        summary.stopped = { error: e, message, cooldownMs };
+        break;
+      }
+      summary.failed += 1;
+      continue;
+    }
+
+    const submitted = { ...item, status: "submitted", attempts: item.attempts + 1, last_error: "" };
+    await store.update(submitted);
+    summary.submitted += 1;
+    await store.remove(item.id);
+    onItem?.(submitted, null);
+  }
+
+  return summary;
+}
@@ -0,0 +1,103 @@
+import { describe, expect, it } from "vitest";
+import { isNetworkError, makeOutboxItem, syncOutbox } from "./outbox.js";
+
+const networkError = () => Object.assign(new Error("Network Error"), { code: "ERR_NETWORK" });
+const httpError = (status, data = {}, headers = {}) => ({ response: { status, data, headers } });
+
+function memoryStore(items) {
+  const rows = new Map(items.map((item) => [item.id, item]));
+  return {
+    rows,
+    list: async () => [...rows.values()],
+    update: async (item) => rows.set(item.id, item),
+    remove: async (id) => rows.delete(id),
+  };
+}
+
+const item = (id, extra = {}) => ({
+  ...makeOutboxItem(new Blob(["x"]), { meta: { case_reference: `case-${id}` } }),
+  id,
+  ...extra,
+});
+
+describe("isNetworkError", () => {
+  it("only treats missing responses as retryable", () => {
+    expect(isNetworkError(networkError())).toBe(true);
+    expect(isNetworkError({ code: "ECONNABORTED" })).toBe(true);
+    expect(isNetworkError(httpError(500))).toBe(false);
+    expect(isNetworkError({ code: "ERR_CANCELED" })).toBe(false);
+    expect(isNetworkError(new Error("Prediction failed"))).toBe(false);
+  });
+});
+
+describe("syncOutbox", () => {
+  it("submits pending items and removes them", async () => {
+    const store = memoryStore([item(1), item(2)]);
+    const sent = [];
+    const summary = await syncOutbox(async (i) => sent.push(i.id), { store });
+
+    expect(sent).toEqual([1, 2]);
+    expect(summary).toEqual({ submitted: 2, failed: 0, stopped: null });
+    expect(store.rows.size).toBe(0);
+  });
+
+  it("stops on a network error and keeps the rest pending", async () => {
+    const store = memoryStore([item(1), item(2)]);
+    const summary = await syncOutbox(
+      async () => {
+        throw networkError();
+      },
+      { store }
+    );
+
+    expect(summary.submitted).toBe(0);
+    expect(summary.stopped.message).toBe("Network Error");
+    expect(store.rows.get(1)).toMatchObject({ status: "pending", attempts: 1, last_error: "Network Error" });
+    expect(store.rows.get(2).attempts).toBe(0);
+  });
+
+  it("stops on a rate limit with its cooldown", async () => {
+    const store = memoryStore([item(1)]);
+    const summary = await syncOutbox(
+      async () => {
+        throw httpError(429, {}, { "retry-after": "30" });
+      },
+      { store }
+    );
+
+    expect(summary.stopped.cooldownMs).toBe(30000);
+    expect(store.rows.get(1).status).toBe("pending");
+  });
+
+  it("marks rejected items failed, moves on and skips them next time", async () => {
+    const store = memoryStore([item(1), item(2)]);
+    const submit = async (i) => {
+      if (i.id === 1) throw httpError(400, { error: "Not a fundus image." });
+    };
+
+    expect(await syncOutbox(submit, { store })).toEqual({ submitted: 1, failed: 1, stopped: null });
+    expect(store.rows.get(1)).toMatchObject({ status: "failed", last_error: "Not a fundus image." });
+
+    const again = await syncOutbox(submit, { store });
+    expect(again.failed).toBe(0);
+    expect(store.rows.has(1)).toBe(true);
+  });
+
+  it("never resends an item whose removal failed", async () => {
+    const store = memoryStore([item(1)]);
+    const remove = store.remove;
+    store.remove = async () => {
+      throw new Error("QuotaExceededError");
+    };
+    const sent = [];
+    const submit = async (i) => sent.push(i.id);
+
+    await expect(syncOutbox(submit, { store })).rejects.toThrow("QuotaExceededError");
+    expect(store.rows.get(1).status).toBe("submitted");
+
+    store.remove = remove;
+    expect(await syncOutbox(submit, { store })).toEqual({ submitted: 0, failed: 0, stopped: null });
+    expect(sent).toEqual([1]);
+    expect(store.rows.size).toBe(0);
+  });
+});
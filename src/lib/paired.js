@@ -0,0 +1,42 @@
+import { SEVERITY_CLASSES } from "./normalize.js";
+import { finalGrade } from "./review.js";
+
+export const EYES = ["OD", "OS"];
+
+export const LATERALITY_LABELS = {
+  OD: "Right eye (OD)",
+  OS: "Left eye (OS)",
+};
+
+export function severityRank(className) {
+  return SEVERITY_CLASSES.indexOf(className);
+}
+
+// Patient-level grade for a bilateral exam is the grade of the worse eye,
+// using the clinician's grade for reviewed eyes. Eyes without a result are
+// ignored, and `complete` reports whether both eyes contributed.
+export function summarizePairedExam(results) {
+  const graded = EYES.filter((eye) => results?.[eye]?.prediction).map((eye) => ({
+    eye,
+    className: finalGrade(results[eye]),
+    confidence: results[eye].prediction.confidence,
+    reviewed: Boolean(results[eye].review),
+  }));
+
+  if (!graded.length) return null;
+
+  const worse = graded.reduce((a, b) => {
+    const ra = severityRank(a.className);
+    const rb = severityRank(b.className);
+    if (rb !== ra) return rb > ra ? b : a;
+    return b.confidence > a.confidence ? b : a;
+  });
+
+  return {
+    className: worse.className,
+    confidence: worse.confidence,
+    worseEye: worse.eye,
+    reviewed: worse.reviewed,
+    complete: graded.length === EYES.length,
+  };
+}
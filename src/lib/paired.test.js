@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { summarizePairedExam } from "./paired.js";
+
+const eye = (className, confidence, review) => ({
+  prediction: { class: className, confidence },
+  ...(review ? { review } : {}),
+});
+
+describe("summarizePairedExam", () => {
+  it("takes the worse eye by model grade", () => {
+    expect(summarizePairedExam({ OD: eye("Mild", 90), OS: eye("Moderate", 70) })).toEqual({
+      className: "Moderate",
+      confidence: 70,
+      worseEye: "OS",
+      reviewed: false,
+      complete: true,
+    });
+  });
+
+  it("uses the clinician grade of a reviewed eye", () => {
+    const review = { decision: "overridden", model_class: "Mild", grade: "Severe" };
+    const summary = summarizePairedExam({ OD: eye("Mild", 90, review), OS: eye("Moderate", 70) });
+    expect(summary).toMatchObject({ className: "Severe", worseEye: "OD", reviewed: true });
+  });
+
+  it("marks a single graded eye as incomplete", () => {
+    expect(summarizePairedExam({ OD: eye("No_DR", 99) })).toMatchObject({
+      worseEye: "OD",
+      complete: false,
+    });
+    expect(summarizePairedExam({})).toBeNull();
+  });
+});
@@ -0,0 +1,178 @@
+import { api } from "../api/index.js";
+import { t } from "../i18n/index.js";
+import { isCancelledError, sleep } from "./abort.js";
+import { MAX_FILE_MB, MAX_SOURCE_BYTES, MAX_SOURCE_MB, PREDICT_PATHS } from "./config.js";
+import { extractServerError, normalizeApiResponse } from "./normalize.js";
+
+export const IMAGE_EXT_RE = /\.(png|jpe?g|tiff?|bmp|webp|dcm|dicom)$/i;
+
+// react-dropzone `accept` map for every format prepareUpload() can decode.
+export const ACCEPTED_IMAGE_TYPES = {
+  "image/png": [".png"],
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/tiff": [".tif", ".tiff"],
+  "image/bmp": [".bmp"],
+  "image/webp": [".webp"],
+  "application/dicom": [".dcm", ".dicom"],
+};
+
+// A function rather than a constant so it follows the current language.
+export function invalidTypeMessage() {
+  return t("errors.invalidType");
+}
+
+// Returns a user-facing error message, or "" when the file can be prepared
+// for upload. The upload limit itself is enforced by prepareImage().
+export function validateImageFile(file) {
+  if (!IMAGE_EXT_RE.test(file?.name || "")) {
+    return invalidTypeMessage();
+  }
+  if (file.size > MAX_SOURCE_BYTES) {
+    return t("errors.sourceTooLarge", { sourceMb: MAX_SOURCE_MB, mb: MAX_FILE_MB });
+  }
+  return "";
+}
+
+// `transport.client` picks the backend (see lib/backends.js); the rest is
+// passed to the client's predict().
+export async function postPredict(file, path, options = {}, { client = api, ...transport } = {}) {
+  const data = await client.predict(file, options, path, transport);
+  return normalizeApiResponse(data);
+}
+
+const RETRY_BASE_MS = 1000;
+const MAX_RETRIES = 2;
+
+// Dropped connections and gateway hiccups are retried straight away with
+// backoff. 429 and 503 are not: they carry Retry-After and go through the
+// cooldown in describePredictError. Timeouts are not either, since the
+// request already waited the full predict timeout.
+export function isTransientError(e) {
+  if (isCancelledError(e)) return false;
+  const status = e?.response?.status;
+  if (status) return status === 502 || status === 504;
+  return e?.code === "ERR_NETWORK" || e?.code === "ECONNRESET";
+}
+
+async function withRetry(fn, { signal, onRetry }) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (attempt >= MAX_RETRIES || signal?.aborted || !isTransientError(e)) throw e;
+      const waitMs = RETRY_BASE_MS * 2 ** attempt;
+      onRetry?.({ attempt: attempt + 2, attempts: MAX_RETRIES + 1, waitMs });
+      await sleep(waitMs, signal);
+    }
+  }
+}
+
+// Maps a failed predict request to the message shown to the operator and,
+// for 429/503, how long further uploads should be held back.
+export function describePredictError(e) {
+  const { status, message } = extractServerError(e);
+
+  if (status === 413) {
+    const limitBytes = Number(e?.response?.data?.limit);
+    const limitMb = Number.isFinite(limitBytes) && limitBytes > 0
+      ? Math.round((limitBytes / (1024 * 1024)) * 10) / 10
+      : MAX_FILE_MB;
+    return { status, message: t("errors.uploadTooLarge", { mb: limitMb }), cooldownMs: 0 };
+  }
+
+  if (status === 429) {
+    const retryAfter = Number(e?.response?.headers?.["retry-after"]);
+    const waitMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : 60_000;
+    return {
+      status,
+      message: t("errors.rateLimited", { seconds: Math.ceil(waitMs / 1000) }),
+      cooldownMs: waitMs,
+    };
+  }
+
+  if (status === 503) {
+    const retryAfter = Number(e?.response?.headers?.["retry-after"]);
+    const waitMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : 5_000;
+    return { status, message: message || t("errors.backendUnavailable"), cooldownMs: waitMs };
+  }
+
+  return { status, message, cooldownMs: 0 };
+}
+
+// The full analyze flow shared by single, paired and batch modes:
+// phase 1 is the fast prediction, phase 2 optionally asks for Grad-CAM and
+// never fails the result. Transport errors are thrown (see
+// describePredictError); a `success: false` payload is returned as `error`.
+//
+// `signal` cancels whichever request is in flight: a cancelled prediction
+// throws (see isCancelledError), a cancelled Grad-CAM keeps the prediction.
+// `onProgress` receives `{ phase, loaded, total }` while uploading
+// ("uploading", then "processing" once the bytes are sent, or "gradcam" for
+// phase 2) and `{ phase: "retrying", attempt, attempts, waitMs }` before a retry.
+// `client` sends the requests to another backend than the default one.
+export async function analyzeImage(
+  file,
+  { gradcam = false, preprocessed = false, debugPreprocess = false } = {},
+  { onBaseResult, onGradcamStart, onProgress, signal, client } = {}
+) {
+  const options = { preprocessed, debugPreprocess };
+  const send = (path, opts, phaseOf) =>
+    withRetry(
+      () => {
+        onProgress?.({ phase: phaseOf(0, file.size), loaded: 0, total: file.size });
+        return postPredict(file, path, opts, {
+          client,
+          signal,
+          onUploadProgress: (loaded, total) =>
+            onProgress?.({ phase: phaseOf(loaded, total), loaded, total }),
+        });
+      },
+      { signal, onRetry: (info) => onProgress?.({ phase: "retrying", ...info }) }
+    );
+
+  let lastErr = null;
+  let result = null;
+  let predictPathUsed = PREDICT_PATHS[0];
+
+  for (const path of PREDICT_PATHS) {
+    try {
+      const normalized = await send(path, options, (loaded, total) =>
+        loaded >= total ? "processing" : "uploading"
+      );
+      if (!normalized.success) {
+        return { result: null, error: normalized.error || t("errors.predictionFailed"), gradcamNotice: "" };
+      }
+      result = normalized;
+      predictPathUsed = path;
+      break;
+    } catch (e) {
+      if (isCancelledError(e)) throw e;
+      lastErr = e;
+    }
+  }
+
+  if (!result) throw lastErr;
+  onBaseResult?.(result);
+
+  let gradcamNotice = "";
+  if (gradcam) {
+    onGradcamStart?.();
+    try {
+      const normalized2 = await send(predictPathUsed, { ...options, gradcam: true }, () => "gradcam");
+      if (normalized2.success && normalized2.gradcam_image) {
+        result = { ...result, gradcam_image: normalized2.gradcam_image };
+      } else {
+        gradcamNotice = t("gradcam.missing");
+      }
+    } catch (e2) {
+      if (isCancelledError(e2)) {
+        gradcamNotice = t("gradcam.cancelled");
+      } else {
+        console.error("Grad-CAM request failed", e2);
+        gradcamNotice = t("gradcam.failed");
+      }
+    }
+  }
+
+  return { result, error: "", gradcamNotice };
+}
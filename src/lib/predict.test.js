@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { MAX_FILE_MB } from "./config.js";
+import { describePredictError, isTransientError, validateImageFile } from "./predict.js";
+
+const httpError = (status, data = {}, headers = {}) => ({ response: { status, data, headers } });
+
+describe("describePredictError", () => {
+  it("reports the server's 413 limit in MB", () => {
+    expect(describePredictError(httpError(413, { limit: 5 * 1024 * 1024 }))).toEqual({
+      status: 413,
+      message: "File too large. Maximum allowed size is 5 MB.",
+      cooldownMs: 0,
+    });
+  });
+
+  it("falls back to the client limit for a bare 413", () => {
+    expect(describePredictError(httpError(413)).message).toBe(
+      `File too large. Maximum allowed size is ${MAX_FILE_MB} MB.`
+    );
+  });
+
+  it("honours Retry-After on 429", () => {
+    expect(describePredictError(httpError(429, {}, { "retry-after": "12" }))).toEqual({
+      status: 429,
+      message: "Rate limit exceeded. Try again in 12s.",
+      cooldownMs: 12000,
+    });
+    expect(describePredictError(httpError(429)).cooldownMs).toBe(60000);
+  });
+
+  it("keeps the server message on 503 and cools down briefly", () => {
+    const d = describePredictError(httpError(503, { error: "Model is still loading." }));
+    expect(d).toEqual({ status: 503, message: "Model is still loading.", cooldownMs: 5000 });
+  });
+
+  it("passes other errors through", () => {
+    expect(describePredictError(new Error("Network Error"))).toEqual({
+      status: null,
+      message: "Network Error",
+      cooldownMs: 0,
+    });
+  });
+});
+
+describe("validateImageFile", () => {
+  it("accepts images and rejects other files", () => {
+    expect(validateImageFile(new File(["x"], "eye.png", { type: "image/png" }))).toBe("");
+    expect(validateImageFile(new File(["x"], "eye.TIF", { type: "image/tiff" }))).toBe("");
+    expect(validateImageFile(new File(["x"], "eye.webp", { type: "image/webp" }))).toBe("");
+    expect(validateImageFile(new File(["x"], "notes.txt", { type: "text/plain" }))).not.toBe("");
+  });
+});
+
+describe("isTransientError", () => {
+  it("retries dropped connections and gateway errors", () => {
+    expect(isTransientError({ code: "ERR_NETWORK" })).toBe(true);
+    expect(isTransientError(httpError(502))).toBe(true);
+    expect(isTransientError(httpError(504))).toBe(true);
+  });
+
+  it("leaves cooldowns, timeouts, cancellations and client errors alone", () => {
+    expect(isTransientError(httpError(429))).toBe(false);
+    expect(isTransientError(httpError(503))).toBe(false);
+    expect(isTransientError(httpError(400))).toBe(false);
+    expect(isTransientError({ code: "ECONNABORTED" })).toBe(false);
+    expect(isTransientError({ code: "ERR_CANCELED" })).toBe(false);
+  });
+});
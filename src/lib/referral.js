@@ -0,0 +1,131 @@
+import { classLabelWith, formatPercent, t } from "../i18n/index.js";
+import { REFERRAL_THRESHOLDS } from "./config.js";
+import { REFERABLE_CLASSES, SEVERITY_CLASSES } from "./normalize.js";
+import { measureUncertainty } from "./uncertainty.js";
+
+// Maps a prediction (or a clinician's grade) to a follow-up action. The
+// result carries reason keys rather than text so the UI can translate them
+// and the PDF can print them in English.
+
+export const REFERRAL_LEVELS = ["routine", "refer", "indeterminate", "urgent"];
+
+const URGENT = ["Severe", "Proliferative_DR"];
+
+const levelForClass = (cls) =>
+  URGENT.includes(cls) ? "urgent" : REFERABLE_CLASSES.includes(cls) ? "refer" : "routine";
+
+const rank = (level) => REFERRAL_LEVELS.indexOf(level);
+const moreUrgent = (a, b) => (rank(b) > rank(a) ? b : a);
+
+const sum = (probs, classes) => classes.reduce((acc, c) => acc + (Number(probs[c]) || 0), 0);
+
+function withTiming(level, thresholds) {
+  if (level === "refer") return { weeks: thresholds.referWeeks };
+  if (level === "routine") return { months: thresholds.rescreenMonths };
+  return {};
+}
+
+export function evaluateReferral(result, thresholds = REFERRAL_THRESHOLDS) {
+  const modelClass = result?.prediction?.class || "";
+  const review = result?.review;
+
+  // A clinician's grade is final: no probability rules, no indeterminate flag.
+  if (review?.grade) {
+    const level = levelForClass(review.grade);
+    return {
+      level,
+      ...withTiming(level, thresholds),
+      source: "review",
+      reasons: [{ key: "reviewGrade", params: { grade: review.grade } }],
+    };
+  }
+
+  if (!SEVERITY_CLASSES.includes(modelClass)) return null;
+
+  const probs = result.all_probabilities || {};
+  const hasProbs = SEVERITY_CLASSES.some((c) => typeof probs[c] === "number");
+  const reasons = [];
+
+  let level = levelForClass(modelClass);
+  if (level !== "routine") reasons.push({ key: "predictedClass", params: { grade: modelClass } });
+
+  let referable = null;
+  let urgent = null;
+  let margin = null;
+  if (hasProbs) {
+    referable = sum(probs, REFERABLE_CLASSES);
+    urgent = sum(probs, URGENT);
+    if (urgent >= thresholds.urgentProbability) {
+      level = "urgent";
+      reasons.push({
+        key: "urgentProbability",
+        params: { value: urgent, threshold: thresholds.urgentProbability },
+      });
+    } else if (referable >= thresholds.referProbability) {
+      level = moreUrgent(level, "refer");
+      reasons.push({
+        key: "referableProbability",
+        params: { value: referable, threshold: thresholds.referProbability },
+      });
+    }
+
+    margin = measureUncertainty(probs)?.margin ?? null;
+  }
+
+  const confidence = Number(result.prediction.confidence) || 0;
+  const flags = [];
+  if (confidence < thresholds.minConfidence) {
+    flags.push({ key: "lowConfidence", params: { value: confidence, threshold: thresholds.minConfidence } });
+  }
+  if (margin !== null && margin < thresholds.minMargin) {
+    flags.push({ key: "nearTie", params: { value: margin, threshold: thresholds.minMargin } });
+  }
+
+  const base = { source: "model", referableProbability: referable, urgentProbability: urgent };
+
+  // Urgent findings are never held back for review; otherwise an uncertain
+  // call is handed to a human with the rule-based level as a provisional hint.
+  if (flags.length && level !== "urgent") {
+    return {
+      ...base,
+      level: "indeterminate",
+      provisional: level,
+      ...withTiming(level, thresholds),
+      reasons: [...flags, ...reasons],
+    };
+  }
+
+  return { ...base, level, ...withTiming(level, thresholds), reasons: [...reasons, ...flags] };
+}
+
+// Patient-level recommendation for several eyes: the most urgent one wins.
+export function combineReferrals(referrals) {
+  return referrals.filter(Boolean).reduce((a, b) => (!a || rank(b.level) > rank(a.level) ? b : a), null);
+}
+
+// Human-readable action and reasons. Defaults to the UI language; the PDF
+// report passes an English translator.
+export function describeReferral(referral, { tr = t, percent = formatPercent } = {}) {
+  if (!referral) return null;
+
+  const action = (level) =>
+    tr(`referral.levels.${level}`, { count: level === "refer" ? referral.weeks : referral.months });
+
+  const reasons = referral.reasons.map(({ key, params }) =>
+    tr(`referral.reasons.${key}`, {
+      ...params,
+      ...(params.grade ? { grade: classLabelWith(tr, params.grade) } : {}),
+      ...(typeof params.value === "number"
+        ? { value: percent(params.value), threshold: percent(params.threshold) }
+        : {}),
+    })
+  );
+
+  return {
+    action: action(referral.level),
+    provisional: referral.provisional
+      ? tr("referral.provisional", { action: action(referral.provisional) })
+      : "",
+    reasons,
+  };
+}
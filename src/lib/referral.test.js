@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import { combineReferrals, evaluateReferral } from "./referral.js";
+
+const THRESHOLDS = {
+  referProbability: 50,
+  urgentProbability: 40,
+  referWeeks: 6,
+  rescreenMonths: 12,
+  minConfidence: 50,
+  minMargin: 10,
+};
+
+function result(cls, confidence, probs) {
+  return { prediction: { class: cls, confidence }, all_probabilities: probs };
+}
+
+const evaluate = (r) => evaluateReferral(r, THRESHOLDS);
+
+describe("evaluateReferral", () => {
+  it("recommends routine rescreening for a confident No DR", () => {
+    const r = evaluate(
+      result("No_DR", 92, { No_DR: 92, Mild: 5, Moderate: 2, Severe: 1, Proliferative_DR: 0 })
+    );
+    expect(r).toMatchObject({ level: "routine", months: 12, reasons: [] });
+  });
+
+  it("refers when the referable probability crosses the threshold", () => {
+    const r = evaluate(
+      result("Mild", 45, { No_DR: 5, Mild: 45, Moderate: 30, Severe: 15, Proliferative_DR: 5 })
+    );
+    // Referable 50% meets the threshold, but Mild at 45% confidence is uncertain.
+    expect(r).toMatchObject({ level: "indeterminate", provisional: "refer", weeks: 6 });
+    expect(r.reasons.map((x) => x.key)).toEqual(["lowConfidence", "referableProbability"]);
+  });
+
+  it("escalates to urgent on P(Severe + PDR) even for a Moderate call", () => {
+    const r = evaluate(
+      result("Moderate", 55, { No_DR: 0, Mild: 0, Moderate: 55, Severe: 30, Proliferative_DR: 15 })
+    );
+    expect(r.level).toBe("urgent");
+    expect(r.urgentProbability).toBe(45);
+  });
+
+  it("flags a near tie as indeterminate", () => {
+    const r = evaluate(
+      result("Moderate", 51, { No_DR: 0, Mild: 2, Moderate: 51, Severe: 4, Proliferative_DR: 43 })
+    );
+    // Urgent probability 47% wins: urgent calls are never held back.
+    expect(r.level).toBe("urgent");
+
+    const tie = evaluate(
+      result("Moderate", 52, { No_DR: 1, Mild: 45, Moderate: 52, Severe: 1, Proliferative_DR: 1 })
+    );
+    expect(tie).toMatchObject({ level: "indeterminate", provisional: "refer" });
+    expect(tie.reasons[0]).toEqual({ key: "nearTie", params: { value: 7, threshold: 10 } });
+  });
+
+  it("uses the class alone when probabilities are missing", () => {
+    expect(evaluate(result("Severe", 80, {})).level).toBe("urgent");
+    expect(evaluate(result("Mystery", 80, {}))).toBeNull();
+  });
+
+  it("follows the clinician's grade once reviewed", () => {
+    const r = evaluate({
+      ...result("Mild", 30, { Mild: 30, Moderate: 28 }),
+      review: { grade: "Moderate" },
+    });
+    expect(r).toMatchObject({ level: "refer", weeks: 6, source: "review" });
+  });
+});
+
+describe("combineReferrals", () => {
+  it("keeps the most urgent recommendation", () => {
+    expect(
+      combineReferrals([{ level: "refer" }, null, { level: "indeterminate" }, { level: "routine" }])
+    ).toEqual({ level: "indeterminate" });
+    expect(combineReferrals([])).toBeNull();
+  });
+});
@@ -0,0 +1,392 @@
+import { jsPDF } from "jspdf";
+import { translate } from "../i18n/index.js";
+import { getSeverityGradient, toSafeClassLabel } from "./normalize.js";
+import { describeScrub } from "./deidentify.js";
+import { describeQualityIssues } from "./imageQuality.js";
+import { EYES, LATERALITY_LABELS } from "./paired.js";
+import { combineReferrals, describeReferral, evaluateReferral } from "./referral.js";
+import { assessUncertainty, describeUncertainty } from "./uncertainty.js";
+
+const PAGE_MARGIN = 15;
+const MAX_IMAGE_PX = 1200;
+
+// jsPDF's built-in fonts only cover Latin script, so reports stay in English
+// whatever the UI language is.
+const english = (key, params) => translate("en", key, params);
+const ENGLISH_TEXT = {
+  tr: english,
+  percent: (v) => `${v.toFixed(1)}%`,
+  number: (v, options) => new Intl.NumberFormat("en-US", options).format(v),
+};
+
+// Times are printed in UTC in one fixed format, so a report reads the same
+// whichever browser locale or time zone produced it.
+function formatTime(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "N/A";
+  return `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function severityColors(className) {
+  const stops = getSeverityGradient(className).match(/#[0-9a-f]{6}/gi) || ["#6c757d"];
+  return [hexToRgb(stops[0]), hexToRgb(stops[stops.length - 1])];
+}
+
+// Approximates the CSS gradient of the on-screen diagnosis card with thin strips.
+function fillGradient(doc, x, y, w, h, [from, to]) {
+  const steps = 40;
+  const stripW = w / steps;
+  for (let i = 0; i < steps; i += 1) {
+    const t = i / (steps - 1);
+    doc.setFillColor(...from.map((c, k) => Math.round(c + (to[k] - c) * t)));
+    doc.rect(x + i * stripW, y, stripW + 0.2, h, "F");
+  }
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Could not load image for report."));
+    img.src = src;
+  });
+}
+
+// Accepts a File/Blob, object URL or data URL and returns a JPEG data URL
+// (plus its aspect ratio) suitable for jsPDF. Returns null on failure so one
+// bad image never prevents the rest of the report from being generated.
+// Optional clinician markup strokes are drawn on top.
+async function toJpeg(source, markup = []) {
+  if (!source) return null;
+
+  const isBlob = typeof Blob !== "undefined" && source instanceof Blob;
+  const url = isBlob ? URL.createObjectURL(source) : source;
+  try {
+    const img = await loadImage(url);
+    const scale = Math.min(1, MAX_IMAGE_PX / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    drawMarkup(ctx, markup, canvas.width, canvas.height);
+    return { data: canvas.toDataURL("image/jpeg", 0.9), ratio: canvas.height / canvas.width };
+  } catch (e) {
+    console.error("Skipping report image", e);
+    return null;
+  } finally {
+    if (isBlob) URL.revokeObjectURL(url);
+  }
+}
+
+function drawMarkup(ctx, markup, width, height) {
+  if (!markup.length) return;
+  ctx.strokeStyle = "#ffd60a";
+  ctx.lineWidth = Math.max(2, Math.round(width / 200));
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  for (const { points } of markup) {
+    ctx.beginPath();
+    points.forEach(([x, y], i) => {
+      if (i === 0) ctx.moveTo(x * width, y * height);
+      else ctx.lineTo(x * width, y * height);
+    });
+    ctx.stroke();
+  }
+}
+
+function createWriter() {
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const contentW = pageW - PAGE_MARGIN * 2;
+  let y = PAGE_MARGIN;
+
+  const ensureSpace = (h) => {
+    if (y + h > pageH - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+  };
+
+  const skip = (h) => {
+    y += h;
+  };
+
+  const title = (text) => {
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(16);
+    doc.setTextColor(45, 55, 72);
+    doc.text(text, PAGE_MARGIN, y + 2);
+    y += 10;
+  };
+
+  const heading = (text) => {
+    ensureSpace(10);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(12);
+    doc.setTextColor(45, 55, 72);
+    doc.text(text, PAGE_MARGIN, y);
+    y += 6;
+  };
+
+  const line = (label, value) => {
+    ensureSpace(6);
+    doc.setFontSize(9);
+    doc.setFont("helvetica", "bold");
+    doc.setTextColor(45, 55, 72);
+    doc.text(`${label}:`, PAGE_MARGIN, y);
+    doc.setFont("helvetica", "normal");
+    doc.text(String(value), PAGE_MARGIN + 32, y);
+    y += 5;
+  };
+
+  // Diagnosis banner, colour-coded like the on-screen card.
+  const banner = (className, headline, subline) => {
+    const bannerH = 22;
+    ensureSpace(bannerH + 4);
+    fillGradient(doc, PAGE_MARGIN, y, contentW, bannerH, severityColors(className));
+    doc.setTextColor(255, 255, 255);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(16);
+    doc.text(headline, PAGE_MARGIN + 5, y + 9);
+    doc.setFontSize(12);
+    doc.text(subline, PAGE_MARGIN + 5, y + 17);
+    y += bannerH + 4;
+  };
+
+  const paragraph = (text) => {
+    doc.setTextColor(45, 55, 72);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(9);
+    const lines = doc.splitTextToSize(text, contentW);
+    ensureSpace(lines.length * 4 + 2);
+    doc.text(lines, PAGE_MARGIN, y);
+    y += lines.length * 4 + 2;
+  };
+
+  const probabilities = (allProbabilities) => {
+    const entries = Object.entries(allProbabilities || {}).sort(
+      (a, b) => (b[1] || 0) - (a[1] || 0)
+    );
+    if (!entries.length) return;
+
+    y += 2;
+    heading("Probability Distribution");
+    doc.setFontSize(9);
+    for (const [cls, p] of entries) {
+      const pct = Math.max(0, Math.min(100, typeof p === "number" ? p : 0));
+      ensureSpace(7);
+      doc.setTextColor(45, 55, 72);
+      doc.setFont("helvetica", "normal");
+      doc.text(toSafeClassLabel(cls), PAGE_MARGIN, y + 3.5);
+      doc.setFillColor(226, 232, 240);
+      doc.rect(PAGE_MARGIN + 40, y, contentW - 60, 5, "F");
+      const [from] = severityColors(cls);
+      doc.setFillColor(...from);
+      doc.rect(PAGE_MARGIN + 40, y, ((contentW - 60) * pct) / 100, 5, "F");
+      doc.setFont("helvetica", "bold");
+      doc.text(`${pct.toFixed(1)}%`, pageW - PAGE_MARGIN, y + 3.5, { align: "right" });
+      y += 7;
+    }
+  };
+
+  const image = (text, img) => {
+    if (!img) return;
+    const w = Math.min(contentW, 90);
+    const h = w * img.ratio;
+    ensureSpace(h + 10);
+    y += 2;
+    heading(text);
+    doc.addImage(img.data, "JPEG", PAGE_MARGIN, y, w, h);
+    y += h + 4;
+  };
+
+  const disclaimer = () => {
+    const lines = doc.splitTextToSize(
+      `${english("disclaimer.title")} ${english("disclaimer.text")}`,
+      contentW
+    );
+    ensureSpace(lines.length * 4 + 6);
+    y += 4;
+    doc.setDrawColor(23, 162, 184);
+    doc.line(PAGE_MARGIN, y - 3, pageW - PAGE_MARGIN, y - 3);
+    doc.setTextColor(23, 162, 184);
+    doc.setFont("helvetica", "italic");
+    doc.setFontSize(8);
+    doc.text(lines, PAGE_MARGIN, y + 1);
+    y += lines.length * 4;
+  };
+
+  const newPage = () => {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  };
+
+  return {
+    doc,
+    ensureSpace,
+    skip,
+    title,
+    heading,
+    line,
+    banner,
+    paragraph,
+    probabilities,
+    image,
+    disclaimer,
+    newPage,
+  };
+}
+
+function writeModelInfo(w, modelInfo) {
+  w.line("Model", modelInfo?.model_name || "N/A");
+  w.line(
+    "Input shape",
+    Array.isArray(modelInfo?.input_shape) ? modelInfo.input_shape.join(" x ") : "N/A"
+  );
+}
+
+function writeUncertainty(w, assessment) {
+  const text = describeUncertainty(assessment, ENGLISH_TEXT);
+  if (!text) return;
+  w.paragraph(text.summary.replace(/ · /g, ", "));
+  if (text.warnings.length) w.paragraph(`UNCERTAIN: ${text.warnings.join(" ")}`);
+}
+
+function writeReferral(w, referral) {
+  const text = describeReferral(referral, ENGLISH_TEXT);
+  if (!text) return;
+  w.line("Recommendation", text.provisional ? `${text.action} (${text.provisional})` : text.action);
+  // "≥" is outside the PDF fonts' WinAnsi character set.
+  if (text.reasons.length) w.paragraph(text.reasons.join("; ").replace(/≥/g, ">="));
+}
+
+function writeReview(w, review) {
+  const label = (cls) => toSafeClassLabel(cls) || "Unknown";
+  w.skip(2);
+  w.heading("Clinician Review");
+  w.line(
+    "Decision",
+    review.decision === "overridden"
+      ? `Overridden: ${label(review.model_class)} -> ${label(review.grade)}`
+      : `Accepted: ${label(review.grade)}`
+  );
+  if (review.findings?.length) {
+    w.line("Findings", review.findings.map((f) => english(`review.lesions.${f}`)).join(", "));
+  }
+  w.line("Reviewer", review.reviewer || "Not recorded");
+  w.line("Reviewed", formatTime(review.reviewed_at));
+  if (review.notes) w.paragraph(`Notes: ${review.notes}`);
+}
+
+async function writeResult(w, result, image) {
+  const className = result.prediction?.class || "";
+
+  w.line("Session ID", result.session_id || "N/A");
+  if (result.laterality) w.line("Eye", LATERALITY_LABELS[result.laterality] || result.laterality);
+  if (typeof result.elapsed_ms === "number") w.line("Inference time", `${result.elapsed_ms} ms`);
+  if (result.quality) {
+    w.line(
+      "Image quality",
+      `${result.quality.score}/100${result.quality.overridden ? " (failed check overridden by operator)" : ""}`
+    );
+    const issues = describeQualityIssues(result.quality, english);
+    if (issues.length) w.paragraph(issues.join(" "));
+  }
+  if (result.deidentification) {
+    w.line("De-identification", describeScrub(result.deidentification, english).replace(/ • /g, " | "));
+  }
+  w.skip(3);
+
+  w.banner(
+    className,
+    toSafeClassLabel(className).toUpperCase() || "UNKNOWN",
+    `${Number(result.prediction?.confidence || 0).toFixed(1)}% Confidence`
+  );
+  if (result.prediction?.description) w.paragraph(result.prediction.description);
+  writeUncertainty(w, assessUncertainty(result.all_probabilities));
+  writeReferral(w, evaluateReferral(result));
+  w.probabilities(result.all_probabilities);
+  if (result.review) writeReview(w, result.review);
+
+  const markup = result.review?.markup || [];
+  const [original, marked, gradcam, preprocessed] = await Promise.all([
+    toJpeg(image),
+    markup.length ? toJpeg(image, markup) : null,
+    toJpeg(result.gradcam_image),
+    toJpeg(result.preprocess_debug?.enhanced_preview),
+  ]);
+  w.image("Original Image", original);
+  w.image("Clinician Markup", marked);
+  w.image("Grad-CAM Visualization", gradcam);
+  w.image("Preprocessing Preview", preprocessed);
+}
+
+export async function buildScreeningReport({ result, image, modelInfo }) {
+  const w = createWriter();
+
+  w.title("Diabetic Retinopathy Screening Report");
+  w.line("Generated", formatTime(Date.now()));
+  writeModelInfo(w, modelInfo);
+  await writeResult(w, result, image);
+  w.disclaimer();
+
+  return w.doc;
+}
+
+// Bilateral exam: patient-level summary first, then one section per eye.
+export async function buildPairedReport({ eyes, summary, modelInfo }) {
+  const w = createWriter();
+
+  w.title("Diabetic Retinopathy Screening Report (Bilateral)");
+  w.line("Generated", formatTime(Date.now()));
+  writeModelInfo(w, modelInfo);
+  w.skip(3);
+
+  if (summary) {
+    const basis = summary.reviewed
+      ? "Clinician grade"
+      : `${summary.confidence.toFixed(1)}% Confidence`;
+    w.banner(
+      summary.className,
+      `PATIENT GRADE: ${toSafeClassLabel(summary.className).toUpperCase()}`,
+      `Worse eye: ${LATERALITY_LABELS[summary.worseEye]} | ${basis}`
+    );
+    if (!summary.complete) w.paragraph("Only one eye was graded; the patient-level grade is incomplete.");
+    writeReferral(w, combineReferrals(EYES.map((eye) => evaluateReferral(eyes[eye]?.result))));
+  }
+
+  for (const eye of EYES) {
+    const entry = eyes[eye];
+    if (!entry?.result) continue;
+    w.newPage();
+    w.title(LATERALITY_LABELS[eye]);
+    await writeResult(w, entry.result, entry.image);
+  }
+
+  w.disclaimer();
+  return w.doc;
+}
+
+function reportFileName(id) {
+  return `dr-report-${String(id).replace(/[^\w-]+/g, "_")}.pdf`;
+}
+
+export async function downloadScreeningReport(options) {
+  const doc = await buildScreeningReport(options);
+  doc.save(reportFileName(options.result?.session_id || new Date().toISOString().slice(0, 10)));
+}
+
+export async function downloadPairedReport(options) {
+  const doc = await buildPairedReport(options);
+  doc.save(reportFileName(`bilateral-${new Date().toISOString().slice(0, 10)}`));
+}
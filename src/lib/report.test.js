@@ -0,0 +1,132 @@
+import { jsPDF } from "jspdf";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { summarizePairedExam } from "./paired.js";
+import { buildPairedReport, buildScreeningReport } from "./report.js";
+
+const result = {
+  session_id: "sess-123",
+  prediction: { class: "Moderate", confidence: 82 },
+  all_probabilities: { No_DR: 2, Mild: 8, Moderate: 82, Severe: 6, Proliferative_DR: 2 },
+};
+
+const modelInfo = { model_name: "RA-B3", input_shape: [224, 224, 3] };
+
+const review = {
+  decision: "overridden",
+  model_class: "Mild",
+  grade: "Severe",
+  findings: ["exudates"],
+  markup: [],
+  notes: "Venous beading",
+  reviewer: "Dr. Tan",
+  reviewed_at: "2026-03-04T05:06:07.000Z",
+};
+
+// jsdom neither decodes images nor draws on canvases: images "load" as 4x3
+// pixels and every canvas encodes to the same placeholder JPEG.
+class LoadedImage {
+  naturalWidth = 4;
+  naturalHeight = 3;
+
+  set src(_value) {
+    setTimeout(() => this.onload());
+  }
+}
+
+const context = {
+  fillRect() {},
+  drawImage() {},
+  beginPath() {},
+  moveTo() {},
+  lineTo() {},
+  stroke() {},
+};
+
+// PDF strings escape parentheses; the assertions read the plain text.
+const pdfText = (doc) => doc.output().replace(/\\([()\\])/g, "$1");
+
+let addImage;
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(new Date("2026-03-05T10:20:30.000Z"));
+  vi.stubGlobal("Image", LoadedImage);
+  vi.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue(context);
+  vi.spyOn(HTMLCanvasElement.prototype, "toDataURL").mockReturnValue("data:image/jpeg;base64,AA");
+  addImage = vi.spyOn(jsPDF.API, "addImage").mockImplementation(function addImage() {
+    return this;
+  });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("buildScreeningReport", () => {
+  it("prints the result, the model and a fixed-format UTC time", async () => {
+    const doc = await buildScreeningReport({
+      result,
+      image: "data:image/png;base64,AA",
+      modelInfo,
+    });
+    const text = pdfText(doc);
+
+    expect(text).toContain("(2026-03-05 10:20 UTC) Tj");
+    expect(text).toContain("(RA-B3) Tj");
+    expect(text).toContain("(MODERATE) Tj");
+    expect(text).toContain("(82.0% Confidence) Tj");
+    expect(text).toContain("(Original Image) Tj");
+    expect(addImage).toHaveBeenCalledTimes(1);
+  });
+
+  it("leaves the image out of a result reopened from history", async () => {
+    // History keeps only a thumbnail, which App never hands to the report.
+    const doc = await buildScreeningReport({
+      result: { ...result, history_id: 7 },
+      image: null,
+      modelInfo,
+    });
+    const text = pdfText(doc);
+
+    expect(text).toContain("(MODERATE) Tj");
+    expect(text).not.toContain("(Original Image) Tj");
+    expect(addImage).not.toHaveBeenCalled();
+  });
+
+  it("prints the clinician review with its time in UTC", async () => {
+    const doc = await buildScreeningReport({
+      result: { ...result, review },
+      image: null,
+      modelInfo,
+    });
+    const text = pdfText(doc);
+
+    expect(text).toContain("(Clinician Review) Tj");
+    expect(text).toContain("(Overridden: Mild -> Severe) Tj");
+    expect(text).toContain("(Exudates) Tj");
+    expect(text).toContain("(Dr. Tan) Tj");
+    expect(text).toContain("(2026-03-04 05:06 UTC) Tj");
+    expect(text).toContain("(Notes: Venous beading) Tj");
+  });
+});
+
+describe("buildPairedReport", () => {
+  it("summarizes the worse eye and gives each eye its own section", async () => {
+    const eyes = {
+      OD: { result: { ...result, laterality: "OD", review }, image: null },
+      OS: { result: { ...result, laterality: "OS" }, image: "data:image/png;base64,AA" },
+    };
+    const summary = summarizePairedExam({ OD: eyes.OD.result, OS: eyes.OS.result });
+    const doc = await buildPairedReport({ eyes, summary, modelInfo });
+    const text = pdfText(doc);
+
+    expect(text).toContain("(PATIENT GRADE: SEVERE) Tj");
+    expect(text).toContain("(Worse eye: Right eye (OD) | Clinician grade) Tj");
+    expect(text).toContain("(Right eye (OD)) Tj");
+    expect(text).toContain("(Left eye (OS)) Tj");
+    expect(text).not.toContain("Only one eye was graded");
+    expect(addImage).toHaveBeenCalledTimes(1);
+  });
+});
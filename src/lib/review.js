@@ -0,0 +1,75 @@
+import { t } from "../i18n/index.js";
+import { SEVERITY_CLASSES } from "./normalize.js";
+
+// Clinician review of a model result. The review travels inside the result
+// object (`result.review`), so it is stored in the local history and printed
+// in exports next to the model's own grade.
+
+export const LESION_FINDINGS = ["microaneurysms", "hemorrhages", "exudates", "neovascularization"];
+
+// Strokes are stored as fractions of the image size; points closer together
+// than this are dropped so a long freehand stroke stays small in IndexedDB.
+const MIN_POINT_GAP = 0.004;
+
+const REVIEWER_KEY = "dr-screening.reviewer";
+
+const round = (v) => Math.round(v * 10000) / 10000;
+
+export function simplifyStroke(points) {
+  const kept = [];
+  for (const [x, y] of points || []) {
+    const last = kept[kept.length - 1];
+    if (!last || Math.hypot(x - last[0], y - last[1]) >= MIN_POINT_GAP) {
+      kept.push([round(x), round(y)]);
+    }
+  }
+  return kept;
+}
+
+// Validates an editor draft against the model result it reviews. Throws on a
+// missing or unknown override grade; unknown findings are dropped.
+export function makeReview(result, { decision, grade, findings, markup, notes, reviewer } = {}) {
+  const modelClass = result?.prediction?.class || "";
+  const overridden = decision === "overridden";
+  if (overridden && !SEVERITY_CLASSES.includes(grade)) {
+    throw new Error(t("errors.unknownGrade", { grade }));
+  }
+
+  return {
+    decision: overridden ? "overridden" : "accepted",
+    model_class: modelClass,
+    grade: overridden ? grade : modelClass,
+    findings: LESION_FINDINGS.filter((f) => findings?.includes(f)),
+    markup: (markup || [])
+      .map((stroke) => ({ points: simplifyStroke(stroke.points) }))
+      .filter((stroke) => stroke.points.length > 1),
+    notes: String(notes || "").trim(),
+    reviewer: String(reviewer || "").trim(),
+    reviewed_at: new Date().toISOString(),
+  };
+}
+
+// The grade to act on: the clinician's when reviewed, else the model's.
+export function finalGrade(result) {
+  return result?.review?.grade || result?.prediction?.class || "";
+}
+
+export function reviewAgrees(review) {
+  return Boolean(review) && review.grade === review.model_class;
+}
+
+export function loadReviewerName() {
+  try {
+    return localStorage.getItem(REVIEWER_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+export function saveReviewerName(name) {
+  try {
+    localStorage.setItem(REVIEWER_KEY, String(name || "").trim());
+  } catch {
+    // Only a convenience; the name is also stored with each review.
+  }
+}
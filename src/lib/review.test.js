@@ -0,0 +1,72 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { setLanguage, translate } from "../i18n/index.js";
+import { finalGrade, makeReview, reviewAgrees, simplifyStroke } from "./review.js";
+
+const result = { prediction: { class: "Moderate", confidence: 82 } };
+
+describe("makeReview", () => {
+  afterEach(() => setLanguage("en"));
+
+  it("keeps the model grade when accepted", () => {
+    const review = makeReview(result, { decision: "accepted", grade: "Severe" });
+    expect(review).toMatchObject({ decision: "accepted", model_class: "Moderate", grade: "Moderate" });
+    expect(reviewAgrees(review)).toBe(true);
+    expect(Date.parse(review.reviewed_at)).not.toBeNaN();
+  });
+
+  it("records an override and the disagreement", () => {
+    const review = makeReview(result, {
+      decision: "overridden",
+      grade: "Severe",
+      findings: ["exudates", "cotton wool", "microaneurysms"],
+      notes: "  IRMA in the superotemporal arcade  ",
+      reviewer: " Dr. Tan ",
+    });
+    expect(review).toMatchObject({
+      decision: "overridden",
+      grade: "Severe",
+      findings: ["microaneurysms", "exudates"],
+      notes: "IRMA in the superotemporal arcade",
+      reviewer: "Dr. Tan",
+    });
+    expect(reviewAgrees(review)).toBe(false);
+    expect(finalGrade({ ...result, review })).toBe("Severe");
+  });
+
+  it("rejects an override without a known grade", () => {
+    expect(() => makeReview(result, { decision: "overridden", grade: "Worse" })).toThrow(/Unknown grade/);
+    setLanguage("ms");
+    expect(() => makeReview(result, { decision: "overridden", grade: "Worse" })).toThrow(
+      translate("ms", "errors.unknownGrade", { grade: "Worse" })
+    );
+  });
+
+  it("drops strokes that are a single point", () => {
+    const review = makeReview(result, {
+      markup: [{ points: [[0.1, 0.1]] }, { points: [[0.1, 0.1], [0.2, 0.2]] }],
+    });
+    expect(review.markup).toEqual([{ points: [[0.1, 0.1], [0.2, 0.2]] }]);
+  });
+});
+
+describe("simplifyStroke", () => {
+  it("drops points too close to the previous one and rounds the rest", () => {
+    expect(
+      simplifyStroke([
+        [0.1, 0.1],
+        [0.101, 0.1],
+        [0.123456789, 0.1],
+      ])
+    ).toEqual([
+      [0.1, 0.1],
+      [0.1235, 0.1],
+    ]);
+  });
+});
+
+describe("finalGrade", () => {
+  it("falls back to the model grade without a review", () => {
+    expect(finalGrade(result)).toBe("Moderate");
+    expect(finalGrade(null)).toBe("");
+  });
+});
@@ -0,0 +1,112 @@
+// Deployment settings read at startup from `config.json` next to index.html,
+// so one static build can serve staging, production and on-prem installs.
+// Values are validated against CONFIG_SCHEMA; lib/config.js falls back to the
+// build-time env var and then to the built-in default for anything missing.
+// This module must not import config.js: it is loaded before it.
+
+const FETCH_TIMEOUT_MS = 5000;
+
+export const CONFIG_SCHEMA = {
+  apiBaseUrl: { type: "url", env: "VITE_API_BASE_URL" },
+  fhirEndpoint: { type: "url", env: "VITE_FHIR_ENDPOINT" },
+  maxImageMb: { type: "number", min: 0.1, max: 500, env: "VITE_MAX_IMAGE_MB" },
+  maxSourceMb: { type: "number", min: 1, max: 2000, env: "VITE_MAX_SOURCE_MB" },
+  uploadMaxDimension: { type: "integer", min: 256, max: 16384, env: "VITE_UPLOAD_MAX_DIMENSION" },
+  uploadJpegQuality: { type: "number", min: 0.1, max: 1, env: "VITE_UPLOAD_JPEG_QUALITY" },
+  healthPollMs: { type: "integer", min: 1000, max: 600000, env: "VITE_HEALTH_POLL_MS" },
+  healthIntervalMs: { type: "integer", min: 1000, max: 3600000, env: "VITE_HEALTH_INTERVAL_MS" },
+  batchConcurrency: { type: "integer", min: 1, max: 16, env: "VITE_BATCH_CONCURRENCY" },
+  referProbability: { type: "number", min: 0, max: 100, env: "VITE_REFER_PROBABILITY" },
+  urgentProbability: { type: "number", min: 0, max: 100, env: "VITE_URGENT_PROBABILITY" },
+  referWithinWeeks: { type: "number", min: 1, max: 520, env: "VITE_REFER_WITHIN_WEEKS" },
+  rescreenMonths: { type: "number", min: 1, max: 120, env: "VITE_RESCREEN_MONTHS" },
+  minConfidence: { type: "number", min: 0, max: 100, env: "VITE_MIN_CONFIDENCE" },
+  minMargin: { type: "number", min: 0, max: 100, env: "VITE_MIN_MARGIN" },
+  maxEntropy: { type: "number", min: 0, max: 1, env: "VITE_MAX_ENTROPY" },
+  maxAdjacentShare: { type: "number", min: 0, max: 0.5, env: "VITE_MAX_ADJACENT_SHARE" },
+};
+
+// Parses one value against its schema entry. Numbers may be given as numeric
+// strings, which is how env vars arrive. Returns `{ value }` or `{ issue, params }`.
+export function parseSetting(spec, raw) {
+  if (spec.type === "url") {
+    if (typeof raw !== "string") return { issue: "notString" };
+    const url = raw.trim().replace(/\/+$/, "");
+    // Empty means same-origin (`/api` behind a reverse proxy).
+    if (url && !/^https?:\/\/[^/\s]+/i.test(url) && !url.startsWith("/")) return { issue: "badUrl" };
+    return { value: url };
+  }
+
+  const n = typeof raw === "number" ? raw : typeof raw === "string" && raw.trim() ? Number(raw) : NaN;
+  if (!Number.isFinite(n)) return { issue: "notNumber" };
+  if (spec.type === "integer" && !Number.isInteger(n)) return { issue: "notInteger" };
+  if ((spec.min !== undefined && n < spec.min) || (spec.max !== undefined && n > spec.max)) {
+    return { issue: "outOfRange", params: { min: spec.min, max: spec.max } };
+  }
+  return { value: n };
+}
+
+// Valid keys go to `values`; invalid ones are reported and left to the env
+// default rather than failing the whole file.
+export function validateRuntimeConfig(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { values: {}, errors: [{ key: "", issue: "notObject" }], unknown: [] };
+  }
+
+  const values = {};
+  const errors = [];
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (!(key in raw) || raw[key] === null) continue;
+    const parsed = parseSetting(spec, raw[key]);
+    if (parsed.issue) errors.push({ key, issue: parsed.issue, params: parsed.params || {} });
+    else values[key] = parsed.value;
+  }
+  const unknown = Object.keys(raw).filter((k) => !(k in CONFIG_SCHEMA) && !k.startsWith("$"));
+  return { values, errors, unknown };
+}
+
+let runtime = { status: "pending", url: "", values: {}, errors: [], unknown: [] };
+
+export function getRuntimeConfig() {
+  return runtime;
+}
+
+export function runtimeValue(key) {
+  return runtime.values[key];
+}
+
+// Never rejects: a missing or broken config.json leaves the build-time
+// settings in place and is reported in the diagnostics panel.
+export async function loadRuntimeConfig({
+  url = `${import.meta.env.BASE_URL}config.json`,
+  fetchImpl = globalThis.fetch,
+} = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  const base = { url, values: {}, errors: [], unknown: [], loaded_at: new Date().toISOString() };
+
+  try {
+    const res = await fetchImpl(url, { cache: "no-store", signal: controller.signal });
+    // SPA hosts answer unknown paths with index.html.
+    const html = String(res.headers?.get?.("content-type") || "").includes("text/html");
+    if (res.status === 404 || (res.ok && html)) {
+      runtime = { ...base, status: "missing" };
+    } else if (!res.ok) {
+      runtime = { ...base, status: "failed", error: `HTTP ${res.status}` };
+    } else {
+      let raw;
+      try {
+        raw = JSON.parse(await res.text());
+      } catch (e) {
+        runtime = { ...base, status: "invalid", error: e?.message || String(e) };
+        return runtime;
+      }
+      runtime = { ...base, status: "loaded", ...validateRuntimeConfig(raw) };
+    }
+  } catch (e) {
+    runtime = { ...base, status: "failed", error: e?.message || String(e) };
+  } finally {
+    clearTimeout(timer);
+  }
+  return runtime;
+}
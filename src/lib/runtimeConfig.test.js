@@ -0,0 +1,89 @@
+import { describe, expect, it, vi } from "vitest";
+import { loadRuntimeConfig, validateRuntimeConfig } from "./runtimeConfig.js";
+
+const response = (status, body, type = "application/json") => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: new Headers({ "content-type": type }),
+  text: async () => body,
+});
+
+describe("validateRuntimeConfig", () => {
+  it("keeps valid keys and reports the rest", () => {
+    const { values, errors, unknown } = validateRuntimeConfig({
+      $comment: "ignored",
+      apiBaseUrl: "https://dr.example.org/",
+      maxImageMb: "10",
+      batchConcurrency: 2.5,
+      referProbability: 150,
+      healthPollMs: "soon",
+      theme: "dark",
+    });
+
+    expect(values).toEqual({ apiBaseUrl: "https://dr.example.org", maxImageMb: 10 });
+    expect(errors).toEqual([
+      { key: "healthPollMs", issue: "notNumber", params: {} },
+      { key: "batchConcurrency", issue: "notInteger", params: {} },
+      { key: "referProbability", issue: "outOfRange", params: { min: 0, max: 100 } },
+    ]);
+    expect(unknown).toEqual(["theme"]);
+  });
+
+  it("accepts an empty or relative API base for same-origin proxies", () => {
+    expect(validateRuntimeConfig({ apiBaseUrl: "" }).values).toEqual({ apiBaseUrl: "" });
+    expect(validateRuntimeConfig({ apiBaseUrl: "/dr" }).values).toEqual({ apiBaseUrl: "/dr" });
+    expect(validateRuntimeConfig({ apiBaseUrl: "dr.example.org" }).errors[0].issue).toBe("badUrl");
+  });
+
+  it("rejects anything but an object", () => {
+    expect(validateRuntimeConfig([1, 2]).errors).toEqual([{ key: "", issue: "notObject" }]);
+  });
+});
+
+describe("loadRuntimeConfig", () => {
+  it("loads and validates config.json", async () => {
+    const fetchImpl = vi.fn(async () => response(200, '{"healthPollMs": 15000}'));
+    const runtime = await loadRuntimeConfig({ url: "/config.json", fetchImpl });
+
+    expect(fetchImpl).toHaveBeenCalledWith("/config.json", expect.objectContaining({ cache: "no-store" }));
+    expect(runtime).toMatchObject({ status: "loaded", values: { healthPollMs: 15000 } });
+  });
+
+  it("treats a 404 or an SPA fallback page as missing", async () => {
+    expect((await loadRuntimeConfig({ fetchImpl: async () => response(404, "") })).status).toBe(
+      "missing"
+    );
+    const html = await loadRuntimeConfig({
+      fetchImpl: async () => response(200, "<!doctype html>", "text/html"),
+    });
+    expect(html.status).toBe("missing");
+  });
+
+  it("never throws on broken files or network errors", async () => {
+    const invalid = await loadRuntimeConfig({ fetchImpl: async () => response(200, "{oops") });
+    expect(invalid.status).toBe("invalid");
+
+    const failed = await loadRuntimeConfig({
+      fetchImpl: async () => {
+        throw new TypeError("Failed to fetch");
+      },
+    });
+    expect(failed).toMatchObject({ status: "failed", error: "Failed to fetch", values: {} });
+  });
+});
+
+describe("config precedence", () => {
+  it("prefers config.json over env vars and defaults", async () => {
+    vi.resetModules();
+    const runtime = await import("./runtimeConfig.js");
+    await runtime.loadRuntimeConfig({
+      fetchImpl: async () => response(200, '{"apiBaseUrl": "https://onprem.example", "batchConcurrency": 4}'),
+    });
+    const config = await import("./config.js");
+
+    expect(config.API_BASE).toBe("https://onprem.example");
+    expect(config.BATCH_CONCURRENCY).toBe(4);
+    expect(config.CONFIG_DIAGNOSTICS.apiBaseUrl.source).toBe("runtime");
+    expect(config.CONFIG_DIAGNOSTICS.healthPollMs).toEqual({ value: 5000, source: "default" });
+  });
+});
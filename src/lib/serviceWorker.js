@@ -0,0 +1,12 @@
+// Registers public/sw.js in production builds. The dev server is left alone
+// so hot reload is never answered from a stale cache.
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || typeof navigator === "undefined" || !("serviceWorker" in navigator)) {
+    return;
+  }
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch((e) => console.error("Service worker registration failed", e));
+  });
+}
@@ -0,0 +1,82 @@
+import { classLabelWith, formatNumber, t } from "../i18n/index.js";
+import { UNCERTAINTY_LIMITS } from "./config.js";
+import { SEVERITY_CLASSES } from "./normalize.js";
+
+// How much a single confidence number hides: a 41% "Moderate" next to a 39%
+// "Severe" is a very different call from a 98% one. Probabilities are
+// percentages, as in normalized results.
+
+export function measureUncertainty(probabilities) {
+  const ranked = Object.entries(probabilities || {})
+    .map(([cls, p]) => [cls, Math.max(0, Number(p) || 0)])
+    .sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((acc, [, p]) => acc + p, 0);
+  if (ranked.length < 2 || !total) return null;
+
+  const entropy = ranked.reduce((acc, [, p]) => {
+    const q = p / total;
+    return q > 0 ? acc - q * Math.log(q) : acc;
+  }, 0);
+
+  const [[topClass, top], [secondClass, second]] = ranked;
+  const rankTop = SEVERITY_CLASSES.indexOf(topClass);
+  const rankSecond = SEVERITY_CLASSES.indexOf(secondClass);
+  const adjacent = rankTop >= 0 && rankSecond >= 0 && Math.abs(rankTop - rankSecond) === 1;
+
+  return {
+    entropy: entropy / Math.log(ranked.length),
+    margin: top - second,
+    topClass,
+    secondClass,
+    adjacent,
+    adjacentShare: adjacent && top + second > 0 ? second / (top + second) : null,
+  };
+}
+
+// Measures plus the warnings that cross `limits`; null without probabilities.
+export function assessUncertainty(probabilities, limits = UNCERTAINTY_LIMITS) {
+  const measures = measureUncertainty(probabilities);
+  if (!measures) return null;
+
+  const warnings = [];
+  if (measures.entropy > limits.maxEntropy) {
+    warnings.push({ key: "highEntropy", params: { value: measures.entropy, limit: limits.maxEntropy } });
+  }
+  if (measures.margin < limits.minMargin) {
+    warnings.push({ key: "smallMargin", params: { value: measures.margin, limit: limits.minMargin } });
+  }
+  if (measures.adjacentShare !== null && measures.adjacentShare >= limits.maxAdjacentShare) {
+    warnings.push({
+      key: "adjacentGrades",
+      params: { top: measures.topClass, second: measures.secondClass },
+    });
+  }
+
+  return { ...measures, warnings, uncertain: warnings.length > 0 };
+}
+
+// Translated summary and warnings; the PDF report passes an English translator.
+export function describeUncertainty(assessment, { tr = t, number = formatNumber } = {}) {
+  if (!assessment) return null;
+
+  const entropy = (v) => number(v, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const points = (v) => number(v, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const format = {
+    highEntropy: ({ value, limit }) => ({ value: entropy(value), limit: entropy(limit) }),
+    smallMargin: ({ value, limit }) => ({ value: points(value), limit: points(limit) }),
+    adjacentGrades: ({ top, second }) => ({
+      top: classLabelWith(tr, top),
+      second: classLabelWith(tr, second),
+    }),
+  };
+
+  return {
+    summary: tr("uncertainty.summary", {
+      entropy: entropy(assessment.entropy),
+      margin: points(assessment.margin),
+    }),
+    warnings: assessment.warnings.map(({ key, params }) =>
+      tr(`uncertainty.warnings.${key}`, format[key](params))
+    ),
+  };
+}
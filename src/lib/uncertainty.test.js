@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { assessUncertainty, measureUncertainty } from "./uncertainty.js";
+
+const LIMITS = { maxEntropy: 0.5, minMargin: 10, maxAdjacentShare: 0.4 };
+
+describe("measureUncertainty", () => {
+  it("is 0 for a one-hot and 1 for a flat distribution", () => {
+    expect(measureUncertainty({ No_DR: 100, Mild: 0, Moderate: 0 }).entropy).toBe(0);
+    expect(measureUncertainty({ No_DR: 20, Mild: 20, Moderate: 20, Severe: 20, Proliferative_DR: 20 }).entropy).toBeCloseTo(1);
+  });
+
+  it("reports the margin and whether the top two are neighbouring grades", () => {
+    const m = measureUncertainty({ No_DR: 5, Mild: 10, Moderate: 41, Severe: 39, Proliferative_DR: 5 });
+    expect(m).toMatchObject({ margin: 2, topClass: "Moderate", secondClass: "Severe", adjacent: true });
+    expect(m.adjacentShare).toBeCloseTo(0.4875);
+
+    const distant = measureUncertainty({ No_DR: 50, Severe: 45, Mild: 5 });
+    expect(distant).toMatchObject({ adjacent: false, adjacentShare: null });
+  });
+
+  it("needs at least two probabilities", () => {
+    expect(measureUncertainty({})).toBeNull();
+    expect(measureUncertainty({ Mild: 100 })).toBeNull();
+  });
+});
+
+describe("assessUncertainty", () => {
+  it("warns on a 41/39 split between adjacent grades", () => {
+    const a = assessUncertainty(
+      { No_DR: 5, Mild: 10, Moderate: 41, Severe: 39, Proliferative_DR: 5 },
+      LIMITS
+    );
+    expect(a.uncertain).toBe(true);
+    expect(a.warnings.map((w) => w.key)).toEqual(["highEntropy", "smallMargin", "adjacentGrades"]);
+  });
+
+  it("stays quiet for a confident call", () => {
+    const a = assessUncertainty(
+      { No_DR: 98, Mild: 1, Moderate: 0.5, Severe: 0.3, Proliferative_DR: 0.2 },
+      LIMITS
+    );
+    expect(a).toMatchObject({ uncertain: false, warnings: [] });
+  });
+});
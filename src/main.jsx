@@ -2,10 +2,39 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import "bootstrap/dist/css/bootstrap.min.css";
 import "./index.css";
-import App from "./App.jsx";
+import { t } from "./i18n/index.js";
+import { loadRuntimeConfig } from "./lib/runtimeConfig.js";
+import { registerServiceWorker } from "./lib/serviceWorker.js";
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// Shown when the app chunk cannot be fetched, typically an old cached shell
+// asking for files a new deploy has replaced.
+function StartupFailed() {
+  return (
+    <div className="startup-failed alert alert-danger" role="alert">
+      <p>{t("startup.failed")}</p>
+      <button type="button" className="btn btn-danger" onClick={() => window.location.reload()}>
+        {t("startup.reload")}
+      </button>
+    </div>
+  );
+}
+
+const root = ReactDOM.createRoot(document.getElementById("root"));
+
+// config.json has to be in place before lib/config.js is evaluated, so the
+// app (and everything that reads settings) is imported only afterwards.
+loadRuntimeConfig()
+  .then(() => import("./App.jsx"))
+  .then(({ default: App }) => {
+    root.render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>
+    );
+  })
+  .catch((e) => {
+    console.error("Could not load the app", e);
+    root.render(<StartupFailed />);
+  });
+
+registerServiceWorker();
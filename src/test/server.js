@@ -0,0 +1,27 @@
+import { HttpResponse, http } from "msw";
+import { setupServer } from "msw/node";
+
+export const API = "http://api.test";
+
+export const healthy = () =>
+  http.get(`${API}/api/health`, () =>
+    HttpResponse.json({ status: "healthy", model_loaded: true, model_loading: false })
+  );
+
+export const predictResponse = {
+  success: true,
+  session_id: "sess-123",
+  prediction: { class: "Moderate", confidence: 0.82, description: "Moderate NPDR." },
+  all_probabilities: {
+    No_DR: 0.02,
+    Mild: 0.08,
+    Moderate: 0.82,
+    Severe: 0.06,
+    Proliferative_DR: 0.02,
+  },
+  elapsed_ms: 120,
+};
+
+// Local stand-in for the backend. Tests override handlers per case with
+// server.use(...).
+export const server = setupServer(healthy());
@@ -0,0 +1,22 @@
+import "@testing-library/jest-dom/vitest";
+import { cleanup } from "@testing-library/react";
+import axios from "axios";
+import { afterEach } from "vitest";
+
+// msw never answers jsdom's XMLHttpRequest when the multipart body carries a
+// File, so tests send axios requests through its fetch adapter instead. That
+// adapter reports upload progress by streaming the body, which msw cannot
+// read either, so progress callbacks are dropped here.
+const fetchAdapter = axios.getAdapter("fetch");
+axios.defaults.adapter = (config) => fetchAdapter({ ...config, onUploadProgress: undefined });
+
+// jsdom has no object URLs; components only need a stable string back.
+if (!URL.createObjectURL) {
+  let n = 0;
+  URL.createObjectURL = () => `blob:test/${(n += 1)}`;
+  URL.revokeObjectURL = () => {};
+}
+
+afterEach(() => {
+  cleanup();
+});
@@ -1,8 +1,25 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+// Lists every emitted file so public/sw.js can precache the lazily loaded
+// chunks too (App is imported dynamically once config.json has loaded).
+function assetManifest() {
+  return {
+    name: "asset-manifest",
+    apply: "build",
+    generateBundle(_options, bundle) {
+      const files = Object.keys(bundle).filter((f) => !f.endsWith(".map"));
+      this.emitFile({
+        type: "asset",
+        fileName: "asset-manifest.json",
+        source: JSON.stringify({ files }, null, 2)
+      });
+    }
+  };
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), assetManifest()],
   server: {
     host: "127.0.0.1",
     port: 5173,
@@ -12,5 +29,15 @@ export default defineConfig({
     host: "127.0.0.1",
     port: 4173,
     strictPort: true
+  },
+  test: {
+    environment: "jsdom",
+    setupFiles: ["./src/test/setup.js"],
+    // The API client reads these at import time; pin them so tests never
+    // depend on a developer's local .env.
+    env: {
+      VITE_API_BASE_URL: "http://api.test",
+      VITE_API_MOCK: "0"
+    }
   }
 });